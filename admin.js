@@ -0,0 +1,330 @@
+const $ = (sel, root = document) => root.querySelector(sel);
+const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+/* ---------- Fares admin: agents edit what the booking form sells ----------
+   Edits the fare configuration (see fare-config.js) as one shared draft on
+   the server. Problems are listed while typing, with the changes against
+   the published fares; a saved draft without problems can be published,
+   and every save, discard and publish shows in the audit trail with the
+   agent's name, marked unverified when typed under the shared agent token.
+   Same sign-in as inbox.html.
+*/
+document.addEventListener('DOMContentLoaded', () => {
+  const signInForm = document.getElementById('signInForm');
+  const tokenEl = document.getElementById('agentToken');
+  const agentEl = document.getElementById('agentName');
+  const signInMsg = document.getElementById('signInMsg');
+  const adminEl = document.getElementById('fareAdmin');
+  const publishedInfo = document.getElementById('publishedInfo');
+  const draftInfo = document.getElementById('draftInfo');
+  const fareForm = document.getElementById('fareForm');
+  const transportList = document.getElementById('transportList');
+  const taxList = document.getElementById('taxList');
+  const problemsEl = document.getElementById('fareProblems');
+  const changeList = document.getElementById('changeList');
+  const noteEl = document.getElementById('publishNote');
+  const saveBtn = document.getElementById('saveDraftBtn');
+  const discardBtn = document.getElementById('discardDraftBtn');
+  const publishBtn = document.getElementById('publishBtn');
+  const actionMsg = document.getElementById('actionMsg');
+  const auditList = document.getElementById('auditList');
+
+  const TOKEN_KEY = 'ht_agent_token';
+  const ACTIONS = { draft: 'Saved a draft', discard: 'Discarded the draft', publish: 'Published' };
+  // names typed under the shared agent token; personal keys (AGENT_KEYS) name their holder
+  const SELF_DECLARED = ' <span class="small-muted" title="Signed in with the shared agent token">(name not verified)</span>';
+
+  let token = '';
+  let published = null; // the configuration the booking form prices with
+  let draft = null;     // { config, savedAt, savedBy } or null
+  let required = [];    // package transports that must stay on sale
+  let busy = false;
+
+  try { token = sessionStorage.getItem(TOKEN_KEY) || ''; } catch (e) {}
+  try { agentEl.value = localStorage.getItem('ht_agent_name') || ''; } catch (e) {}
+  const agent = () => agentEl.value.trim() || 'agent';
+
+  const fmtDate = iso => iso ? new Date(iso).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+
+  // agent-typed values go into innerHTML templates
+  const esc = value => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  function toast(msg) {
+    const t = document.getElementById('toast');
+    t.textContent = msg; t.classList.add('show');
+    clearTimeout(t._timer); t._timer = setTimeout(() => t.classList.remove('show'), 1800);
+  }
+
+  function problem(err) {
+    if (err.status === 0) return 'Cannot reach the server. Is server.js running?';
+    if (err.code === 'too_large') return 'That configuration is too large to save.';
+    return `The server answered with an error (${err.code}).`;
+  }
+
+  function showSignIn(message) {
+    token = '';
+    try { sessionStorage.removeItem(TOKEN_KEY); } catch (e) {}
+    adminEl.hidden = true;
+    signInForm.hidden = false;
+    signInMsg.textContent = message || '';
+    tokenEl.focus();
+  }
+
+  function showAdmin() {
+    signInForm.hidden = true;
+    adminEl.hidden = false;
+  }
+
+  /* ---------- Loading ---------- */
+  async function load() {
+    try {
+      const reply = await Api.get('/api/fares/admin', { token });
+      published = reply.published;
+      draft = reply.draft;
+      required = reply.required;
+      renderForm(draft ? draft.config : published);
+      renderAudit(reply.audit);
+      actionMsg.textContent = '';
+      return true;
+    } catch (err) {
+      if (err.code === 'unauthorized') { showSignIn('That agent key was not accepted.'); return false; }
+      (adminEl.hidden ? signInMsg : actionMsg).textContent = problem(err);
+      return false;
+    }
+  }
+
+  /* ---------- Editing ---------- */
+  const number = (value, field) => `<input name="${field}" type="number" min="0" step="${field === 'perKm' ? '0.5' : '1'}" value="${esc(value)}" />`;
+
+  const itemRow = (kind, item) => {
+    const field = kind === 'provider' ? 'surcharge' : 'fare';
+    return `<div class="fare-item fare-${kind}">
+        <input name="name" type="text" maxlength="40" value="${esc(item.name)}" aria-label="${kind === 'provider' ? 'Provider' : 'Class'} name" />
+        <label><span class="small-muted">${field === 'fare' ? 'Fare' : 'Surcharge'} (KES)</span>${number(item[field], field)}</label>
+        <button type="button" class="btn small" data-remove="${kind}" aria-label="Remove ${esc(item.name || kind)}">&times;</button>
+      </div>`;
+  };
+
+  function transportBlock(t) {
+    return `<fieldset class="fare-transport">
+        <legend>${esc(t.name || 'New transport type')}</legend>
+        <div class="fare-grid">
+          <label class="field"><div class="field-label">Name</div><input name="name" type="text" maxlength="40" value="${esc(t.name)}" /></label>
+          <label class="field"><div class="field-label">Per-km rate (KES, cheapest class)</div>${number(t.perKm, 'perKm')}</label>
+          <label class="field"><div class="field-label">Base fare (KES)</div>${number(t.baseFare, 'baseFare')}</label>
+        </div>
+        <div class="field-label">Providers (flat surcharge per passenger)</div>
+        <div class="fare-items" data-list="provider">${t.providers.map(p => itemRow('provider', p)).join('')}</div>
+        <button type="button" class="btn small" data-add="provider"><i class="fa-solid fa-plus"></i> Add provider</button>
+        <div class="field-label" style="margin-top:10px;">Classes (fare per passenger)</div>
+        <div class="fare-items" data-list="class">${t.classes.map(c => itemRow('class', c)).join('')}</div>
+        <button type="button" class="btn small" data-add="class"><i class="fa-solid fa-plus"></i> Add class</button>
+        <div style="text-align:right;"><button type="button" class="btn small" data-remove="transport">Remove ${esc(t.name || 'transport type')}</button></div>
+      </fieldset>`;
+  }
+
+  const RESIDENCY_LABELS = { all: 'Everyone', resident: 'Residents', nonResident: 'Non-residents' };
+
+  function taxRow(r) {
+    const options = (values, labels, selected) => values.map(v => `<option value="${v}"${v === selected ? ' selected' : ''}>${labels[v]}</option>`).join('');
+    return `<div class="fare-item fare-tax">
+        <label><span class="small-muted">Code</span><input name="code" type="text" maxlength="12" value="${esc(r.code)}" /></label>
+        <label><span class="small-muted">Name</span><input name="name" type="text" maxlength="40" value="${esc(r.name)}" /></label>
+        <label><span class="small-muted">Basis</span><select name="basis">${options(FareConfig.BASES, { percent: '% of fare', flat: 'KES per person' }, r.basis)}</select></label>
+        <label><span class="small-muted">Amount</span><input name="amount" type="number" min="0" step="0.01" value="${esc(r.amount)}" /></label>
+        <label><span class="small-muted">Applies to</span><input name="appliesTo" type="text" value="${esc(r.appliesTo.join(', '))}" placeholder="All" /></label>
+        <label><span class="small-muted">Providers</span><input name="providers" type="text" value="${esc(r.providers.join(', '))}" placeholder="All" /></label>
+        <label><span class="small-muted">Residency</span><select name="residency">${options(FareConfig.RESIDENCIES, RESIDENCY_LABELS, r.residency)}</select></label>
+        <button type="button" class="btn small" data-remove="tax" aria-label="Remove ${esc(r.code || 'tax')}">&times;</button>
+      </div>`;
+  }
+
+  function renderForm(config) {
+    transportList.innerHTML = config.transports.map(transportBlock).join('');
+    taxList.innerHTML = FareConfig.upgrade(config).taxes.map(taxRow).join('');
+    check();
+  }
+
+  // '' stays NaN so that an emptied price is a problem, not a free ride
+  const num = input => (input.value.trim() === '' ? NaN : Number(input.value));
+
+  const commaList = input => input.value.split(',').map(v => v.trim()).filter(Boolean);
+
+  function readForm() {
+    const field = (root, name) => root.querySelector(`[name="${name}"]`);
+    return FareConfig.normalize({
+      transports: $$('.fare-transport', transportList).map(fs => ({
+        name: field(fs, 'name').value,
+        perKm: num(field(fs, 'perKm')),
+        baseFare: num(field(fs, 'baseFare')),
+        providers: $$('.fare-provider', fs).map(row => ({ name: field(row, 'name').value, surcharge: num(field(row, 'surcharge')) })),
+        classes: $$('.fare-class', fs).map(row => ({ name: field(row, 'name').value, fare: num(field(row, 'fare')) }))
+      })),
+      taxes: $$('.fare-tax', taxList).map(row => ({
+        code: field(row, 'code').value,
+        name: field(row, 'name').value,
+        basis: field(row, 'basis').value,
+        amount: num(field(row, 'amount')),
+        appliesTo: commaList(field(row, 'appliesTo')),
+        providers: commaList(field(row, 'providers')),
+        residency: field(row, 'residency').value
+      }))
+    });
+  }
+
+  const describe = c => c.from == null ? `${esc(c.item)}: added (${esc(c.to)})`
+    : c.to == null ? `${esc(c.item)}: removed (was ${esc(c.from)})`
+    : `${esc(c.item)}: ${esc(c.from)} → ${esc(c.to)}`;
+
+  // unsaved: the form differs from the saved draft (or the published fares)
+  function unsaved(config = readForm()) {
+    return FareConfig.diff(draft ? draft.config : published, config).length > 0;
+  }
+
+  /* check() lists the form's problems and its changes from the published
+     fares, and enables only the steps that make sense next. */
+  function check() {
+    const config = readForm();
+    const problems = FareConfig.validate(config, required);
+    const changes = FareConfig.diff(published, config);
+    const dirty = unsaved(config);
+    problemsEl.innerHTML = problems.map(p => `<li>${esc(p)}</li>`).join('');
+    changeList.innerHTML = changes.length ? changes.map(c => `<li>${describe(c)}</li>`).join('')
+      : '<li class="small-muted">Nothing changed yet.</li>';
+
+    publishedInfo.innerHTML = published.version
+      ? `<strong>Version ${published.version}</strong> published ${fmtDate(published.publishedAt)} by ${esc(published.publishedBy)}`
+      : '<strong>Built-in fares</strong> (nothing published yet)';
+    draftInfo.textContent = [
+      draft ? `Draft saved ${fmtDate(draft.savedAt)} by ${draft.savedBy}${draft.selfDeclared ? ' (name not verified)' : ''}.` : 'No saved draft.',
+      dirty ? 'You have unsaved edits.' : ''
+    ].filter(Boolean).join(' ');
+
+    saveBtn.disabled = busy || !dirty || problems.length > 0;
+    discardBtn.disabled = busy || !draft;
+    publishBtn.disabled = busy || !draft || dirty || problems.length > 0 || !changes.length;
+    publishBtn.title = dirty ? 'Save the draft first' : !draft ? 'Nothing saved to publish' : '';
+  }
+
+  /* ---------- Audit trail ---------- */
+  function renderAudit(audit) {
+    if (!audit.length) {
+      auditList.innerHTML = '<li class="small-muted">No fare changes yet.</li>';
+      return;
+    }
+    auditList.innerHTML = audit.map(a => `
+      <li class="booking-item">
+        <div>
+          <div><strong>${ACTIONS[a.action] || esc(a.action)}${a.version ? ` version ${a.version}` : ''}</strong> — ${esc(a.by)}${a.selfDeclared ? SELF_DECLARED : ''}
+            <span class="small-muted">${fmtDate(a.at)}</span></div>
+          ${a.note ? `<div class="small-muted">${esc(a.note)}</div>` : ''}
+          <details>
+            <summary class="small-muted">${a.changes.length} change${a.changes.length === 1 ? '' : 's'}</summary>
+            <ul class="status-history">${a.changes.map(c => `<li>${describe(c)}</li>`).join('')}</ul>
+          </details>
+        </div>
+      </li>`).join('');
+  }
+
+  /* ---------- Saving and publishing ---------- */
+  async function act(run) {
+    busy = true;
+    check();
+    try {
+      await run();
+      return true;
+    } catch (err) {
+      if (err.code === 'unauthorized') { showSignIn('Your session has ended. Sign in again.'); return false; }
+      actionMsg.textContent = err.code === 'invalid' ? 'The server found problems with these fares.'
+        : err.code === 'conflict' ? 'Someone else changed the fares meanwhile; reload and check.'
+        : err.code === 'not_found' ? 'There is no saved draft any more; reload.'
+        : problem(err);
+      return false;
+    } finally {
+      busy = false;
+      check();
+    }
+  }
+
+  saveBtn.addEventListener('click', () => act(async () => {
+    await Api.request('PUT', '/api/fares/draft', { config: readForm(), by: agent() }, { token });
+    toast('Draft saved');
+    await load();
+  }));
+
+  discardBtn.addEventListener('click', () => {
+    if (!confirm('Discard the saved draft? The form goes back to the published fares.')) return;
+    act(async () => {
+      await Api.request('DELETE', '/api/fares/draft', { by: agent() }, { token });
+      toast('Draft discarded');
+      await load();
+    });
+  });
+
+  publishBtn.addEventListener('click', () => {
+    if (!draft) return;
+    const count = FareConfig.diff(published, draft.config).length;
+    if (!confirm(`Publish ${count} change${count === 1 ? '' : 's'}? New bookings are priced with them straight away.`)) return;
+    act(async () => {
+      const reply = await Api.post('/api/fares/publish', { by: agent(), note: noteEl.value.trim() }, { token });
+      noteEl.value = '';
+      toast(`Version ${reply.config.version} published`);
+      FareConfig.refresh(); // this device's booking pages too
+      await load();
+    });
+  });
+
+  /* ---------- Events ---------- */
+  fareForm.addEventListener('input', check);
+  fareForm.addEventListener('submit', e => e.preventDefault());
+  fareForm.addEventListener('click', (e) => {
+    const add = e.target.closest('[data-add]');
+    const remove = e.target.closest('[data-remove]');
+    if (add) {
+      const list = $(`[data-list="${add.dataset.add}"]`, add.closest('.fare-transport'));
+      list.insertAdjacentHTML('beforeend', itemRow(add.dataset.add, { name: '', surcharge: 0, fare: '' }));
+      list.lastElementChild.querySelector('[name="name"]').focus();
+    } else if (remove) {
+      remove.closest(remove.dataset.remove === 'transport' ? '.fare-transport' : '.fare-item').remove();
+    } else return;
+    check();
+  });
+  // the legend follows the transport's name
+  transportList.addEventListener('input', (e) => {
+    const fs = e.target.closest('.fare-transport');
+    if (fs && e.target === fs.querySelector('.fare-grid [name="name"]')) $('legend', fs).textContent = e.target.value.trim() || 'New transport type';
+  });
+  document.getElementById('addTaxBtn').addEventListener('click', () => {
+    taxList.insertAdjacentHTML('beforeend', taxRow({ code: '', name: '', basis: 'flat', amount: '', appliesTo: [], providers: [], residency: 'all' }));
+    taxList.lastElementChild.querySelector('[name="code"]').focus();
+    check();
+  });
+  document.getElementById('addTransportBtn').addEventListener('click', () => {
+    transportList.insertAdjacentHTML('beforeend', transportBlock({ name: '', perKm: '', baseFare: '', providers: [], classes: [] }));
+    transportList.lastElementChild.querySelector('[name="name"]').focus();
+    check();
+  });
+
+  signInForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    token = tokenEl.value.trim();
+    try { localStorage.setItem('ht_agent_name', agentEl.value.trim()); } catch (err) {}
+    if (!(await load())) return;
+    try { sessionStorage.setItem(TOKEN_KEY, token); } catch (err) {}
+    tokenEl.value = '';
+    showAdmin();
+  });
+
+  document.getElementById('refreshBtn').addEventListener('click', () => {
+    if (unsaved() && !confirm('Reload and lose your unsaved edits?')) return;
+    load();
+  });
+  document.getElementById('signOutBtn').addEventListener('click', () => showSignIn('Signed out.'));
+  window.addEventListener('beforeunload', (e) => {
+    if (!adminEl.hidden && published && unsaved()) { e.preventDefault(); e.returnValue = ''; }
+  });
+
+  if (token) load().then(ok => { if (ok) showAdmin(); });
+  else showSignIn();
+});
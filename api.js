@@ -0,0 +1,70 @@
+/* ---------- Api: JSON requests to the site's server (server.js) ----------
+   Requests go to the same origin unless the page names another one in
+   <meta name="api-base" content="https://…">. Every call resolves with the
+   parsed JSON body or rejects with an ApiError:
+
+     status      HTTP status, 0 when the server could not be reached
+     code        the server's error code (invalid, rate_limited, …), or
+                 'network' / 'timeout' when there was no answer
+     fields      { field: problem } for invalid input
+     retryAfter  seconds to wait after rate_limited
+*/
+const Api = (function () {
+  const TIMEOUT_MS = 10000;
+
+  class ApiError extends Error {
+    constructor(status, code, extra = {}) {
+      super(`API ${status || 'unreachable'}: ${code}`);
+      this.status = status;
+      this.code = code;
+      this.fields = extra.fields || {};
+      this.retryAfter = extra.retryAfter || 0;
+    }
+  }
+
+  function base() {
+    const meta = document.querySelector('meta[name="api-base"]');
+    return meta ? meta.content.replace(/\/+$/, '') : '';
+  }
+
+  /* request(method, path, body?, { token, headers }) -> Promise of the JSON
+     reply; token is sent as a Bearer credential for agent-only endpoints */
+  async function request(method, path, body, options = {}) {
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    Object.assign(headers, options.headers);
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller && setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    let res;
+    try {
+      res = await fetch(base() + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (err) {
+      throw new ApiError(0, err && err.name === 'AbortError' ? 'timeout' : 'network');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let data = null;
+    try { data = await res.json(); } catch (e) { data = null; }
+    if (!res.ok) {
+      throw new ApiError(res.status, (data && data.error) || 'server', {
+        fields: data && data.fields,
+        retryAfter: Number(res.headers.get('Retry-After')) || 0
+      });
+    }
+    return data || {};
+  }
+
+  const get = (path, options) => request('GET', path, undefined, options);
+  const post = (path, body, options) => request('POST', path, body, options);
+  const patch = (path, body, options) => request('PATCH', path, body, options);
+
+  return { ApiError, request, get, post, patch };
+})();
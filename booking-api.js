@@ -0,0 +1,66 @@
+/* ---------- BookingApi: bookings issued and changed by the server ----------
+   Wraps the /api/bookings endpoints of server.js (see Api). A booking made
+   through the server carries the accessKey it was issued with; the key is
+   sent as X-Booking-Key on every later call, so only this device (or an
+   agent, with their token) can fetch or change it. Bookings without an
+   accessKey were issued offline on this device and are changed locally.
+   The loyalty number the customer gave (see promotions.js) is kept beside
+   the accessKey; new numbers are mailed to the contact email, never sent
+   back here.
+
+   Every call resolves with the server's booking (accessKey kept) or
+   rejects with an Api.ApiError; problemsOf(err) words it for the customer.
+*/
+const BookingApi = (function () {
+  const keyed = booking => !!(booking && booking.accessKey);
+
+  const withKey = (booking, reply) => Object.assign(reply.booking, { accessKey: booking.accessKey },
+    booking.loyaltyNumber ? { loyaltyNumber: booking.loyaltyNumber } : {});
+
+  function options(booking, opts = {}) {
+    return { token: opts.token, headers: keyed(booking) ? { 'X-Booking-Key': booking.accessKey } : {} };
+  }
+
+  const path = (booking, action) => `/api/bookings/${encodeURIComponent(booking.bookingId)}${action ? `/${action}` : ''}`;
+
+  /* quote(request, loyaltyNumber) -> { legTotals, stayTotal, packageTotal,
+     discount, maxPoints, groupTotal, currency, loyalty } where loyalty is
+     { balance } when the number matches the contact email, otherwise null */
+  const quote = (request, loyaltyNumber) => Api.post('/api/bookings/quote', { request, loyaltyNumber })
+    .then(reply => Object.assign(reply.quote, { loyalty: reply.loyalty }));
+
+  // create(request, loyaltyNumber) -> pending booking issued by the server
+  const create = (request, loyaltyNumber) => Api.post('/api/bookings', { request, loyaltyNumber })
+    .then(reply => Object.assign(reply.booking, { accessKey: reply.accessKey }, loyaltyNumber ? { loyaltyNumber } : {}));
+
+  const get = (booking, opts) => Api.get(path(booking), options(booking, opts)).then(reply => withKey(booking, reply));
+
+  const pay = (booking, receipt, opts) => Api.post(path(booking, 'payment'), { receipt }, options(booking, opts))
+    .then(reply => withKey(booking, reply));
+
+  // agents only: the receipt matches the provider's statement, so the booking earns its points
+  const verifyPayment = (booking, by, opts) => Api.post(path(booking, 'verify'), { by }, options(booking, opts))
+    .then(reply => withKey(booking, reply));
+
+  // amend(...) -> { booking, fareDifference }
+  const amend = (booking, changes, by, opts) => Api.post(path(booking, 'amend'), { changes, by }, options(booking, opts))
+    .then(reply => ({ booking: withKey(booking, reply), fareDifference: reply.fareDifference }));
+
+  const cancel = (booking, by, opts) => Api.post(path(booking, 'cancel'), { by }, options(booking, opts))
+    .then(reply => withKey(booking, reply));
+
+  // agents only: confirm or refund ({ token } required)
+  const setStatus = (booking, to, details, opts) => Api.post(path(booking, 'status'), Object.assign({ to }, details), options(booking, opts))
+    .then(reply => withKey(booking, reply));
+
+  /* problemsOf(err) -> customer-facing messages in the current language */
+  function problemsOf(err) {
+    const problems = err.fields && err.fields.problems;
+    if (err.code === 'invalid' && Array.isArray(problems)) return problems.map(p => I18n.t(p.key, p.params));
+    if (err.code === 'rate_limited') return [I18n.t('book.err.rate')];
+    if (err.status === 0) return [I18n.t('lead.err.network')];
+    return [I18n.t('book.err.server')];
+  }
+
+  return { keyed, quote, create, get, pay, verifyPayment, amend, cancel, setStatus, problemsOf };
+})();
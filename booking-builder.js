@@ -0,0 +1,397 @@
+/* ---------- BookingBuilder: a priced booking from the customer's choices ----------
+   One module for both places a booking is issued: server.js runs it (with
+   the pricing scripts it needs) to price and issue bookings, and the booking
+   form runs the same code as its offline fallback. Prices always come from
+   FareEngine, Stays and Packages; a request never carries amounts.
+
+   A request is
+     { tripType, legs: [Itinerary leg], passengers: [{ name, idNumber, ageBand, residency }],
+       contact: { phone, email }, seats: [leg 1 seat picks],
+       stay: { propertyId, roomType, mealPlan, checkIn, checkOut } | null,
+       package: { id, departure } | null, currency: { code } of Currency.RATES,
+       promoCode, points }
+   A package fixes the legs' transport and the stay (see packages.js); leg
+   arrival times and trip numbers are looked up in the Timetable. A promo
+   code and loyalty points (see promotions.js) come off the prices before
+   taxes. Taxes and fees follow each passenger's residency
+   (FareEngine.taxLines); a stay or package is taxed by its lead guest's.
+
+   Validation problems are worded through I18n.t; on the server they are
+   { key, params } items that the browser words in the customer's language.
+*/
+const BookingBuilder = (function () {
+  const MAX_PASSENGERS = 20;
+  const MAX_LEGS = 6;
+
+  // no 0/O or 1/I; 32 characters, so every random byte maps without bias
+  const ID_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  // no stricter than the booking form's type="email" field
+  const EMAIL = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*$/;
+
+  const pad = n => String(n).padStart(2, '0');
+  const text = (value, max) => String(value == null ? '' : value).trim().slice(0, max);
+  const list = value => (Array.isArray(value) ? value : []);
+
+  /* newId(now) -> 'HT-YYYYMMDD-XXXXXX'. Six random characters give about a
+     billion IDs a day, so two desks (or the server and an offline device)
+     practically never issue the same one; the server also checks its store. */
+  function newId(now = new Date()) {
+    const bytes = new Uint8Array(6);
+    crypto.getRandomValues(bytes);
+    const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+    return `HT-${date}-${Array.from(bytes, b => ID_CHARS[b % ID_CHARS.length]).join('')}`;
+  }
+
+  /* normalize(input) -> a request holding only the fields a booking uses,
+     trimmed to sane lengths. Package requests get the package's transport on
+     every leg and its room and meal plan, from arrival to the return date. */
+  function normalize(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const passengers = list(src.passengers).slice(0, MAX_PASSENGERS + 1).map(p => ({
+      name: text(p && p.name, 80),
+      idNumber: text(p && p.idNumber, 40),
+      ageBand: p && FareEngine.AGE_BANDS[p.ageBand] ? p.ageBand : 'adult',
+      residency: p && p.residency === 'nonResident' ? 'nonResident' : 'resident'
+    }));
+    const legs = list(src.legs).slice(0, MAX_LEGS + 1).map(leg => ({
+      transport: text(leg && leg.transport, 20),
+      provider: text(leg && leg.provider, 40),
+      travelClass: text(leg && leg.travelClass, 40),
+      origin: text(leg && leg.origin, 80),
+      destination: text(leg && leg.destination, 80),
+      departDateTime: text(leg && leg.departDateTime, 40)
+    }));
+
+    const pkg = src.package ? Packages.find(src.package.id) : null;
+    const departure = pkg ? text(src.package.departure, 10) : '';
+    legs.forEach(leg => {
+      if (pkg) Object.assign(leg, pkg.transport);
+      // arrival and trip number come from the timetable, as in the booking form
+      const trip = Timetable.findTrip(leg);
+      leg.arriveDateTime = trip ? trip.arriveDateTime : '';
+      leg.tripNo = trip ? trip.tripNo : '';
+    });
+    const stayIn = src.stay && typeof src.stay === 'object' ? src.stay : null;
+    let stay = null;
+    if (pkg && departure) {
+      const arrival = legs[0] && legs[0].arriveDateTime;
+      stay = Object.assign({}, pkg.stay, {
+        checkIn: arrival ? Timetable.localDate(arrival) : departure,
+        checkOut: Packages.addDays(departure, pkg.nights)
+      });
+    } else if (stayIn && !pkg) {
+      stay = {
+        propertyId: text(stayIn.propertyId, 60),
+        roomType: text(stayIn.roomType, 60),
+        mealPlan: text(stayIn.mealPlan, 10),
+        checkIn: text(stayIn.checkIn, 10),
+        checkOut: text(stayIn.checkOut, 10)
+      };
+    }
+
+    // only the code is the customer's: the rate comes from this side's Currency table
+    const currency = (src.currency && Currency.snapshotOf(text(src.currency.code, 3).toUpperCase())) || { code: 'KES', rate: 1, asOf: '' };
+
+    return {
+      tripType: ['oneway', 'return', 'multi'].includes(src.tripType) ? src.tripType : 'oneway',
+      legs,
+      passengers,
+      contact: { phone: text(src.contact && src.contact.phone, 40), email: text(src.contact && src.contact.email, 120) },
+      seats: list(src.seats).slice(0, MAX_PASSENGERS).map(s => text(s, 12)).filter(Boolean),
+      stay,
+      package: pkg ? { id: pkg.id, departure } : null,
+      currency,
+      promoCode: text(src.promoCode, 20).toUpperCase(),
+      points: Math.max(0, Math.floor(Number(src.points) || 0))
+    };
+  }
+
+  const bandsOf = request => request.passengers.map(p => p.ageBand);
+  const seatedOf = request => request.passengers.filter(p => p.ageBand !== 'infant').length;
+
+  const sum = lines => lines.reduce((total, l) => total + l.amount, 0);
+
+  /* items(request, trip, stay, tour) -> the priced parts of a booking, in
+     Promotions' item shape: each passenger on each leg (kind 'leg', with leg
+     and passenger indexes), then the stay or the package. A package's legs
+     and stay are paid for through the package, so they are not items. */
+  function itemsOf(request, trip, stay, tour) {
+    const items = [];
+    if (tour) {
+      return [{ kind: 'package', item: 'Package', places: [Packages.find(request.package.id).destination], date: request.package.departure, amount: tour.total }];
+    }
+    trip.legs.forEach((q, l) => {
+      const leg = request.legs[l];
+      if (q) q.perPassenger.forEach((f, i) => items.push({
+        kind: 'leg', leg: l, passenger: i, item: leg.transport, provider: leg.provider,
+        places: [leg.origin, leg.destination], date: leg.departDateTime, amount: f.fare
+      }));
+    });
+    if (stay) items.push({ kind: 'stay', item: 'Stay', places: [stay.property.destination], date: request.stay.checkIn, amount: stay.total });
+    return items;
+  }
+
+  /* priced(request, items, now) -> items with their discount lines (promo
+     code, points), taxLines on what is left, and total. Legs are taxed per
+     passenger; a stay or package for its guests at the lead guest's residency. */
+  function priced(request, items, now) {
+    const discounts = Promotions.apply(request, items, now);
+    return items.map((it, n) => {
+      const net = it.amount + sum(discounts[n]);
+      const taxLines = it.kind === 'leg'
+        ? FareEngine.taxLines(net, { item: it.item, provider: it.provider, residency: request.passengers[it.passenger].residency })
+        : FareEngine.taxLines(net, { item: it.item, residency: request.passengers[0] && request.passengers[0].residency, people: request.passengers.length });
+      return Object.assign({}, it, { discountLines: discounts[n], taxLines, total: net + sum(taxLines) });
+    });
+  }
+
+  // seat-map style key for a leg's departure
+  const tripOf = leg => ({
+    provider: leg.provider,
+    travelClass: leg.travelClass,
+    origin: leg.origin,
+    destination: leg.destination,
+    departDateTime: leg.departDateTime
+  });
+
+  /* validate(request, bookings, now, account) -> array of problems (empty
+     when the booking can be issued). bookings are the ones already holding
+     seats (and promo code uses); account is the contact email's loyalty
+     account, { balance }, when points are to be redeemed. */
+  function validate(request, bookings = [], now = new Date(), account = null) {
+    const problems = [];
+    const { passengers, legs, contact } = request;
+
+    if (!passengers.length || passengers.some(p => !p.name)) problems.push(I18n.t('wiz.err.names'));
+    if (passengers.length > MAX_PASSENGERS) problems.push(I18n.t('book.err.party', { max: MAX_PASSENGERS }));
+    if (!passengers.some(p => p.ageBand === 'adult')) problems.push(I18n.t('err.adult'));
+    const missingId = passengers.find(p => p.ageBand === 'adult' && p.name && !p.idNumber);
+    if (missingId) problems.push(I18n.t('err.idMissing', { name: missingId.name }));
+    if (!contact.phone || !EMAIL.test(contact.email)) problems.push(I18n.t('wiz.err.contact'));
+
+    if (!legs.length || legs.length > MAX_LEGS) {
+      problems.push(I18n.t('book.err.legs', { max: MAX_LEGS }));
+      return problems;
+    }
+    const legProblems = Itinerary.validate(legs);
+    legs.forEach((leg, i) => {
+      if (!leg.departDateTime) return;
+      if (!leg.tripNo) legProblems.push(I18n.t('book.err.trip', { n: i + 1 }));
+      else if (new Date(leg.departDateTime) < now) legProblems.push(I18n.t('book.err.departed', { n: i + 1 }));
+    });
+    problems.push(...legProblems);
+    if (legProblems.length) return problems;
+
+    const trip = Itinerary.price(legs, bandsOf(request));
+    trip.legs.forEach((quote, i) => { if (!quote) problems.push(I18n.t('book.err.fare', { n: i + 1 })); });
+
+    const pkg = request.package && Packages.find(request.package.id);
+    if (pkg) {
+      const departure = request.package.departure;
+      problems.push(...Packages.validate(pkg, departure, bandsOf(request)));
+      const returnDate = departure ? Packages.addDays(departure, pkg.nights) : '';
+      const fits = legs.length === 2
+        && legs[0].origin === Packages.ORIGIN && legs[0].destination === pkg.destination
+        && legs[1].origin === pkg.destination && legs[1].destination === Packages.ORIGIN
+        && Timetable.localDate(legs[0].departDateTime) === departure && Timetable.localDate(legs[1].departDateTime) === returnDate;
+      if (departure && !fits) problems.push(I18n.t('book.err.packageTrip', { from: departure, to: returnDate }));
+    } else if (request.stay) {
+      problems.push(...Stays.validate(request.stay));
+    }
+
+    // every leg needs a place for each seated passenger; picks must be free seats in the class
+    const seated = seatedOf(request);
+    legs.forEach((leg, i) => {
+      const { left } = Inventory.availability(bookings, tripOf(leg));
+      if (left < seated) problems.push(I18n.t('book.err.soldOut', { n: i + 1, count: left, cls: leg.travelClass, provider: leg.provider }));
+    });
+    if (request.seats.length) {
+      const taken = SeatMap.takenFrom(bookings, tripOf(legs[0]));
+      const inClass = SeatMap.seatsFor(legs[0].provider, legs[0].travelClass);
+      const bad = request.seats.filter(s => taken.has(s) || !inClass.includes(s));
+      if (bad.length) problems.push(I18n.t('book.err.seatTaken', { seats: bad.join(', ') }));
+    }
+    if (!problems.length && (request.promoCode || request.points)) {
+      problems.push(...Promotions.validate(request, quote(request, now).items, { bookings, now, account }));
+    }
+    return problems;
+  }
+
+  /* quote(request, now) -> { trip, stay, tour, items, legTotals, stayTotal,
+     packageTotal, discount, maxPoints, groupTotal }
+     trip is Itinerary.price, stay Stays.quote and tour Packages.quote (or
+     null); items are the priced parts (see priced). Totals include taxes and
+     discounts; discount is what the promo code and points take off and
+     maxPoints the most points the booking could take. */
+  function quote(request, now = new Date()) {
+    const bands = bandsOf(request);
+    const pkg = request.package && Packages.find(request.package.id);
+    const tour = pkg ? Packages.quote(pkg, request.package.departure, bands) : null;
+    const trip = Itinerary.price(request.legs, bands);
+    const stay = request.stay ? Stays.quote(request.stay, bands) : null;
+    const base = itemsOf(request, trip, stay, tour);
+    const items = priced(request, base, now);
+    const totalOf = kind => items.filter(it => it.kind === kind).reduce((total, it) => total + it.total, 0);
+    const legTotals = trip.legs.map((q, l) => items.filter(it => it.leg === l).reduce((total, it) => total + it.total, 0));
+    const stayTotal = totalOf('stay');
+    const packageTotal = totalOf('package');
+    return {
+      trip,
+      stay,
+      tour,
+      items,
+      legTotals,
+      stayTotal,
+      packageTotal,
+      discount: -items.reduce((total, it) => total + sum(it.discountLines), 0),
+      maxPoints: Promotions.redeemable(request, base, now),
+      groupTotal: legTotals.reduce((sum, t) => sum + t, 0) + stayTotal + packageTotal
+    };
+  }
+
+  /* build(request, { bookingId, bookings, now }) -> pending booking with one
+     ticket per passenger per leg, the stay or package voucher and the group
+     total. Seats: leg 1 uses the request's picks first, everything else is
+     auto-assigned from the seats bookings leave free. */
+  function build(request, opts) {
+    const bookingId = opts.bookingId;
+    const bookings = opts.bookings || [];
+    const { passengers, legs } = request;
+    const { phone, email } = request.contact;
+    const price = quote(request, opts.now);
+    const { trip, tour, items } = price;
+    const stayQuote = price.stay;
+    const pkg = request.package && Packages.find(request.package.id);
+    const packageVoucherNo = tour ? `${bookingId}-K1` : undefined;
+    const tickets = [];
+
+    const seated = seatedOf(request);
+    const legSeats = legs.map((leg, l) => {
+      const picked = l === 0 ? request.seats.slice(0, seated) : [];
+      const taken = SeatMap.takenFrom(bookings, tripOf(leg));
+      return picked.concat(SeatMap.autoAssign(leg.provider, leg.travelClass, taken, seated - picked.length, picked));
+    });
+    const legSummaries = legs.map((leg, l) => {
+      const legQuote = trip.legs[l];
+      // package legs are paid for through the package voucher
+      const included = { label: `Included in package ${packageVoucherNo}`, amount: 0, key: 'pkg.includedIn', params: { no: packageVoucherNo } };
+      const fares = tour ? passengers.map(p => ({ band: p.ageBand, fare: 0, lines: [included] }))
+        : legQuote ? legQuote.perPassenger : passengers.map(p => ({ band: p.ageBand, fare: 0, lines: [] }));
+      const legItems = items.filter(it => it.leg === l);
+      const pricedFor = i => legItems.find(it => it.passenger === i) || { discountLines: [], taxLines: [], total: 0 };
+
+      // one ticket per passenger per leg, all sharing the booking reference
+      const seats = legSeats[l].slice();
+      passengers.forEach((p, i) => {
+        const ticketNo = legs.length > 1 ? `${bookingId}-L${l + 1}-P${i + 1}` : `${bookingId}-P${i + 1}`;
+        tickets.push({
+          bookingId,
+          ticketNo,
+          legIndex: l + 1,
+          legCount: legs.length,
+          passengerIndex: i + 1,
+          groupSize: passengers.length,
+          passengerName: p.name,
+          passengerIdNumber: p.idNumber,
+          ageBand: p.ageBand,
+          ageBandLabel: FareEngine.AGE_BANDS[p.ageBand].label,
+          residency: p.residency,
+          contactPhone: phone,
+          contactEmail: email,
+          transportType: leg.transport,
+          provider: leg.provider,
+          classOrSeat: leg.travelClass,
+          seat: p.ageBand === 'infant' ? null : (seats.shift() || null),
+          route: { origin: leg.origin, destination: leg.destination || 'TBA' },
+          tripNo: leg.tripNo,
+          departDateTime: leg.departDateTime,
+          arriveDateTime: leg.arriveDateTime,
+          duration: '',
+          distanceKm: legQuote ? legQuote.distanceKm : undefined,
+          fareLines: fares[i].lines,
+          price: fares[i].fare,
+          discountLines: pricedFor(i).discountLines,
+          taxLines: pricedFor(i).taxLines,
+          taxes: sum(pricedFor(i).taxLines),
+          total: pricedFor(i).total,
+          currency: request.currency,
+          packageVoucherNo,
+          mapLink: `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(leg.origin)}&destination=${encodeURIComponent(leg.destination)}`,
+          qrPayload: `https://harmonytravels.example/verify/${ticketNo}`,
+          logoUrl: ''
+        });
+      });
+      return Object.assign({ index: l + 1, total: price.legTotals[l] }, leg);
+    });
+
+    // accommodation voucher, taxed as a Stay
+    const stayItem = items.find(it => it.kind === 'stay');
+    const stay = stayQuote && !tour ? Object.assign({}, request.stay, {
+      voucherNo: `${bookingId}-S1`,
+      propertyName: stayQuote.property.name,
+      propertyType: stayQuote.property.type,
+      destination: stayQuote.property.destination,
+      nights: stayQuote.nights,
+      rooms: stayQuote.rooms,
+      guests: stayQuote.guests,
+      leadGuest: passengers[0].name,
+      lines: stayQuote.lines,
+      price: stayQuote.total,
+      discountLines: stayItem.discountLines,
+      taxLines: stayItem.taxLines,
+      taxes: sum(stayItem.taxLines),
+      total: price.stayTotal
+    }) : null;
+
+    // package voucher: one price for the package's transport, stay and inclusions
+    const packageItem = items.find(it => it.kind === 'package');
+    const tourPackage = tour ? {
+      voucherNo: packageVoucherNo,
+      id: pkg.id,
+      title: pkg.title,
+      destination: pkg.destination,
+      departure: request.package.departure,
+      returnDate: Packages.addDays(request.package.departure, pkg.nights),
+      nights: pkg.nights,
+      inclusions: pkg.inclusions,
+      stay: stayQuote ? Object.assign({}, request.stay, {
+        propertyName: stayQuote.property.name,
+        nights: stayQuote.nights,
+        rooms: stayQuote.rooms
+      }) : null,
+      travellers: tour.travellers,
+      leadGuest: passengers[0].name,
+      lines: tour.lines,
+      price: tour.total,
+      discountLines: packageItem.discountLines,
+      taxLines: packageItem.taxLines,
+      taxes: sum(packageItem.taxLines),
+      total: price.packageTotal
+    } : null;
+
+    // group total covers every passenger on every leg, plus the stay or package
+    const groupTotal = price.groupTotal;
+    tickets.forEach(t => { t.groupTotal = groupTotal; });
+
+    return {
+      bookingId,
+      contactPhone: phone,
+      contactEmail: email,
+      groupSize: passengers.length,
+      groupTotal,
+      currency: request.currency,
+      status: 'pending',
+      statusHistory: BookingLifecycle.initialHistory('pending'),
+      tripType: request.tripType,
+      legs: legSummaries,
+      stay,
+      package: tourPackage,
+      // what the promo code took off and the points redeemed, for uses and the loyalty ledger
+      promotion: request.promoCode ? { code: request.promoCode, amount: -items.reduce((total, it) => total + sum(it.discountLines.filter(d => d.code === request.promoCode)), 0) } : null,
+      pointsRedeemed: -items.reduce((total, it) => total + sum(it.discountLines.filter(d => d.code === 'POINTS')), 0),
+      tickets
+    };
+  }
+
+  return { MAX_PASSENGERS, MAX_LEGS, newId, normalize, validate, quote, build };
+})();
@@ -0,0 +1,279 @@
+/* ---------- BookingLifecycle: status model, amendments and refunds ----------
+   Statuses and the moves allowed between them:
+     pending   -> confirmed, cancelled
+     confirmed -> amended, cancelled, used
+     amended   -> amended, cancelled, used
+     cancelled -> refunded
+     refunded, used: final
+   Every change is appended to booking.statusHistory as
+   { from, to, at, by, note, selfDeclared? }, where selfDeclared marks a name
+   the booking server could not vouch for (see server.js). Functions return a new booking object; callers
+   persist it with BookingStore.save().
+
+   A pending booking holds its seats, promo code use and redeemed points for
+   HOLD_MINUTES from issue; unpaid after that, the hold has expired and they
+   go back on sale (see holdsStock). The booking server cancels such bookings.
+*/
+const BookingLifecycle = (function () {
+  const STATUSES = ['pending', 'confirmed', 'amended', 'cancelled', 'refunded', 'used'];
+  const HOLD_MINUTES = 30;
+
+  const TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['amended', 'cancelled', 'used'],
+    amended: ['amended', 'cancelled', 'used'],
+    cancelled: ['refunded'],
+    refunded: [],
+    used: []
+  };
+
+  /* refund rules per transport: first tier whose minHours the notice meets wins.
+     percent is of the fare paid (taxes included); fee is a flat KES deduction. */
+  const REFUND_RULES = {
+    Bus: [
+      { minHours: 48, percent: 100, fee: 200 },
+      { minHours: 24, percent: 50, fee: 0 },
+      { minHours: 0, percent: 0, fee: 0 }
+    ],
+    Train: [
+      { minHours: 24, percent: 90, fee: 0 },
+      { minHours: 6, percent: 50, fee: 0 },
+      { minHours: 0, percent: 0, fee: 0 }
+    ],
+    Flight: [
+      { minHours: 168, percent: 80, fee: 1500 },
+      { minHours: 24, percent: 50, fee: 1500 },
+      { minHours: 0, percent: 0, fee: 0 }
+    ],
+    // accommodation (booking.stay, see stays.js); notice counts to check-in at 14:00
+    Stay: [
+      { minHours: 168, percent: 100, fee: 0 },
+      { minHours: 48, percent: 50, fee: 0 },
+      { minHours: 0, percent: 0, fee: 0 }
+    ],
+    // tour packages (booking.package, see packages.js); notice counts to the first departure
+    Package: [
+      { minHours: 720, percent: 90, fee: 0 },
+      { minHours: 336, percent: 50, fee: 0 },
+      { minHours: 0, percent: 0, fee: 0 }
+    ]
+  };
+
+  const statusOf = booking => (booking && booking.status) || 'confirmed';
+  const ticketsOf = b => (Array.isArray(b.tickets) && b.tickets.length) ? b.tickets : [b];
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+
+  function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /* transition(booking, to, { by, note, at, selfDeclared }) -> updated copy, or throws when
+     the move is not allowed from the booking's current status. Only a booking
+     cancelled with a refund due (see cancel) can be marked refunded. */
+  function transition(booking, to, opts = {}) {
+    const from = statusOf(booking);
+    if (!STATUSES.includes(to)) throw new Error(`Unknown status "${to}"`);
+    if (!canTransition(from, to)) throw new Error(`Cannot change a ${from} booking to ${to}`);
+    if (to === 'refunded' && !booking.refund) throw new Error('Nothing was paid for this booking, so there is nothing to refund');
+    const next = clone(booking);
+    next.status = to;
+    next.statusHistory = (next.statusHistory || []).concat(Object.assign({
+      from,
+      to,
+      at: opts.at || new Date().toISOString(),
+      by: opts.by || 'system',
+      note: opts.note || ''
+    }, opts.selfDeclared ? { selfDeclared: true } : {}));
+    return next;
+  }
+
+  // history entry for a freshly issued booking
+  function initialHistory(status, by) {
+    return [{ from: null, to: status, at: new Date().toISOString(), by: by || 'system', note: 'Booking issued' }];
+  }
+
+  /* refundQuote(booking, now) -> { amount, paid, tickets: [{ ticketNo, paid, refund, rule }] }
+     based on how long before each ticket's departure (and the stay's check-in
+     or the package's first departure) the cancellation happens. */
+  function refundQuote(booking, now = new Date()) {
+    const refundFor = (ticketNo, paid, startsAt, tiers) => {
+      const hours = (new Date(startsAt) - new Date(now)) / 36e5;
+      const rule = isNaN(hours) ? tiers[tiers.length - 1] : (tiers.find(r => hours >= r.minHours) || tiers[tiers.length - 1]);
+      const refund = Math.max(0, Math.round(paid * rule.percent / 100) - rule.fee);
+      return {
+        ticketNo,
+        paid,
+        refund,
+        rule: rule.percent ? `${rule.percent}% refund${rule.fee ? ` less KES ${rule.fee} fee` : ''} (${rule.minHours}h+ notice)` : 'Non-refundable at this notice'
+      };
+    };
+    // a package's tickets are paid for (and refunded) through its voucher
+    const tickets = ticketsOf(booking).filter(t => !t.packageVoucherNo).map(t => refundFor(
+      t.ticketNo || t.bookingId,
+      t.total ?? ((t.price || 0) + (t.taxes || 0)),
+      t.departDateTime,
+      REFUND_RULES[t.transportType] || [{ minHours: 0, percent: 0, fee: 0 }]
+    ));
+    // the accommodation voucher is refunded by the same notice rules as a ticket
+    if (booking.stay) tickets.push(refundFor(booking.stay.voucherNo, booking.stay.total, `${booking.stay.checkIn}T14:00:00+03:00`, REFUND_RULES.Stay));
+    if (booking.package) {
+      const first = ticketsOf(booking).map(t => t.departDateTime).filter(Boolean).sort()[0] || `${booking.package.departure}T00:00:00+03:00`;
+      tickets.push(refundFor(booking.package.voucherNo, booking.package.total, first, REFUND_RULES.Package));
+    }
+    return {
+      paid: tickets.reduce((sum, t) => sum + t.paid, 0),
+      amount: tickets.reduce((sum, t) => sum + t.refund, 0),
+      tickets
+    };
+  }
+
+  // a pending booking without a payment receipt was never paid for
+  const isUnpaid = booking => statusOf(booking) === 'pending' && !booking.payment;
+
+  /* holdExpired(booking, now) -> true for an unpaid booking issued more than
+     HOLD_MINUTES before now (server records carry createdAt; others count
+     from their first history entry) */
+  function holdExpired(booking, now = new Date()) {
+    if (!isUnpaid(booking)) return false;
+    const issued = new Date(booking.createdAt || ((booking.statusHistory || [])[0] || {}).at);
+    return !isNaN(issued) && new Date(now) - issued > HOLD_MINUTES * 60000;
+  }
+
+  // bookings still taking seats and promo code uses: live ones, and pending ones within their hold
+  const holdsStock = (booking, now) => !['cancelled', 'refunded'].includes(statusOf(booking)) && !holdExpired(booking, now);
+
+  /* cancel(booking, opts) -> cancelled copy carrying the refund due
+     (refundQuote) in `refund`; an unpaid booking is cancelled without one. */
+  function cancel(booking, opts = {}) {
+    if (isUnpaid(booking)) return transition(booking, 'cancelled', opts);
+    const refund = refundQuote(booking, opts.at || new Date());
+    const next = transition(booking, 'cancelled', Object.assign({}, opts, {
+      note: [opts.note, `Refund due KES ${refund.amount}`].filter(Boolean).join(' — ')
+    }));
+    next.refund = refund;
+    return next;
+  }
+
+  /* amend(booking, { legIndex, departDateTime, arriveDateTime, tripNo, travelClass }, opts)
+     reprices the affected leg's tickets with FareEngine and records the fare
+     difference (positive = customer pays more). Promo and points discounts
+     keep their amounts, up to the new fare. A new departure without an
+     arrival keeps the old journey time; without a tripNo the trip number is cleared.
+     A new class or departure releases the leg's seats for re-assignment.
+     Package trips are fixed by the package and cannot be amended leg by leg. */
+  function amend(booking, changes = {}, opts = {}) {
+    if (booking.package) throw new Error('Package trips cannot be amended; cancel and rebook the package');
+    const legIndex = changes.legIndex || 1;
+    const next = clone(booking);
+    const tickets = ticketsOf(next).filter(t => (t.legIndex || 1) === legIndex);
+    if (!tickets.length) throw new Error(`Booking has no leg ${legIndex}`);
+
+    const sample = tickets[0];
+    const before = { travelClass: sample.classOrSeat, departDateTime: sample.departDateTime };
+    const travelClass = changes.travelClass || sample.classOrSeat;
+    const departDateTime = changes.departDateTime || sample.departDateTime;
+    const moved = departDateTime !== before.departDateTime;
+    let arriveDateTime = changes.arriveDateTime !== undefined ? changes.arriveDateTime : sample.arriveDateTime;
+    if (moved && changes.arriveDateTime === undefined && sample.arriveDateTime) {
+      arriveDateTime = new Date(new Date(sample.arriveDateTime).getTime() + (new Date(departDateTime) - new Date(before.departDateTime))).toISOString();
+    }
+    const tripNo = changes.tripNo !== undefined ? changes.tripNo : (moved ? '' : sample.tripNo);
+    if (arriveDateTime && new Date(arriveDateTime) < new Date(departDateTime)) throw new Error('Arrival is before departure');
+
+    const quote = FareEngine.quoteGroup({
+      transport: sample.transportType,
+      provider: sample.provider,
+      travelClass,
+      origin: sample.route.origin,
+      destination: sample.route.destination,
+      date: departDateTime
+    }, tickets.map(t => t.ageBand || 'adult'));
+    if (!quote) throw new Error(`${travelClass} is not available on ${sample.transportType}`);
+
+    let difference = 0;
+    tickets.forEach((t, i) => {
+      const oldTotal = t.total ?? ((t.price || 0) + (t.taxes || 0));
+      const fare = quote.perPassenger[i];
+      // a seat belongs to one class on one departure; changing either releases it for re-assignment
+      if (travelClass !== before.travelClass || moved) t.seat = null;
+      t.classOrSeat = travelClass;
+      t.departDateTime = departDateTime;
+      t.arriveDateTime = arriveDateTime;
+      t.tripNo = tripNo;
+      t.fareLines = fare.lines;
+      t.price = fare.fare;
+      // discounts already given (promotions.js) stay with the ticket, cut back to a lower new fare
+      let room = fare.fare;
+      t.discountLines = (t.discountLines || []).map(l => {
+        const amount = -Math.min(-l.amount, room);
+        room += amount;
+        return Object.assign({}, l, { amount });
+      }).filter(l => l.amount);
+      const net = fare.fare + t.discountLines.reduce((sum, l) => sum + l.amount, 0);
+      t.taxLines = FareEngine.taxLines(net, { item: t.transportType, provider: t.provider, residency: t.residency });
+      t.taxes = t.taxLines.reduce((sum, l) => sum + l.amount, 0);
+      t.total = net + t.taxes;
+      difference += t.total - oldTotal;
+    });
+
+    if (Array.isArray(next.legs)) {
+      const leg = next.legs.find(l => l.index === legIndex);
+      if (leg) Object.assign(leg, { travelClass, departDateTime, arriveDateTime, tripNo, total: leg.total + difference });
+    }
+    if (next.groupTotal != null) {
+      next.groupTotal += difference;
+      ticketsOf(next).forEach(t => { t.groupTotal = next.groupTotal; });
+    }
+
+    const summary = [
+      travelClass !== before.travelClass ? `class ${before.travelClass} → ${travelClass}` : '',
+      moved ? `new departure ${tripNo ? `${tripNo} ` : ''}${new Date(departDateTime).toLocaleString()}` : ''
+    ].filter(Boolean).join(', ') + (travelClass !== before.travelClass || moved ? ' (seats released)' : '') || 'details updated';
+    const amended = transition(next, 'amended', Object.assign({}, opts, {
+      note: [opts.note, `Leg ${legIndex}: ${summary}; fare difference KES ${difference}`].filter(Boolean).join(' — ')
+    }));
+    amended.amendments = (amended.amendments || []).concat(Object.assign({
+      at: new Date().toISOString(), by: opts.by || 'system', legIndex, changes, fareDifference: difference
+    }, opts.selfDeclared ? { selfDeclared: true } : {}));
+    return { booking: amended, fareDifference: difference };
+  }
+
+  /* markPaid(booking, receipt, { by }) -> confirmed copy carrying the payment
+     receipt (see payments.js); every ticket gets the receipt number. Throws
+     when the receipt was paid after the booking's hold expired. */
+  function markPaid(booking, receipt, opts = {}) {
+    if (holdExpired(booking, receipt.paidAt || new Date())) throw new Error(`This booking was not paid within ${HOLD_MINUTES} minutes and its seats were released; please book again`);
+    const next = transition(booking, 'confirmed', Object.assign({}, opts, {
+      by: opts.by || receipt.method,
+      at: receipt.paidAt,
+      note: `Paid KES ${receipt.amount} by ${receipt.method} — ref ${receipt.transactionId}`
+    }));
+    next.payment = receipt;
+    ticketsOf(next).forEach(t => {
+      t.receiptNo = receipt.transactionId;
+      t.paymentMethod = receipt.method;
+    });
+    return next;
+  }
+
+  /* checkIn(booking, ticketNo, { by, at }) -> updated copy with the ticket
+     stamped checkedInAt/checkedInBy. Throws when the booking cannot travel or
+     the ticket was already scanned. Once every ticket is in, the booking is used. */
+  function checkIn(booking, ticketNo, opts = {}) {
+    const status = statusOf(booking);
+    if (status !== 'confirmed' && status !== 'amended') throw new Error(`Booking is ${status} and cannot be checked in`);
+    const next = clone(booking);
+    const tickets = ticketsOf(next);
+    const ticket = tickets.find(t => (t.ticketNo || t.bookingId) === ticketNo);
+    if (!ticket) throw new Error(`Ticket ${ticketNo} is not part of booking ${booking.bookingId}`);
+    if (ticket.checkedInAt) throw new Error(`Already checked in ${new Date(ticket.checkedInAt).toLocaleString()} by ${ticket.checkedInBy}`);
+    ticket.checkedInAt = opts.at || new Date().toISOString();
+    ticket.checkedInBy = opts.by || 'gate';
+    if (tickets.every(t => t.checkedInAt)) {
+      return transition(next, 'used', { by: ticket.checkedInBy, at: ticket.checkedInAt, note: 'All tickets checked in' });
+    }
+    return next;
+  }
+
+  return { STATUSES, TRANSITIONS, REFUND_RULES, HOLD_MINUTES, statusOf, canTransition, transition, initialHistory, refundQuote, isUnpaid, holdExpired, holdsStock, cancel, amend, markPaid, checkIn };
+})();
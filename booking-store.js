@@ -0,0 +1,108 @@
+/* ---------- BookingStore: bookings kept across sessions ----------
+   Backed by IndexedDB (database "harmony-travels", store "bookings", keyed by
+   bookingId). Falls back to a JSON map in localStorage when IndexedDB is
+   unavailable (private mode, old browsers, blocked storage).
+   All methods are async and resolve with plain booking objects.
+*/
+const BookingStore = (function () {
+  const DB_NAME = 'harmony-travels';
+  const DB_VERSION = 1;
+  const STORE = 'bookings';
+  const LS_KEY = 'ht_bookings';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'bookingId' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(err => {
+      console.warn('BookingStore: falling back to localStorage', err);
+      return null;
+    });
+    return dbPromise;
+  }
+
+  // wraps a single IndexedDB request in a promise
+  function idbRequest(db, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /* ---------- localStorage fallback ---------- */
+  function lsRead() {
+    try { return JSON.parse(localStorage.getItem(LS_KEY)) || {}; } catch (e) { return {}; }
+  }
+  function lsWrite(map) {
+    try { localStorage.setItem(LS_KEY, JSON.stringify(map)); } catch (e) { console.warn('BookingStore: localStorage write failed', e); }
+  }
+
+  async function save(booking) {
+    if (!booking || !booking.bookingId) throw new Error('bookingId required');
+    const record = Object.assign({ createdAt: new Date().toISOString() }, booking, { updatedAt: new Date().toISOString() });
+    const db = await openDb();
+    if (db) {
+      await idbRequest(db, 'readwrite', store => store.put(record));
+    } else {
+      const map = lsRead();
+      map[record.bookingId] = record;
+      lsWrite(map);
+    }
+    return record;
+  }
+
+  async function get(bookingId) {
+    const db = await openDb();
+    if (db) return (await idbRequest(db, 'readonly', store => store.get(bookingId))) || null;
+    return lsRead()[bookingId] || null;
+  }
+
+  // newest first
+  async function list() {
+    const db = await openDb();
+    const all = db ? await idbRequest(db, 'readonly', store => store.getAll()) : Object.values(lsRead());
+    return all.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async function remove(bookingId) {
+    const db = await openDb();
+    if (db) {
+      await idbRequest(db, 'readwrite', store => store.delete(bookingId));
+    } else {
+      const map = lsRead();
+      delete map[bookingId];
+      lsWrite(map);
+    }
+  }
+
+  // case-insensitive match on booking ID, ticket numbers and passenger names
+  function matches(booking, query) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return true;
+    const haystack = [booking.bookingId, booking.contactEmail, booking.contactPhone]
+      .concat((booking.tickets || []).map(t => `${t.ticketNo} ${t.passengerName}`))
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(q);
+  }
+
+  async function search(query) {
+    return (await list()).filter(b => matches(b, query));
+  }
+
+  return { save, get, list, remove, search, matches };
+})();
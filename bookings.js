@@ -0,0 +1,321 @@
+const $ = (sel, root = document) => root.querySelector(sel);
+const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+/* ---------- My Bookings: list, search and reopen saved bookings ---------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const searchEl = document.getElementById('bookingSearch');
+  const listEl = document.getElementById('bookingList');
+  const countEl = document.getElementById('bookingCount');
+  const actionBtns = ['downloadPdfBtn', 'downloadPngBtn', 'printBtn', 'copyBookingBtn'].map(id => document.getElementById(id));
+  const managePanel = document.getElementById('managePanel');
+  const manageStatus = document.getElementById('manageStatus');
+  const agentEl = document.getElementById('agentName');
+  const historyEl = document.getElementById('statusHistory');
+  const amendForm = document.getElementById('amendForm');
+  const amendLeg = document.getElementById('amendLeg');
+  const amendClass = document.getElementById('amendClass');
+  const amendDate = document.getElementById('amendDate');
+  const amendTrip = document.getElementById('amendTrip');
+  const amendPreview = document.getElementById('amendPreview');
+  const cancelPanel = document.getElementById('cancelPanel');
+  const refundPreview = document.getElementById('refundPreview');
+
+  const fmtKES = n => (n == null || isNaN(n)) ? 'KES N/A' : new Intl.NumberFormat('en-KE', { style: 'currency', currency: 'KES', maximumFractionDigits: 0 }).format(n);
+  const fmtDate = iso => iso ? new Date(iso).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }) : 'TBA';
+
+  // old records (single ticket, pre group bookings) have no tickets array
+  const ticketsOf = b => (Array.isArray(b.tickets) && b.tickets.length) ? b.tickets : [b];
+
+  let bookings = [];
+  let current = null; // booking open in the ticket preview
+
+  const fmtTime = iso => new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+  // customer- and agent-typed booking values go into innerHTML templates
+  const esc = value => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  function toast(msg) {
+    const t = document.getElementById('toast');
+    t.textContent = msg; t.classList.add('show');
+    clearTimeout(t._timer); t._timer = setTimeout(() => t.classList.remove('show'), 1800);
+  }
+
+  try { agentEl.value = localStorage.getItem('ht_agent_name') || ''; } catch (e) {}
+  agentEl.addEventListener('change', () => {
+    try { localStorage.setItem('ht_agent_name', agentEl.value.trim()); } catch (e) {}
+  });
+  const agent = () => agentEl.value.trim() || 'agent';
+
+  // agents signed in on the callback inbox may confirm and refund server bookings
+  const agentToken = () => { try { return sessionStorage.getItem('ht_agent_token') || ''; } catch (e) { return ''; } };
+
+  function renderList() {
+    const shown = bookings.filter(b => BookingStore.matches(b, searchEl.value));
+    countEl.textContent = bookings.length
+      ? `${shown.length} of ${bookings.length} booking${bookings.length === 1 ? '' : 's'}`
+      : 'No bookings saved on this device yet.';
+    listEl.innerHTML = shown.map(b => {
+      const first = ticketsOf(b)[0];
+      const route = first.route ? `${first.route.origin} → ${first.route.destination}` : '';
+      const legs = (b.legs && b.legs.length > 1) ? ` · ${b.legs.length} legs` : '';
+      const pax = b.groupSize || 1;
+      return `
+        <li class="booking-item">
+          <div>
+            <div style="font-weight:800">${esc(b.bookingId)} <span class="small-muted">${esc(BookingLifecycle.statusOf(b).toUpperCase())}</span></div>
+            <div>${esc(first.passengerName)}${pax > 1 ? ` +${pax - 1}` : ''}</div>
+            <div class="small-muted">${esc(route)}${legs} · ${fmtDate(first.departDateTime)}</div>
+          </div>
+          <div style="text-align:right">
+            <div style="font-weight:700">${fmtKES(b.groupTotal ?? first.total)}</div>
+            <button type="button" class="btn small" data-open="${esc(b.bookingId)}">Open ticket</button>
+          </div>
+        </li>`;
+    }).join('');
+  }
+
+  function renderManage() {
+    const status = BookingLifecycle.statusOf(current);
+    managePanel.hidden = false;
+    // an unpaid booking past its hold has lost its seats; it can only be cancelled
+    const expired = BookingLifecycle.holdExpired(current);
+    manageStatus.textContent = expired ? `${status.toUpperCase()} — NOT PAID IN TIME` : status.toUpperCase();
+    document.getElementById('payBtn').hidden = status !== 'pending' || expired;
+    // agents match a server booking's receipt with the provider's statement; that earns its loyalty points
+    const unverified = current.payment && !current.payment.verifiedAt && !['cancelled', 'refunded'].includes(status);
+    document.getElementById('verifyPaymentBtn').hidden = !(unverified && BookingApi.keyed(current) && agentToken());
+    // paying confirms a booking; agents alone confirm one paid outside the app (cash at the office)
+    document.getElementById('confirmBtn').hidden = !(BookingLifecycle.canTransition(status, 'confirmed') && !expired && BookingApi.keyed(current) && agentToken());
+    // the booking server takes amendments from agents only
+    document.getElementById('amendToggleBtn').hidden = !BookingLifecycle.canTransition(status, 'amended') || (BookingApi.keyed(current) && !agentToken());
+    document.getElementById('cancelBtn').hidden = !BookingLifecycle.canTransition(status, 'cancelled');
+    document.getElementById('refundBtn').hidden = !(BookingLifecycle.canTransition(status, 'refunded') && current.refund);
+    amendForm.hidden = true;
+    cancelPanel.hidden = true;
+    historyEl.innerHTML = (current.statusHistory || []).slice().reverse().map(h => `
+      <li><strong>${esc((h.from || 'new').toUpperCase())} → ${esc(h.to.toUpperCase())}</strong>
+        <span class="small-muted">${new Date(h.at).toLocaleString()} · ${esc(h.by)}${h.selfDeclared ? ' (name not verified)' : ''}</span>
+        ${h.note ? `<div class="small-muted">${esc(h.note)}</div>` : ''}</li>`).join('') || '<li class="small-muted">No changes recorded.</li>';
+  }
+
+  // persist a changed booking and refresh list, ticket and panel
+  async function commit(next, message) {
+    // server bookings come back re-signed for their new status and details
+    current = await BookingStore.save(next);
+    bookings = bookings.map(b => b.bookingId === current.bookingId ? current : b);
+    renderList();
+    TicketRenderer.init('#ticketContainer', current);
+    renderManage();
+    toast(message);
+  }
+
+  function serverProblem(err) {
+    if (err.status === 0) return 'Cannot reach the booking server. Try again when you are back online.';
+    if (err.code === 'unauthorized') return 'Only agents can do this. Sign in on the Callback Inbox with your agent key first.';
+    if (err.code === 'not_found') return 'The booking server does not know this booking.';
+    if (err.code === 'conflict' && err.fields.payment) return err.fields.payment === 'verified' ? 'The payment was already verified.' : 'No payment has been recorded for this booking.';
+    if (err.code === 'conflict') return err.fields.seats === 'sold_out' ? 'Not enough seats left on that departure.' : err.fields.status;
+    if (err.code === 'invalid') return BookingApi.problemsOf(err).join(' ');
+    return `The booking server answered with an error (${err.code}).`;
+  }
+
+  // fn returns the changed booking, or a promise of it for server bookings
+  async function act(fn, message) {
+    let next;
+    try {
+      next = await fn();
+    } catch (err) {
+      alert(err instanceof Api.ApiError ? serverProblem(err) : err.message);
+      return;
+    }
+    commit(next, message).catch(err => { console.error(err); alert('Saving the change failed.'); });
+  }
+
+  // bookings issued by the server are changed there (see booking-api.js); offline ones on this device
+  const change = (server, local) => () => (BookingApi.keyed(current) ? server() : local());
+
+  /* a payment the server could not be reached to record is kept here and sent
+     when the booking is next opened; one it refused (an expired hold, a wrong
+     amount) is reported like any other server error */
+  async function recordPayment(booking, receipt) {
+    if (!BookingApi.keyed(booking)) return BookingLifecycle.markPaid(booking, receipt);
+    try {
+      return await BookingApi.pay(booking, receipt);
+    } catch (err) {
+      console.error('Recording the payment failed', err);
+      if (err.status !== 0) throw err;
+      return Object.assign(BookingLifecycle.markPaid(booking, receipt), { paymentSynced: false });
+    }
+  }
+
+  /* syncBooking(booking) -> the server's copy when it has moved on (an agent
+     confirmed, refunded or verified the payment of it) or a payment kept
+     here has just been sent, otherwise null */
+  async function syncBooking(booking) {
+    let latest = await BookingApi.get(booking, { token: agentToken() });
+    if (booking.paymentSynced === false && latest.status === 'pending') latest = await BookingApi.pay(latest, booking.payment);
+    const newer = (latest.statusHistory || []).length > (booking.statusHistory || []).length;
+    const verifiedAt = b => (b.payment && b.payment.verifiedAt) || '';
+    return (newer || verifiedAt(latest) !== verifiedAt(booking) || booking.paymentSynced === false) ? latest : null;
+  }
+
+  function legTickets(legIndex) {
+    return ticketsOf(current).filter(t => (t.legIndex || 1) === legIndex);
+  }
+
+  function fillAmendForm() {
+    const legs = Array.from(new Set(ticketsOf(current).map(t => t.legIndex || 1)));
+    amendLeg.innerHTML = legs.map(l => `<option value="${l}">Leg ${l}</option>`).join('');
+    syncAmendLeg();
+  }
+
+  function syncAmendLeg() {
+    const sample = legTickets(+amendLeg.value)[0];
+    const spec = FareConfig.matrix()[sample.transportType];
+    amendClass.innerHTML = spec ? Object.keys(spec.classes).map(c => `<option>${c}</option>`).join('') : '';
+    amendClass.value = sample.classOrSeat;
+    amendDate.value = sample.departDateTime ? Timetable.localDate(sample.departDateTime) : '';
+    fillAmendTrips();
+    amendTrip.value = sample.departDateTime;
+    previewAmend();
+  }
+
+  // timetabled trips on the leg's route for the chosen date; the leg's own seats count as free
+  function fillAmendTrips() {
+    const tickets = legTickets(+amendLeg.value);
+    const sample = tickets[0];
+    const others = bookings.filter(b => b.bookingId !== current.bookingId);
+    const trips = Timetable.tripsOn(sample.provider, sample.route.origin, sample.route.destination, amendDate.value);
+    const seated = tickets.filter(t => t.ageBand !== 'infant').length;
+    amendTrip.innerHTML = trips.map(t => {
+      const { left } = Inventory.availability(others, {
+        provider: sample.provider, travelClass: amendClass.value, origin: sample.route.origin,
+        destination: sample.route.destination, departDateTime: t.departDateTime
+      });
+      return `<option value="${t.departDateTime}"${left < seated ? ' disabled' : ''}>${fmtTime(t.departDateTime)} → ${fmtTime(t.arriveDateTime)} · ${t.tripNo} — ${left < seated ? 'not enough seats' : `${left} left`}</option>`;
+    }).join('') || '<option value="">No departures this day</option>';
+  }
+
+  function amendChanges() {
+    const sample = legTickets(+amendLeg.value)[0];
+    const trip = Timetable.findTrip({
+      provider: sample.provider, origin: sample.route.origin,
+      destination: sample.route.destination, departDateTime: amendTrip.value
+    });
+    return Object.assign({ legIndex: +amendLeg.value, travelClass: amendClass.value },
+      trip ? { departDateTime: trip.departDateTime, arriveDateTime: trip.arriveDateTime, tripNo: trip.tripNo } : {});
+  }
+
+  function previewAmend() {
+    try {
+      const { fareDifference } = BookingLifecycle.amend(current, amendChanges(), { by: agent() });
+      amendPreview.textContent = fareDifference === 0 ? 'No fare difference.'
+        : fareDifference > 0 ? `Customer pays ${fmtKES(fareDifference)} more.` : `Customer is owed ${fmtKES(-fareDifference)}.`;
+    } catch (err) {
+      amendPreview.textContent = err.message;
+    }
+  }
+
+  document.getElementById('payBtn').addEventListener('click', async () => {
+    const first = ticketsOf(current)[0];
+    const receipt = await Payments.checkout({
+      amount: current.groupTotal ?? first.total,
+      reference: current.bookingId,
+      phone: current.contactPhone || first.contactPhone,
+      currency: current.currency
+    });
+    if (receipt) act(() => recordPayment(current, receipt), 'Payment received — tickets issued');
+  });
+  document.getElementById('verifyPaymentBtn').addEventListener('click', () => act(
+    () => BookingApi.verifyPayment(current, agent(), { token: agentToken() }),
+    'Payment verified — loyalty points added'
+  ));
+  document.getElementById('confirmBtn').addEventListener('click', () => act(
+    () => BookingApi.setStatus(current, 'confirmed', { by: agent() }, { token: agentToken() }),
+    'Booking confirmed'
+  ));
+  document.getElementById('refundBtn').addEventListener('click', () => {
+    const note = current.refund ? `Refunded KES ${current.refund.amount}` : '';
+    act(change(
+      () => BookingApi.setStatus(current, 'refunded', { by: agent(), note }, { token: agentToken() }),
+      () => BookingLifecycle.transition(current, 'refunded', { by: agent(), note })
+    ), 'Booking marked refunded');
+  });
+  document.getElementById('amendToggleBtn').addEventListener('click', () => {
+    amendForm.hidden = !amendForm.hidden;
+    cancelPanel.hidden = true;
+    if (!amendForm.hidden) fillAmendForm();
+  });
+  amendLeg.addEventListener('change', syncAmendLeg);
+  amendClass.addEventListener('change', () => {
+    const keep = amendTrip.value; // seats left differ per class, the trip stays
+    fillAmendTrips();
+    amendTrip.value = keep;
+    previewAmend();
+  });
+  amendDate.addEventListener('change', () => { fillAmendTrips(); previewAmend(); });
+  amendTrip.addEventListener('change', previewAmend);
+  amendForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    act(change(
+      () => BookingApi.amend(current, amendChanges(), agent(), { token: agentToken() }).then(reply => reply.booking),
+      () => BookingLifecycle.amend(current, amendChanges(), { by: agent() }).booking
+    ), 'Booking amended');
+  });
+  document.getElementById('cancelBtn').addEventListener('click', () => {
+    cancelPanel.hidden = !cancelPanel.hidden;
+    amendForm.hidden = true;
+    if (cancelPanel.hidden) return;
+    if (BookingLifecycle.isUnpaid(current)) {
+      refundPreview.innerHTML = '<li><span>Nothing has been paid for this booking, so no refund is due.</span></li>';
+      return;
+    }
+    const quote = BookingLifecycle.refundQuote(current);
+    refundPreview.innerHTML = quote.tickets.map(t => `<li><span>${esc(t.ticketNo)} — ${esc(t.rule)}</span><span>${fmtKES(t.refund)}</span></li>`).join('')
+      + `<li><span><strong>Refund due</strong> (of ${fmtKES(quote.paid)} paid)</span><span><strong>${fmtKES(quote.amount)}</strong></span></li>`;
+  });
+  document.getElementById('confirmCancelBtn').addEventListener('click', () => act(change(
+    () => BookingApi.cancel(current, agent(), { token: agentToken() }),
+    () => BookingLifecycle.cancel(current, { by: agent() })
+  ), 'Booking cancelled'));
+
+  async function openBooking(bookingId) {
+    const booking = await BookingStore.get(bookingId);
+    if (!booking) return;
+    current = booking;
+    renderManage();
+    TicketRenderer.init('#ticketContainer', booking);
+    actionBtns.forEach(b => { b.disabled = false; });
+    document.getElementById('downloadPdfBtn').onclick = () => TicketRenderer.downloadPDF();
+    document.getElementById('downloadPngBtn').onclick = () => TicketRenderer.downloadPNG();
+    document.getElementById('printBtn').onclick = () => TicketRenderer.printTicket();
+    document.getElementById('copyBookingBtn').onclick = () => TicketRenderer.copyBookingId();
+    document.getElementById('ticketContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (!BookingApi.keyed(booking)) return;
+    syncBooking(booking)
+      .then(latest => { if (latest && current && current.bookingId === latest.bookingId) return commit(latest, 'Updated from the booking server'); })
+      .catch(err => console.warn('Booking server not reached', err));
+  }
+
+  listEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-open]');
+    if (btn) openBooking(btn.dataset.open);
+  });
+  searchEl.addEventListener('input', renderList);
+  // amendments are priced with the fares currently published (fare-config.js)
+  FareConfig.refresh();
+
+  BookingStore.list()
+    .then(all => {
+      bookings = all;
+      renderList();
+      // ?id=HT-... opens a booking straight away (used by links from other pages)
+      const id = new URLSearchParams(window.location.search).get('id');
+      if (id) openBooking(id);
+    })
+    .catch(err => {
+      console.error(err);
+      countEl.textContent = 'Could not load saved bookings.';
+    });
+});
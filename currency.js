@@ -0,0 +1,118 @@
+/* ---------- Currency: display amounts for international travellers ----------
+   Every booking is priced and settled in KES. The customer can pick a display
+   currency; amounts are then shown in it next to the KES figure, e.g.
+   "Ksh 12,500 (≈ US$96.52)".
+
+   RATES are KES per one unit of each currency. The table can be overridden on
+   this device only with setRates({ USD: 130 }) (kept in localStorage), and
+   resetRates() goes back to the built-in table. A booking keeps a snapshot of
+   the currency and rate it was quoted with, so its tickets never change when
+   the rates do. The booking server (server.js) runs this script without
+   localStorage, so bookings it issues are always quoted at RATES.
+*/
+const Currency = (function () {
+  const STORAGE_KEY = 'ht_currency';
+  const RATES_KEY = 'ht_fx_rates';
+
+  const RATES = {
+    KES: 1,
+    USD: 129.5,
+    EUR: 140.8,
+    GBP: 164.2
+  };
+  const RATES_AS_OF = '2026-10-01';
+
+  function readJson(key) {
+    try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch (e) { return null; }
+  }
+
+  /* rates() -> { table: { CODE: kesPerUnit }, asOf } with local overrides applied */
+  function rates() {
+    const local = readJson(RATES_KEY);
+    const table = Object.assign({}, RATES, local && local.table);
+    return { table, asOf: (local && local.asOf) || RATES_AS_OF };
+  }
+
+  // setRates({ USD: 130, ... }) stores a local override; unknown or non-positive rates are ignored
+  function setRates(table, asOf = new Date().toISOString().slice(0, 10)) {
+    const clean = {};
+    Object.keys(table || {}).forEach(code => {
+      const rate = Number(table[code]);
+      if (code !== 'KES' && code in RATES && rate > 0) clean[code] = rate;
+    });
+    try { localStorage.setItem(RATES_KEY, JSON.stringify({ table: clean, asOf })); } catch (e) { /* ignore storage errors */ }
+    document.dispatchEvent(new CustomEvent('currency:change', { detail: { code: current } }));
+  }
+
+  // resetRates() drops this device's override
+  function resetRates() {
+    try { localStorage.removeItem(RATES_KEY); } catch (e) { /* ignore storage errors */ }
+    document.dispatchEvent(new CustomEvent('currency:change', { detail: { code: current } }));
+  }
+
+  const codes = () => Object.keys(RATES);
+
+  let current = (function () {
+    let saved = null;
+    try { saved = localStorage.getItem(STORAGE_KEY); } catch (e) { /* ignore */ }
+    return saved in RATES ? saved : 'KES';
+  })();
+
+  const code = () => current;
+
+  function set(next) {
+    if (!(next in RATES) || next === current) return;
+    current = next;
+    try { localStorage.setItem(STORAGE_KEY, next); } catch (e) { /* ignore storage errors */ }
+    document.dispatchEvent(new CustomEvent('currency:change', { detail: { code: next } }));
+  }
+
+  const onChange = fn => document.addEventListener('currency:change', fn);
+
+  /* snapshotOf(code) -> { code, rate, asOf } at this device's rates, or null
+     for a currency not in RATES */
+  function snapshotOf(code) {
+    if (!Object.prototype.hasOwnProperty.call(RATES, code)) return null;
+    const { table, asOf } = rates();
+    return { code, rate: table[code], asOf };
+  }
+
+  // snapshot() -> snapshotOf the current display currency; stored on bookings
+  const snapshot = () => snapshotOf(current);
+
+  const convert = (kes, snap = snapshot()) => kes / snap.rate;
+
+  // KES is shown in whole shillings, other currencies to the cent (digits overrides)
+  function format(amount, currencyCode, digits = currencyCode === 'KES' ? 0 : 2) {
+    return new Intl.NumberFormat(I18n.locale(), {
+      style: 'currency',
+      currency: currencyCode,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(amount);
+  }
+
+  /* formatDual(kes, snap) -> KES amount, plus the converted amount when the
+     snapshot (default: the current choice) is not KES */
+  function formatDual(kes, snap = snapshot()) {
+    const base = format(kes || 0, 'KES');
+    if (!snap || !snap.code || snap.code === 'KES' || !snap.rate) return base;
+    return `${base} (≈ ${format((kes || 0) / snap.rate, snap.code)})`;
+  }
+
+  // "Amounts in USD at 1 USD = Ksh 129.50 ..." for a non-KES snapshot, else ''
+  function note(snap = snapshot()) {
+    if (!snap || !snap.code || snap.code === 'KES' || !snap.rate) return '';
+    return I18n.t('currency.note', { code: snap.code, rate: format(snap.rate, 'KES', 2), asOf: snap.asOf });
+  }
+
+  function bindSelect(select) {
+    if (!select) return;
+    select.innerHTML = codes().map(c => `<option value="${c}">${c}</option>`).join('');
+    select.value = current;
+    select.addEventListener('change', () => set(select.value));
+    onChange(() => { select.value = current; });
+  }
+
+  return { RATES, RATES_AS_OF, rates, setRates, resetRates, codes, code, set, onChange, snapshot, snapshotOf, convert, format, formatDual, note, bindSelect };
+})();
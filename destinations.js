@@ -0,0 +1,232 @@
+/* ---------- Destinations: the places we sell trips to ----------
+   CATALOGUE is the one list behind every destination list on the site: the
+   landing page cards, quick search and "Learn more" details, the booking
+   wizard's destination cards and select, and FareEngine's distance table.
+   Adding a destination is one entry here.
+
+   name is what bookings, timetables, stays and links use; aliases are older
+   or longer spellings that still resolve to it (see find). lat/lng place it
+   on the map and feed distance estimates. transport lists the modes that
+   serve it (values of the transport select). bestSeason is a { from, to }
+   month range (1 = January; may wrap past December), or null when any time
+   of year is good. experiences are EXPERIENCES ids for the landing page
+   filters.
+
+   Featured destinations also carry images (card for the landing page, thumb
+   for the wizard), a blurb and highlights; blurb and highlights are
+   { key, label } items read through I18n.text like the package catalogue.
+*/
+const Destinations = (function () {
+  // experience types offered as landing page filters (labels: experience.<id>)
+  const EXPERIENCES = ['safari', 'beach', 'mountain', 'culture'];
+
+  const CATALOGUE = [
+    {
+      slug: 'maasai-mara', name: 'Maasai Mara', aliases: ['Maasai Mara National Reserve'],
+      lat: -1.4061, lng: 35.0100, transport: ['Bus', 'Flight'], bestSeason: { from: 7, to: 10 },
+      experiences: ['safari', 'culture'],
+      featured: true,
+      images: { card: 'pexels4.jpg', thumb: 'masai-mara-lion2.jpg', alt: 'Lion in Maasai Mara' },
+      blurb: { key: 'dest.maasai', label: 'World-famous safari park — wildlife, the Great Migration, and unforgettable sunsets.' },
+      highlights: [
+        { key: 'dest.maasai.1', label: 'The Great Migration river crossings' },
+        { key: 'dest.maasai.2', label: 'Game drives for the Big Five' },
+        { key: 'dest.maasai.3', label: 'Maasai village cultural visits' }
+      ]
+    },
+    {
+      slug: 'amboseli', name: 'Amboseli', aliases: ['Amboseli National Park'],
+      lat: -2.6527, lng: 37.2606, transport: ['Bus', 'Flight'], bestSeason: { from: 6, to: 10 },
+      experiences: ['safari'],
+      featured: true,
+      images: { card: 'pexels9.jpg', thumb: 'pexels9.jpg', alt: 'Amboseli elephants' },
+      blurb: { key: 'dest.amboseli', label: 'Iconic elephant herds with Mt. Kilimanjaro as a breathtaking backdrop.' },
+      highlights: [
+        { key: 'dest.amboseli.1', label: 'Elephant photography with Kilimanjaro views' },
+        { key: 'dest.amboseli.2', label: 'Observation Hill lookout' },
+        { key: 'dest.amboseli.3', label: 'Swamps full of hippos and birdlife' }
+      ]
+    },
+    {
+      slug: 'diani-beach', name: 'Diani Beach', aliases: ['Diani'],
+      lat: -4.2797, lng: 39.5947, transport: ['Bus', 'Train', 'Flight'], bestSeason: { from: 12, to: 3 },
+      experiences: ['beach'],
+      featured: true,
+      images: {
+        card: 'https://images.unsplash.com/photo-1507525428034-b723cf961d3e?auto=format&fit=crop&w=1200&q=60',
+        thumb: 'pexels6.jpg',
+        alt: 'Diani Beach'
+      },
+      blurb: { key: 'dest.diani', label: 'White-sand beaches, coral reefs, and a relaxed coastal vibe.' },
+      highlights: [
+        { key: 'dest.diani.1', label: 'Beachfront relaxation' },
+        { key: 'dest.diani.2', label: 'Snorkelling and water sports on the reef' },
+        { key: 'dest.diani.3', label: 'Colobus monkeys in the coastal forest' }
+      ]
+    },
+    {
+      slug: 'mount-kenya', name: 'Mount Kenya', aliases: [],
+      lat: -0.1521, lng: 37.3084, transport: ['Bus'], bestSeason: { from: 1, to: 2 },
+      experiences: ['mountain'],
+      featured: true,
+      images: { card: 'pexels10.jpg', thumb: 'pexels10.jpg', alt: 'Mount Kenya' },
+      blurb: { key: 'dest.mount', label: 'A climber’s dream — alpine routes and stunning vistas.' },
+      highlights: [
+        { key: 'dest.mount.1', label: 'Day hikes and multi-day climbs' },
+        { key: 'dest.mount.2', label: 'Alpine lakes and giant lobelias' },
+        { key: 'dest.mount.3', label: 'Sunrise from Point Lenana' }
+      ]
+    },
+    {
+      slug: 'lake-nakuru', name: 'Lake Nakuru', aliases: ['Lake Nakuru National Park'],
+      lat: -0.3667, lng: 36.0833, transport: ['Bus', 'Train'], bestSeason: { from: 6, to: 9 },
+      experiences: ['safari'],
+      featured: true,
+      images: { card: 'pexels11.jpg', thumb: 'pexels11.jpg', alt: 'Flamingos Lake Nakuru' },
+      blurb: { key: 'dest.nakuru', label: 'Pink flamingos, rhinos, and brilliant birding on the soda lake.' },
+      highlights: [
+        { key: 'dest.nakuru.1', label: 'Flamingos on the soda lake' },
+        { key: 'dest.nakuru.2', label: 'Black and white rhino sanctuary' },
+        { key: 'dest.nakuru.3', label: 'Baboon Cliff viewpoint' }
+      ]
+    },
+    {
+      slug: 'lamu-island', name: 'Lamu Island', aliases: ['Lamu'],
+      lat: -2.2717, lng: 40.9020, transport: ['Bus', 'Flight'], bestSeason: { from: 11, to: 3 },
+      experiences: ['beach', 'culture'],
+      featured: true,
+      images: { card: 'lamu.jpg', thumb: 'lamu.jpg', alt: 'Lamu Island' },
+      blurb: { key: 'dest.lamu', label: 'Historic Swahili island with peaceful beaches and old-town charm.' },
+      highlights: [
+        { key: 'dest.lamu.1', label: 'Lamu Old Town, a World Heritage Site' },
+        { key: 'dest.lamu.2', label: 'Dhow sailing at sunset' },
+        { key: 'dest.lamu.3', label: 'Quiet beaches at Shela' }
+      ]
+    },
+    {
+      slug: 'kisumu', name: 'Kisumu', aliases: [],
+      lat: -0.0917, lng: 34.7680, transport: ['Bus', 'Train', 'Flight'], bestSeason: null,
+      experiences: ['culture'],
+      featured: true,
+      images: { card: 'kisumu.jpg', thumb: 'kisumu.jpg', alt: 'Kisumu on Lake Victoria' },
+      blurb: { key: 'dest.kisumu', label: 'Lakeside city on Lake Victoria — boat trips, sunsets and fresh tilapia.' },
+      highlights: [
+        { key: 'dest.kisumu.1', label: 'Boat trips on Lake Victoria' },
+        { key: 'dest.kisumu.2', label: 'Kisumu Impala Sanctuary' },
+        { key: 'dest.kisumu.3', label: 'Dunga Beach fish market' }
+      ]
+    },
+    {
+      slug: 'nairobi', name: 'Nairobi', aliases: [],
+      lat: -1.2864, lng: 36.8172, transport: ['Bus', 'Train', 'Flight'], bestSeason: null,
+      experiences: ['culture', 'safari']
+    },
+    {
+      slug: 'mombasa', name: 'Mombasa', aliases: [],
+      lat: -4.0435, lng: 39.6682, transport: ['Bus', 'Train', 'Flight'], bestSeason: { from: 12, to: 3 },
+      experiences: ['beach', 'culture']
+    },
+    {
+      slug: 'nakuru', name: 'Nakuru', aliases: ['Nakuru Town'],
+      lat: -0.3031, lng: 36.0800, transport: ['Bus', 'Train'], bestSeason: null,
+      experiences: []
+    },
+    {
+      slug: 'eldoret', name: 'Eldoret', aliases: [],
+      lat: 0.5143, lng: 35.2698, transport: ['Bus', 'Flight'], bestSeason: null,
+      experiences: []
+    }
+  ];
+
+  const featured = () => CATALOGUE.filter(d => d.featured);
+
+  // find(value) matches a name, slug or alias, ignoring case
+  function find(value) {
+    const want = String(value || '').trim().toLowerCase();
+    if (!want) return null;
+    return CATALOGUE.find(d => d.name.toLowerCase() === want || d.slug === want
+      || d.aliases.some(a => a.toLowerCase() === want)) || null;
+  }
+
+  // places not in the catalogue (typed-in origins) are served by every mode
+  function serves(name, transport) {
+    const place = find(name);
+    return !place || place.transport.includes(transport);
+  }
+
+  // { name: { lat, lng } } for FareEngine distance estimates
+  function coordinates() {
+    const map = {};
+    CATALOGUE.forEach(d => { map[d.name] = { lat: d.lat, lng: d.lng }; });
+    return map;
+  }
+
+  // inSeason(place, month) -> true when month (1-12) is in the best season
+  function inSeason(place, month) {
+    const season = place.bestSeason;
+    if (!season) return true;
+    return season.from <= season.to
+      ? month >= season.from && month <= season.to
+      : month >= season.from || month <= season.to;
+  }
+
+  /* ---------- Fuzzy text search ----------
+     Every word of the query has to match a word of the destination: exactly,
+     as the start of the word, or within one typo per four letters. Matches in
+     the name or aliases count most, then experience types, then the blurb and
+     highlights (in the current I18n language). */
+  const words = value => String(value || '').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/).filter(Boolean);
+
+  // Levenshtein distance, giving up once it exceeds max
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      if (Math.min(...row) > max) return max + 1;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  function wordScore(token, word) {
+    if (token === word) return 3;
+    if (token.length >= 2 && word.startsWith(token)) return 2;
+    const typos = Math.floor(token.length / 4);
+    return typos && distance(token, word, typos) <= typos ? 1 : 0;
+  }
+
+  /* matchScore(place, query) -> 0 when the place does not match the query,
+     otherwise a relevance score (higher is better); an empty query scores 1 */
+  function matchScore(place, query) {
+    const tokens = words(query);
+    if (!tokens.length) return 1;
+    const fields = [
+      { weight: 3, words: words([place.name, ...place.aliases].join(' ')) },
+      { weight: 2, words: words(place.experiences.map(id => `${id} ${I18n.label('experience', id)}`).join(' ')) },
+      { weight: 1, words: words([place.blurb, ...(place.highlights || [])].filter(Boolean).map(I18n.text).join(' ')) }
+    ];
+    let total = 0;
+    for (const token of tokens) {
+      const best = Math.max(...fields.map(f => f.weight * Math.max(0, ...f.words.map(w => wordScore(token, w)))));
+      if (!best) return 0;
+      total += best;
+    }
+    return total;
+  }
+
+  const mapUrl = place => `https://www.google.com/maps?q=${place.lat},${place.lng}&z=10&output=embed`;
+
+  // append one option per destination to a select (its placeholder stays first)
+  function fillSelect(select) {
+    if (!select) return;
+    CATALOGUE.forEach(d => select.appendChild(new Option(d.name, d.name)));
+  }
+
+  return { EXPERIENCES, CATALOGUE, featured, find, serves, coordinates, inSeason, matchScore, mapUrl, fillSelect };
+})();
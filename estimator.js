@@ -0,0 +1,150 @@
+/* ---------- Estimator: what a whole holiday is likely to cost ----------
+   estimate() prices a holiday at one destination for a party and a date
+   range: return transport from ORIGIN (FareEngine), accommodation for every
+   night (Stays), park entry fees and day-to-day activities. Transport and
+   accommodation are priced for every mode/class and room/meal plan on offer;
+   the cheapest option gives the low estimate, the most expensive the high
+   one and the middle option the typical one. Park fees are the same in every
+   tier; activities use the destination's low/typical/high daily spend.
+
+   Each tier keeps the transport and stay it was priced with (choice), so
+   the booking form can be filled from it in one go.
+
+   PARK_FEES and ACTIVITIES are KES per person per day at the destination
+   (one day per night). Children pay the child park fee and CHILD_FACTOR of
+   the activity spend; infants pay neither.
+*/
+const Estimator = (function () {
+  const ORIGIN = 'Nairobi';
+
+  const TIERS = ['low', 'typical', 'high'];
+
+  const CHILD_FACTOR = 0.5;
+
+  // biggest party priced online; larger groups go through an agent
+  const MAX_PARTY = 20;
+
+  // conservation fees; resident covers Kenyan and East African residents
+  const PARK_FEES = {
+    'Maasai Mara': { resident: { adult: 1500, child: 500 }, nonResident: { adult: 13000, child: 6500 } },
+    'Amboseli': { resident: { adult: 1000, child: 500 }, nonResident: { adult: 9000, child: 5000 } },
+    'Lake Nakuru': { resident: { adult: 1000, child: 500 }, nonResident: { adult: 8000, child: 4500 } },
+    'Mount Kenya': { resident: { adult: 800, child: 400 }, nonResident: { adult: 7000, child: 3500 } },
+    'Diani Beach': { resident: { adult: 200, child: 100 }, nonResident: { adult: 2000, child: 1000 } }
+  };
+
+  // daily activity spend per adult by tier; DEFAULT_ACTIVITIES elsewhere
+  const ACTIVITIES = {
+    'Maasai Mara': { low: 1500, typical: 4500, high: 12000 },
+    'Amboseli': { low: 1500, typical: 4000, high: 10000 },
+    'Diani Beach': { low: 500, typical: 3500, high: 9000 },
+    'Mount Kenya': { low: 2000, typical: 5000, high: 11000 },
+    'Lake Nakuru': { low: 1000, typical: 3000, high: 7000 },
+    'Lamu Island': { low: 800, typical: 3000, high: 8000 },
+    'Kisumu': { low: 500, typical: 2000, high: 5000 }
+  };
+  const DEFAULT_ACTIVITIES = { low: 500, typical: 2000, high: 5000 };
+
+  const noon = date => `${date}T12:00:00`;
+
+  /* validate({ destination, start, end, bands }) -> array of problems (empty
+     when the holiday can be estimated), worded in the current I18n language */
+  function validate(input) {
+    const errors = [];
+    if (!input.destination || input.destination === ORIGIN) errors.push(I18n.t('est.err.destination', { origin: ORIGIN }));
+    const nights = Stays.nightsBetween(input.start, input.end);
+    if (nights < 1) errors.push(I18n.t('est.err.dates'));
+    else if (nights > Stays.MAX_NIGHTS) errors.push(I18n.t('est.err.long', { max: Stays.MAX_NIGHTS }));
+    const bands = input.bands || [];
+    if (!bands.includes('adult')) errors.push(I18n.t('est.err.adult'));
+    else if (bands.length > MAX_PARTY) errors.push(I18n.t('est.err.party', { max: MAX_PARTY }));
+    return errors;
+  }
+
+  // cheapest, middle and dearest of a list of priced options
+  function spread(options) {
+    if (!options.length) return { low: null, typical: null, high: null };
+    const sorted = options.slice().sort((a, b) => a.amount - b.amount);
+    return { low: sorted[0], typical: sorted[Math.floor((sorted.length - 1) / 2)], high: sorted[sorted.length - 1] };
+  }
+
+  // every mode/provider/class serving the destination, priced out and back
+  function transportOptions({ destination, start, end, bands, residency }) {
+    const options = [];
+    const matrix = FareConfig.matrix();
+    Object.keys(matrix).filter(mode => Destinations.serves(destination, mode)).forEach(transport => {
+      const spec = matrix[transport];
+      spec.providers.forEach(provider => Object.keys(spec.classes).forEach(travelClass => {
+        const choice = { transport, provider, travelClass };
+        const out = FareEngine.quoteGroup(Object.assign({ origin: ORIGIN, destination, date: noon(start) }, choice), bands);
+        const back = FareEngine.quoteGroup(Object.assign({ origin: destination, destination: ORIGIN, date: noon(end) }, choice), bands);
+        const taxes = q => q.perPassenger.reduce((sum, p) => sum + FareEngine.taxFor(p.fare, { item: transport, provider, residency }), 0);
+        if (out && back) options.push({ choice, amount: out.groupFare + back.groupFare, taxes: taxes(out) + taxes(back) });
+      }));
+    });
+    return spread(options);
+  }
+
+  // every room type and meal plan at the destination's properties
+  function stayOptions({ destination, start, end, bands, residency }) {
+    const options = [];
+    Stays.forDestination(destination).forEach(property => Object.keys(property.rooms).forEach(roomType => {
+      property.mealPlans.forEach(mealPlan => {
+        const choice = { propertyId: property.id, roomType, mealPlan, checkIn: start, checkOut: end };
+        const quote = Stays.quote(choice, bands);
+        const taxes = quote && FareEngine.taxFor(quote.total, { item: 'Stay', residency, people: bands.length });
+        if (quote) options.push({ choice, amount: quote.total, taxes, property, rooms: quote.rooms });
+      });
+    }));
+    return spread(options);
+  }
+
+  /* estimate({ destination, start, end, bands, residency })
+     -> { destination, start, end, nights, days, bands, residency,
+          tiers: { low, typical, high } } or null when validate() objects.
+     A tier is { transport, stay, lines, total }: transport and stay are the
+     priced options ({ choice, amount, taxes }, null when none is on offer) and
+     lines are { label, amount, key, params } items that sum to total. */
+  function estimate(input) {
+    if (validate(input).length) return null;
+    const { destination, start, end, bands } = input;
+    const residency = input.residency === 'nonResident' ? 'nonResident' : 'resident';
+    const nights = Stays.nightsBetween(start, end);
+    const days = nights; // a day at the destination for every night
+    const count = band => bands.filter(b => b === band).length;
+    const adults = count('adult');
+    const children = count('child');
+
+    const transport = transportOptions(Object.assign({}, input, { residency }));
+    const stays = stayOptions(Object.assign({}, input, { residency }));
+    const fees = PARK_FEES[destination];
+    const parkFees = fees ? (adults * fees[residency].adult + children * fees[residency].child) * days : 0;
+    const spend = ACTIVITIES[destination] || DEFAULT_ACTIVITIES;
+
+    const tiers = {};
+    TIERS.forEach(tier => {
+      const lines = [];
+      const trip = transport[tier];
+      const stay = stays[tier];
+      if (trip) {
+        const { transport: mode, provider, travelClass } = trip.choice;
+        lines.push({ label: `Return ${mode} (${provider} ${travelClass})`, amount: trip.amount, key: `est.line.${mode}`, params: { provider, cls: travelClass } });
+      }
+      if (stay) {
+        lines.push({ label: `${stay.property.name}, ${stay.choice.roomType} × ${stay.rooms}, ${nights} night(s)`, amount: stay.amount, key: 'est.line.stay', params: { property: stay.property.name, room: stay.choice.roomType, rooms: stay.rooms, count: nights } });
+      }
+      const taxes = (trip ? trip.taxes : 0) + (stay ? stay.taxes : 0);
+      if (taxes) lines.push({ label: 'Taxes and fees', amount: taxes, key: 'est.line.taxes', params: {} });
+      if (parkFees) {
+        lines.push({ label: `Park entry, ${days} day(s) (${residency === 'resident' ? 'resident' : 'non-resident'})`, amount: parkFees, key: `est.line.park.${residency}`, params: { count: days } });
+      }
+      const activities = Math.round((adults + children * CHILD_FACTOR) * spend[tier] * days);
+      if (activities) lines.push({ label: `Activities, ${days} day(s)`, amount: activities, key: 'est.line.activities', params: { count: days } });
+      tiers[tier] = { transport: trip, stay, lines, total: lines.reduce((sum, l) => sum + l.amount, 0) };
+    });
+
+    return { destination, start, end, nights, days, bands: bands.slice(), residency, tiers };
+  }
+
+  return { ORIGIN, TIERS, MAX_PARTY, PARK_FEES, ACTIVITIES, validate, estimate };
+})();
@@ -0,0 +1,303 @@
+/* ---------- FareConfig: transport types, providers, classes and prices ----------
+   The configuration FareEngine prices with. Agents edit it on admin.html and
+   server.js publishes it; a configuration is
+
+     { version, publishedAt, publishedBy,
+       transports: [{ name, perKm, baseFare,
+                      providers: [{ name, surcharge }],
+                      classes: [{ name, fare }] }],
+       taxes: [{ code, name, basis, amount, appliesTo, providers, residency }] }
+
+   perKm is the KES rate per km for the transport's cheapest class (dearer
+   classes scale it by their fare), baseFare the route base fare where
+   fares.js has no route-specific one and surcharge a flat KES amount per
+   provider.
+
+   taxes are the taxes, levies and fees added on top of a fare (see
+   FareEngine.taxLines). basis 'percent' takes amount % of the fare, 'flat'
+   adds amount KES per person. A rule applies to the items in appliesTo
+   (transport types, 'Stay', 'Package'; empty for all), sold by providers
+   (empty for all) to travellers of a residency ('all', 'resident',
+   'nonResident').
+
+   DEFAULTS (version 0) ships with the site. The last published
+   configuration is kept in localStorage so this device prices the same way
+   offline; refresh() asks the server for the current one.
+*/
+const FareConfig = (function () {
+  const STORAGE_KEY = 'ht_fare_config';
+
+  const LIMITS = { transports: 10, providers: 20, classes: 10, taxes: 20, price: 1000000, perKm: 1000, percent: 50 };
+  const NAME = /^[A-Za-z0-9][A-Za-z0-9 &'’.()-]{0,39}$/;
+  const CODE = /^[A-Z0-9][A-Z0-9-]{0,11}$/;
+
+  // what a tax rule can apply to besides transport types
+  const ITEMS = ['Stay', 'Package'];
+  const BASES = ['percent', 'flat'];
+  const RESIDENCIES = ['all', 'resident', 'nonResident'];
+
+  const DEFAULTS = {
+    version: 0,
+    publishedAt: null,
+    publishedBy: null,
+    transports: [
+      {
+        name: 'Bus', perKm: 3, baseFare: 200,
+        providers: [{ name: 'Easy Coach', surcharge: 0 }, { name: 'Guardian', surcharge: 150 }],
+        classes: [{ name: 'Regular', fare: 1500 }, { name: 'Premium', fare: 2500 }]
+      },
+      {
+        name: 'Flight', perKm: 18, baseFare: 3500,
+        providers: [{ name: 'Qatar Airways', surcharge: 4500 }, { name: 'Kenya Airways', surcharge: 0 }],
+        classes: [{ name: 'Economy', fare: 25000 }, { name: 'Business', fare: 45000 }, { name: 'First Class', fare: 70000 }]
+      },
+      {
+        name: 'Train', perKm: 2, baseFare: 300,
+        providers: [{ name: 'SGR', surcharge: 0 }, { name: 'Electric Train', surcharge: 200 }],
+        classes: [{ name: 'Economy', fare: 1000 }, { name: 'Business', fare: 2000 }, { name: 'First Class', fare: 3500 }]
+      }
+    ],
+    taxes: [
+      { code: 'VAT', name: 'VAT', basis: 'percent', amount: 16, appliesTo: ['Flight', 'Stay', 'Package'], providers: [], residency: 'all' },
+      { code: 'RDL', name: 'Railway Development Levy', basis: 'percent', amount: 2, appliesTo: ['Train'], providers: [], residency: 'all' },
+      { code: 'TL', name: 'Tourism levy', basis: 'percent', amount: 2, appliesTo: ['Stay', 'Package'], providers: [], residency: 'all' },
+      { code: 'ASC', name: 'Airport service charge', basis: 'flat', amount: 500, appliesTo: ['Flight'], providers: [], residency: 'resident' },
+      { code: 'ASC-NR', name: 'Airport service charge', basis: 'flat', amount: 2500, appliesTo: ['Flight'], providers: [], residency: 'nonResident' },
+      { code: 'FEE-BUS', name: 'Booking fee', basis: 'flat', amount: 50, appliesTo: ['Bus'], providers: [], residency: 'all' },
+      { code: 'FEE-RAIL', name: 'Booking fee', basis: 'flat', amount: 100, appliesTo: ['Train'], providers: [], residency: 'all' },
+      { code: 'FEE-AIR', name: 'Booking fee', basis: 'flat', amount: 300, appliesTo: ['Flight'], providers: ['Kenya Airways'], residency: 'all' },
+      { code: 'FEE-QR', name: 'Booking fee', basis: 'flat', amount: 750, appliesTo: ['Flight'], providers: ['Qatar Airways'], residency: 'all' }
+    ]
+  };
+
+  const listeners = [];
+  let config = DEFAULTS;
+  let matrixCache = null;
+
+  const text = (value, max) => String(value == null ? '' : value).trim().slice(0, max);
+  const list = value => (Array.isArray(value) ? value : []);
+  const names = value => list(value).slice(0, 40).map(v => text(v, 60)).filter(Boolean);
+
+  /* upgrade(config) -> config with taxes. Configurations published before
+     tax rules had one taxRate for everything; it becomes a single rule. */
+  function upgrade(config) {
+    if (!config || Array.isArray(config.taxes)) return config;
+    const rate = Number(config.taxRate);
+    const next = Object.assign({}, config, {
+      taxes: rate ? [{ code: 'TAX', name: 'Tax', basis: 'percent', amount: +(rate * 100).toFixed(2), appliesTo: [], providers: [], residency: 'all' }] : []
+    });
+    delete next.taxRate;
+    return next;
+  }
+
+  /* normalize(input) -> configuration with trimmed names and numeric prices;
+     version and publishing details are the server's to set */
+  function normalize(input) {
+    const src = upgrade(input && typeof input === 'object' ? input : {});
+    return {
+      transports: list(src.transports).slice(0, LIMITS.transports + 1).map(t => ({
+        name: text(t && t.name, 60),
+        perKm: Number(t && t.perKm),
+        baseFare: Number(t && t.baseFare),
+        providers: list(t && t.providers).slice(0, LIMITS.providers + 1)
+          .map(p => ({ name: text(p && p.name, 60), surcharge: Number(p && p.surcharge) })),
+        classes: list(t && t.classes).slice(0, LIMITS.classes + 1)
+          .map(c => ({ name: text(c && c.name, 60), fare: Number(c && c.fare) }))
+      })),
+      taxes: list(src.taxes).slice(0, LIMITS.taxes + 1).map(r => ({
+        code: text(r && r.code, 20).toUpperCase(),
+        name: text(r && r.name, 60),
+        basis: text(r && r.basis, 10),
+        amount: Number(r && r.amount),
+        appliesTo: names(r && r.appliesTo),
+        providers: names(r && r.providers),
+        residency: text(r && r.residency, 20) || 'all'
+      }))
+    };
+  }
+
+  const isAmount = (n, min = 0) => Number.isInteger(n) && n >= min && n <= LIMITS.price;
+
+  /* validate(config, required) -> array of problems (empty when the
+     configuration can be published). required lists what must stay on sale,
+     as { label, transport, provider, travelClass } (tour packages). */
+  function validate(candidate, required = []) {
+    const problems = [];
+    if (!candidate || !Array.isArray(candidate.transports) || !candidate.transports.length) return ['Add at least one transport type.'];
+    if (candidate.transports.length > LIMITS.transports) problems.push(`At most ${LIMITS.transports} transport types.`);
+
+    const transportNames = new Set();
+    const providerNames = new Map(); // lower-cased provider -> transport, unique across transports
+    candidate.transports.forEach((t, i) => {
+      const label = t.name || `Transport ${i + 1}`;
+      if (!NAME.test(t.name || '')) problems.push(`Transport ${i + 1}: give it a name (letters, digits, spaces; up to 40).`);
+      else if (transportNames.has(t.name.toLowerCase())) problems.push(`${t.name} is listed twice.`);
+      transportNames.add(String(t.name).toLowerCase());
+      if (typeof t.perKm !== 'number' || !(t.perKm >= 0 && t.perKm <= LIMITS.perKm)) problems.push(`${label}: per-km rate must be between 0 and ${LIMITS.perKm}.`);
+      if (!isAmount(t.baseFare)) problems.push(`${label}: base fare must be a whole number of KES from 0 to ${LIMITS.price}.`);
+
+      const providers = list(t.providers);
+      if (!providers.length) problems.push(`${label}: add at least one provider.`);
+      if (providers.length > LIMITS.providers) problems.push(`${label}: at most ${LIMITS.providers} providers.`);
+      providers.forEach((p, j) => {
+        if (!NAME.test(p.name || '')) problems.push(`${label}: provider ${j + 1} needs a name.`);
+        else if (providerNames.has(p.name.toLowerCase())) problems.push(`${p.name} is listed under ${providerNames.get(p.name.toLowerCase())} already; a provider runs one transport type.`);
+        else providerNames.set(p.name.toLowerCase(), label);
+        if (!isAmount(p.surcharge)) problems.push(`${label}: ${p.name || `provider ${j + 1}`} surcharge must be a whole number of KES from 0 to ${LIMITS.price}.`);
+      });
+
+      const classes = list(t.classes);
+      const classNames = new Set();
+      if (!classes.length) problems.push(`${label}: add at least one class.`);
+      if (classes.length > LIMITS.classes) problems.push(`${label}: at most ${LIMITS.classes} classes.`);
+      classes.forEach((c, j) => {
+        if (!NAME.test(c.name || '')) problems.push(`${label}: class ${j + 1} needs a name.`);
+        else if (classNames.has(c.name.toLowerCase())) problems.push(`${label}: class ${c.name} is listed twice.`);
+        classNames.add(String(c.name).toLowerCase());
+        if (!isAmount(c.fare, 1)) problems.push(`${label}: ${c.name || `class ${j + 1}`} fare must be a whole number of KES from 1 to ${LIMITS.price}.`);
+      });
+    });
+
+    const taxes = list(candidate.taxes);
+    const codes = new Set();
+    if (taxes.length > LIMITS.taxes) problems.push(`At most ${LIMITS.taxes} taxes and fees.`);
+    taxes.forEach((r, i) => {
+      const label = r.code || `Tax ${i + 1}`;
+      if (!CODE.test(r.code || '')) problems.push(`Tax ${i + 1}: give it a code (capital letters, digits and -, up to 12).`);
+      else if (codes.has(r.code)) problems.push(`Tax code ${r.code} is used twice.`);
+      codes.add(r.code);
+      if (!NAME.test(r.name || '')) problems.push(`Tax ${i + 1}: give it a name (letters, digits, spaces; up to 40).`);
+      if (!BASES.includes(r.basis)) problems.push(`${label}: choose a percentage or a flat amount.`);
+      else if (r.basis === 'percent' && !(r.amount >= 0 && r.amount <= LIMITS.percent && Number(r.amount.toFixed(2)) === r.amount)) {
+        problems.push(`${label}: percentage must be between 0 and ${LIMITS.percent}, to two decimals.`);
+      } else if (r.basis === 'flat' && !isAmount(r.amount)) problems.push(`${label}: amount must be a whole number of KES from 0 to ${LIMITS.price}.`);
+      list(r.appliesTo).forEach(item => {
+        if (!ITEMS.includes(item) && !candidate.transports.some(t => t.name === item)) problems.push(`${label} applies to ${item}, which is not a transport type, Stay or Package.`);
+      });
+      list(r.providers).forEach(name => {
+        if (!candidate.transports.some(t => list(t.providers).some(p => p.name === name))) problems.push(`${label} names provider ${name}, which is not on sale.`);
+      });
+      if (!RESIDENCIES.includes(r.residency)) problems.push(`${label}: residency must be all, resident or nonResident.`);
+    });
+
+    required.forEach(r => {
+      const t = candidate.transports.find(x => x.name === r.transport);
+      const sold = t && list(t.providers).some(p => p.name === r.provider) && list(t.classes).some(c => c.name === r.travelClass);
+      if (!sold) problems.push(`${r.label} travels ${r.provider} ${r.travelClass} (${r.transport}); keep it on sale or change the package first.`);
+    });
+    return problems;
+  }
+
+  // 'Booking fee: KES 300 per person on Flight (Kenya Airways)'
+  function describeTax(r) {
+    const what = r.basis === 'flat' ? `KES ${r.amount} per person` : `${r.amount}%`;
+    const on = list(r.appliesTo).length ? r.appliesTo.join(', ') : 'everything';
+    const by = list(r.providers).length ? ` (${r.providers.join(', ')})` : '';
+    const who = r.residency === 'resident' ? ', residents' : r.residency === 'nonResident' ? ', non-residents' : '';
+    return `${r.label || r.name}: ${what} on ${on}${by}${who}`;
+  }
+
+  /* diff(before, after) -> [{ item, from, to }] describing each change for
+     the audit trail; from is null for additions and to for removals */
+  function diff(before, after) {
+    const changes = [];
+    const kes = n => `KES ${n}`;
+    const byName = items => new Map(list(items).map(x => [x.name, x]));
+    const compare = (prefix, fromItems, toItems, describe, fields) => {
+      const a = byName(fromItems), b = byName(toItems);
+      a.forEach((x, name) => { if (!b.has(name)) changes.push({ item: `${prefix}${name}`, from: describe(x), to: null }); });
+      b.forEach((y, name) => {
+        const x = a.get(name);
+        if (!x) return changes.push({ item: `${prefix}${name}`, from: null, to: describe(y) });
+        fields.forEach(([field, label, format]) => {
+          if (format(x[field]) !== format(y[field])) changes.push({ item: `${prefix}${name} ${label}`, from: format(x[field]), to: format(y[field]) });
+        });
+      });
+    };
+    compare('', before.transports, after.transports, t => `${list(t.providers).length} providers, ${list(t.classes).length} classes`, [
+      ['perKm', 'per-km rate', n => `KES ${n}/km`],
+      ['baseFare', 'base fare', kes]
+    ]);
+    byName(after.transports).forEach((t, name) => {
+      const old = byName(before.transports).get(name);
+      if (!old) return;
+      compare(`${name} › `, old.providers, t.providers, p => `surcharge ${kes(p.surcharge)}`, [['surcharge', 'surcharge', kes]]);
+      compare(`${name} › `, old.classes, t.classes, c => `fare ${kes(c.fare)}`, [['fare', 'fare', kes]]);
+    });
+
+    // tax rules are matched by code
+    const byCode = items => list(items).map(r => Object.assign({}, r, { name: r.code, label: r.name }));
+    const all = items => (list(items).length ? items.join(', ') : 'all');
+    compare('Tax ', byCode(upgrade(before).taxes), byCode(upgrade(after).taxes), describeTax, [
+      ['label', 'name', String],
+      ['basis', 'basis', String],
+      ['amount', 'amount', String],
+      ['appliesTo', 'applies to', all],
+      ['providers', 'providers', all],
+      ['residency', 'residency', String]
+    ]);
+    return changes;
+  }
+
+  /* use(next) makes next the configuration in force (after a publish or a
+     refresh) and tells onChange listeners. */
+  function use(next) {
+    config = upgrade(next);
+    matrixCache = null;
+    listeners.forEach(fn => fn(config));
+  }
+
+  const onChange = fn => { listeners.push(fn); };
+
+  const current = () => config;
+  const transport = name => config.transports.find(t => t.name === name) || null;
+  const taxes = () => config.taxes;
+
+  function surcharge(provider) {
+    for (const t of config.transports) {
+      const p = t.providers.find(x => x.name === provider);
+      if (p) return p.surcharge;
+    }
+    return 0;
+  }
+
+  // { Bus: { providers: ['Easy Coach', …], classes: { Regular: 1500, … } }, … }
+  function matrix() {
+    if (!matrixCache) {
+      matrixCache = {};
+      config.transports.forEach(t => {
+        matrixCache[t.name] = {
+          providers: t.providers.map(p => p.name),
+          classes: Object.fromEntries(t.classes.map(c => [c.name, c.fare]))
+        };
+      });
+    }
+    return matrixCache;
+  }
+
+  /* refresh() -> Promise<boolean>: fetches the published configuration
+     (server.js) and uses it when it differs from the one in force; false
+     when nothing changed or the server could not be reached. */
+  async function refresh() {
+    if (typeof Api === 'undefined') return false;
+    let reply;
+    try {
+      reply = await Api.get('/api/fares');
+    } catch (err) {
+      return false;
+    }
+    const next = upgrade(reply.config);
+    if (!next || next.version === config.version || validate(next).length) return false;
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(next)); } catch (e) { console.warn('FareConfig: not saved on this device', e); }
+    use(next);
+    return true;
+  }
+
+  // the configuration last published to this device
+  try {
+    const stored = upgrade(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    if (stored && !validate(stored).length) config = stored;
+  } catch (e) { /* no storage (private mode, the server's sandbox): built-in prices */ }
+
+  return { DEFAULTS, LIMITS, ITEMS, BASES, RESIDENCIES, upgrade, normalize, validate, diff, describeTax, use, onChange, current, transport, taxes, surcharge, matrix, refresh };
+})();
@@ -0,0 +1,163 @@
+/* ---------- FareEngine: route-aware pricing on top of FareConfig ----------
+   A quote is built from line items so the form and the ticket can show how the
+   total was reached:
+     class fare + route base fare + distance × per-km rate + provider
+     surcharge, then a season adjustment for the travel date.
+   Class fares, per-km rates, base fares and surcharges come from the
+   published fare configuration (fare-config.js), as do the tax, levy and
+   fee rules taxLines applies on top of a fare.
+*/
+
+/* ---------- FareEngine ---------- */
+const FareEngine = (function () {
+  // coordinates of the places we sell (destinations.js); used for distance estimates
+  const PLACES = Destinations.coordinates();
+
+  // roads wind; straight-line distance understates what a bus or train covers
+  const GROUND_FACTOR = 1.3;
+
+  // per-route base fares, in place of the transport's base fare (keys are order-independent, see routeKey)
+  const ROUTE_BASE = {
+    'Mombasa|Nairobi': { Bus: 300, Train: 500, Flight: 3000 },
+    'Kisumu|Nairobi': { Bus: 250, Train: 400, Flight: 3000 },
+    'Lamu Island|Nairobi': { Bus: 600, Flight: 5000 },
+    'Maasai Mara|Nairobi': { Bus: 800, Flight: 6000 },
+    'Amboseli|Nairobi': { Bus: 700, Flight: 5500 },
+    'Diani Beach|Nairobi': { Bus: 400, Train: 700, Flight: 3500 }
+  };
+
+  // months are 0-based (6 = July); first matching season wins
+  const SEASONS = [
+    { id: 'migration', name: 'Mara migration season', months: [6, 7, 8, 9], destinations: ['Maasai Mara'], multiplier: 1.25 },
+    { id: 'festive', name: 'Festive peak', months: [11], fromDay: 15, multiplier: 1.2 },
+    { id: 'festive', name: 'Festive peak', months: [0], toDay: 5, multiplier: 1.2 },
+    { id: 'offpeak', name: 'Long-rains off-peak', months: [3, 4], multiplier: 0.9 }
+  ];
+
+  /* taxLines(amount, { item, provider, residency, people }) -> the taxes,
+     levies and fees on amount as [{ code, label, amount, key, params }],
+     from the published rules (FareConfig.taxes). item is the transport type,
+     'Stay' or 'Package'; residency is 'resident' (the default) or
+     'nonResident'. Percentages are of amount and flat fees are per person
+     (people, default 1); nothing is added to something free, such as a
+     package's tickets. Each line is rounded, so lines sum exactly to taxFor. */
+  function taxLines(amount, context = {}) {
+    if (!(amount > 0)) return [];
+    const residency = context.residency === 'nonResident' ? 'nonResident' : 'resident';
+    const people = context.people || 1;
+    return FareConfig.taxes()
+      .filter(r => (!r.appliesTo.length || r.appliesTo.includes(context.item))
+        && (!r.providers.length || r.providers.includes(context.provider))
+        && (r.residency === 'all' || r.residency === residency))
+      .map(r => {
+        const flat = r.basis === 'flat';
+        const value = flat ? r.amount * people : Math.round(amount * r.amount / 100);
+        const label = flat ? (people > 1 ? `${r.name} × ${people}` : r.name) : `${r.name} (${r.amount}%)`;
+        return { code: r.code, label, amount: value, key: `tax.${r.code}`, params: { pct: r.amount, count: people } };
+      })
+      .filter(l => l.amount);
+  }
+
+  const taxFor = (amount, context) => taxLines(amount, context).reduce((sum, l) => sum + l.amount, 0);
+
+  // passenger age bands; factor is applied to the full adult fare
+  const AGE_BANDS = {
+    adult: { label: 'Adult', factor: 1 },
+    child: { label: 'Child (2–11)', factor: 0.5 },
+    infant: { label: 'Infant (under 2)', factor: 0.1 }
+  };
+
+  const routeKey = (a, b) => [a, b].sort().join('|');
+
+  function haversineKm(a, b) {
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat), dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+  }
+
+  // returns km between two known places (0 if same, null if unknown)
+  function distanceKm(origin, destination, transport) {
+    const a = PLACES[origin], b = PLACES[destination];
+    if (!a || !b) return null;
+    const km = haversineKm(a, b) * (transport === 'Flight' ? 1 : GROUND_FACTOR);
+    return Math.round(km);
+  }
+
+  function seasonFor(dateIso, destination) {
+    if (!dateIso) return null;
+    // seasons follow the trip's calendar date in Nairobi (UTC+03:00), not the device's
+    const d = new Date(new Date(dateIso).getTime() + 3 * 60 * 60 * 1000);
+    if (isNaN(d)) return null;
+    const month = d.getUTCMonth(), day = d.getUTCDate();
+    return SEASONS.find(s =>
+      s.months.includes(month) &&
+      (!s.destinations || s.destinations.includes(destination)) &&
+      (s.fromDay == null || day >= s.fromDay) &&
+      (s.toDay == null || day <= s.toDay)
+    ) || null;
+  }
+
+  /* quote({ transport, provider, travelClass, origin, destination, date })
+     -> { fare, distanceKm, season, lines: [{ label, amount, key, params }] } or null
+     when transport/class are not priced. lines always sum exactly to fare.
+     label is the English wording; key/params name the I18n message for it. */
+  function quote(opts) {
+    const { transport, provider, travelClass, origin, destination, date } = opts || {};
+    const spec = FareConfig.transport(transport);
+    const cls = spec && spec.classes.find(c => c.name === travelClass);
+    if (!cls) return null;
+
+    const classFare = cls.fare;
+    const cheapest = Math.min(...spec.classes.map(c => c.fare));
+    const classFactor = classFare / cheapest;
+    const lines = [{ label: `${travelClass} class fare`, amount: classFare, key: 'fare.class', params: { cls: travelClass } }];
+
+    const km = distanceKm(origin, destination, transport);
+    if (km) {
+      const routeBase = (ROUTE_BASE[routeKey(origin, destination)] || {})[transport] ?? spec.baseFare;
+      if (routeBase) lines.push({ label: `Route base fare (${origin} → ${destination})`, amount: routeBase, key: 'fare.route', params: { from: origin, to: destination } });
+      const rate = spec.perKm * classFactor;
+      const shown = Math.round(rate * 10) / 10;
+      lines.push({ label: `Distance ${km} km × KES ${shown}/km`, amount: Math.round(km * rate), key: 'fare.distance', params: { km, rate: shown } });
+    }
+
+    const surcharge = FareConfig.surcharge(provider);
+    if (surcharge) lines.push({ label: `Provider surcharge (${provider})`, amount: surcharge, key: 'fare.surcharge', params: { provider } });
+
+    const subtotal = lines.reduce((sum, l) => sum + l.amount, 0);
+    const season = seasonFor(date, destination);
+    if (season && season.multiplier !== 1) {
+      const pct = Math.round((season.multiplier - 1) * 100);
+      const signed = `${pct > 0 ? '+' : ''}${pct}`;
+      lines.push({ label: `${season.name} (${signed}%)`, amount: Math.round(subtotal * (season.multiplier - 1)), key: `fare.season.${season.id}`, params: { pct: signed } });
+    }
+
+    const fare = lines.reduce((sum, l) => sum + l.amount, 0);
+    return { fare, distanceKm: km || undefined, season: season ? season.name : null, lines };
+  }
+
+  /* passengerFare(quote, band) -> { band, fare, lines } with an age-band
+     discount line appended, so lines still sum to fare. */
+  function passengerFare(quote, band) {
+    const spec = AGE_BANDS[band] || AGE_BANDS.adult;
+    const lines = quote.lines.slice();
+    if (spec.factor !== 1) {
+      const pct = Math.round((1 - spec.factor) * 100);
+      lines.push({ label: `${spec.label} discount (-${pct}%)`, amount: -Math.round(quote.fare * (1 - spec.factor)), key: `fare.discount.${band}`, params: { pct } });
+    }
+    return { band, fare: lines.reduce((sum, l) => sum + l.amount, 0), lines };
+  }
+
+  /* quoteGroup(opts, bands) -> quote plus perPassenger fares (one per entry
+     in bands, e.g. ['adult','adult','child']) and the group fare total. */
+  function quoteGroup(opts, bands) {
+    const base = quote(opts);
+    if (!base) return null;
+    const perPassenger = (bands && bands.length ? bands : ['adult']).map(b => passengerFare(base, b));
+    const groupFare = perPassenger.reduce((sum, p) => sum + p.fare, 0);
+    return Object.assign({}, base, { perPassenger, groupFare });
+  }
+
+  return { quote, quoteGroup, passengerFare, taxLines, taxFor, distanceKm, seasonFor, PLACES, AGE_BANDS };
+})();
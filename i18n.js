@@ -0,0 +1,1222 @@
+/* ---------- I18n: English / Swahili message catalogues ----------
+   MESSAGES holds one flat catalogue per language. t(key, params) looks the
+   key up in the current language, then English, and fills {name}
+   placeholders from params. When params.count is given and the catalogue has
+   `key.one` / `key.other`, the plural form is chosen with Intl.PluralRules.
+
+   Static markup is translated by apply(root) through data attributes:
+     data-i18n="key"              -> textContent
+     data-i18n-html="key"         -> innerHTML (catalogue strings only)
+     data-i18n-placeholder="key"  -> placeholder
+     data-i18n-aria-label="key"   -> aria-label
+     data-i18n-title="key"        -> title
+     data-i18n-money="28000"      -> amount formatted for the locale
+   The choice is kept in localStorage; setLang() re-applies the page and fires
+   'i18n:change' on document so scripts can redraw what they generated.
+*/
+const I18n = (function () {
+  const STORAGE_KEY = 'ht_lang';
+  const LOCALES = { en: 'en-KE', sw: 'sw-KE' };
+
+  const MESSAGES = {
+    en: {
+      // landing: header, hero and quick search
+      'nav.home': 'Home',
+      'nav.destinations': 'Destinations',
+      'nav.experiences': 'Experiences',
+      'nav.pricing': 'Pricing',
+      'nav.testimonials': 'Testimonials',
+      'nav.contact': 'Contact',
+      'nav.myBookings': 'My Bookings',
+      'nav.booking': 'Booking',
+      'cta.bookNow': 'Book Now',
+      'theme.toggle': 'Toggle theme',
+      'theme.toDark': 'Switch to dark mode',
+      'theme.toLight': 'Switch to light mode',
+      'menu.toggle': 'Toggle menu',
+      'lang.choose': 'Choose language',
+      'hero.title': 'Pack Curiosity. We’ll Pack the Rest.',
+      'hero.sub': 'Hand-crafted trips, flexible options, local expertise — worry-free adventures across Kenya.',
+      'hero.explore': 'Explore Destinations',
+      'quick.destination': 'Destination',
+      'quick.start': 'Start date',
+      'quick.end': 'End date',
+      'quick.search': 'Search',
+
+      // landing: why, destinations, packages, testimonials
+      'why.heading': 'Why travel with Harmony?',
+      'why.lead': 'Local guides, flexible plans, and curated experiences — we handle the details so you collect the stories.',
+      'why.experts.title': 'Local Experts',
+      'why.experts.body': 'Guides from the region who know where and when wildlife appears — and how to make your trip authentic.',
+      'why.flexible.title': 'Flexible Plans',
+      'why.flexible.body': 'Change dates, upgrade transport, or add activities without hassle. Travel should be freeing — not fragile.',
+      'why.price.title': 'Best Price Promise',
+      'why.price.body': 'Transparent pricing, honest advice, and options that respect your budget and comfort.',
+      'dest.heading': 'Featured Destinations',
+      'dest.lead': 'Handpicked places across Kenya — pick a vibe, then book your trip.',
+      'dest.maasai': 'World-famous safari park — wildlife, the Great Migration, and unforgettable sunsets.',
+      'dest.amboseli': 'Iconic elephant herds with Mt. Kilimanjaro as a breathtaking backdrop.',
+      'dest.diani': 'White-sand beaches, coral reefs, and a relaxed coastal vibe.',
+      'dest.mount': 'A climber’s dream — alpine routes and stunning vistas.',
+      'dest.nakuru': 'Pink flamingos, rhinos, and brilliant birding on the soda lake.',
+      'dest.lamu': 'Historic Swahili island with peaceful beaches and old-town charm.',
+      'dest.bookThis': 'Book This',
+      'dest.learnMore': 'Learn More',
+      'dest.kisumu': 'Lakeside city on Lake Victoria — boat trips, sunsets and fresh tilapia.',
+      'dest.maasai.1': 'The Great Migration river crossings',
+      'dest.maasai.2': 'Game drives for the Big Five',
+      'dest.maasai.3': 'Maasai village cultural visits',
+      'dest.amboseli.1': 'Elephant photography with Kilimanjaro views',
+      'dest.amboseli.2': 'Observation Hill lookout',
+      'dest.amboseli.3': 'Swamps full of hippos and birdlife',
+      'dest.diani.1': 'Beachfront relaxation',
+      'dest.diani.2': 'Snorkelling and water sports on the reef',
+      'dest.diani.3': 'Colobus monkeys in the coastal forest',
+      'dest.mount.1': 'Day hikes and multi-day climbs',
+      'dest.mount.2': 'Alpine lakes and giant lobelias',
+      'dest.mount.3': 'Sunrise from Point Lenana',
+      'dest.nakuru.1': 'Flamingos on the soda lake',
+      'dest.nakuru.2': 'Black and white rhino sanctuary',
+      'dest.nakuru.3': 'Baboon Cliff viewpoint',
+      'dest.lamu.1': 'Lamu Old Town, a World Heritage Site',
+      'dest.lamu.2': 'Dhow sailing at sunset',
+      'dest.lamu.3': 'Quiet beaches at Shela',
+      'dest.kisumu.1': 'Boat trips on Lake Victoria',
+      'dest.kisumu.2': 'Kisumu Impala Sanctuary',
+      'dest.kisumu.3': 'Dunga Beach fish market',
+      'more.title': '{dest} — Highlights',
+      'more.season': 'Best time to visit: {from} to {to}.',
+      'more.allYear': 'Good to visit all year round.',
+      'more.transport': 'Getting there: {modes}.',
+      'more.none': '<p>More details coming soon.</p>',
+      'filter.label': 'Find a destination',
+      'filter.search': 'Search destinations',
+      'filter.type': 'Experience',
+      'filter.budget': 'Budget',
+      'filter.transport': 'Transport',
+      'filter.month': 'Travel month',
+      'filter.sort': 'Sort by',
+      'filter.clear': 'Clear',
+      'filter.anyType': 'Any experience',
+      'filter.anyBudget': 'Any budget',
+      'filter.anyTransport': 'Any transport',
+      'filter.anyMonth': 'Any month',
+      'filter.budget.low': 'Under {max}',
+      'filter.budget.mid': '{min} – {max}',
+      'filter.budget.high': '{min} and up',
+      'filter.sort.relevance': 'Best match',
+      'filter.sort.name': 'Name (A–Z)',
+      'filter.sort.price': 'Lowest price',
+      'filter.count.one': '{count} destination',
+      'filter.count.other': '{count} destinations',
+      'filter.none': 'No destinations match your search. Try clearing a filter.',
+      'experience.safari': 'Safari',
+      'experience.beach': 'Beach',
+      'experience.mountain': 'Mountain',
+      'experience.culture': 'Culture',
+      'modal.close': 'Close',
+      'pkg.heading': 'Featured Packages',
+      'pkg.from': 'From',
+      'pkg.book': 'Book Package',
+      'pkg.prev': 'Previous package',
+      'pkg.next': 'Next package',
+      'pkg.mara.title': '3-Day Maasai Mara Safari',
+      'pkg.mara.1': 'Daily game drives',
+      'pkg.mara.2': 'All meals included',
+      'pkg.mara.3': 'Airport transfers',
+      'pkg.diani.title': 'Coastal Relaxer — Diani 5 Nights',
+      'pkg.diani.1': 'Beachfront hotel',
+      'pkg.diani.2': 'Snorkeling day trip',
+      'pkg.diani.3': 'Breakfast included',
+      'pkg.mount.title': 'Mount Kenya Trek — 4 Days',
+      'pkg.mount.1': 'Guided trek',
+      'pkg.mount.2': 'Camping or lodge options',
+      'pkg.mount.3': 'Experienced local guides',
+      'pkg.nakuru.title': 'Lake Nakuru Adventure — 2 Days',
+      'pkg.nakuru.1': 'Flamingo and birdwatching tour',
+      'pkg.nakuru.2': 'Park entry & guided safari',
+      'pkg.nakuru.3': 'Comfort lodge stay & meals',
+      'pkg.lamu.title': 'Lamu Island Retreat — 4 Nights',
+      'pkg.lamu.1': 'Historic town walking tour',
+      'pkg.lamu.2': 'Dhow sunset cruise',
+      'pkg.lamu.3': 'Beachfront cottage & breakfast',
+      'pkg.kisumu.title': 'Kisumu City Escape — 2 Days',
+      'pkg.kisumu.1': 'Lakeside boat trip on Lake Victoria',
+      'pkg.kisumu.2': 'Visit Kisumu Impala Sanctuary',
+      'pkg.kisumu.3': 'Comfort hotel stay with meals',
+      'pkg.perPerson': 'per person',
+      'pkg.facts.one': '{count} night · {dest} · by {transport} · {min}–{max} travellers',
+      'pkg.facts.other': '{count} nights · {dest} · by {transport} · {min}–{max} travellers',
+      'pkg.nextDeparture': 'Next departure: {date}',
+      'test.heading': 'Satisfied Travelers',
+      'test.mary': '“Easy Coach made our road trip effortless. Comfortable seats and scenic views.”',
+      'test.tom': '“SGR was relaxing and fast — perfect for a productive travel day.”',
+      'test.aisha': '“Flying saved us hours and the crew was friendly. Highly recommended.”',
+
+      // landing: subscribe, footer and newsletter modal
+      'sub.title': 'Get local tips & occasional deals',
+      'sub.body': 'Sign up and we’ll send a compact travel guide for Kenya — no spam.',
+      'sub.button': 'Subscribe',
+      'sub.done': 'Thanks! Your travel guide is on its way.',
+      'sub.duplicate': 'You’re already subscribed — thanks!',
+      'sub.invalidEmail': 'Please enter a valid email address.',
+      'footer.tagline': 'Kenya-focused trips, local experts, honest pricing.',
+      'footer.cta': 'Book Now — Your Adventure Awaits',
+      'footer.whyUs': 'Why choose us?',
+      'footer.secure': 'Secure payments',
+      'footer.guides': 'Local guides',
+      'footer.rating': 'Avg 4.9 ★',
+      'footer.quickLinks': 'Quick Links',
+      'footer.book': 'Book',
+      'footer.packages': 'Packages',
+      'footer.explore': 'Explore',
+      'footer.about': 'About',
+      'footer.faq': 'FAQ',
+      'footer.careers': 'Careers',
+      'footer.support': 'Contact & Support',
+      'footer.hours': 'Office hours: Mon–Sat, 08:00–18:00',
+      'footer.viewMap': 'View office on map',
+      'footer.phone': 'Your phone number',
+      'footer.callback': 'Request Callback',
+      'footer.guideTitle': 'Travel Guide & Deals',
+      'footer.guideBody': 'Sign up for our local tips and occasional discounts — free guide included.',
+      'footer.rights': '© 2025 Harmony Travels — All rights reserved',
+      'footer.privacy': 'Privacy',
+      'footer.terms': 'Terms',
+      'footer.backToTop': 'Back to top',
+      'callback.invalid': 'Please enter a valid phone number.',
+      'callback.sent': 'Request sent! Our agent will call you shortly.',
+      'callback.duplicate': 'We already have your request — an agent will call you shortly.',
+      'lead.sending': 'Sending…',
+      'lead.err.network': 'We couldn’t reach our server. Check your connection and try again.',
+      'lead.err.server': 'Something went wrong on our side. Please try again.',
+      'lead.err.rate.one': 'Too many attempts. Please try again in {count} minute.',
+      'lead.err.rate.other': 'Too many attempts. Please try again in {count} minutes.',
+      'news.title': 'Get a Kenya Travel Guide & a Small Deal',
+      'news.body': 'Subscribe for local tips and occasional offers.',
+      'news.button': 'Get the Guide',
+
+      // booking form
+      'book.title': 'Harmony Travels — Book a Trip',
+      'book.sub': 'Pick a destination, choose your trip, pay by M-Pesa or card and get a downloadable ticket.',
+      'book.passengers': 'Passengers',
+      'book.addPassenger': 'Add passenger',
+      'book.phone': 'Phone',
+      'book.email': 'Email',
+      'book.transport': 'Transport',
+      'book.provider': 'Provider',
+      'book.class': 'Class / Type',
+      'book.origin': 'Origin',
+      'book.destination': 'Destination',
+      'book.chooseDestination': 'Choose destination',
+      'book.travelDate': 'Travel Date',
+      'book.departure': 'Departure',
+      'book.tripType': 'Trip type',
+      'book.oneway': 'One way',
+      'book.return': 'Return',
+      'book.multi': 'Multi-leg',
+      'book.addLeg': 'Add leg',
+      'book.seats': 'Seats (leg 1)',
+      'book.price': 'Price',
+      'book.fareBreakdown': 'Fare breakdown',
+      'currency.label': 'Currency',
+      'currency.note': 'Amounts in {code} at 1 {code} = {rate} (rates of {asOf}); charged in KES.',
+      'book.continue': 'Continue to Payment',
+      'book.reset': 'Reset',
+      'book.preview': 'Ticket Preview',
+      'book.downloadPdf': 'Download PDF',
+      'book.downloadPng': 'Download PNG',
+      'book.print': 'Print',
+      'book.copyId': 'Copy Booking ID',
+      'wiz.progress': 'Booking steps',
+      'wiz.destination': 'Destination',
+      'wiz.trip': 'Dates & transport',
+      'wiz.passengers': 'Passengers',
+      'wiz.extras': 'Extras',
+      'wiz.review': 'Review',
+      'wiz.ticket': 'Ticket',
+      'wiz.whereTo': 'Where are you going?',
+      'wiz.reviewTitle': 'Check your trip',
+      'wiz.back': 'Back',
+      'wiz.next': 'Next',
+      'wiz.startOver': 'Start over',
+      'wiz.newBooking': 'Book another trip',
+      'wiz.draftRestored': 'Welcome back — we kept your unfinished booking.',
+      'wiz.err.destination': 'Choose a destination.',
+      'wiz.err.names': 'Enter a name for every passenger.',
+      'wiz.err.contact': 'Enter a phone number and a valid email address.',
+      'wiz.err.pay': 'Pay to get your ticket.',
+      'review.trip': 'Trip',
+      'review.leg': 'Leg {n}: {from} → {to} · {transport} · {provider} {cls} · {trip} · {when}',
+      'review.passengers': 'Passengers',
+      'review.contact': 'Contact',
+      'review.autoSeats': 'Assigned automatically',
+      'review.stay': 'Stay',
+      'review.package': 'Package',
+      'review.packageLine.one': '{title} · {from} → {to} ({count} night)',
+      'review.packageLine.other': '{title} · {from} → {to} ({count} nights)',
+      'pkg.remove': 'Book transport only',
+      'pkg.departure': 'Departure date',
+      'pkg.departureOption': '{from} → {to} · {price} per person',
+      'pkg.err.departure': 'Choose a departure date for the package.',
+      'pkg.err.group': 'This package is for {min} to {max} travellers (infants not counted).',
+      'pkg.line.adult.one': '{count} adult × KES {price}',
+      'pkg.line.adult.other': '{count} adults × KES {price}',
+      'pkg.line.child.one': '{count} child × KES {price}',
+      'pkg.line.child.other': '{count} children × KES {price}',
+      'pkg.line.infant.one': '{count} infant, free',
+      'pkg.line.infant.other': '{count} infants, free',
+      'pkg.included': 'Included in package',
+      'pkg.includedIn': 'Included in package {no}',
+      'pkgVoucher.title': 'Package voucher',
+      'pkgVoucher.return': 'Return',
+      'pkgVoucher.present': 'Show this voucher with your ID at check-in and to your guide. Transport for the package is on the tickets above.',
+      'review.stayLine.one': '{property} · {room} × {rooms} · {meals} · {from} → {to} ({count} night)',
+      'review.stayLine.other': '{property} · {room} × {rooms} · {meals} · {from} → {to} ({count} nights)',
+      'stay.title': 'Accommodation',
+      'stay.add': 'Add a stay at your destination',
+      'stay.none': 'No stays listed for {dest} yet — ask an agent.',
+      'stay.property': 'Property',
+      'stay.room': 'Room type',
+      'stay.meals': 'Meal plan',
+      'stay.checkIn': 'Check-in',
+      'stay.checkOut': 'Check-out',
+      'stay.roomOption': 'sleeps {sleeps} · {rate} per night',
+      'stay.mealOption': '{plan} (+{rate} per guest per night)',
+      'stay.summary.one': '{count} night at {property}, {rooms} room(s): {total}',
+      'stay.summary.other': '{count} nights at {property}, {rooms} room(s): {total}',
+      'stay.line.room.one': '{room} × {rooms}, {count} night at KES {rate}',
+      'stay.line.room.other': '{room} × {rooms}, {count} nights at KES {rate}',
+      'stay.line.BB.one': 'Bed & breakfast, {count} guest-night',
+      'stay.line.BB.other': 'Bed & breakfast, {count} guest-nights',
+      'stay.line.HB.one': 'Half board, {count} guest-night',
+      'stay.line.HB.other': 'Half board, {count} guest-nights',
+      'stay.line.FB.one': 'Full board, {count} guest-night',
+      'stay.line.FB.other': 'Full board, {count} guest-nights',
+      'stay.line.childMeals': 'Children’s meals (-{pct}%)',
+      'stay.err.pick': 'Stay: choose a property, room type and meal plan.',
+      'stay.err.dates': 'Stay: check-out must be after check-in.',
+      'stay.err.long': 'Stay: book up to {max} nights online — ask an agent for longer stays.',
+      'est.title': 'Estimate a whole holiday',
+      'est.lead': 'Transport, accommodation, park fees and activities for your dates and party, from low to high.',
+      'est.start': 'From',
+      'est.end': 'To',
+      'est.residency': 'Park fees',
+      'est.resident': 'Resident (Kenya / East Africa)',
+      'est.nonResident': 'Non-resident',
+      'est.run': 'Estimate',
+      'est.tier.low': 'Low',
+      'est.tier.typical': 'Typical',
+      'est.tier.high': 'High',
+      'est.book': 'Book this',
+      'est.line.Bus': 'Return bus ({provider} {cls})',
+      'est.line.Train': 'Return train ({provider} {cls})',
+      'est.line.Flight': 'Return flights ({provider} {cls})',
+      'est.line.stay.one': '{property}, {room} × {rooms}, {count} night',
+      'est.line.stay.other': '{property}, {room} × {rooms}, {count} nights',
+      'est.line.taxes': 'Taxes, levies and fees on transport and stay',
+      'est.line.park.resident.one': 'Park entry, {count} day (resident rates)',
+      'est.line.park.resident.other': 'Park entry, {count} days (resident rates)',
+      'est.line.park.nonResident.one': 'Park entry, {count} day (non-resident rates)',
+      'est.line.park.nonResident.other': 'Park entry, {count} days (non-resident rates)',
+      'est.line.activities.one': 'Activities, {count} day',
+      'est.line.activities.other': 'Activities, {count} days',
+      'est.err.destination': 'Estimate: choose a destination other than {origin}.',
+      'est.err.dates': 'Estimate: the holiday must end at least one day after it starts.',
+      'est.err.long': 'Estimate: holidays of up to {max} nights can be estimated online.',
+      'est.err.adult': 'Estimate: at least one adult must travel.',
+      'est.err.party': 'Estimate: up to {max} travellers — ask an agent for larger groups.',
+      'stayType.Hotel': 'Hotel',
+      'stayType.Lodge': 'Lodge',
+      'stayType.Camp': 'Camp',
+      'stayType.Guesthouse': 'Guesthouse',
+      'meal.RO': 'Room only',
+      'meal.BB': 'Bed & breakfast',
+      'meal.HB': 'Half board',
+      'meal.FB': 'Full board',
+      'voucher.title': 'Accommodation voucher',
+      'voucher.no': 'Voucher {no}',
+      'voucher.nights.one': '{count} night',
+      'voucher.nights.other': '{count} nights',
+      'voucher.guests.one': '{count} guest',
+      'voucher.guests.other': '{count} guests',
+      'voucher.leadGuest': 'Lead guest',
+      'voucher.present': 'Show this voucher with your ID at check-in. Check-in from 14:00, check-out by 10:00.',
+      'pax.name': 'Full name',
+      'pax.id': 'ID / Passport no.',
+      'pax.nameLabel': 'Passenger {n} name',
+      'pax.idLabel': 'Passenger {n} ID number',
+      'pax.bandLabel': 'Passenger {n} age band',
+      'pax.residencyLabel': 'Passenger {n} residency',
+      'pax.remove': 'Remove passenger {n}',
+      'leg.title': 'Leg {n}',
+      'leg.remove': 'Remove leg {n}',
+      'leg.from': 'From',
+      'leg.to': 'To',
+      'leg.fare': 'Leg {n}: {from} → {to} ({transport})',
+      'fare.band': '{count} × {band} @ {fare}',
+      'fare.class': '{cls} class fare',
+      'fare.route': 'Route base fare ({from} → {to})',
+      'fare.distance': 'Distance {km} km × KES {rate}/km',
+      'fare.surcharge': 'Provider surcharge ({provider})',
+      'fare.season.migration': 'Mara migration season ({pct}%)',
+      'fare.season.festive': 'Festive peak ({pct}%)',
+      'fare.season.offpeak': 'Long-rains off-peak ({pct}%)',
+      'fare.discount.child': 'Child (2–11) discount (-{pct}%)',
+      'fare.discount.infant': 'Infant (under 2) discount (-{pct}%)',
+      'trips.chooseDestination': 'Choose a destination',
+      'trips.none': 'No departures this day',
+      'trips.pickDate': 'Pick a date first',
+      'trips.estimated': '(est.)',
+      'trips.left': '{count} left',
+      'trips.soldOut': 'sold out',
+      'avail.soldOut': 'Sold out in {cls}.',
+      'avail.left.one': '{count} seat left in {cls}.',
+      'avail.left.other': '{count} seats left in {cls}.',
+      'avail.low.one': 'Only {count} seat left in {cls} — not enough for {seated} passengers.',
+      'avail.low.other': 'Only {count} seats left in {cls} — not enough for {seated} passengers.',
+      'avail.switch': 'Switch to {trip}, {when} ({left} left)',
+      'avail.none': 'No other departure with enough seats this week.',
+      'seats.selected': 'Selected {seats} ({count} of {max})',
+      'seats.pick.one': 'Pick up to {count} seat or leave blank to be assigned automatically.',
+      'seats.pick.other': 'Pick up to {count} seats or leave blank to be assigned automatically.',
+      'err.adult': 'At least one adult must travel with the group.',
+      'err.idMissing': 'Please enter an ID or passport number for {name}.',
+      'err.seats.one': 'Leg {n}: only {count} {cls} seat left on {provider} at {when}.',
+      'err.seats.other': 'Leg {n}: only {count} {cls} seats left on {provider} at {when}.',
+      'err.seatsAlt': ' Nearest departure with space: {trip}, {when}.',
+      'toast.pending': 'Booking {id} saved as pending — pay from My Bookings within {minutes} minutes to get your tickets',
+      'toast.paid.one': 'Paid — booking {id} confirmed, ticket ready',
+      'toast.paid.other': 'Paid — booking {id} confirmed, {count} tickets ready',
+      'toast.verifyLater': 'Your tickets are valid for boarding once we have checked your payment; open My Bookings then to get them.',
+      'toast.pointsLater.one': 'You earn {count} loyalty point once we have checked your payment. New members get their loyalty number by email.',
+      'toast.pointsLater.other': 'You earn {count} loyalty points once we have checked your payment. New members get their loyalty number by email.',
+      'book.err.party': 'A booking can have at most {max} passengers.',
+      'book.err.legs': 'A trip has between 1 and {max} legs.',
+      'book.err.trip': 'Leg {n}: choose a departure from the timetable.',
+      'book.err.departed': 'Leg {n}: that departure has already left.',
+      'book.err.fare': 'Leg {n}: this class is not sold on the route.',
+      'book.err.packageTrip': 'The package trip leaves on {from} and returns on {to}.',
+      'book.err.soldOut.one': 'Leg {n}: only {count} {cls} seat left on {provider}.',
+      'book.err.soldOut.other': 'Leg {n}: only {count} {cls} seats left on {provider}.',
+      'book.err.seatTaken': 'Seats {seats} were just taken. Pick other seats.',
+      'book.err.rate': 'Too many bookings from this connection. Please try again in a few minutes.',
+      'book.err.server': 'We couldn’t issue your booking just now. Please try again.',
+      'book.err.holdExpired': 'This booking was not paid within {minutes} minutes and its seats were released. Please book again.',
+      'review.quoting': 'Checking the price…',
+      'review.total': 'Total to pay, taxes included: {total}',
+      'review.totalOffline': 'You are offline. Total to pay, taxes included: {total}. The booking will be issued and kept on this device.',
+      'review.totalDiscount': 'Total to pay, taxes included: {total} — you save {discount}',
+
+      // promo codes and loyalty points (promotions.js)
+      'promo.code': 'Promo code',
+      'promo.line.percent': 'Promo code {code} (-{pct}%)',
+      'promo.line.fixed': 'Promo code {code}',
+      'promo.line.points.one': 'Loyalty points ({count} point)',
+      'promo.line.points.other': 'Loyalty points ({count} points)',
+      'promo.err.unknown': 'We don’t recognise the promo code {code}. Check the spelling.',
+      'promo.err.dates': 'Promo code {code} can be used from {from} to {to}.',
+      'promo.err.minSpend': 'Promo code {code} needs a booking of at least KES {amount} before taxes.',
+      'promo.err.notApplicable': 'Promo code {code} does not cover anything in this booking.',
+      'promo.err.used': 'Promo code {code} has been used up.',
+      'promo.err.usedByYou.one': 'Promo code {code} can be used once per customer, and this email already has.',
+      'promo.err.usedByYou.other': 'Promo code {code} can be used {count} times per customer, and this email already has.',
+      'promo.err.offline': 'Promo codes and loyalty points need a connection. Remove them to book offline, or try again once you are back online.',
+      'loyalty.number': 'Loyalty number',
+      'loyalty.points': 'Points to use',
+      'loyalty.balance.one': 'You have {count} point; up to {max} can be used on this booking.',
+      'loyalty.balance.other': 'You have {count} points; up to {max} can be used on this booking.',
+      'loyalty.unknown': 'That loyalty number does not match the contact email.',
+      'loyalty.err.account': 'Enter the loyalty number for the contact email to use points.',
+      'loyalty.err.balance.one': 'You only have {count} point.',
+      'loyalty.err.balance.other': 'You only have {count} points.',
+      'loyalty.err.min': 'Use at least {count} points at a time.',
+      'loyalty.err.max': 'Up to {count} points can be used on this booking.',
+
+      // itinerary validation
+      'itin.choose': 'Leg {n}: choose transport, provider and class.',
+      'itin.notSold': 'Leg {n}: {provider} does not sell {transport} tickets in {cls} class.',
+      'itin.route': 'Leg {n}: choose where the leg starts and ends.',
+      'itin.same': 'Leg {n}: origin and destination are the same.',
+      'itin.departure': 'Leg {n}: choose a departure.',
+      'itin.arrival': 'Leg {n}: arrival is before departure.',
+      'itin.chain': 'Leg {n}: starts in {origin} but leg {prev} ends in {destination}.',
+      'itin.order': 'Leg {n}: must depart after leg {prev} arrives.',
+
+      // seat map
+      'seat.unavailable': 'Seat selection is not available for this provider.',
+      'seat.map': 'Seat map for {provider}',
+      'seat.label': 'Seat {id}, {state}',
+      'seat.taken': 'taken',
+      'seat.available': 'available',
+      'seat.classOnly': '{cls} only',
+      'seat.free': 'Free',
+      'seat.selected': 'Selected',
+      'seat.takenKey': 'Taken',
+
+      // checkout
+      'pay.title': 'Checkout',
+      'pay.method': 'Payment method',
+      'pay.reference': 'Booking {ref} — tickets are issued once payment is received.',
+      'pay.later': 'Pay later',
+      'pay.pay': 'Pay {amount}',
+      'pay.received': 'Payment received — {method} ref {id}',
+      'mpesa.phone': 'M-Pesa phone number',
+      'mpesa.hint': 'You will get a prompt on your phone to enter your M-Pesa PIN.',
+      'mpesa.invalid': 'Enter a Safaricom number such as 0712 345 678.',
+      'mpesa.sending': 'Sending payment request to {msisdn}…',
+      'mpesa.check': 'Check your phone and enter your M-Pesa PIN.',
+      'mpesa.phoneLabel': 'Simulated phone prompt',
+      'mpesa.prompt': 'Pay {amount} to HARMONY TRAVELS, account {ref}?',
+      'mpesa.pin': 'Enter M-PESA PIN',
+      'mpesa.cancel': 'Cancel',
+      'mpesa.send': 'Send',
+      'mpesa.expires': 'Request expires in {left}s',
+      'mpesa.timeout': 'The M-Pesa request timed out. No money was taken — try again.',
+      'mpesa.cancelled': 'The request was cancelled on the phone.',
+      'mpesa.pinDigits': 'PIN must be 4 digits.',
+      'mpesa.insufficient': 'M-Pesa declined the payment: insufficient balance.',
+      'card.label': 'Card',
+      'card.name': 'Name on card',
+      'card.number': 'Card number',
+      'card.expiry': 'Expiry (MM/YY)',
+      'card.cvc': 'CVC',
+      'card.nameMissing': 'Enter the name on the card.',
+      'card.numberInvalid': 'Card number is not valid.',
+      'card.expiryInvalid': 'Card has expired or the expiry date is not valid.',
+      'card.cvcInvalid': 'CVC must be 3 or 4 digits.',
+      'card.authorising': 'Authorising card…',
+      'card.declined': 'Your card was declined by the issuer.',
+
+      // ticket
+      'ticket.stub': 'Ticket stub',
+      'ticket.booking': 'Booking',
+      'ticket.passenger': 'Passenger',
+      'ticket.passengerOf': 'Passenger {i} of {n}',
+      'ticket.passengerName': 'Passenger Name',
+      'ticket.id': 'ID {id}',
+      'ticket.contact': 'Contact',
+      'ticket.route': 'Route',
+      'ticket.origin': 'Origin',
+      'ticket.destination': 'Destination',
+      'ticket.distance': 'Distance',
+      'ticket.trip': 'Trip',
+      'ticket.legOf': 'Leg {i} of {n}',
+      'ticket.provider': 'Provider',
+      'ticket.transport': 'Transport',
+      'ticket.classSeat': 'Class / Seat',
+      'ticket.seat': 'Seat {seat}',
+      'ticket.onLap': 'On lap',
+      'ticket.status': 'Status',
+      'ticket.depart': 'Depart',
+      'ticket.arrive': 'Arrive',
+      'ticket.duration': 'Duration',
+      'ticket.seatClass': 'Seat / Class',
+      'ticket.price': 'Price',
+      'ticket.fare': 'Fare',
+      'ticket.priceBreakdown': 'Price breakdown',
+      'ticket.taxes': 'Taxes',
+      'ticket.total': 'Total (Incl. taxes)',
+      'ticket.groupTotal.one': 'Group total ({count} passenger)',
+      'ticket.groupTotal.other': 'Group total ({count} passengers)',
+      'ticket.tripTotal.one': 'Trip total ({count} passenger, {legs} legs)',
+      'ticket.tripTotal.other': 'Trip total ({count} passengers, {legs} legs)',
+      'ticket.bookingTotal.one': 'Booking total ({count} passenger, incl. stay)',
+      'ticket.bookingTotal.other': 'Booking total ({count} passengers, incl. stay)',
+      'ticket.packageTotal.one': 'Package total ({count} passenger)',
+      'ticket.packageTotal.other': 'Package total ({count} passengers)',
+      'ticket.notes': 'Notes:',
+      'ticket.defaultNotes': 'Please bring your ID and arrive on time. Baggage rules apply.',
+      'ticket.openMap': 'Open route in Google Maps',
+      'ticket.issued': 'Issued by Harmony Travels',
+      'ticket.paidBy': 'Paid by {method} (receipt {receipt})',
+      'ticket.ref': 'Ref: {ref}',
+      'ticket.ticketNo': 'Ticket {no}',
+      'ticket.tba': 'TBA',
+      'ticket.itinerary': 'Itinerary',
+      'ticket.returnTrip': 'Return trip',
+      'ticket.multiTrip': 'Multi-leg trip',
+      'ticket.legRoute': 'Leg {n}: {from} → {to}',
+      'ticket.summaryTotal.one': 'Trip total ({count} passenger, incl. taxes)',
+      'ticket.summaryTotal.other': 'Trip total ({count} passengers, incl. taxes)',
+      'ticket.voidRefunded': 'VOID — REFUNDED',
+      'ticket.voidCancelled': 'VOID — CANCELLED',
+      'ticket.unpaid': 'UNPAID — NOT VALID',
+      'ticket.pngDone': 'PNG downloaded',
+      'ticket.pdfDone': 'PDF downloaded',
+      'ticket.pngFailed': 'PNG generation failed.',
+      'ticket.pdfFailed': 'PDF generation failed.',
+      'ticket.popupBlocked': 'Popup blocked',
+      'ticket.noId': 'No booking ID',
+      'ticket.copied': 'Booking ID copied',
+      'ticket.copyFailed': 'Copy failed',
+      'time.duration': '{h}h {m}m',
+
+      // data values shown to customers
+      'transport.Bus': 'Bus',
+      'transport.Train': 'Train',
+      'transport.Flight': 'Flight',
+      'band.adult': 'Adult',
+      'band.child': 'Child (2–11)',
+      'band.infant': 'Infant (under 2)',
+      'residency.resident': 'Resident (Kenya / East Africa)',
+      'residency.nonResident': 'Non-resident',
+      'tax.TAX': 'Tax ({pct}%)',
+      'tax.VAT': 'VAT ({pct}%)',
+      'tax.RDL': 'Railway Development Levy ({pct}%)',
+      'tax.TL': 'Tourism levy ({pct}%)',
+      'tax.ASC.one': 'Airport service charge',
+      'tax.ASC.other': 'Airport service charge × {count}',
+      'tax.ASC-NR.one': 'Airport service charge',
+      'tax.ASC-NR.other': 'Airport service charge × {count}',
+      'tax.FEE-BUS.one': 'Booking fee',
+      'tax.FEE-BUS.other': 'Booking fee × {count}',
+      'tax.FEE-RAIL.one': 'Booking fee',
+      'tax.FEE-RAIL.other': 'Booking fee × {count}',
+      'tax.FEE-AIR.one': 'Booking fee',
+      'tax.FEE-AIR.other': 'Booking fee × {count}',
+      'tax.FEE-QR.one': 'Booking fee',
+      'tax.FEE-QR.other': 'Booking fee × {count}',
+      'status.pending': 'Pending',
+      'status.confirmed': 'Confirmed',
+      'status.amended': 'Amended',
+      'status.cancelled': 'Cancelled',
+      'status.refunded': 'Refunded',
+      'status.used': 'Used'
+    },
+
+    sw: {
+      'nav.home': 'Nyumbani',
+      'nav.destinations': 'Vivutio',
+      'nav.experiences': 'Uzoefu',
+      'nav.pricing': 'Bei',
+      'nav.testimonials': 'Shuhuda',
+      'nav.contact': 'Mawasiliano',
+      'nav.myBookings': 'Nafasi Zangu',
+      'nav.booking': 'Kuweka Nafasi',
+      'cta.bookNow': 'Weka Nafasi Sasa',
+      'theme.toggle': 'Badilisha mandhari',
+      'theme.toDark': 'Badili hadi mandhari meusi',
+      'theme.toLight': 'Badili hadi mandhari angavu',
+      'menu.toggle': 'Fungua menyu',
+      'lang.choose': 'Chagua lugha',
+      'hero.title': 'Beba Udadisi. Mengine Tutabeba Sisi.',
+      'hero.sub': 'Safari zilizoandaliwa kwa makini, chaguo zinazobadilika na utaalamu wa wenyeji — matukio yasiyo na wasiwasi kote Kenya.',
+      'hero.explore': 'Gundua Vivutio',
+      'quick.destination': 'Unakoenda',
+      'quick.start': 'Tarehe ya kuanza',
+      'quick.end': 'Tarehe ya kumaliza',
+      'quick.search': 'Tafuta',
+
+      'why.heading': 'Kwa nini usafiri na Harmony?',
+      'why.lead': 'Waongozaji wa wenyeji, mipango inayobadilika na uzoefu uliochaguliwa — tunashughulikia maelezo ili wewe ukusanye hadithi.',
+      'why.experts.title': 'Wataalamu wa Wenyeji',
+      'why.experts.body': 'Waongozaji kutoka eneo hili wanaojua wanyama huonekana wapi na lini — na jinsi ya kuifanya safari yako kuwa halisi.',
+      'why.flexible.title': 'Mipango Inayobadilika',
+      'why.flexible.body': 'Badilisha tarehe, panda daraja la usafiri au ongeza shughuli bila usumbufu. Safari inapaswa kukuweka huru — si kukuzuia.',
+      'why.price.title': 'Ahadi ya Bei Bora',
+      'why.price.body': 'Bei zilizo wazi, ushauri wa kweli na chaguo zinazoheshimu bajeti na starehe yako.',
+      'dest.heading': 'Vivutio Maalum',
+      'dest.lead': 'Maeneo yaliyochaguliwa kote Kenya — chagua unachopenda, kisha weka nafasi ya safari yako.',
+      'dest.maasai': 'Mbuga ya safari inayojulikana duniani — wanyamapori, Uhamaji Mkuu na machweo yasiyosahaulika.',
+      'dest.amboseli': 'Makundi maarufu ya tembo huku Mlima Kilimanjaro ukiwa mandhari ya kuvutia.',
+      'dest.diani': 'Fukwe za mchanga mweupe, miamba ya matumbawe na utulivu wa pwani.',
+      'dest.mount': 'Ndoto ya mpanda mlima — njia za milimani na mandhari ya kupendeza.',
+      'dest.nakuru': 'Heroe wa waridi, vifaru na utazamaji bora wa ndege kwenye ziwa la magadi.',
+      'dest.lamu': 'Kisiwa cha kihistoria cha Waswahili chenye fukwe tulivu na mji wa kale wenye haiba.',
+      'dest.bookThis': 'Weka Nafasi',
+      'dest.learnMore': 'Soma Zaidi',
+      'dest.kisumu': 'Jiji la kando ya Ziwa Victoria — safari za mashua, machweo na samaki wabichi.',
+      'dest.maasai.1': 'Uhamaji Mkuu ukivuka mito',
+      'dest.maasai.2': 'Kutazama wanyama watano wakubwa',
+      'dest.maasai.3': 'Ziara za kitamaduni katika vijiji vya Wamaasai',
+      'dest.amboseli.1': 'Picha za tembo huku Kilimanjaro ikionekana',
+      'dest.amboseli.2': 'Mandhari kutoka Kilima cha Observation',
+      'dest.amboseli.3': 'Vinamasi vyenye viboko na ndege wengi',
+      'dest.diani.1': 'Mapumziko ufukweni',
+      'dest.diani.2': 'Kuogelea na michezo ya majini kwenye miamba',
+      'dest.diani.3': 'Tumbili aina ya colobus kwenye msitu wa pwani',
+      'dest.mount.1': 'Matembezi ya siku moja au kupanda kwa siku kadhaa',
+      'dest.mount.2': 'Maziwa ya milimani na mimea mikubwa ya lobelia',
+      'dest.mount.3': 'Macheo kutoka Kilele cha Lenana',
+      'dest.nakuru.1': 'Heroe kwenye ziwa la magadi',
+      'dest.nakuru.2': 'Hifadhi ya vifaru weusi na weupe',
+      'dest.nakuru.3': 'Mandhari kutoka Baboon Cliff',
+      'dest.lamu.1': 'Mji wa Kale wa Lamu, Urithi wa Dunia',
+      'dest.lamu.2': 'Safari ya jahazi wakati wa machweo',
+      'dest.lamu.3': 'Fukwe tulivu za Shela',
+      'dest.kisumu.1': 'Safari za mashua kwenye Ziwa Victoria',
+      'dest.kisumu.2': 'Hifadhi ya Swala ya Kisumu',
+      'dest.kisumu.3': 'Soko la samaki la Dunga Beach',
+      'more.title': '{dest} — Mambo Muhimu',
+      'more.season': 'Wakati mzuri wa kutembelea: {from} hadi {to}.',
+      'more.allYear': 'Pazuri kutembelea mwaka mzima.',
+      'more.transport': 'Usafiri unaofika: {modes}.',
+      'more.none': '<p>Maelezo zaidi yanakuja hivi karibuni.</p>',
+      'filter.label': 'Tafuta kivutio',
+      'filter.search': 'Tafuta vivutio',
+      'filter.type': 'Aina ya safari',
+      'filter.budget': 'Bajeti',
+      'filter.transport': 'Usafiri',
+      'filter.month': 'Mwezi wa safari',
+      'filter.sort': 'Panga kwa',
+      'filter.clear': 'Futa',
+      'filter.anyType': 'Aina yoyote',
+      'filter.anyBudget': 'Bajeti yoyote',
+      'filter.anyTransport': 'Usafiri wowote',
+      'filter.anyMonth': 'Mwezi wowote',
+      'filter.budget.low': 'Chini ya {max}',
+      'filter.budget.mid': '{min} – {max}',
+      'filter.budget.high': '{min} na zaidi',
+      'filter.sort.relevance': 'Inayolingana zaidi',
+      'filter.sort.name': 'Jina (A–Z)',
+      'filter.sort.price': 'Bei ya chini kwanza',
+      'filter.count.one': 'Kivutio {count}',
+      'filter.count.other': 'Vivutio {count}',
+      'filter.none': 'Hakuna kivutio kinacholingana na utafutaji wako. Jaribu kuondoa kichujio.',
+      'experience.safari': 'Safari',
+      'experience.beach': 'Ufukwe',
+      'experience.mountain': 'Mlima',
+      'experience.culture': 'Utamaduni',
+      'modal.close': 'Funga',
+      'pkg.heading': 'Vifurushi Maalum',
+      'pkg.from': 'Kuanzia',
+      'pkg.book': 'Weka Kifurushi',
+      'pkg.prev': 'Kifurushi kilichotangulia',
+      'pkg.next': 'Kifurushi kinachofuata',
+      'pkg.mara.title': 'Safari ya Siku 3 Maasai Mara',
+      'pkg.mara.1': 'Kutazama wanyama kila siku',
+      'pkg.mara.2': 'Milo yote imejumuishwa',
+      'pkg.mara.3': 'Usafiri kutoka uwanja wa ndege',
+      'pkg.diani.title': 'Mapumziko ya Pwani — Usiku 5 Diani',
+      'pkg.diani.1': 'Hoteli ya ufukweni',
+      'pkg.diani.2': 'Siku ya kuogelea na kutazama matumbawe',
+      'pkg.diani.3': 'Kifungua kinywa kimejumuishwa',
+      'pkg.mount.title': 'Kupanda Mlima Kenya — Siku 4',
+      'pkg.mount.1': 'Matembezi yenye mwongozaji',
+      'pkg.mount.2': 'Kupiga kambi au kulala loji',
+      'pkg.mount.3': 'Waongozaji wenyeji wenye uzoefu',
+      'pkg.nakuru.title': 'Matukio ya Ziwa Nakuru — Siku 2',
+      'pkg.nakuru.1': 'Ziara ya heroe na kutazama ndege',
+      'pkg.nakuru.2': 'Kiingilio cha mbuga na safari yenye mwongozaji',
+      'pkg.nakuru.3': 'Malazi ya loji na milo',
+      'pkg.lamu.title': 'Mapumziko Kisiwani Lamu — Usiku 4',
+      'pkg.lamu.1': 'Ziara ya matembezi mjini wa kale',
+      'pkg.lamu.2': 'Safari ya jahazi wakati wa machweo',
+      'pkg.lamu.3': 'Nyumba ya ufukweni na kifungua kinywa',
+      'pkg.kisumu.title': 'Mapumziko Jijini Kisumu — Siku 2',
+      'pkg.kisumu.1': 'Safari ya mashua Ziwa Victoria',
+      'pkg.kisumu.2': 'Tembelea Hifadhi ya Impala ya Kisumu',
+      'pkg.kisumu.3': 'Malazi ya hoteli na milo',
+      'pkg.perPerson': 'kwa mtu',
+      'pkg.facts.one': 'Usiku {count} · {dest} · kwa {transport} · wasafiri {min}–{max}',
+      'pkg.facts.other': 'Usiku {count} · {dest} · kwa {transport} · wasafiri {min}–{max}',
+      'pkg.nextDeparture': 'Safari inayofuata: {date}',
+      'test.heading': 'Wasafiri Walioridhika',
+      'test.mary': '“Easy Coach ilifanya safari yetu ya barabarani iwe rahisi. Viti vya starehe na mandhari nzuri.”',
+      'test.tom': '“SGR ilikuwa tulivu na ya haraka — bora kwa siku ya safari yenye tija.”',
+      'test.aisha': '“Kusafiri kwa ndege kulituokolea saa nyingi na wahudumu walikuwa wakarimu. Tunapendekeza sana.”',
+
+      'sub.title': 'Pata vidokezo vya wenyeji na ofa za mara kwa mara',
+      'sub.body': 'Jisajili nasi tutakutumia mwongozo mfupi wa usafiri Kenya — bila barua taka.',
+      'sub.button': 'Jisajili',
+      'sub.done': 'Asante! Mwongozo wako wa safari unakuja.',
+      'sub.duplicate': 'Tayari umejisajili — asante!',
+      'sub.invalidEmail': 'Tafadhali weka barua pepe sahihi.',
+      'footer.tagline': 'Safari za Kenya, wataalamu wa wenyeji, bei za haki.',
+      'footer.cta': 'Weka Nafasi Sasa — Safari Yako Inakusubiri',
+      'footer.whyUs': 'Kwa nini utuchague?',
+      'footer.secure': 'Malipo salama',
+      'footer.guides': 'Waongozaji wenyeji',
+      'footer.rating': 'Wastani 4.9 ★',
+      'footer.quickLinks': 'Viungo vya Haraka',
+      'footer.book': 'Weka Nafasi',
+      'footer.packages': 'Vifurushi',
+      'footer.explore': 'Gundua',
+      'footer.about': 'Kuhusu Sisi',
+      'footer.faq': 'Maswali',
+      'footer.careers': 'Ajira',
+      'footer.support': 'Mawasiliano na Msaada',
+      'footer.hours': 'Saa za ofisi: Jumatatu–Jumamosi, 08:00–18:00',
+      'footer.viewMap': 'Ona ofisi kwenye ramani',
+      'footer.phone': 'Nambari yako ya simu',
+      'footer.callback': 'Omba Tukupigie',
+      'footer.guideTitle': 'Mwongozo wa Safari na Ofa',
+      'footer.guideBody': 'Jisajili upate vidokezo vya wenyeji na punguzo za mara kwa mara — mwongozo wa bure umejumuishwa.',
+      'footer.rights': '© 2025 Harmony Travels — Haki zote zimehifadhiwa',
+      'footer.privacy': 'Faragha',
+      'footer.terms': 'Masharti',
+      'footer.backToTop': 'Rudi juu',
+      'callback.invalid': 'Tafadhali weka nambari sahihi ya simu.',
+      'callback.sent': 'Ombi limetumwa! Wakala wetu atakupigia hivi punde.',
+      'callback.duplicate': 'Tayari tumepokea ombi lako — wakala atakupigia hivi punde.',
+      'lead.sending': 'Inatuma…',
+      'lead.err.network': 'Hatukuweza kufikia seva yetu. Angalia muunganisho wako ujaribu tena.',
+      'lead.err.server': 'Hitilafu imetokea upande wetu. Tafadhali jaribu tena.',
+      'lead.err.rate.one': 'Majaribio mengi mno. Tafadhali jaribu tena baada ya dakika {count}.',
+      'lead.err.rate.other': 'Majaribio mengi mno. Tafadhali jaribu tena baada ya dakika {count}.',
+      'news.title': 'Pata Mwongozo wa Safari Kenya na Ofa Ndogo',
+      'news.body': 'Jisajili upate vidokezo vya wenyeji na ofa za mara kwa mara.',
+      'news.button': 'Pata Mwongozo',
+
+      'book.title': 'Harmony Travels — Weka Nafasi ya Safari',
+      'book.sub': 'Chagua unakoenda, chagua safari yako, lipa kwa M-Pesa au kadi na upate tiketi unayoweza kupakua.',
+      'book.passengers': 'Abiria',
+      'book.addPassenger': 'Ongeza abiria',
+      'book.phone': 'Simu',
+      'book.email': 'Barua pepe',
+      'book.transport': 'Usafiri',
+      'book.provider': 'Kampuni',
+      'book.class': 'Daraja / Aina',
+      'book.origin': 'Unakotoka',
+      'book.destination': 'Unakoenda',
+      'book.chooseDestination': 'Chagua unakoenda',
+      'book.travelDate': 'Tarehe ya Safari',
+      'book.departure': 'Kuondoka',
+      'book.tripType': 'Aina ya safari',
+      'book.oneway': 'Kwenda tu',
+      'book.return': 'Kwenda na kurudi',
+      'book.multi': 'Safari ya awamu nyingi',
+      'book.addLeg': 'Ongeza awamu',
+      'book.seats': 'Viti (awamu ya 1)',
+      'book.price': 'Bei',
+      'book.fareBreakdown': 'Mchanganuo wa nauli',
+      'currency.label': 'Sarafu',
+      'currency.note': 'Kiasi kwa {code} kwa kiwango cha 1 {code} = {rate} (viwango vya {asOf}); malipo hufanywa kwa KES.',
+      'book.continue': 'Endelea Kulipa',
+      'book.reset': 'Futa',
+      'book.preview': 'Hakiki ya Tiketi',
+      'book.downloadPdf': 'Pakua PDF',
+      'book.downloadPng': 'Pakua PNG',
+      'book.print': 'Chapisha',
+      'book.copyId': 'Nakili Nambari ya Nafasi',
+      'wiz.progress': 'Hatua za kuweka nafasi',
+      'wiz.destination': 'Unakoenda',
+      'wiz.trip': 'Tarehe na usafiri',
+      'wiz.passengers': 'Abiria',
+      'wiz.extras': 'Ziada',
+      'wiz.review': 'Hakiki',
+      'wiz.ticket': 'Tiketi',
+      'wiz.whereTo': 'Unaenda wapi?',
+      'wiz.reviewTitle': 'Hakiki safari yako',
+      'wiz.back': 'Rudi',
+      'wiz.next': 'Endelea',
+      'wiz.startOver': 'Anza upya',
+      'wiz.newBooking': 'Weka nafasi ya safari nyingine',
+      'wiz.draftRestored': 'Karibu tena — tumehifadhi nafasi uliyokuwa hujamaliza.',
+      'wiz.err.destination': 'Chagua unakoenda.',
+      'wiz.err.names': 'Weka jina la kila abiria.',
+      'wiz.err.contact': 'Weka nambari ya simu na barua pepe sahihi.',
+      'wiz.err.pay': 'Lipa ili upate tiketi yako.',
+      'review.trip': 'Safari',
+      'review.leg': 'Awamu ya {n}: {from} → {to} · {transport} · {provider} {cls} · {trip} · {when}',
+      'review.passengers': 'Abiria',
+      'review.contact': 'Mawasiliano',
+      'review.autoSeats': 'Vitapangwa kiotomatiki',
+      'review.stay': 'Malazi',
+      'review.package': 'Kifurushi',
+      'review.packageLine.one': '{title} · {from} → {to} (usiku {count})',
+      'review.packageLine.other': '{title} · {from} → {to} (usiku {count})',
+      'pkg.remove': 'Weka usafiri pekee',
+      'pkg.departure': 'Tarehe ya kuondoka',
+      'pkg.departureOption': '{from} → {to} · {price} kwa mtu',
+      'pkg.err.departure': 'Chagua tarehe ya kuondoka kwa kifurushi.',
+      'pkg.err.group': 'Kifurushi hiki ni cha wasafiri {min} hadi {max} (watoto wachanga hawahesabiwi).',
+      'pkg.line.adult.one': 'Mtu mzima {count} × KES {price}',
+      'pkg.line.adult.other': 'Watu wazima {count} × KES {price}',
+      'pkg.line.child.one': 'Mtoto {count} × KES {price}',
+      'pkg.line.child.other': 'Watoto {count} × KES {price}',
+      'pkg.line.infant.one': 'Mtoto mchanga {count}, bure',
+      'pkg.line.infant.other': 'Watoto wachanga {count}, bure',
+      'pkg.included': 'Imejumuishwa kwenye kifurushi',
+      'pkg.includedIn': 'Imejumuishwa kwenye kifurushi {no}',
+      'pkgVoucher.title': 'Vocha ya kifurushi',
+      'pkgVoucher.return': 'Kurudi',
+      'pkgVoucher.present': 'Onyesha vocha hii pamoja na kitambulisho chako unapoingia na kwa mwongozaji wako. Usafiri wa kifurushi uko kwenye tiketi zilizo juu.',
+      'review.stayLine.one': '{property} · {room} × {rooms} · {meals} · {from} → {to} (usiku {count})',
+      'review.stayLine.other': '{property} · {room} × {rooms} · {meals} · {from} → {to} (usiku {count})',
+      'stay.title': 'Malazi',
+      'stay.add': 'Ongeza malazi unakoenda',
+      'stay.none': 'Bado hakuna malazi yaliyoorodheshwa {dest} — uliza wakala.',
+      'stay.property': 'Mahali pa kulala',
+      'stay.room': 'Aina ya chumba',
+      'stay.meals': 'Mpango wa milo',
+      'stay.checkIn': 'Kuingia',
+      'stay.checkOut': 'Kutoka',
+      'stay.roomOption': 'watu {sleeps} · {rate} kwa usiku',
+      'stay.mealOption': '{plan} (+{rate} kwa mgeni kwa usiku)',
+      'stay.summary.one': 'Usiku {count} {property}, vyumba {rooms}: {total}',
+      'stay.summary.other': 'Usiku {count} {property}, vyumba {rooms}: {total}',
+      'stay.line.room.one': '{room} × {rooms}, usiku {count} kwa KES {rate}',
+      'stay.line.room.other': '{room} × {rooms}, usiku {count} kwa KES {rate}',
+      'stay.line.BB.one': 'Kitanda na kifungua kinywa, usiku-mgeni {count}',
+      'stay.line.BB.other': 'Kitanda na kifungua kinywa, usiku-mgeni {count}',
+      'stay.line.HB.one': 'Nusu ya milo, usiku-mgeni {count}',
+      'stay.line.HB.other': 'Nusu ya milo, usiku-mgeni {count}',
+      'stay.line.FB.one': 'Milo yote, usiku-mgeni {count}',
+      'stay.line.FB.other': 'Milo yote, usiku-mgeni {count}',
+      'stay.line.childMeals': 'Milo ya watoto (-{pct}%)',
+      'stay.err.pick': 'Malazi: chagua mahali, aina ya chumba na mpango wa milo.',
+      'stay.err.dates': 'Malazi: siku ya kutoka lazima iwe baada ya siku ya kuingia.',
+      'stay.err.long': 'Malazi: weka hadi usiku {max} mtandaoni — uliza wakala kwa muda mrefu zaidi.',
+      'est.title': 'Kadiria gharama ya likizo nzima',
+      'est.lead': 'Usafiri, malazi, ada za mbuga na shughuli kwa tarehe na kundi lako, kutoka chini hadi juu.',
+      'est.start': 'Kuanzia',
+      'est.end': 'Hadi',
+      'est.residency': 'Ada za mbuga',
+      'est.resident': 'Mkazi (Kenya / Afrika Mashariki)',
+      'est.nonResident': 'Asiye mkazi',
+      'est.run': 'Kadiria',
+      'est.tier.low': 'Chini',
+      'est.tier.typical': 'Kawaida',
+      'est.tier.high': 'Juu',
+      'est.book': 'Weka nafasi hii',
+      'est.line.Bus': 'Basi kwenda na kurudi ({provider} {cls})',
+      'est.line.Train': 'Treni kwenda na kurudi ({provider} {cls})',
+      'est.line.Flight': 'Ndege kwenda na kurudi ({provider} {cls})',
+      'est.line.stay.one': '{property}, {room} × {rooms}, usiku {count}',
+      'est.line.stay.other': '{property}, {room} × {rooms}, usiku {count}',
+      'est.line.taxes': 'Kodi, ushuru na ada za usafiri na malazi',
+      'est.line.park.resident.one': 'Kiingilio cha mbuga, siku {count} (viwango vya wakazi)',
+      'est.line.park.resident.other': 'Kiingilio cha mbuga, siku {count} (viwango vya wakazi)',
+      'est.line.park.nonResident.one': 'Kiingilio cha mbuga, siku {count} (viwango vya wasio wakazi)',
+      'est.line.park.nonResident.other': 'Kiingilio cha mbuga, siku {count} (viwango vya wasio wakazi)',
+      'est.line.activities.one': 'Shughuli, siku {count}',
+      'est.line.activities.other': 'Shughuli, siku {count}',
+      'est.err.destination': 'Makadirio: chagua kivutio kingine isipokuwa {origin}.',
+      'est.err.dates': 'Makadirio: likizo lazima iishe angalau siku moja baada ya kuanza.',
+      'est.err.long': 'Makadirio: likizo za hadi usiku {max} zinaweza kukadiriwa mtandaoni.',
+      'est.err.adult': 'Makadirio: angalau mtu mzima mmoja lazima asafiri.',
+      'est.err.party': 'Makadirio: hadi wasafiri {max} — uliza wakala kwa makundi makubwa.',
+      'stayType.Hotel': 'Hoteli',
+      'stayType.Lodge': 'Loji',
+      'stayType.Camp': 'Kambi',
+      'stayType.Guesthouse': 'Nyumba ya wageni',
+      'meal.RO': 'Chumba pekee',
+      'meal.BB': 'Kitanda na kifungua kinywa',
+      'meal.HB': 'Nusu ya milo',
+      'meal.FB': 'Milo yote',
+      'voucher.title': 'Vocha ya malazi',
+      'voucher.no': 'Vocha {no}',
+      'voucher.nights.one': 'usiku {count}',
+      'voucher.nights.other': 'usiku {count}',
+      'voucher.guests.one': 'mgeni {count}',
+      'voucher.guests.other': 'wageni {count}',
+      'voucher.leadGuest': 'Mgeni mkuu',
+      'voucher.present': 'Onyesha vocha hii pamoja na kitambulisho chako unapoingia. Kuingia kuanzia saa 8 mchana, kutoka kabla ya saa 4 asubuhi.',
+      'pax.name': 'Jina kamili',
+      'pax.id': 'Kitambulisho / Pasipoti',
+      'pax.nameLabel': 'Jina la abiria {n}',
+      'pax.idLabel': 'Nambari ya kitambulisho ya abiria {n}',
+      'pax.bandLabel': 'Kundi la umri la abiria {n}',
+      'pax.residencyLabel': 'Ukazi wa abiria {n}',
+      'pax.remove': 'Ondoa abiria {n}',
+      'leg.title': 'Awamu ya {n}',
+      'leg.remove': 'Ondoa awamu ya {n}',
+      'leg.from': 'Kutoka',
+      'leg.to': 'Kwenda',
+      'leg.fare': 'Awamu ya {n}: {from} → {to} ({transport})',
+      'fare.band': '{count} × {band} @ {fare}',
+      'fare.class': 'Nauli ya daraja la {cls}',
+      'fare.route': 'Nauli ya msingi ya njia ({from} → {to})',
+      'fare.distance': 'Umbali km {km} × KES {rate}/km',
+      'fare.surcharge': 'Ada ya ziada ya kampuni ({provider})',
+      'fare.season.migration': 'Msimu wa uhamaji Mara ({pct}%)',
+      'fare.season.festive': 'Msimu wa sikukuu ({pct}%)',
+      'fare.season.offpeak': 'Msimu wa masika wa bei nafuu ({pct}%)',
+      'fare.discount.child': 'Punguzo la mtoto (2–11) (-{pct}%)',
+      'fare.discount.infant': 'Punguzo la mtoto mchanga (chini ya 2) (-{pct}%)',
+      'trips.chooseDestination': 'Chagua unakoenda',
+      'trips.none': 'Hakuna safari siku hii',
+      'trips.pickDate': 'Chagua tarehe kwanza',
+      'trips.estimated': '(makadirio)',
+      'trips.left': 'vimebaki {count}',
+      'trips.soldOut': 'vimejaa',
+      'avail.soldOut': 'Viti vya {cls} vimejaa.',
+      'avail.left.one': 'Kimebaki kiti {count} cha {cls}.',
+      'avail.left.other': 'Vimebaki viti {count} vya {cls}.',
+      'avail.low.one': 'Kimebaki kiti {count} tu cha {cls} — hakitoshi abiria {seated}.',
+      'avail.low.other': 'Vimebaki viti {count} tu vya {cls} — havitoshi abiria {seated}.',
+      'avail.switch': 'Badili hadi {trip}, {when} (vimebaki {left})',
+      'avail.none': 'Hakuna safari nyingine yenye viti vya kutosha wiki hii.',
+      'seats.selected': 'Umechagua {seats} ({count} kati ya {max})',
+      'seats.pick.one': 'Chagua hadi kiti {count} au acha wazi upangiwe kiotomatiki.',
+      'seats.pick.other': 'Chagua hadi viti {count} au acha wazi upangiwe kiotomatiki.',
+      'err.adult': 'Angalau mtu mzima mmoja lazima asafiri na kundi.',
+      'err.idMissing': 'Tafadhali weka nambari ya kitambulisho au pasipoti ya {name}.',
+      'err.seats.one': 'Awamu ya {n}: kimebaki kiti {count} tu cha {cls} kwa {provider} saa {when}.',
+      'err.seats.other': 'Awamu ya {n}: vimebaki viti {count} tu vya {cls} kwa {provider} saa {when}.',
+      'err.seatsAlt': ' Safari iliyo karibu yenye nafasi: {trip}, {when}.',
+      'toast.pending': 'Nafasi {id} imehifadhiwa ikisubiri malipo — lipa kupitia Nafasi Zangu ndani ya dakika {minutes} upate tiketi zako',
+      'toast.paid.one': 'Imelipwa — nafasi {id} imethibitishwa, tiketi iko tayari',
+      'toast.paid.other': 'Imelipwa — nafasi {id} imethibitishwa, tiketi {count} ziko tayari',
+      'toast.verifyLater': 'Tiketi zako zitakuwa halali kwa kupanda tukishakagua malipo yako; fungua Nafasi Zangu wakati huo uzipate.',
+      'toast.pointsLater.one': 'Utapata pointi {count} ya uaminifu tukishakagua malipo yako. Wanachama wapya hupata nambari yao ya uaminifu kwa barua pepe.',
+      'toast.pointsLater.other': 'Utapata pointi {count} za uaminifu tukishakagua malipo yako. Wanachama wapya hupata nambari yao ya uaminifu kwa barua pepe.',
+      'book.err.party': 'Nafasi moja inaweza kuwa na abiria {max} tu.',
+      'book.err.legs': 'Safari ina awamu 1 hadi {max}.',
+      'book.err.trip': 'Awamu ya {n}: chagua safari kutoka kwenye ratiba.',
+      'book.err.departed': 'Awamu ya {n}: safari hiyo imeshaondoka.',
+      'book.err.fare': 'Awamu ya {n}: daraja hili haliuzwi kwenye njia hii.',
+      'book.err.packageTrip': 'Safari ya kifurushi inaondoka {from} na kurudi {to}.',
+      'book.err.soldOut.one': 'Awamu ya {n}: kimebaki kiti {count} tu cha {cls} kwa {provider}.',
+      'book.err.soldOut.other': 'Awamu ya {n}: vimebaki viti {count} tu vya {cls} kwa {provider}.',
+      'book.err.seatTaken': 'Viti {seats} vimechukuliwa sasa hivi. Chagua viti vingine.',
+      'book.err.rate': 'Nafasi nyingi mno kutoka muunganisho huu. Tafadhali jaribu tena baada ya dakika chache.',
+      'book.err.server': 'Hatukuweza kutoa nafasi yako sasa hivi. Tafadhali jaribu tena.',
+      'book.err.holdExpired': 'Nafasi hii haikulipiwa ndani ya dakika {minutes} na viti vyake vimeachiliwa. Tafadhali weka nafasi upya.',
+      'review.quoting': 'Tunahakiki bei…',
+      'review.total': 'Jumla ya kulipa, pamoja na kodi: {total}',
+      'review.totalOffline': 'Huko nje ya mtandao. Jumla ya kulipa, pamoja na kodi: {total}. Nafasi itatolewa na kuhifadhiwa kwenye kifaa hiki.',
+      'review.totalDiscount': 'Jumla ya kulipa, pamoja na kodi: {total} — unaokoa {discount}',
+
+      'promo.code': 'Msimbo wa punguzo',
+      'promo.line.percent': 'Msimbo wa punguzo {code} (-{pct}%)',
+      'promo.line.fixed': 'Msimbo wa punguzo {code}',
+      'promo.line.points.one': 'Pointi za uaminifu (pointi {count})',
+      'promo.line.points.other': 'Pointi za uaminifu (pointi {count})',
+      'promo.err.unknown': 'Hatutambui msimbo wa punguzo {code}. Hakiki tahajia.',
+      'promo.err.dates': 'Msimbo wa punguzo {code} unatumika kuanzia {from} hadi {to}.',
+      'promo.err.minSpend': 'Msimbo wa punguzo {code} unahitaji nafasi ya angalau KES {amount} kabla ya kodi.',
+      'promo.err.notApplicable': 'Msimbo wa punguzo {code} haugusi chochote katika nafasi hii.',
+      'promo.err.used': 'Msimbo wa punguzo {code} umekwisha tumika wote.',
+      'promo.err.usedByYou.one': 'Msimbo wa punguzo {code} unatumika mara moja kwa kila mteja, na barua pepe hii imeshautumia.',
+      'promo.err.usedByYou.other': 'Msimbo wa punguzo {code} unatumika mara {count} kwa kila mteja, na barua pepe hii imeshazitumia.',
+      'promo.err.offline': 'Misimbo ya punguzo na pointi za uaminifu zinahitaji mtandao. Ziondoe ili kuhifadhi nje ya mtandao, au jaribu tena ukirudi mtandaoni.',
+      'loyalty.number': 'Nambari ya uaminifu',
+      'loyalty.points': 'Pointi za kutumia',
+      'loyalty.balance.one': 'Una pointi {count}; hadi {max} zinaweza kutumika kwenye nafasi hii.',
+      'loyalty.balance.other': 'Una pointi {count}; hadi {max} zinaweza kutumika kwenye nafasi hii.',
+      'loyalty.unknown': 'Nambari hiyo ya uaminifu hailingani na barua pepe ya mawasiliano.',
+      'loyalty.err.account': 'Weka nambari ya uaminifu ya barua pepe ya mawasiliano ili kutumia pointi.',
+      'loyalty.err.balance.one': 'Una pointi {count} tu.',
+      'loyalty.err.balance.other': 'Una pointi {count} tu.',
+      'loyalty.err.min': 'Tumia angalau pointi {count} kwa wakati mmoja.',
+      'loyalty.err.max': 'Hadi pointi {count} zinaweza kutumika kwenye nafasi hii.',
+
+      'itin.choose': 'Awamu ya {n}: chagua usafiri, kampuni na daraja.',
+      'itin.notSold': 'Awamu ya {n}: {provider} haiuzi tiketi za {transport} za daraja la {cls}.',
+      'itin.route': 'Awamu ya {n}: chagua inakoanzia na inakoishia.',
+      'itin.same': 'Awamu ya {n}: unakotoka na unakoenda ni pamoja.',
+      'itin.departure': 'Awamu ya {n}: chagua safari ya kuondoka.',
+      'itin.arrival': 'Awamu ya {n}: kufika ni kabla ya kuondoka.',
+      'itin.chain': 'Awamu ya {n}: inaanzia {origin} lakini awamu ya {prev} inaishia {destination}.',
+      'itin.order': 'Awamu ya {n}: lazima iondoke baada ya awamu ya {prev} kufika.',
+
+      'seat.unavailable': 'Kuchagua kiti hakupatikani kwa kampuni hii.',
+      'seat.map': 'Ramani ya viti ya {provider}',
+      'seat.label': 'Kiti {id}, {state}',
+      'seat.taken': 'kimechukuliwa',
+      'seat.available': 'kipo wazi',
+      'seat.classOnly': '{cls} pekee',
+      'seat.free': 'Wazi',
+      'seat.selected': 'Umechagua',
+      'seat.takenKey': 'Kimechukuliwa',
+
+      'pay.title': 'Malipo',
+      'pay.method': 'Njia ya malipo',
+      'pay.reference': 'Nafasi {ref} — tiketi hutolewa malipo yakipokelewa.',
+      'pay.later': 'Lipa baadaye',
+      'pay.pay': 'Lipa {amount}',
+      'pay.received': 'Malipo yamepokelewa — {method} kumb. {id}',
+      'mpesa.phone': 'Nambari ya simu ya M-Pesa',
+      'mpesa.hint': 'Utapokea ombi kwenye simu yako la kuweka PIN ya M-Pesa.',
+      'mpesa.invalid': 'Weka nambari ya Safaricom kama 0712 345 678.',
+      'mpesa.sending': 'Inatuma ombi la malipo kwa {msisdn}…',
+      'mpesa.check': 'Angalia simu yako na uweke PIN ya M-Pesa.',
+      'mpesa.phoneLabel': 'Ombi la simu la majaribio',
+      'mpesa.prompt': 'Lipa {amount} kwa HARMONY TRAVELS, akaunti {ref}?',
+      'mpesa.pin': 'Weka PIN ya M-PESA',
+      'mpesa.cancel': 'Ghairi',
+      'mpesa.send': 'Tuma',
+      'mpesa.expires': 'Ombi linaisha baada ya sekunde {left}',
+      'mpesa.timeout': 'Muda wa ombi la M-Pesa umeisha. Hakuna pesa iliyotolewa — jaribu tena.',
+      'mpesa.cancelled': 'Ombi lilighairiwa kwenye simu.',
+      'mpesa.pinDigits': 'PIN lazima iwe na tarakimu 4.',
+      'mpesa.insufficient': 'M-Pesa imekataa malipo: salio halitoshi.',
+      'card.label': 'Kadi',
+      'card.name': 'Jina kwenye kadi',
+      'card.number': 'Nambari ya kadi',
+      'card.expiry': 'Mwisho wa matumizi (MM/YY)',
+      'card.cvc': 'CVC',
+      'card.nameMissing': 'Weka jina lililo kwenye kadi.',
+      'card.numberInvalid': 'Nambari ya kadi si sahihi.',
+      'card.expiryInvalid': 'Kadi imeisha muda au tarehe ya mwisho si sahihi.',
+      'card.cvcInvalid': 'CVC lazima iwe na tarakimu 3 au 4.',
+      'card.authorising': 'Inaidhinisha kadi…',
+      'card.declined': 'Benki imekataa kadi yako.',
+
+      'ticket.stub': 'Kipande cha tiketi',
+      'ticket.booking': 'Nafasi',
+      'ticket.passenger': 'Abiria',
+      'ticket.passengerOf': 'Abiria {i} kati ya {n}',
+      'ticket.passengerName': 'Jina la Abiria',
+      'ticket.id': 'Kitambulisho {id}',
+      'ticket.contact': 'Mawasiliano',
+      'ticket.route': 'Njia',
+      'ticket.origin': 'Unakotoka',
+      'ticket.destination': 'Unakoenda',
+      'ticket.distance': 'Umbali',
+      'ticket.trip': 'Safari',
+      'ticket.legOf': 'Awamu {i} kati ya {n}',
+      'ticket.provider': 'Kampuni',
+      'ticket.transport': 'Usafiri',
+      'ticket.classSeat': 'Daraja / Kiti',
+      'ticket.seat': 'Kiti {seat}',
+      'ticket.onLap': 'Mapajani',
+      'ticket.status': 'Hali',
+      'ticket.depart': 'Kuondoka',
+      'ticket.arrive': 'Kufika',
+      'ticket.duration': 'Muda',
+      'ticket.seatClass': 'Kiti / Daraja',
+      'ticket.price': 'Bei',
+      'ticket.fare': 'Nauli',
+      'ticket.priceBreakdown': 'Mchanganuo wa bei',
+      'ticket.taxes': 'Kodi',
+      'ticket.total': 'Jumla (pamoja na kodi)',
+      'ticket.groupTotal.one': 'Jumla ya kundi (abiria {count})',
+      'ticket.groupTotal.other': 'Jumla ya kundi (abiria {count})',
+      'ticket.tripTotal.one': 'Jumla ya safari (abiria {count}, awamu {legs})',
+      'ticket.tripTotal.other': 'Jumla ya safari (abiria {count}, awamu {legs})',
+      'ticket.bookingTotal.one': 'Jumla ya nafasi (abiria {count}, pamoja na malazi)',
+      'ticket.bookingTotal.other': 'Jumla ya nafasi (abiria {count}, pamoja na malazi)',
+      'ticket.packageTotal.one': 'Jumla ya kifurushi (abiria {count})',
+      'ticket.packageTotal.other': 'Jumla ya kifurushi (abiria {count})',
+      'ticket.notes': 'Maelezo:',
+      'ticket.defaultNotes': 'Tafadhali beba kitambulisho chako na ufike kwa wakati. Kanuni za mizigo zinatumika.',
+      'ticket.openMap': 'Fungua njia kwenye Google Maps',
+      'ticket.issued': 'Imetolewa na Harmony Travels',
+      'ticket.paidBy': 'Imelipwa kwa {method} (risiti {receipt})',
+      'ticket.ref': 'Kumb: {ref}',
+      'ticket.ticketNo': 'Tiketi {no}',
+      'ticket.tba': 'Itatangazwa',
+      'ticket.itinerary': 'Ratiba ya safari',
+      'ticket.returnTrip': 'Safari ya kwenda na kurudi',
+      'ticket.multiTrip': 'Safari ya awamu nyingi',
+      'ticket.legRoute': 'Awamu ya {n}: {from} → {to}',
+      'ticket.summaryTotal.one': 'Jumla ya safari (abiria {count}, pamoja na kodi)',
+      'ticket.summaryTotal.other': 'Jumla ya safari (abiria {count}, pamoja na kodi)',
+      'ticket.voidRefunded': 'BATILI — PESA IMEREJESHWA',
+      'ticket.voidCancelled': 'BATILI — IMEGHAIRIWA',
+      'ticket.unpaid': 'HAIJALIPWA — SI HALALI',
+      'ticket.pngDone': 'PNG imepakuliwa',
+      'ticket.pdfDone': 'PDF imepakuliwa',
+      'ticket.pngFailed': 'Imeshindwa kutengeneza PNG.',
+      'ticket.pdfFailed': 'Imeshindwa kutengeneza PDF.',
+      'ticket.popupBlocked': 'Dirisha ibukizi limezuiwa',
+      'ticket.noId': 'Hakuna nambari ya nafasi',
+      'ticket.copied': 'Nambari ya nafasi imenakiliwa',
+      'ticket.copyFailed': 'Imeshindwa kunakili',
+      'time.duration': 'saa {h} dak {m}',
+
+      'transport.Bus': 'Basi',
+      'transport.Train': 'Treni',
+      'transport.Flight': 'Ndege',
+      'band.adult': 'Mtu mzima',
+      'band.child': 'Mtoto (2–11)',
+      'band.infant': 'Mtoto mchanga (chini ya 2)',
+      'residency.resident': 'Mkazi (Kenya / Afrika Mashariki)',
+      'residency.nonResident': 'Asiye mkazi',
+      'tax.TAX': 'Kodi ({pct}%)',
+      'tax.VAT': 'VAT ({pct}%)',
+      'tax.RDL': 'Ushuru wa Maendeleo ya Reli ({pct}%)',
+      'tax.TL': 'Ushuru wa utalii ({pct}%)',
+      'tax.ASC.one': 'Ada ya huduma ya uwanja wa ndege',
+      'tax.ASC.other': 'Ada ya huduma ya uwanja wa ndege × {count}',
+      'tax.ASC-NR.one': 'Ada ya huduma ya uwanja wa ndege',
+      'tax.ASC-NR.other': 'Ada ya huduma ya uwanja wa ndege × {count}',
+      'tax.FEE-BUS.one': 'Ada ya kuhifadhi',
+      'tax.FEE-BUS.other': 'Ada ya kuhifadhi × {count}',
+      'tax.FEE-RAIL.one': 'Ada ya kuhifadhi',
+      'tax.FEE-RAIL.other': 'Ada ya kuhifadhi × {count}',
+      'tax.FEE-AIR.one': 'Ada ya kuhifadhi',
+      'tax.FEE-AIR.other': 'Ada ya kuhifadhi × {count}',
+      'tax.FEE-QR.one': 'Ada ya kuhifadhi',
+      'tax.FEE-QR.other': 'Ada ya kuhifadhi × {count}',
+      'status.pending': 'Inasubiri',
+      'status.confirmed': 'Imethibitishwa',
+      'status.amended': 'Imebadilishwa',
+      'status.cancelled': 'Imeghairiwa',
+      'status.refunded': 'Pesa imerejeshwa',
+      'status.used': 'Imetumika'
+    }
+  };
+
+  function stored() {
+    try { return localStorage.getItem(STORAGE_KEY); } catch (e) { return null; }
+  }
+
+  function initial() {
+    const saved = stored();
+    if (MESSAGES[saved]) return saved;
+    return /^sw\b/i.test(navigator.language || '') ? 'sw' : 'en';
+  }
+
+  let current = initial();
+
+  const lang = () => current;
+  const locale = () => LOCALES[current];
+  const has = key => key in MESSAGES[current] || key in MESSAGES.en;
+
+  function lookup(key) {
+    if (key in MESSAGES[current]) return MESSAGES[current][key];
+    if (key in MESSAGES.en) return MESSAGES.en[key];
+    return null;
+  }
+
+  /* t(key, params) -> translated string; unknown keys come back unchanged */
+  function t(key, params = {}) {
+    let msg = null;
+    if (params.count != null) msg = lookup(`${key}.${new Intl.PluralRules(locale()).select(params.count)}`) || lookup(`${key}.other`);
+    if (msg == null) msg = lookup(key);
+    if (msg == null) return key;
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+  }
+
+  // data values (transport, age band, status) read in the customer's language, else as stored
+  const label = (group, value) => (value != null && has(`${group}.${value}`)) ? t(`${group}.${value}`) : value;
+
+  // { key, params, label } items such as FareEngine lines: catalogue text when known, else the stored label
+  const text = item => (item.key && (has(item.key) || has(`${item.key}.other`))) ? t(item.key, item.params) : item.label;
+
+  const formatMoney = n => new Intl.NumberFormat(locale(), { style: 'currency', currency: 'KES', maximumFractionDigits: 0 }).format(n);
+  // trips run on Nairobi time, so dates and times read the same on every device
+  const TIME_ZONE = 'Africa/Nairobi';
+  const formatDate = (iso, opts) => new Date(iso).toLocaleString(locale(), Object.assign({ timeZone: TIME_ZONE }, opts));
+  const formatTime = iso => new Date(iso).toLocaleTimeString(locale(), { hour: '2-digit', minute: '2-digit', timeZone: TIME_ZONE });
+  const formatDuration = mins => t('time.duration', { h: Math.floor(mins / 60), m: mins % 60 });
+
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder)));
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)));
+    root.querySelectorAll('[data-i18n-title]').forEach(el => el.setAttribute('title', t(el.dataset.i18nTitle)));
+    root.querySelectorAll('[data-i18n-money]').forEach(el => { el.textContent = formatMoney(Number(el.dataset.i18nMoney)); });
+  }
+
+  function setLang(next) {
+    if (!MESSAGES[next] || next === current) return;
+    current = next;
+    try { localStorage.setItem(STORAGE_KEY, next); } catch (e) { /* ignore storage errors */ }
+    document.documentElement.lang = next;
+    apply();
+    document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang: next } }));
+  }
+
+  const onChange = fn => document.addEventListener('i18n:change', fn);
+
+  // keeps a <select> of language codes in step with the current language
+  function bindSelect(select) {
+    if (!select) return;
+    select.value = current;
+    select.addEventListener('change', () => setLang(select.value));
+    onChange(() => { select.value = current; });
+  }
+
+  document.documentElement.lang = current;
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => apply());
+  else apply();
+
+  return { MESSAGES, t, has, label, text, lang, locale, setLang, onChange, apply, bindSelect, formatMoney, formatDate, formatTime, formatDuration };
+})();
@@ -0,0 +1,174 @@
+const $ = (sel, root = document) => root.querySelector(sel);
+const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+/* ---------- Callback inbox: agents work callback requests ----------
+   Lists the callback requests left on the landing page (server.js) and lets
+   an agent move each one through new → called → converted / lost, with a
+   note. Every change is kept in the request's history with the agent's name.
+   The agent key stays in sessionStorage, so closing the tab signs out.
+*/
+document.addEventListener('DOMContentLoaded', () => {
+  const signInForm = document.getElementById('signInForm');
+  const tokenEl = document.getElementById('agentToken');
+  const agentEl = document.getElementById('agentName');
+  const signInMsg = document.getElementById('signInMsg');
+  const inboxEl = document.getElementById('inbox');
+  const filterEl = document.getElementById('statusFilter');
+  const refreshBtn = document.getElementById('refreshBtn');
+  const signOutBtn = document.getElementById('signOutBtn');
+  const countEl = document.getElementById('inboxCount');
+  const subscriberEl = document.getElementById('subscriberCount');
+  const msgEl = document.getElementById('inboxMsg');
+  const listEl = document.getElementById('callbackList');
+
+  const TOKEN_KEY = 'ht_agent_token';
+  const REFRESH_MS = 60 * 1000;
+
+  const STATUS_LABELS = { new: 'New', called: 'Called', converted: 'Converted', lost: 'Lost' };
+  const statusLabel = s => STATUS_LABELS[s] || s;
+
+  let token = '';
+  let callbacks = [];
+  let timer = null;
+
+  try { token = sessionStorage.getItem(TOKEN_KEY) || ''; } catch (e) {}
+  try { agentEl.value = localStorage.getItem('ht_agent_name') || ''; } catch (e) {}
+  const agent = () => agentEl.value.trim() || 'agent';
+
+  const fmtDate = iso => iso ? new Date(iso).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+
+  // customer-typed values go into innerHTML templates
+  const esc = value => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  function toast(msg) {
+    const t = document.getElementById('toast');
+    t.textContent = msg; t.classList.add('show');
+    clearTimeout(t._timer); t._timer = setTimeout(() => t.classList.remove('show'), 1800);
+  }
+
+  function problem(err) {
+    if (err.status === 0) return 'Cannot reach the server. Is server.js running?';
+    if (err.code === 'rate_limited') return 'Too many requests — wait a moment and refresh.';
+    return `The server answered with an error (${err.code}).`;
+  }
+
+  function showSignIn(message) {
+    token = '';
+    try { sessionStorage.removeItem(TOKEN_KEY); } catch (e) {}
+    clearInterval(timer);
+    inboxEl.hidden = true;
+    signInForm.hidden = false;
+    signInMsg.textContent = message || '';
+    tokenEl.focus();
+  }
+
+  function showInbox() {
+    signInForm.hidden = true;
+    inboxEl.hidden = false;
+    clearInterval(timer);
+    timer = setInterval(() => { if (!document.hidden) load(); }, REFRESH_MS);
+  }
+
+  /* ---------- Loading ---------- */
+  async function load() {
+    const status = filterEl.value;
+    try {
+      const [reply, subs] = await Promise.all([
+        Api.get(`/api/callbacks${status ? `?status=${encodeURIComponent(status)}` : ''}`, { token }),
+        Api.get('/api/subscriptions', { token })
+      ]);
+      callbacks = reply.callbacks;
+      msgEl.textContent = '';
+      renderFilter(reply.statuses, reply.counts);
+      render();
+      subscriberEl.textContent = `${subs.subscriptions.length} newsletter subscriber${subs.subscriptions.length === 1 ? '' : 's'}`;
+      return true;
+    } catch (err) {
+      if (err.code === 'unauthorized') { showSignIn('That agent key was not accepted.'); return false; }
+      (inboxEl.hidden ? signInMsg : msgEl).textContent = problem(err);
+      return false;
+    }
+  }
+
+  function renderFilter(statuses, counts) {
+    const selected = filterEl.value;
+    const total = statuses.reduce((sum, s) => sum + counts[s], 0);
+    filterEl.innerHTML = `<option value="">All requests (${total})</option>`
+      + statuses.map(s => `<option value="${s}">${statusLabel(s)} (${counts[s]})</option>`).join('');
+    filterEl.value = selected;
+  }
+
+  /* ---------- Rendering ---------- */
+  function render() {
+    countEl.textContent = `${callbacks.length} request${callbacks.length === 1 ? '' : 's'} shown`;
+    if (!callbacks.length) {
+      listEl.innerHTML = '<li class="small-muted">No callback requests here.</li>';
+      return;
+    }
+    listEl.innerHTML = callbacks.map(c => `
+      <li class="booking-item callback-item" data-id="${esc(c.id)}">
+        <div>
+          <div><a href="tel:${esc(c.phone)}"><strong>${esc(c.phone)}</strong></a>${c.name ? ` — ${esc(c.name)}` : ''}
+            <span class="callback-status is-${esc(c.status)}">${statusLabel(c.status)}</span></div>
+          <div class="small-muted">Asked ${fmtDate(c.lastRequestedAt)}${c.requests > 1 ? ` · ${c.requests} times since ${fmtDate(c.createdAt)}` : ''}
+            · ${c.lang === 'sw' ? 'Swahili' : 'English'}${c.page ? ` · from ${esc(c.page)}` : ''}</div>
+          <details>
+            <summary class="small-muted">History (${c.history.length})</summary>
+            <ul class="status-history">${c.history.slice().reverse().map(h => `
+              <li>${fmtDate(h.at)} — ${h.from ? `${statusLabel(h.from)} → ` : ''}${statusLabel(h.to)}${h.agent ? ` by ${esc(h.agent)}${h.selfDeclared ? ' (name not verified)' : ''}` : ''}${h.note ? `<br><span class="small-muted">${esc(h.note)}</span>` : ''}</li>`).join('')}
+            </ul>
+          </details>
+        </div>
+        <form class="callback-update">
+          <select name="status" aria-label="Status">
+            ${Object.keys(STATUS_LABELS).map(s => `<option value="${s}"${s === c.status ? ' selected' : ''}>${statusLabel(s)}</option>`).join('')}
+          </select>
+          <input name="note" type="text" placeholder="Note (e.g. wants Mara in July)" aria-label="Note" maxlength="500" />
+          <button type="submit" class="btn small">Save</button>
+        </form>
+      </li>`).join('');
+  }
+
+  async function update(form) {
+    const item = form.closest('.callback-item');
+    const status = form.elements.status.value;
+    const note = form.elements.note.value.trim();
+    const btn = $('button[type="submit"]', form);
+    const current = callbacks.find(c => c.id === item.dataset.id);
+    if (current && status === current.status && !note) { toast('Change the status or add a note.'); return; }
+    btn.disabled = true;
+    try {
+      await Api.patch(`/api/callbacks/${encodeURIComponent(item.dataset.id)}`, { status, note, agent: agent() }, { token });
+      toast(current && status === current.status ? 'Note saved' : `Marked ${statusLabel(status).toLowerCase()}`);
+      await load();
+    } catch (err) {
+      if (err.code === 'unauthorized') return showSignIn('Your session has ended. Sign in again.');
+      toast(err.code === 'not_found' ? 'That request no longer exists.' : problem(err));
+      btn.disabled = false;
+    }
+  }
+
+  /* ---------- Events ---------- */
+  signInForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    token = tokenEl.value.trim();
+    try { localStorage.setItem('ht_agent_name', agentEl.value.trim()); } catch (err) {}
+    if (!(await load())) return;
+    try { sessionStorage.setItem(TOKEN_KEY, token); } catch (err) {}
+    tokenEl.value = '';
+    showInbox();
+  });
+
+  filterEl.addEventListener('change', load);
+  refreshBtn.addEventListener('click', load);
+  signOutBtn.addEventListener('click', () => showSignIn('Signed out.'));
+  listEl.addEventListener('submit', (e) => {
+    if (!e.target.matches('.callback-update')) return;
+    e.preventDefault();
+    update(e.target);
+  });
+
+  if (token) load().then(ok => { if (ok) showInbox(); });
+  else showSignIn();
+});
@@ -0,0 +1,69 @@
+/* ---------- Inventory: seats left per class on each scheduled trip ----------
+   Departures come from the provider timetables (timetable.js). A departure is
+   identified by provider, route and departure time, like SeatMap.takenFrom.
+   Capacity per class comes from the provider's seat layout (seat-map.js), so
+   the seat map and stock agree.
+   Stock is derived from saved bookings: every seated ticket on the departure
+   uses one place, and cancelled or refunded bookings give theirs back, as do
+   pending ones left unpaid past their hold (BookingLifecycle.holdsStock).
+*/
+const Inventory = (function () {
+  // places per class for providers without a seat layout
+  const DEFAULT_CAPACITY = 40;
+
+  function capacity(provider, travelClass) {
+    const seats = SeatMap.seatsFor(provider, travelClass).length;
+    return seats || DEFAULT_CAPACITY;
+  }
+
+  /* sold(bookings, trip) -> places used on the departure in trip.travelClass.
+     trip is { provider, travelClass, origin, destination, departDateTime }. */
+  function sold(bookings, trip) {
+    let count = 0;
+    (bookings || []).forEach(b => {
+      if (!BookingLifecycle.holdsStock(b)) return;
+      const tickets = (Array.isArray(b.tickets) && b.tickets.length) ? b.tickets : [b];
+      tickets.forEach(t => {
+        if (t.ageBand === 'infant') return; // on a lap, no seat
+        if (t.provider !== trip.provider || t.classOrSeat !== trip.travelClass || t.departDateTime !== trip.departDateTime) return;
+        if (!t.route || t.route.origin !== trip.origin || t.route.destination !== trip.destination) return;
+        count++;
+      });
+    });
+    return count;
+  }
+
+  /* availability(bookings, trip) -> { capacity, sold, left } */
+  function availability(bookings, trip) {
+    const cap = capacity(trip.provider, trip.travelClass);
+    const used = sold(bookings, trip);
+    return { capacity: cap, sold: used, left: Math.max(0, cap - used) };
+  }
+
+  /* nearestAvailable(bookings, trip, seats, { days }) -> timetable trip plus { left } | null
+     The scheduled trip on the same route closest in time to trip.departDateTime
+     (up to `days` either side) with at least `seats` places left in the class.
+     Past departures are never offered. */
+  function nearestAvailable(bookings, trip, seats, opts = {}) {
+    const days = opts.days == null ? 7 : opts.days;
+    const wanted = new Date(trip.departDateTime);
+    if (isNaN(wanted)) return null;
+    const now = Date.now();
+    const candidates = [];
+    for (let offset = -days; offset <= days; offset++) {
+      const day = new Date(wanted.getTime() + offset * 24 * 60 * 60 * 1000);
+      Timetable.tripsOn(trip.provider, trip.origin, trip.destination, Timetable.localDate(day)).forEach(t => {
+        if (t.departDateTime === trip.departDateTime || new Date(t.departDateTime) < now) return;
+        candidates.push(t);
+      });
+    }
+    candidates.sort((a, b) => Math.abs(new Date(a.departDateTime) - wanted) - Math.abs(new Date(b.departDateTime) - wanted));
+    for (const t of candidates) {
+      const { left } = availability(bookings, Object.assign({}, trip, { departDateTime: t.departDateTime }));
+      if (left >= seats) return Object.assign({ left }, t);
+    }
+    return null;
+  }
+
+  return { capacity, sold, availability, nearestAvailable };
+})();
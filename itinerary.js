@@ -0,0 +1,75 @@
+/* ---------- Itinerary: chained legs for return and multi-leg trips ----------
+   A leg is { transport, provider, travelClass, origin, destination,
+   departDateTime, arriveDateTime, tripNo } with ISO date strings; times and
+   trip number come from the provider timetable (timetable.js). Legs are kept
+   in travel order; each must leave after the previous one arrives, and its
+   provider must sell its transport and class (FareConfig.matrix()).
+   Pricing delegates to FareEngine.quoteGroup per leg.
+*/
+const Itinerary = (function () {
+  // a leg without a known arrival is treated as arriving when it departs
+  const arrivalOf = leg => new Date(leg.arriveDateTime || leg.departDateTime);
+
+  // true when the leg's provider sells its transport and class
+  function sold(leg) {
+    const spec = FareConfig.matrix()[leg.transport];
+    return !!spec && spec.providers.includes(leg.provider) && Object.hasOwn(spec.classes, leg.travelClass);
+  }
+
+  /* validate(legs) -> array of human-readable problems (empty when valid),
+     worded in the current I18n language */
+  function validate(legs) {
+    const errors = [];
+    (legs || []).forEach((leg, i) => {
+      const n = i + 1;
+      if (!leg.transport || !leg.provider || !leg.travelClass) errors.push(I18n.t('itin.choose', { n }));
+      else if (!sold(leg)) errors.push(I18n.t('itin.notSold', { n, provider: leg.provider, transport: leg.transport, cls: leg.travelClass }));
+      if (!leg.origin || !leg.destination) errors.push(I18n.t('itin.route', { n }));
+      else if (leg.origin === leg.destination) errors.push(I18n.t('itin.same', { n }));
+      if (!leg.departDateTime || isNaN(new Date(leg.departDateTime))) {
+        errors.push(I18n.t('itin.departure', { n }));
+        return;
+      }
+      if (leg.arriveDateTime && new Date(leg.arriveDateTime) < new Date(leg.departDateTime)) {
+        errors.push(I18n.t('itin.arrival', { n }));
+      }
+      if (i > 0) {
+        const prev = legs[i - 1];
+        if (prev.destination && leg.origin && prev.destination !== leg.origin) {
+          errors.push(I18n.t('itin.chain', { n, origin: leg.origin, prev: i, destination: prev.destination }));
+        }
+        if (prev.departDateTime && new Date(leg.departDateTime) <= arrivalOf(prev)) {
+          errors.push(I18n.t('itin.order', { n, prev: i }));
+        }
+      }
+    });
+    return errors;
+  }
+
+  /* price(legs, bands) -> { legs: [quote|null], total } where each quote is a
+     FareEngine.quoteGroup result for that leg and total is the sum of group fares. */
+  function price(legs, bands) {
+    const quotes = (legs || []).map(leg => FareEngine.quoteGroup({
+      transport: leg.transport,
+      provider: leg.provider,
+      travelClass: leg.travelClass,
+      origin: leg.origin,
+      destination: leg.destination,
+      date: leg.departDateTime
+    }, bands));
+    const total = quotes.reduce((sum, q) => sum + (q ? q.groupFare : 0), 0);
+    return { legs: quotes, total };
+  }
+
+  // builds the return leg for a one-leg trip: same operator, reversed route
+  function returnLegFor(leg, departDateTime) {
+    return Object.assign({}, leg, {
+      origin: leg.destination,
+      destination: leg.origin,
+      departDateTime: departDateTime || '',
+      arriveDateTime: ''
+    });
+  }
+
+  return { validate, price, returnLegFor };
+})();
@@ -4,14 +4,20 @@
      - header shrink/pinned & auto-hide on scroll
      - mobile menu toggle that preserves aria-expanded
      - theme toggle with persistence (localStorage)
+     - language switcher (EN/SW) backed by I18n (i18n.js)
      - prefetch booking page on hover/focus to improve perceived speed
      - quick search form redirect with query params
      - IntersectionObserver reveal animations (with staggered children)
+     - destination cards and quick search options rendered from the
+       destination catalogue (destinations.js)
+     - destination search, filters and sorting (state kept in the URL)
+     - packages slider rendered from the package catalogue (packages.js)
      - packages slider controls (click + touch swipe)
      - map modals (main and footer)
      - "Learn more" inline detail modal creator
      - newsletter modal shown once per session (after 50% scroll)
-     - callback form (simulated), newsletter subscribe (simulated) + confetti
+     - lead forms: newsletter subscriptions and callback requests posted to
+       the lead API (server.js) with pending/error states, + confetti
      - footer reveal observer
      - back-to-top behaviour and accessibility helpers (Escape closes modals)
    ---------------------------------------------------------------------------
@@ -125,7 +131,7 @@ if (themeToggle) {
     document.body.classList.toggle('light');
     const isLight = document.body.classList.contains('light');
     themeToggle.innerHTML = isLight ? '<i class="fa-solid fa-sun"></i>' : '<i class="fa-solid fa-moon"></i>';
-    themeToggle.setAttribute('aria-label', isLight ? 'Switch to dark mode' : 'Switch to light mode');
+    themeToggle.setAttribute('aria-label', I18n.t(isLight ? 'theme.toDark' : 'theme.toLight'));
     try { localStorage.setItem('ht_theme_light', isLight ? '1' : '0'); } catch (e) { /* ignore storage errors */ }
   });
 }
@@ -138,16 +144,201 @@ try {
   }
 } catch (e) { /* ignore localStorage access errors on restricted browsers */ }
 
+/* ==========================================================================
+   Language switcher (footer) — EN/SW via I18n
+   - static copy is tagged with data-i18n and re-translated by I18n.setLang
+   - the choice is persisted by I18n so the booking and ticket pages follow it
+   ========================================================================== */
+I18n.bindSelect(document.getElementById('langSelect'));
+I18n.onChange(() => {
+  if (!themeToggle) return;
+  const isLight = document.body.classList.contains('light');
+  themeToggle.setAttribute('aria-label', I18n.t(isLight ? 'theme.toDark' : 'theme.toLight'));
+});
+
+/* ==========================================================================
+   Featured packages — slider cards rendered from the Packages catalogue
+   Why: prices, departures and group sizes live in packages.js, and "Book
+   Package" opens the booking wizard with the package (not just its
+   destination) chosen. Cards are redrawn on a language change, so the
+   booking page prefetch is delegated from the track.
+   ========================================================================== */
+(() => {
+  const track = document.getElementById('slider-track');
+  if (!track || typeof Packages === 'undefined') return;
+  const t = I18n.t;
+  const day = date => I18n.formatDate(`${date}T12:00:00+03:00`, { weekday: 'short', day: 'numeric', month: 'short' });
+
+  function render() {
+    track.innerHTML = Packages.CATALOGUE.map(pkg => {
+      const next = Packages.departures(pkg)[0];
+      return `
+<article class="package-card">
+  <h3>${I18n.text(pkg.title)}</h3>
+  <p class="price">${t('pkg.from')} ${I18n.formatMoney(Packages.fromPrice(pkg))} <small>${t('pkg.perPerson')}</small></p>
+  <p class="package-meta">${t('pkg.facts', { count: pkg.nights, dest: pkg.destination, transport: I18n.label('transport', pkg.transport.transport), min: pkg.minGroup, max: pkg.maxGroup })}</p>
+  <ul>${pkg.inclusions.map(item => `<li>${I18n.text(item)}</li>`).join('')}</ul>
+  ${next ? `<p class="package-meta">${t('pkg.nextDeparture', { date: day(next.date) })}</p>` : ''}
+  <a class="btn-cta" href="${UrlState.link('ticket.html', { package: pkg.id })}">${t('pkg.book')}</a>
+</article>`;
+    }).join('');
+  }
+
+  render();
+  I18n.onChange(render);
+  ['mouseover', 'focusin'].forEach(type => track.addEventListener(type, (e) => {
+    if (e.target.closest('.btn-cta')) prefetchBooking();
+  }));
+})();
+
+/* ==========================================================================
+   Destinations — quick search options and destination cards rendered from
+   the Destinations catalogue (destinations.js)
+   Why: one list feeds every destination picker on the site. Cards are drawn
+   once with data-i18n tags (I18n re-translates them), before the map, "Learn
+   more", keyboard and prefetch handlers below bind to them.
+   ========================================================================== */
+(() => {
+  Destinations.fillSelect(document.getElementById('quick-dest'));
+  const grid = document.querySelector('.dest-grid');
+  if (!grid) return;
+  const t = I18n.t;
+  grid.innerHTML = Destinations.featured().map(place => `
+<article class="dest-card scroll-reveal" data-dest="${place.name}" tabindex="0">
+  <div class="media">
+    <img loading="lazy" src="${place.images.card}" alt="${place.images.alt}">
+    <button class="map-toggle" aria-label="Open map for ${place.name}" data-map="${Destinations.mapUrl(place)}"><i class="fa-solid fa-location-dot"></i></button>
+  </div>
+  <div class="dest-body">
+    <h3>${place.name}</h3>
+    <p data-i18n="${place.blurb.key}">${I18n.text(place.blurb)}</p>
+    <div class="dest-actions">
+      <a class="btn-link" href="${UrlState.link('ticket.html', { dest: place.name })}" data-i18n="dest.bookThis">${t('dest.bookThis')}</a>
+      <button class="btn-outline more-btn" data-more="${place.slug}" data-i18n="dest.learnMore">${t('dest.learnMore')}</button>
+    </div>
+  </div>
+</article>`).join('');
+})();
+
+/* ==========================================================================
+   Destination search and filters — narrows and sorts the destination cards
+   - fuzzy text search (Destinations.matchScore) plus experience, budget,
+     transport and travel month filters; sort by best match, name or price
+   - budget uses the lowest "From" price of the packages to a destination
+   - the filter state is kept in the query string (UrlState) so a filtered
+     list can be bookmarked or shared
+   Why: cards are only reordered and hidden, so their handlers stay bound.
+   ========================================================================== */
+(() => {
+  const form = document.getElementById('dest-filters');
+  const grid = document.querySelector('.dest-grid');
+  if (!form || !grid) return;
+  const count = document.getElementById('dest-count');
+  const empty = document.getElementById('dest-empty');
+  const t = I18n.t;
+
+  const KEYS = ['q', 'type', 'budget', 'transport', 'month', 'sort'];
+  // KES per person; min inclusive, max exclusive
+  const BUDGETS = { low: { max: 15000 }, mid: { min: 15000, max: 25000 }, high: { min: 25000 } };
+  const ORDER = {
+    relevance: (a, b) => b.score - a.score || a.index - b.index,
+    name: (a, b) => a.place.name.localeCompare(b.place.name, I18n.locale()),
+    price: (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || a.index - b.index
+  };
+
+  function fromPrice(place) {
+    const prices = Packages.CATALOGUE.filter(p => p.destination === place.name).map(p => Packages.fromPrice(p));
+    return prices.length ? Math.min(...prices) : null;
+  }
+
+  const cards = $$('.dest-card', grid).map((card, index) => {
+    const place = Destinations.find(card.dataset.dest);
+    const price = fromPrice(place);
+    const priceEl = document.createElement('p');
+    priceEl.className = 'dest-price';
+    priceEl.hidden = price == null;
+    card.querySelector('.dest-body h3').after(priceEl);
+    return { card, place, price, priceEl, index };
+  });
+
+  function fillSelect(select, options) {
+    const previous = select.value;
+    select.innerHTML = '';
+    options.forEach(([value, text]) => select.appendChild(new Option(text, value)));
+    if (options.some(([value]) => value === previous)) select.value = previous;
+  }
+
+  // option labels and card prices follow the current language
+  function render() {
+    const money = I18n.formatMoney;
+    const month = m => I18n.formatDate(`2000-${String(m).padStart(2, '0')}-15T12:00:00+03:00`, { month: 'long' });
+    const modes = [...new Set(Destinations.CATALOGUE.flatMap(place => place.transport))];
+    fillSelect(form.elements.type, [['', t('filter.anyType')],
+      ...Destinations.EXPERIENCES.map(id => [id, I18n.label('experience', id)])]);
+    fillSelect(form.elements.budget, [['', t('filter.anyBudget')],
+      ...Object.entries(BUDGETS).map(([id, b]) => [id, t(`filter.budget.${id}`, { min: money(b.min || 0), max: money(b.max || 0) })])]);
+    fillSelect(form.elements.transport, [['', t('filter.anyTransport')],
+      ...modes.map(mode => [mode, I18n.label('transport', mode)])]);
+    fillSelect(form.elements.month, [['', t('filter.anyMonth')],
+      ...Array.from({ length: 12 }, (_, i) => [String(i + 1), month(i + 1)])]);
+    fillSelect(form.elements.sort, Object.keys(ORDER).map(id => [id === 'relevance' ? '' : id, t(`filter.sort.${id}`)]));
+    cards.forEach(({ price, priceEl }) => {
+      if (price != null) priceEl.textContent = `${t('pkg.from')} ${money(price)} ${t('pkg.perPerson')}`;
+    });
+  }
+
+  function readFilters() {
+    const state = {};
+    KEYS.forEach(key => { state[key] = form.elements[key].value.trim(); });
+    return state;
+  }
+
+  function passes({ place, price }, state) {
+    const budget = BUDGETS[state.budget];
+    if (state.type && !place.experiences.includes(state.type)) return false;
+    if (state.transport && !place.transport.includes(state.transport)) return false;
+    if (state.month && !Destinations.inSeason(place, Number(state.month))) return false;
+    if (budget && (price == null || price < (budget.min || 0) || (budget.max && price >= budget.max))) return false;
+    return true;
+  }
+
+  function update() {
+    const state = readFilters();
+    const ranked = cards
+      .map(entry => Object.assign(entry, { score: passes(entry, state) ? Destinations.matchScore(entry.place, state.q) : 0 }))
+      .sort(ORDER[state.sort] || ORDER.relevance);
+    ranked.forEach(entry => {
+      entry.card.hidden = !entry.score;
+      grid.appendChild(entry.card);
+    });
+    const shown = ranked.filter(entry => entry.score).length;
+    count.textContent = t('filter.count', { count: shown });
+    empty.hidden = shown > 0;
+    UrlState.write(state, KEYS);
+  }
+
+  render();
+  const linked = UrlState.read(window.location.search, KEYS);
+  if (linked.q) form.elements.q.value = linked.q;
+  KEYS.filter(key => key !== 'q').forEach(key => UrlState.pick(form.elements[key], linked[key]));
+  update();
+
+  form.addEventListener('input', update);
+  form.addEventListener('submit', (e) => e.preventDefault());
+  form.addEventListener('reset', () => setTimeout(update)); // fields are cleared after the event
+  I18n.onChange(() => { render(); update(); });
+})();
+
 /* ==========================================================================
    Prefetch booking page: on hover/focus of CTAs we add a <link rel=prefetch>
    Why: improves perceived performance by telling the browser to fetch booking
    resources when user is likely to click.
    ========================================================================== */
 function prefetchBooking() {
-  if (!document.querySelector('link[rel="prefetch"][href="/booking.html"]')) {
+  if (!document.querySelector('link[rel="prefetch"][href="/ticket.html"]')) {
     const link = document.createElement('link');
     link.rel = 'prefetch';
-    link.href = '/booking.html';
+    link.href = '/ticket.html';
     document.head.appendChild(link);
   }
 }
@@ -164,18 +355,13 @@ $$('.btn-cta, .btn-link').forEach(el => {
 const quickForm = document.getElementById('quick-search');
 quickForm && quickForm.addEventListener('submit', (e) => {
   e.preventDefault();
-  const destVal = document.getElementById('quick-dest');
-  const dest = destVal ? encodeURIComponent(destVal.value) : '';
-  const start = document.getElementById('quick-start') ? document.getElementById('quick-start').value : '';
-  const end = document.getElementById('quick-end') ? document.getElementById('quick-end').value : '';
-  let url = '/booking.html';
-  const params = new URLSearchParams();
-  if (dest) params.set('dest', dest);
-  if (start) params.set('start', start);
-  if (end) params.set('end', end);
-  if ([...params].length) url += '?' + params.toString();
-  // navigate to booking with prefilled query params
-  window.location.href = url;
+  const valueOf = id => (document.getElementById(id) ? document.getElementById(id).value : '');
+  // navigate to booking with prefilled query params (see url-state.js)
+  window.location.href = UrlState.link('/ticket.html', {
+    dest: valueOf('quick-dest'),
+    start: valueOf('quick-start'),
+    end: valueOf('quick-end')
+  });
 });
 
 /* ==========================================================================
@@ -265,24 +451,28 @@ window.addEventListener('click', (e) => {
 });
 
 /* ==========================================================================
-   "Learn more" inline detail modal — creates a small modal with content map
+   "Learn more" inline detail modal — built from the destination's catalogue
+   entry (highlights, best season, transport serving it)
    Why: avoids many hidden elements in markup; creates modal on demand.
    ========================================================================== */
+function destinationDetails(place) {
+  if (!place || !place.highlights) return I18n.t('more.none');
+  const month = m => I18n.formatDate(`2000-${String(m).padStart(2, '0')}-15T12:00:00+03:00`, { month: 'long' });
+  const season = place.bestSeason
+    ? I18n.t('more.season', { from: month(place.bestSeason.from), to: month(place.bestSeason.to) })
+    : I18n.t('more.allYear');
+  const modes = place.transport.map(m => I18n.label('transport', m)).join(', ');
+  return `<h3>${I18n.t('more.title', { dest: place.name })}</h3>
+<ul>${place.highlights.map(item => `<li>${I18n.text(item)}</li>`).join('')}</ul>
+<p>${season}</p>
+<p>${I18n.t('more.transport', { modes })}</p>`;
+}
 $$('.more-btn').forEach(btn => {
   btn.addEventListener('click', () => {
-    const key = btn.dataset.more || 'info';
-    const contentMap = {
-      maasai: `<h3>Maasai Mara — Highlights</h3><p>Perfect for safari lovers. Best time: July–Oct. Includes game drives and cultural visits.</p>`,
-      amboseli: `<h3>Amboseli — Highlights</h3><p>Famed for elephant photography with Kilimanjaro views.</p>`,
-      diani: `<h3>Diani — Highlights</h3><p>Beachfront relaxation, water sports, and coral reefs.</p>`,
-      mount: `<h3>Mount Kenya — Highlights</h3><p>Alpine hikes and scenic vistas; options for day hikes and multi-day climbs.</p>`,
-      nakuru: `<h3>Lake Nakuru — Highlights</h3><p>Flamingos, rhinos and birding paradise.</p>`,
-      lamu: `<h3>Lamu — Highlights</h3><p>Historic Swahili town with dhows and relaxed pace.</p>`
-    };
-    const html = contentMap[key] || '<p>More details coming soon.</p>';
+    const html = destinationDetails(Destinations.find(btn.dataset.more));
     const modal = document.createElement('div');
     modal.className = 'modal'; modal.setAttribute('aria-hidden','false');
-    modal.innerHTML = `<div class="modal-panel">${html}<button class="modal-close">Close</button></div>`;
+    modal.innerHTML = `<div class="modal-panel">${html}<button class="modal-close">${I18n.t('modal.close')}</button></div>`;
     document.body.appendChild(modal);
     modal.querySelector('.modal-close').addEventListener('click', ()=> modal.remove());
     modal.addEventListener('click', (ev)=> { if (ev.target === modal) modal.remove(); });
@@ -308,14 +498,6 @@ function checkNewsletter() {
 window.addEventListener('scroll', checkNewsletter);
 newsletterClose && newsletterClose.addEventListener('click', ()=> newsletterModal && newsletterModal.setAttribute('aria-hidden','true'));
 
-// optional modal subscribe inside newsletter modal (id: modalSubscribe)
-const modalSubscribe = document.getElementById('modalSubscribe');
-modalSubscribe && modalSubscribe.addEventListener('submit', (e)=> {
-  e.preventDefault();
-  alert('Thanks! (demo)');
-  newsletterModal && newsletterModal.setAttribute('aria-hidden','true');
-});
-
 /* ==========================================================================
    Global Escape key handler to close open modals (accessibility friendly)
    ========================================================================== */
@@ -333,12 +515,6 @@ document.addEventListener('keydown', (e)=> {
   }
 });
 
-/* ==========================================================================
-   Subscribe inline demo: simple feedback for footer subscription form
-   ========================================================================== */
-const subscribeInline = document.getElementById('subscribeForm');
-subscribeInline && subscribeInline.addEventListener('submit', (e)=> { e.preventDefault(); alert('Subscribed (demo).'); });
-
 /* ==========================================================================
    Keyboard accessibility: allow pressing Enter on destination card to open booking
    Why: lets keyboard-only users navigate and book quickly.
@@ -347,7 +523,7 @@ $$('.dest-card').forEach(card => {
   card.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       const dest = card.dataset.dest;
-      window.location.href = `/booking.html?dest=${encodeURIComponent(dest)}`;
+      window.location.href = UrlState.link('/ticket.html', { dest });
     }
   });
 });
@@ -370,32 +546,10 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /* ==========================================================================
-   Callback form (simulated) — basic validation & inline message
-   - validates a phone length and shows ephemeral message
-   Why: better UX than an alert; demonstrates behaviour in demo environments.
-   ========================================================================== */
-const cbForm = document.getElementById('callbackForm');
-if (cbForm) {
-  cbForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const phoneInput = cbForm.querySelector('input[name="phone"]') || cbForm.querySelector('input[type="tel"]');
-    const phone = phoneInput ? phoneInput.value.trim() : '';
-    const msgBox = cbForm.querySelector('.form-msg');
-    if (!phone || phone.length < 9) {
-      if (msgBox) { msgBox.textContent = 'Please enter a valid phone number.'; msgBox.style.color = '#ffcccb'; }
-      return;
-    }
-    if (msgBox) { msgBox.textContent = 'Request sent! Our agent will call you shortly.'; msgBox.style.color = 'var(--accent)'; }
-    setTimeout(()=> { if (msgBox) { msgBox.textContent = ''; } cbForm.reset(); }, 3500);
-  });
-}
-
-/* ==========================================================================
-   Newsletter subscribe (footer) + confetti animation (lightweight)
+   Confetti animation (lightweight) shown when someone subscribes
    - confetti implemented by adding small spans + CSS transitions
    Why: delight users on subscribe without heavy libraries.
    ========================================================================== */
-const newsletterForm = document.getElementById('newsletterForm');
 const confettiRoot = document.getElementById('confetti-root');
 
 function showConfetti() {
@@ -424,26 +578,95 @@ function showConfetti() {
   document.head.appendChild(s);
 })();
 
-if (newsletterForm) {
-  newsletterForm.addEventListener('submit', (e) => {
+/* ==========================================================================
+   Lead forms — newsletter subscriptions and callback requests
+   - each form posts to the lead API (server.js) through Api (api.js)
+   - the submit button is disabled and reads "Sending…" while pending; the
+     form's .form-msg then says sent, already received, or what went wrong
+   - new subscriptions get confetti; the modal closes after a moment
+   Why: leads used to be simulated and lost; agents now work callbacks in
+   inbox.html.
+   ========================================================================== */
+const LEAD_EMAIL = /^\S+@\S+\.\S+$/;
+
+function leadMessage(form, text, ok) {
+  const box = $('.form-msg', form);
+  if (!box) return;
+  box.textContent = text;
+  box.classList.toggle('is-error', !ok);
+}
+
+// wording for a failed post; invalidKey covers the form's own field
+function leadError(err, invalidKey) {
+  if (err.code === 'invalid') return I18n.t(invalidKey);
+  if (err.code === 'rate_limited') return I18n.t('lead.err.rate', { count: Math.max(1, Math.ceil(err.retryAfter / 60)) });
+  if (err.status === 0) return I18n.t('lead.err.network');
+  return I18n.t('lead.err.server');
+}
+
+/* leadForm(form, { field, valid, invalidKey, send, sentKey, duplicateKey, onSent })
+   send(value) posts the trimmed field value and resolves with the API reply */
+function leadForm(form, opts) {
+  if (!form) return;
+  const input = $(opts.field, form);
+  const btn = $('button[type="submit"]', form);
+  form.addEventListener('submit', async (e) => {
     e.preventDefault();
-    const emailInput = newsletterForm.querySelector('input[type="email"]');
-    const email = emailInput ? emailInput.value.trim() : '';
-    if (!/^\S+@\S+\.\S+$/.test(email)) {
-      alert('Please enter a valid email address.');
+    if (form.getAttribute('aria-busy') === 'true') return;
+    const value = input ? input.value.trim() : '';
+    if (!opts.valid(value)) {
+      leadMessage(form, I18n.t(opts.invalidKey), false);
+      input && input.focus();
       return;
     }
-    const btn = newsletterForm.querySelector('button[type="submit"]');
-    btn && (btn.disabled = true, btn.textContent = 'Thanks!');
-    showConfetti();
-    try { sessionStorage.setItem('ht_subscribed', '1'); } catch(e){}
-    setTimeout(()=> {
-      newsletterForm.reset();
-      if (btn) { btn.disabled = false; btn.textContent = 'Subscribe'; }
-    }, 1600);
+    form.setAttribute('aria-busy', 'true');
+    if (btn) { btn.disabled = true; btn.textContent = I18n.t('lead.sending'); }
+    leadMessage(form, '', true);
+    try {
+      const reply = await opts.send(value);
+      leadMessage(form, I18n.t(reply.duplicate ? opts.duplicateKey : opts.sentKey), true);
+      form.reset();
+      opts.onSent && opts.onSent(reply);
+    } catch (err) {
+      leadMessage(form, leadError(err, opts.invalidKey), false);
+    } finally {
+      form.removeAttribute('aria-busy');
+      if (btn) { btn.disabled = false; btn.textContent = I18n.t(btn.dataset.i18n); }
+    }
   });
 }
 
+function subscriptionForm(form, source, onSent) {
+  leadForm(form, {
+    field: 'input[type="email"]',
+    valid: email => LEAD_EMAIL.test(email),
+    invalidKey: 'sub.invalidEmail',
+    send: email => Api.post('/api/subscriptions', { email, source, lang: I18n.lang() }),
+    sentKey: 'sub.done',
+    duplicateKey: 'sub.duplicate',
+    onSent: reply => {
+      try { sessionStorage.setItem('ht_subscribed', '1'); } catch(e){}
+      if (!reply.duplicate) showConfetti();
+      onSent && onSent(reply);
+    }
+  });
+}
+
+subscriptionForm(document.getElementById('subscribeForm'), 'inline');
+subscriptionForm(document.getElementById('newsletterForm'), 'footer');
+subscriptionForm(document.getElementById('modalSubscribe'), 'modal', () => {
+  setTimeout(() => newsletterModal && newsletterModal.setAttribute('aria-hidden','true'), 1600);
+});
+
+leadForm(document.getElementById('callbackForm'), {
+  field: 'input[name="phone"]',
+  valid: phone => phone.replace(/\D/g, '').length >= 9,
+  invalidKey: 'callback.invalid',
+  send: phone => Api.post('/api/callbacks', { phone, page: location.pathname, lang: I18n.lang() }),
+  sentKey: 'callback.sent',
+  duplicateKey: 'callback.duplicate'
+});
+
 /* ==========================================================================
    Back to top button behaviour
    - shows after ~15% scrolled down
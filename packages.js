@@ -0,0 +1,177 @@
+/* ---------- Packages: tour packages sold as one priced bundle ----------
+   CATALOGUE lists the packages on the landing page slider. A package is a
+   fixed trip from Nairobi: return transport (class and provider as given),
+   a stay (a Stays property, room type and meal plan) and the listed
+   inclusions, priced per person. It leaves on the given weekdays (0 =
+   Sunday); departures in peakMonths (1 = January) cost peakPrice instead of
+   price. Children pay CHILD_FACTOR of the adult price and infants go free.
+   A group of minGroup to maxGroup travellers (infants not counted) can book.
+
+   title and inclusions are { key, label } items read through I18n.text, so
+   the slider and vouchers follow the customer's language.
+*/
+const Packages = (function () {
+  // every package starts and ends in Nairobi
+  const ORIGIN = 'Nairobi';
+
+  const CHILD_FACTOR = 0.7;
+
+  // how far ahead departures are offered
+  const WEEKS_AHEAD = 16;
+
+  const CATALOGUE = [
+    {
+      id: 'mara', destination: 'Maasai Mara', nights: 2,
+      title: { key: 'pkg.mara.title', label: '3-Day Maasai Mara Safari' },
+      inclusions: [
+        { key: 'pkg.mara.1', label: 'Daily game drives' },
+        { key: 'pkg.mara.2', label: 'All meals included' },
+        { key: 'pkg.mara.3', label: 'Airport transfers' }
+      ],
+      transport: { transport: 'Bus', provider: 'Easy Coach', travelClass: 'Premium' },
+      stay: { propertyId: 'mara-acacia-camp', roomType: 'Safari tent', mealPlan: 'FB' },
+      weekdays: [1, 5], price: 28000, peakPrice: 34000, peakMonths: [7, 8, 9],
+      minGroup: 2, maxGroup: 7
+    },
+    {
+      id: 'diani', destination: 'Diani Beach', nights: 5,
+      title: { key: 'pkg.diani.title', label: 'Coastal Relaxer — Diani 5 Nights' },
+      inclusions: [
+        { key: 'pkg.diani.1', label: 'Beachfront hotel' },
+        { key: 'pkg.diani.2', label: 'Snorkeling day trip' },
+        { key: 'pkg.diani.3', label: 'Breakfast included' }
+      ],
+      transport: { transport: 'Bus', provider: 'Guardian', travelClass: 'Premium' },
+      stay: { propertyId: 'diani-reef-hotel', roomType: 'Sea view', mealPlan: 'BB' },
+      weekdays: [6], price: 22000, peakPrice: 27500, peakMonths: [12],
+      minGroup: 1, maxGroup: 10
+    },
+    {
+      id: 'mount', destination: 'Mount Kenya', nights: 3,
+      title: { key: 'pkg.mount.title', label: 'Mount Kenya Trek — 4 Days' },
+      inclusions: [
+        { key: 'pkg.mount.1', label: 'Guided trek' },
+        { key: 'pkg.mount.2', label: 'Camping or lodge options' },
+        { key: 'pkg.mount.3', label: 'Experienced local guides' }
+      ],
+      transport: { transport: 'Bus', provider: 'Easy Coach', travelClass: 'Regular' },
+      stay: { propertyId: 'mount-kenya-forest-lodge', roomType: 'Standard', mealPlan: 'FB' },
+      weekdays: [4], price: 18500, peakPrice: 18500, peakMonths: [],
+      minGroup: 2, maxGroup: 8
+    },
+    {
+      id: 'nakuru', destination: 'Lake Nakuru', nights: 1,
+      title: { key: 'pkg.nakuru.title', label: 'Lake Nakuru Adventure — 2 Days' },
+      inclusions: [
+        { key: 'pkg.nakuru.1', label: 'Flamingo and birdwatching tour' },
+        { key: 'pkg.nakuru.2', label: 'Park entry & guided safari' },
+        { key: 'pkg.nakuru.3', label: 'Comfort lodge stay & meals' }
+      ],
+      transport: { transport: 'Train', provider: 'Electric Train', travelClass: 'Business' },
+      stay: { propertyId: 'nakuru-flamingo-lodge', roomType: 'Standard', mealPlan: 'FB' },
+      weekdays: [0, 6], price: 10500, peakPrice: 12500, peakMonths: [12],
+      minGroup: 1, maxGroup: 12
+    },
+    {
+      id: 'lamu', destination: 'Lamu Island', nights: 4,
+      title: { key: 'pkg.lamu.title', label: 'Lamu Island Retreat — 4 Nights' },
+      inclusions: [
+        { key: 'pkg.lamu.1', label: 'Historic town walking tour' },
+        { key: 'pkg.lamu.2', label: 'Dhow sunset cruise' },
+        { key: 'pkg.lamu.3', label: 'Beachfront cottage & breakfast' }
+      ],
+      transport: { transport: 'Flight', provider: 'Kenya Airways', travelClass: 'Economy' },
+      stay: { propertyId: 'lamu-old-town-house', roomType: 'Double room', mealPlan: 'BB' },
+      weekdays: [0], price: 24000, peakPrice: 29000, peakMonths: [12, 1],
+      minGroup: 1, maxGroup: 6
+    },
+    {
+      id: 'kisumu', destination: 'Kisumu', nights: 1,
+      title: { key: 'pkg.kisumu.title', label: 'Kisumu City Escape — 2 Days' },
+      inclusions: [
+        { key: 'pkg.kisumu.1', label: 'Lakeside boat trip on Lake Victoria' },
+        { key: 'pkg.kisumu.2', label: 'Visit Kisumu Impala Sanctuary' },
+        { key: 'pkg.kisumu.3', label: 'Comfort hotel stay with meals' }
+      ],
+      transport: { transport: 'Bus', provider: 'Easy Coach', travelClass: 'Premium' },
+      stay: { propertyId: 'kisumu-lakeside-hotel', roomType: 'Standard', mealPlan: 'BB' },
+      weekdays: [5], price: 9500, peakPrice: 9500, peakMonths: [],
+      minGroup: 1, maxGroup: 10
+    }
+  ];
+
+  const find = id => CATALOGUE.find(p => p.id === id) || null;
+
+  const pad = n => String(n).padStart(2, '0');
+  const isoDate = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+  // noon avoids the date shifting a day in time zones behind UTC
+  const atNoon = date => new Date(`${date}T12:00:00`);
+
+  function addDays(date, days) {
+    const d = atNoon(date);
+    d.setDate(d.getDate() + days);
+    return isoDate(d);
+  }
+
+  function priceOn(pkg, date) {
+    return pkg.peakMonths.includes(atNoon(date).getMonth() + 1) ? pkg.peakPrice : pkg.price;
+  }
+
+  /* departures(pkg, from) -> [{ date, returnDate, price }] for the next
+     WEEKS_AHEAD weeks, starting the day after `from` */
+  function departures(pkg, from = new Date()) {
+    const list = [];
+    const start = isoDate(from);
+    for (let n = 1; n <= WEEKS_AHEAD * 7; n++) {
+      const date = addDays(start, n);
+      if (!pkg.weekdays.includes(atNoon(date).getDay())) continue;
+      list.push({ date, returnDate: addDays(date, pkg.nights), price: priceOn(pkg, date) });
+    }
+    return list;
+  }
+
+  // lowest per-person price over the offered departures ("From KES …")
+  function fromPrice(pkg, from = new Date()) {
+    const prices = departures(pkg, from).map(d => d.price);
+    return prices.length ? Math.min(...prices) : pkg.price;
+  }
+
+  /* validate(pkg, departure, bands) -> array of problems (empty when the
+     package can be booked), worded in the current I18n language */
+  function validate(pkg, departure, bands) {
+    const errors = [];
+    if (!pkg || !departures(pkg).some(d => d.date === departure)) {
+      errors.push(I18n.t('pkg.err.departure'));
+      return errors;
+    }
+    const travellers = (bands || []).filter(b => b !== 'infant').length;
+    if (travellers < pkg.minGroup || travellers > pkg.maxGroup) {
+      errors.push(I18n.t('pkg.err.group', { min: pkg.minGroup, max: pkg.maxGroup }));
+    }
+    return errors;
+  }
+
+  /* quote(pkg, departure, bands) -> { price, travellers, lines, total } with
+     FareEngine-style { label, amount, key, params } lines that sum to total */
+  function quote(pkg, departure, bands) {
+    if (!pkg || !departure) return null;
+    const price = priceOn(pkg, departure);
+    const group = bands && bands.length ? bands : ['adult'];
+    const count = band => group.filter(b => b === band).length;
+    const lines = [];
+    const adults = count('adult');
+    const children = count('child');
+    const infants = count('infant');
+    if (adults) lines.push({ label: `${adults} × adult at KES ${price}`, amount: adults * price, key: 'pkg.line.adult', params: { count: adults, price } });
+    if (children) {
+      const childPrice = Math.round(price * CHILD_FACTOR);
+      lines.push({ label: `${children} × child at KES ${childPrice}`, amount: children * childPrice, key: 'pkg.line.child', params: { count: children, price: childPrice } });
+    }
+    if (infants) lines.push({ label: `${infants} × infant, free`, amount: 0, key: 'pkg.line.infant', params: { count: infants } });
+    const total = lines.reduce((sum, l) => sum + l.amount, 0);
+    return { price, travellers: adults + children, lines, total };
+  }
+
+  return { ORIGIN, CHILD_FACTOR, CATALOGUE, find, addDays, departures, fromPrice, validate, quote };
+})();
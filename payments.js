@@ -0,0 +1,315 @@
+/* ---------- Payments: pluggable checkout providers ----------
+   A provider is
+     { id, label, icon, formHtml(ctx), read(form), validate(details) -> [errors],
+       pay(ctx, details, ui) -> Promise<receipt> }
+   where ctx is { amount, reference, phone, currency? } and receipt is
+     { provider, method, transactionId, amount, reference, paidAt, detail }.
+   pay() rejects with an Error whose message is shown to the customer; ui gives
+   it setStatus(text) and a `stage` element for provider-specific prompts.
+   Customer-facing text comes from the I18n catalogues (pay.*, mpesa.*, card.*).
+
+   Both built-in providers are local simulators (nothing leaves the browser).
+   A real gateway plugs in through Payments.register() with the same shape.
+*/
+const Payments = (function () {
+  const providers = [];
+
+  // simulator timings (ms)
+  const STK_DELAY = 1200;     // network hop before the phone shows the prompt
+  const STK_TIMEOUT = 60000;  // Safaricom drops unanswered prompts after ~1 min
+  const CARD_DELAY = 1500;
+
+  const fmtKES = n => I18n.formatMoney(n || 0);
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+  function randomCode(length, prefix = '') {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ0123456789';
+    const bytes = new Uint8Array(length);
+    if (window.crypto && window.crypto.getRandomValues) window.crypto.getRandomValues(bytes);
+    else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+    return prefix + Array.from(bytes, b => chars[b % chars.length]).join('');
+  }
+
+  function register(provider) {
+    const i = providers.findIndex(p => p.id === provider.id);
+    if (i >= 0) providers[i] = provider; else providers.push(provider);
+  }
+
+  /* ---------- M-Pesa STK push simulator ---------- */
+  // 07XX/01XX, 2547XX or +2547XX -> 2547XXXXXXXX (null when not a Kenyan mobile number)
+  function normalizeMsisdn(phone) {
+    const m = String(phone || '').replace(/[\s-]/g, '').match(/^(?:\+?254|0)?([17]\d{8})$/);
+    return m ? `254${m[1]}` : null;
+  }
+
+  const mpesa = {
+    id: 'mpesa',
+    label: 'M-Pesa',
+    icon: 'fa-solid fa-mobile-screen',
+    formHtml: ctx => `
+      <label class="field">
+        <div class="field-label">${I18n.t('mpesa.phone')}</div>
+        <input name="msisdn" type="tel" value="${ctx.phone || ''}" placeholder="0712 345 678" autocomplete="tel" required />
+      </label>
+      <p class="small-muted">${I18n.t('mpesa.hint')}</p>`,
+    read: form => ({ msisdn: form.elements.msisdn.value }),
+    validate: d => normalizeMsisdn(d.msisdn) ? [] : [I18n.t('mpesa.invalid')],
+
+    // simulated handset: PIN 0000 means insufficient balance, Cancel declines, silence times out
+    pay(ctx, details, ui) {
+      const msisdn = normalizeMsisdn(details.msisdn);
+      ui.setStatus(I18n.t('mpesa.sending', { msisdn }));
+      return sleep(STK_DELAY).then(() => new Promise((resolve, reject) => {
+        ui.setStatus(I18n.t('mpesa.check'));
+        ui.stage.innerHTML = `
+          <div class="stk-phone" role="group" aria-label="${I18n.t('mpesa.phoneLabel')}">
+            <div class="stk-screen">
+              <p>${I18n.t('mpesa.prompt', { amount: fmtKES(ctx.amount), ref: ctx.reference })}</p>
+              <label class="field">
+                <div class="field-label">${I18n.t('mpesa.pin')}</div>
+                <input class="stk-pin" type="password" inputmode="numeric" maxlength="4" autocomplete="off" />
+              </label>
+              <div class="stk-error small-muted" aria-live="polite"></div>
+              <div class="stk-actions">
+                <button type="button" class="btn small stk-cancel">${I18n.t('mpesa.cancel')}</button>
+                <button type="button" class="btn small primary stk-send">${I18n.t('mpesa.send')}</button>
+              </div>
+              <div class="stk-countdown small-muted"></div>
+            </div>
+          </div>`;
+        const pin = ui.stage.querySelector('.stk-pin');
+        const countdown = ui.stage.querySelector('.stk-countdown');
+        const expiresAt = Date.now() + STK_TIMEOUT;
+        const tick = setInterval(() => {
+          const left = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+          countdown.textContent = I18n.t('mpesa.expires', { left });
+        }, 1000);
+        const timer = setTimeout(() => finish(new Error(I18n.t('mpesa.timeout'))), STK_TIMEOUT);
+
+        function finish(err, receipt) {
+          clearTimeout(timer);
+          clearInterval(tick);
+          ui.stage.innerHTML = '';
+          if (err) reject(err); else resolve(receipt);
+        }
+
+        ui.stage.querySelector('.stk-cancel').addEventListener('click', () => finish(new Error(I18n.t('mpesa.cancelled'))));
+        ui.stage.querySelector('.stk-send').addEventListener('click', () => {
+          if (!/^\d{4}$/.test(pin.value)) {
+            ui.stage.querySelector('.stk-error').textContent = I18n.t('mpesa.pinDigits');
+            return;
+          }
+          if (pin.value === '0000') return finish(new Error(I18n.t('mpesa.insufficient')));
+          finish(null, {
+            provider: 'mpesa',
+            method: 'M-Pesa',
+            transactionId: randomCode(10),
+            amount: ctx.amount,
+            reference: ctx.reference,
+            paidAt: new Date().toISOString(),
+            detail: `${msisdn.slice(0, 6)}***${msisdn.slice(-3)}`
+          });
+        });
+        pin.focus();
+      }));
+    }
+  };
+
+  /* ---------- Card ---------- */
+  function luhnValid(number) {
+    const digits = String(number || '').replace(/[\s-]/g, '');
+    if (!/^\d{12,19}$/.test(digits)) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = +digits[digits.length - 1 - i];
+      if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  // 'MM/YY' or 'MM/YYYY'; a card is valid through the last day of its expiry month
+  function expiryValid(expiry, now = new Date()) {
+    const m = String(expiry || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+    if (!m || +m[1] < 1 || +m[1] > 12) return false;
+    const year = m[2].length === 2 ? 2000 + +m[2] : +m[2];
+    return new Date(year, +m[1], 1) > now;
+  }
+
+  function cardBrand(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (/^4/.test(digits)) return 'Visa';
+    if (/^(5[1-5]|2[2-7])/.test(digits)) return 'Mastercard';
+    if (/^3[47]/.test(digits)) return 'Amex';
+    return 'Card';
+  }
+
+  const card = {
+    id: 'card',
+    get label() { return I18n.t('card.label'); },
+    icon: 'fa-regular fa-credit-card',
+    formHtml: () => `
+      <label class="field">
+        <div class="field-label">${I18n.t('card.name')}</div>
+        <input name="cardName" type="text" autocomplete="cc-name" required />
+      </label>
+      <label class="field">
+        <div class="field-label">${I18n.t('card.number')}</div>
+        <input name="cardNumber" type="text" inputmode="numeric" autocomplete="cc-number" placeholder="4242 4242 4242 4242" required />
+      </label>
+      <div style="display:flex;gap:12px">
+        <label class="field" style="flex:1">
+          <div class="field-label">${I18n.t('card.expiry')}</div>
+          <input name="cardExpiry" type="text" inputmode="numeric" autocomplete="cc-exp" placeholder="08/27" required />
+        </label>
+        <label class="field" style="flex:1">
+          <div class="field-label">${I18n.t('card.cvc')}</div>
+          <input name="cardCvc" type="text" inputmode="numeric" autocomplete="cc-csc" maxlength="4" required />
+        </label>
+      </div>`,
+    read: form => ({
+      name: form.elements.cardName.value.trim(),
+      number: form.elements.cardNumber.value.replace(/[\s-]/g, ''),
+      expiry: form.elements.cardExpiry.value,
+      cvc: form.elements.cardCvc.value.trim()
+    }),
+    validate(d) {
+      const errors = [];
+      if (!d.name) errors.push(I18n.t('card.nameMissing'));
+      if (!luhnValid(d.number)) errors.push(I18n.t('card.numberInvalid'));
+      if (!expiryValid(d.expiry)) errors.push(I18n.t('card.expiryInvalid'));
+      if (!/^\d{3,4}$/.test(d.cvc)) errors.push(I18n.t('card.cvcInvalid'));
+      return errors;
+    },
+
+    // simulated acquirer: the standard "generic decline" test number is refused
+    async pay(ctx, details, ui) {
+      ui.setStatus(I18n.t('card.authorising'));
+      await sleep(CARD_DELAY);
+      if (details.number === '4000000000000002') throw new Error(I18n.t('card.declined'));
+      return {
+        provider: 'card',
+        method: cardBrand(details.number),
+        transactionId: randomCode(12, 'CH'),
+        amount: ctx.amount,
+        reference: ctx.reference,
+        paidAt: new Date().toISOString(),
+        detail: `•••• ${details.number.slice(-4)}` // never keep the full card number
+      };
+    }
+  };
+
+  register(mpesa);
+  register(card);
+
+  /* ---------- Checkout dialog ---------- */
+  let dialog = null;
+
+  function buildDialog() {
+    const el = document.createElement('div');
+    el.className = 'checkout-backdrop';
+    el.hidden = true;
+    el.innerHTML = `
+      <div class="card checkout" role="dialog" aria-modal="true" aria-labelledby="checkoutTitle">
+        <div class="row">
+          <h2 id="checkoutTitle" style="margin:0" data-i18n="pay.title">Checkout</h2>
+          <div class="checkout-amount"></div>
+        </div>
+        <div class="small-muted checkout-ref"></div>
+        <div class="checkout-methods" role="radiogroup" aria-label="Payment method" data-i18n-aria-label="pay.method"></div>
+        <form class="checkout-form" novalidate>
+          <div class="checkout-fields"></div>
+          <ul class="checkout-errors" aria-live="assertive"></ul>
+          <div class="checkout-actions">
+            <button type="button" class="btn checkout-later" data-i18n="pay.later">Pay later</button>
+            <button type="submit" class="btn primary checkout-pay"></button>
+          </div>
+        </form>
+        <div class="checkout-status small-muted" aria-live="polite"></div>
+        <div class="checkout-stage"></div>
+      </div>`;
+    document.body.appendChild(el);
+    return el;
+  }
+
+  /* checkout(ctx) -> Promise<receipt | null>. Resolves null when the customer
+     closes the dialog without paying; failed attempts can be retried in place. */
+  function checkout(ctx) {
+    dialog = dialog || buildDialog();
+    const methodsEl = dialog.querySelector('.checkout-methods');
+    const form = dialog.querySelector('.checkout-form');
+    const fieldsEl = dialog.querySelector('.checkout-fields');
+    const errorsEl = dialog.querySelector('.checkout-errors');
+    const stage = dialog.querySelector('.checkout-stage');
+    const statusEl = dialog.querySelector('.checkout-status');
+    const payBtn = dialog.querySelector('.checkout-pay');
+    const laterBtn = dialog.querySelector('.checkout-later');
+    const returnFocus = document.activeElement;
+
+    I18n.apply(dialog);
+    // charged in KES; a display currency snapshot (see currency.js) is shown alongside
+    dialog.querySelector('.checkout-amount').textContent = ctx.currency ? Currency.formatDual(ctx.amount, ctx.currency) : fmtKES(ctx.amount);
+    dialog.querySelector('.checkout-ref').textContent = I18n.t('pay.reference', { ref: ctx.reference });
+    payBtn.textContent = I18n.t('pay.pay', { amount: fmtKES(ctx.amount) });
+    methodsEl.innerHTML = providers.map((p, i) => `
+      <label class="checkout-method"><input type="radio" name="payMethod" value="${p.id}"${i === 0 ? ' checked' : ''} />
+        <i class="${p.icon}" aria-hidden="true"></i> ${p.label}</label>`).join('');
+
+    let provider = providers[0];
+    let busy = false;
+    const ui = { stage, setStatus: text => { statusEl.textContent = text; } };
+
+    function showProvider(id) {
+      provider = providers.find(p => p.id === id) || providers[0];
+      fieldsEl.innerHTML = provider.formHtml(ctx);
+      errorsEl.innerHTML = '';
+      statusEl.textContent = '';
+    }
+
+    function setBusy(on) {
+      busy = on;
+      Array.from(form.elements).concat(Array.from(methodsEl.querySelectorAll('input'))).forEach(el => { el.disabled = on; });
+    }
+
+    showProvider(provider.id);
+    dialog.hidden = false;
+    const first = fieldsEl.querySelector('input');
+    if (first) first.focus();
+
+    return new Promise(resolve => {
+      function close(result) {
+        dialog.hidden = true;
+        methodsEl.onchange = form.onsubmit = laterBtn.onclick = dialog.onkeydown = null;
+        stage.innerHTML = '';
+        setBusy(false);
+        if (returnFocus && returnFocus.focus) returnFocus.focus();
+        resolve(result);
+      }
+
+      methodsEl.onchange = e => showProvider(e.target.value);
+      laterBtn.onclick = () => { if (!busy) close(null); };
+      dialog.onkeydown = e => { if (e.key === 'Escape' && !busy) close(null); };
+
+      form.onsubmit = async e => {
+        e.preventDefault();
+        if (busy) return;
+        const details = provider.read(form);
+        const errors = provider.validate(details);
+        errorsEl.innerHTML = errors.map(msg => `<li>${msg}</li>`).join('');
+        if (errors.length) return;
+        setBusy(true);
+        try {
+          const receipt = await provider.pay(ctx, details, ui);
+          ui.setStatus(I18n.t('pay.received', { method: receipt.method, id: receipt.transactionId }));
+          close(receipt);
+        } catch (err) {
+          setBusy(false);
+          ui.setStatus('');
+          errorsEl.innerHTML = `<li>${err.message}</li>`;
+        }
+      };
+    });
+  }
+
+  return { register, providers: () => providers.slice(), checkout, normalizeMsisdn, luhnValid, expiryValid };
+})();
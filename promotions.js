@@ -0,0 +1,154 @@
+/* ---------- Promotions: promo codes and loyalty points at checkout ----------
+   CODES lists marketing's campaigns. A code takes a percentage off each item
+   it applies to, or a fixed KES amount off the booking shared between those
+   items, never more than maxDiscount. It can be used on booking dates from
+   `from` to `to` (inclusive) and can be limited to:
+     appliesTo     transport types, 'Stay' or 'Package' (empty: everything)
+     providers     transport providers
+     destinations  places a leg starts or ends at, or the stay or package is at
+     minDaysAhead  departures (check-in, package departure) at least this far off
+     minSpend      bookings whose prices, before taxes, add up to at least this
+     maxUses       bookings it can be used on, in all
+     perCustomer   bookings per contact email
+   Uses are counted from the bookings (like seats, see inventory.js), so a
+   cancelled or refunded booking gives its use back.
+
+   Loyalty points are kept by the server in a ledger per contact email. A
+   booking earns one point per KES_PER_POINT paid once its payment is
+   verified; a point is worth KES 1 off a later booking, from MIN_REDEEM
+   points and up to MAX_REDEEM_SHARE of what is left to pay after the promo
+   code.
+
+   Discounts come off the price before taxes, so taxes and fees are worked
+   out on what the customer pays. Discount lines are { code, label, amount,
+   key, params } items with negative amounts, like FareEngine's age-band
+   discounts.
+*/
+const Promotions = (function () {
+  const KES_PER_POINT = 100;
+  const MIN_REDEEM = 100;
+  const MAX_REDEEM_SHARE = 0.5;
+
+  const CODES = [
+    { code: 'MARA10', type: 'percent', amount: 10, from: '2026-07-01', to: '2027-06-30', destinations: ['Maasai Mara'], maxUses: 500 },
+    { code: 'STUDENT15', type: 'percent', amount: 15, from: '2026-01-01', to: '2027-12-31', appliesTo: ['Bus', 'Train'], maxDiscount: 3000, perCustomer: 4 },
+    { code: 'SGR-EARLY', type: 'percent', amount: 20, from: '2026-09-01', to: '2027-03-31', appliesTo: ['Train'], providers: ['SGR'], minDaysAhead: 21 },
+    { code: 'KARIBU500', type: 'fixed', amount: 500, from: '2026-01-01', to: '2027-12-31', minSpend: 5000, perCustomer: 1 },
+    { code: 'EASTER25', type: 'percent', amount: 25, from: '2026-03-20', to: '2026-04-12', appliesTo: ['Package'], maxUses: 100 }
+  ];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const pad = n => String(n).padStart(2, '0');
+  const isoDate = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  const list = value => (Array.isArray(value) ? value : []);
+  const sum = amounts => amounts.reduce((total, n) => total + n, 0);
+  // dates alone (check-in, package departure) count from noon, like Packages
+  const startOf = date => new Date(String(date).length === 10 ? `${date}T12:00:00` : date);
+
+  const find = code => CODES.find(p => p.code === String(code || '').trim().toUpperCase()) || null;
+
+  const activeOn = (promo, now) => isoDate(now) >= promo.from && isoDate(now) <= promo.to;
+
+  /* An item is one priced part of a booking: { item, provider, places, date,
+     amount } with item the transport type, 'Stay' or 'Package', places the
+     destinations it touches and date its departure or check-in. */
+  function appliesTo(promo, item, now) {
+    if (list(promo.appliesTo).length && !promo.appliesTo.includes(item.item)) return false;
+    if (list(promo.providers).length && !promo.providers.includes(item.provider)) return false;
+    if (list(promo.destinations).length && !item.places.some(p => promo.destinations.includes(p))) return false;
+    if (promo.minDaysAhead && !(startOf(item.date) - now >= promo.minDaysAhead * DAY_MS)) return false;
+    return item.amount > 0;
+  }
+
+  /* share(total, amounts) -> whole-KES parts of total in proportion to
+     amounts (largest remainders get the odd shillings), summing to total */
+  function share(total, amounts) {
+    const whole = sum(amounts);
+    if (!(total > 0) || !(whole > 0)) return amounts.map(() => 0);
+    const exact = amounts.map(a => total * a / whole);
+    const parts = exact.map(Math.floor);
+    exact.map((x, i) => ({ i, rest: x - parts[i] }))
+      .sort((a, b) => b.rest - a.rest)
+      .slice(0, total - sum(parts))
+      .forEach(({ i }) => { parts[i]++; });
+    return parts;
+  }
+
+  // promo discount per item (0 where it does not apply), before limits on uses
+  function promoAmounts(promo, items, now) {
+    const eligible = items.map(it => (appliesTo(promo, it, now) ? it.amount : 0));
+    if (!activeOn(promo, now) || sum(items.map(it => it.amount)) < (promo.minSpend || 0)) return items.map(() => 0);
+    let amounts = promo.type === 'fixed'
+      ? share(Math.min(promo.amount, sum(eligible)), eligible)
+      : eligible.map(a => Math.round(a * promo.amount / 100));
+    if (promo.maxDiscount && sum(amounts) > promo.maxDiscount) amounts = share(promo.maxDiscount, eligible);
+    return amounts;
+  }
+
+  const promoLine = (promo, amount) => (promo.type === 'fixed'
+    ? { code: promo.code, label: `Promo code ${promo.code}`, amount: -amount, key: 'promo.line.fixed', params: { code: promo.code } }
+    : { code: promo.code, label: `Promo code ${promo.code} (-${promo.amount}%)`, amount: -amount, key: 'promo.line.percent', params: { code: promo.code, pct: promo.amount } });
+
+  const pointsLine = points => ({ code: 'POINTS', label: `Loyalty points (${points})`, amount: -points, key: 'promo.line.points', params: { count: points } });
+
+  const maxRedeem = amount => Math.floor(Math.max(0, amount) * MAX_REDEEM_SHARE);
+
+  // points a paid booking earns
+  const pointsFor = total => Math.floor(Math.max(0, total) / KES_PER_POINT);
+
+  /* apply({ promoCode, points }, items, now) -> discount lines per item; the
+     promo code first, then the points shared over what is left. Limits on
+     uses and the points balance are validate()'s to check. */
+  function apply(request, items, now = new Date()) {
+    const lines = items.map(() => []);
+    const promo = find(request.promoCode);
+    if (promo) promoAmounts(promo, items, now).forEach((a, i) => { if (a) lines[i].push(promoLine(promo, a)); });
+    const left = items.map((it, i) => it.amount + sum(lines[i].map(l => l.amount)));
+    const points = Math.min(request.points || 0, maxRedeem(sum(left)));
+    share(points, left).forEach((p, i) => { if (p) lines[i].push(pointsLine(p)); });
+    return lines;
+  }
+
+  // most points the booking can take once its promo code is off
+  function redeemable(request, items, now = new Date()) {
+    const lines = apply({ promoCode: request.promoCode }, items, now);
+    return maxRedeem(sum(items.map((it, i) => it.amount + sum(lines[i].map(l => l.amount)))));
+  }
+
+  // bookings still holding a use of the code (see BookingLifecycle.holdsStock), optionally for one email
+  function uses(code, bookings, email) {
+    return list(bookings).filter(b => BookingLifecycle.holdsStock(b) && b.promotion && b.promotion.code === code
+      && (!email || String(b.contactEmail || '').toLowerCase() === email.toLowerCase())).length;
+  }
+
+  /* validate(request, items, { bookings, now, account }) -> problems worded
+     through I18n.t (empty when the code and points can be used). account is
+     { balance } for the contact email's loyalty account, or null when the
+     customer has not given a valid loyalty number. */
+  function validate(request, items, opts = {}) {
+    const problems = [];
+    const now = opts.now || new Date();
+    if (request.promoCode) {
+      const promo = find(request.promoCode);
+      const code = request.promoCode;
+      if (!promo) problems.push(I18n.t('promo.err.unknown', { code }));
+      else if (!activeOn(promo, now)) problems.push(I18n.t('promo.err.dates', { code, from: promo.from, to: promo.to }));
+      else if (promo.minSpend && sum(items.map(it => it.amount)) < promo.minSpend) problems.push(I18n.t('promo.err.minSpend', { code, amount: promo.minSpend }));
+      else if (!sum(promoAmounts(promo, items, now))) problems.push(I18n.t('promo.err.notApplicable', { code }));
+      else if (promo.maxUses && uses(promo.code, opts.bookings) >= promo.maxUses) problems.push(I18n.t('promo.err.used', { code }));
+      else if (promo.perCustomer && uses(promo.code, opts.bookings, request.contact.email) >= promo.perCustomer) problems.push(I18n.t('promo.err.usedByYou', { code, count: promo.perCustomer }));
+    }
+    if (request.points) {
+      const most = redeemable(request, items, now);
+      if (!opts.account) problems.push(I18n.t('loyalty.err.account'));
+      // a balance below zero (points reversed after redeeming them) shows as none
+      else if (request.points > opts.account.balance) problems.push(I18n.t('loyalty.err.balance', { count: Math.max(0, opts.account.balance) }));
+      else if (request.points < MIN_REDEEM) problems.push(I18n.t('loyalty.err.min', { count: MIN_REDEEM }));
+      else if (request.points > most) problems.push(I18n.t('loyalty.err.max', { count: most }));
+    }
+    return problems;
+  }
+
+  return { KES_PER_POINT, MIN_REDEEM, MAX_REDEEM_SHARE, CODES, find, share, apply, redeemable, uses, validate, pointsFor };
+})();
@@ -0,0 +1,211 @@
+/* ---------- SeatMap: per-provider seat layouts and an accessible picker ----------
+   Layouts are sections of rows; a pattern such as 'AB_CD' lists the seat
+   letters in a row with '_' marking the aisle. Seat IDs are `${row}${letter}`,
+   prefixed with the carriage code on trains (e.g. 'C2-4B').
+   The picker is a roving-tabindex grid: arrow keys move, Enter/Space toggles.
+*/
+const SeatMap = (function () {
+  const COACH = {
+    kind: 'coach',
+    sections: [
+      { cls: 'Premium', rows: [1, 3], pattern: 'AB_CD' },
+      { cls: 'Regular', rows: [4, 12], pattern: 'AB_CD' }
+    ]
+  };
+
+  const TRAIN = {
+    kind: 'train',
+    sections: [
+      { cls: 'First Class', carriage: 'C1', rows: [1, 6], pattern: 'A_BC' },
+      { cls: 'Business', carriage: 'C2', rows: [1, 8], pattern: 'AB_CD' },
+      { cls: 'Economy', carriage: 'C3', rows: [1, 12], pattern: 'ABC_DE' },
+      { cls: 'Economy', carriage: 'C4', rows: [1, 12], pattern: 'ABC_DE' }
+    ]
+  };
+
+  const AIRCRAFT = {
+    kind: 'aircraft',
+    sections: [
+      { cls: 'First Class', rows: [1, 2], pattern: 'A_D_F' },
+      { cls: 'Business', rows: [3, 6], pattern: 'AC_DF' },
+      { cls: 'Economy', rows: [7, 24], pattern: 'ABC_DEF' }
+    ]
+  };
+
+  const LAYOUTS = {
+    'Easy Coach': COACH,
+    'Guardian': COACH,
+    'SGR': TRAIN,
+    'Electric Train': TRAIN,
+    'Kenya Airways': AIRCRAFT,
+    'Qatar Airways': AIRCRAFT
+  };
+
+  const seatId = (section, row, letter) => `${section.carriage ? `${section.carriage}-` : ''}${row}${letter}`;
+
+  /* rowsFor(provider) -> [{ label, cls, cells: [{ id, cls } | null] }] where
+     null cells are aisles. Each train carriage starts with a label row. */
+  function rowsFor(provider) {
+    const layout = LAYOUTS[provider];
+    if (!layout) return [];
+    const rows = [];
+    layout.sections.forEach(section => {
+      if (section.carriage) rows.push({ label: `Carriage ${section.carriage} — ${section.cls}`, cls: section.cls, cells: [] });
+      for (let r = section.rows[0]; r <= section.rows[1]; r++) {
+        rows.push({
+          label: String(r),
+          cls: section.cls,
+          cells: section.pattern.split('').map(ch => ch === '_' ? null : { id: seatId(section, r, ch), cls: section.cls })
+        });
+      }
+    });
+    return rows;
+  }
+
+  function seatsFor(provider, travelClass) {
+    return rowsFor(provider)
+      .flatMap(r => r.cells)
+      .filter(c => c && (!travelClass || c.cls === travelClass))
+      .map(c => c.id);
+  }
+
+  /* takenFrom(bookings, trip) -> Set of seat IDs already held on the same
+     departure (provider, route and departure time). Cancelled and refunded
+     bookings release their seats, and so do expired pending holds. */
+  function takenFrom(bookings, trip) {
+    const taken = new Set();
+    (bookings || []).forEach(b => {
+      if (!BookingLifecycle.holdsStock(b)) return;
+      const tickets = (Array.isArray(b.tickets) && b.tickets.length) ? b.tickets : [b];
+      tickets.forEach(t => {
+        if (!t.seat || t.provider !== trip.provider || t.departDateTime !== trip.departDateTime) return;
+        if (!t.route || t.route.origin !== trip.origin || t.route.destination !== trip.destination) return;
+        taken.add(t.seat);
+      });
+    });
+    return taken;
+  }
+
+  // first free seats in the class, for passengers who did not pick one
+  function autoAssign(provider, travelClass, taken, count, exclude = []) {
+    const blocked = new Set([...(taken || []), ...exclude]);
+    return seatsFor(provider, travelClass).filter(id => !blocked.has(id)).slice(0, count);
+  }
+
+  /* mount(container, { provider, travelClass, taken, max, selected, onChange })
+     renders the picker and returns { getSelected, destroy }. */
+  function mount(container, opts) {
+    const taken = opts.taken || new Set();
+    const max = opts.max == null ? 1 : opts.max;
+    let selected = (opts.selected || []).filter(id => !taken.has(id) && seatsFor(opts.provider, opts.travelClass).includes(id)).slice(0, max);
+
+    const rows = rowsFor(opts.provider);
+    if (!rows.length) {
+      container.innerHTML = `<p class="small-muted">${I18n.t('seat.unavailable')}</p>`;
+      return { getSelected: () => [], destroy() { container.innerHTML = ''; } };
+    }
+
+    const kind = LAYOUTS[opts.provider].kind;
+    container.innerHTML = `
+      <div class="seat-map seat-map-${kind}" role="grid" aria-label="${I18n.t('seat.map', { provider: opts.provider })}">
+        ${rows.map(row => row.cells.length ? `
+          <div class="seat-row" role="row">
+            <span class="seat-row-label" aria-hidden="true">${row.label}</span>
+            ${row.cells.map(cell => {
+              if (!cell) return '<span class="seat-aisle" aria-hidden="true"></span>';
+              const inClass = cell.cls === opts.travelClass;
+              const isTaken = taken.has(cell.id);
+              const state = isTaken ? I18n.t('seat.taken') : (inClass ? I18n.t('seat.available') : I18n.t('seat.classOnly', { cls: cell.cls }));
+              return `<button type="button" role="gridcell" class="seat${isTaken ? ' taken' : ''}${inClass ? '' : ' other-class'}"
+                data-seat="${cell.id}" tabindex="-1" aria-label="${I18n.t('seat.label', { id: cell.id, state })}"
+                aria-pressed="false"${(isTaken || !inClass) ? ' aria-disabled="true"' : ''}>${cell.id.replace(/^C\d-/, '')}</button>`;
+            }).join('')}
+          </div>` : `<div class="seat-carriage" role="row"><span role="rowheader">${row.label}</span></div>`).join('')}
+      </div>
+      <div class="seat-legend small-muted" aria-hidden="true">
+        <span><i class="seat-key"></i> ${I18n.t('seat.free')}</span><span><i class="seat-key selected"></i> ${I18n.t('seat.selected')}</span><span><i class="seat-key taken"></i> ${I18n.t('seat.takenKey')}</span>
+      </div>`;
+
+    const grid = container.querySelector('.seat-map');
+    const buttons = Array.from(grid.querySelectorAll('.seat'));
+    const rowEls = Array.from(grid.querySelectorAll('.seat-row'));
+
+    function paint() {
+      buttons.forEach(b => {
+        const on = selected.includes(b.dataset.seat);
+        b.classList.toggle('selected', on);
+        b.setAttribute('aria-pressed', String(on));
+      });
+    }
+
+    function toggle(btn) {
+      if (btn.getAttribute('aria-disabled') === 'true') return;
+      const id = btn.dataset.seat;
+      if (selected.includes(id)) selected = selected.filter(s => s !== id);
+      else if (max === 1) selected = [id];
+      else if (selected.length < max) selected = selected.concat(id);
+      else return; // already holding a seat for every passenger
+      paint();
+      if (opts.onChange) opts.onChange(selected.slice());
+    }
+
+    function focusSeat(btn) {
+      if (!btn) return;
+      buttons.forEach(b => { b.tabIndex = -1; });
+      btn.tabIndex = 0;
+      btn.focus();
+    }
+
+    // nearest seat in another row, by column position
+    function seatInRow(rowIdx, colIdx) {
+      const row = rowEls[rowIdx];
+      if (!row) return null;
+      const seats = Array.from(row.querySelectorAll('.seat'));
+      return seats[Math.min(colIdx, seats.length - 1)] || null;
+    }
+
+    grid.addEventListener('click', (e) => {
+      const btn = e.target.closest('.seat');
+      if (btn) { focusSeat(btn); toggle(btn); }
+    });
+
+    grid.addEventListener('keydown', (e) => {
+      const btn = e.target.closest('.seat');
+      if (!btn) return;
+      const rowIdx = rowEls.indexOf(btn.closest('.seat-row'));
+      const inRow = Array.from(rowEls[rowIdx].querySelectorAll('.seat'));
+      const colIdx = inRow.indexOf(btn);
+      let next = null;
+      switch (e.key) {
+        case 'ArrowRight': next = inRow[colIdx + 1] || seatInRow(rowIdx + 1, 0); break;
+        case 'ArrowLeft': next = inRow[colIdx - 1] || (rowEls[rowIdx - 1] ? Array.from(rowEls[rowIdx - 1].querySelectorAll('.seat')).pop() : null); break;
+        case 'ArrowDown': next = seatInRow(rowIdx + 1, colIdx); break;
+        case 'ArrowUp': next = seatInRow(rowIdx - 1, colIdx); break;
+        case 'Home': next = inRow[0]; break;
+        case 'End': next = inRow[inRow.length - 1]; break;
+        case 'Enter':
+        case ' ':
+          e.preventDefault();
+          toggle(btn);
+          return;
+        default: return;
+      }
+      e.preventDefault();
+      focusSeat(next);
+    });
+
+    // first selectable (or selected) seat is the single tab stop
+    const start = buttons.find(b => selected.includes(b.dataset.seat))
+      || buttons.find(b => b.getAttribute('aria-disabled') !== 'true')
+      || buttons[0];
+    if (start) start.tabIndex = 0;
+    paint();
+
+    return {
+      getSelected: () => selected.slice(),
+      destroy() { container.innerHTML = ''; }
+    };
+  }
+
+  return { LAYOUTS, rowsFor, seatsFor, takenFrom, autoAssign, mount };
+})();
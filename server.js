@@ -0,0 +1,1000 @@
+/* ---------- Harmony Travels server: static site, lead and booking API ----------
+   Run with `node server.js` (Node 18+, no dependencies). Serves the site
+   from this directory and a small JSON API under /api:
+
+     POST  /api/subscriptions      { email, source?, lang? }      public
+     POST  /api/callbacks          { phone, name?, page?, lang? } public
+     GET   /api/callbacks?status=  list callback requests          agents
+     PATCH /api/callbacks/:id      { status?, note?, agent? }      agents
+     GET   /api/subscriptions      list newsletter subscribers     agents
+
+     POST  /api/bookings/quote          { request, loyaltyNumber? } public
+     POST  /api/bookings                { request, loyaltyNumber? } public
+     GET   /api/bookings/:id                                       key or agent
+     POST  /api/bookings/:id/payment    { receipt }                key or agent
+     POST  /api/bookings/:id/verify     { by? }                    agents
+     POST  /api/bookings/:id/amend      { changes, by? }           agents
+     POST  /api/bookings/:id/cancel     { by? }                    key or agent
+     POST  /api/bookings/:id/status     { to, by?, note? }         agents
+     GET   /api/signing-key             ticket issuer public key   public
+
+     GET    /api/fares                  published fare configuration public
+     GET    /api/fares/admin            { published, draft, audit } agents
+     PUT    /api/fares/draft            { config, by? }            agents
+     DELETE /api/fares/draft            { by? }                    agents
+     POST   /api/fares/publish          { by?, note? }             agents
+
+   Leads are kept in DATA_DIR/leads.json, bookings in DATA_DIR/bookings.json,
+   fare configurations in DATA_DIR/fares.json, the loyalty points ledger
+   in DATA_DIR/loyalty.json and mail waiting for the mail relay in
+   DATA_DIR/outbox.json (default ./data, never served). Resubmitting a subscribed email, or a
+   phone number with an open callback, answers 200 with the existing record
+   and duplicate: true instead of creating another one. Public endpoints are
+   rate limited per client address (RATE_LIMITS); over the limit they answer
+   429 with Retry-After.
+
+   Bookings are priced and issued by the same scripts the booking form runs
+   (see booking-builder.js), loaded into a sandbox here; a request carries
+   choices, never amounts or exchange rates. Creating a booking answers 201 with the booking
+   and an accessKey, sent back as "X-Booking-Key: <key>" to fetch or change
+   it later; only a hash of the key is stored. Validation problems answer
+   400 invalid with fields.problems as [{ key, params }] I18n messages, and
+   status changes the booking's lifecycle does not allow answer 409 conflict.
+   The payment providers are simulators in the browser, so /payment records
+   the receipt after checking its amount and reference, stamped with the
+   time it arrived here, and an agent verifies it against the provider's
+   statement with /verify; a real gateway would confirm the payment here
+   instead. Until then the tickets are signed as unverified, which no gate
+   boards (see ticket-signing.js).
+
+   A booking holds its seats, promo code use and redeemed points for
+   BookingLifecycle.HOLD_MINUTES while it waits for payment. Once the hold
+   has expired, payment and confirmation answer 409, and the booking is
+   cancelled within a minute, which frees them and restores the points.
+
+   Promo codes and loyalty points are part of the request (see
+   promotions.js). Points are redeemed with the contact email's loyalty
+   number, given beside the request. A booking earns points once its
+   payment is verified; the first one opens the account and the new number
+   is mailed to the contact email, never answered to the caller.
+
+   Tickets are signed here (see ticket-signing.js) every time a booking is
+   issued or changed, with the issuer key in DATA_DIR/signing-key.json
+   (made on first start) or the private JWK in TICKET_SIGNING_KEY. Gate
+   devices verify against its public key, which belongs in TRUSTED_KEYS;
+   it is printed at start while it is missing there.
+
+   Fares (see fare-config.js) are edited as one shared draft, checked on
+   every save, and priced with only once published; publishing bumps the
+   version the booking pages pick up. Every save, discard and publish is
+   kept in the audit trail with the agent's name and the prices it changed.
+
+   Agent endpoints need "Authorization: Bearer <key>" with an agent's own
+   key from AGENT_KEYS ("Wanjiru=<key>,Otieno=<key>") or the shared
+   AGENT_TOKEN. Changes made with a personal key are recorded under its
+   holder's name; under the shared token the name the agent typed (`by`) is
+   kept but marked selfDeclared: true, as nothing vouches for it. Without
+   either in the environment a random AGENT_TOKEN is made and printed at start.
+
+   Errors are JSON { error, fields? } where error is one of invalid,
+   bad_json, too_large, rate_limited, unauthorized, not_found, conflict,
+   method_not_allowed, server.
+
+   Environment: PORT (8080), DATA_DIR, AGENT_KEYS, AGENT_TOKEN, TICKET_SIGNING_KEY, CORS_ORIGIN (an origin
+   allowed to call the API when the site is served elsewhere), TRUST_PROXY=1
+   (take the client address from X-Forwarded-For), TZ (Africa/Nairobi; the
+   timetable and booking dates are East Africa local time).
+*/
+'use strict';
+
+process.env.TZ = process.env.TZ || 'Africa/Nairobi';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const ROOT = __dirname;
+const PORT = Number(process.env.PORT) || 8080;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT, 'data'));
+// personal agent keys: [{ name, key }] from "name=key,name=key"
+const AGENT_KEYS = String(process.env.AGENT_KEYS || '').split(',').map(pair => {
+  const at = pair.indexOf('=');
+  return { name: pair.slice(0, at).trim().slice(0, 80), key: pair.slice(at + 1).trim() };
+}).filter(agent => agent.name && agent.key);
+const AGENT_TOKEN = process.env.AGENT_TOKEN || (AGENT_KEYS.length ? '' : crypto.randomBytes(18).toString('base64url'));
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '';
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+
+const MAX_BODY = 16 * 1024;
+const MAX_FARES_BODY = 64 * 1024; // a full fare configuration
+
+// callback statuses in the order agents work them; new and called are open
+const STATUSES = ['new', 'called', 'converted', 'lost'];
+const OPEN = ['new', 'called'];
+
+const SOURCES = ['inline', 'footer', 'modal'];
+
+// requests allowed per client address and window, per endpoint
+const RATE_LIMITS = {
+  subscriptions: { max: 5, windowMs: 10 * 60 * 1000 },
+  callbacks: { max: 3, windowMs: 10 * 60 * 1000 },
+  quotes: { max: 120, windowMs: 10 * 60 * 1000 },
+  bookings: { max: 20, windowMs: 10 * 60 * 1000 }
+};
+
+// the site's scripts that price and issue bookings, in load order (see Engine)
+const ENGINE_SCRIPTS = [
+  'fare-config.js', 'destinations.js', 'fares.js', 'timetable.js', 'seat-map.js', 'inventory.js', 'itinerary.js',
+  'stays.js', 'packages.js', 'promotions.js', 'currency.js', 'booking-lifecycle.js', 'booking-builder.js', 'ticket-signing.js'
+];
+
+// status changes only agents make; customers pay, amend and cancel
+const AGENT_STATUSES = ['confirmed', 'refunded'];
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+
+// files next to the site that are not part of it
+const PRIVATE = new Set(['server.js', 'requests.jsonl']);
+
+/* ---------- Stores: records kept in memory, saved as one JSON file each ----------
+   jsonStore(file, collections) holds { [collection]: [] }. Writes go to a
+   temporary file that replaces the store file, one at a time, so a crash
+   mid-write never leaves a half-written store. */
+function jsonStore(file, collections) {
+  const empty = () => Object.fromEntries(collections.map(name => [name, []]));
+  let data = empty();
+  let queue = Promise.resolve();
+
+  function load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data = empty();
+      collections.forEach(name => { if (Array.isArray(saved[name])) data[name] = saved[name]; });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${err.message}`);
+    }
+  }
+
+  function save() {
+    const snapshot = JSON.stringify(data, null, 2);
+    queue = queue.then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    }).catch(err => console.error(`Store: saving ${path.basename(file)} failed`, err));
+    return queue;
+  }
+
+  return { load, save, get data() { return data; } };
+}
+
+const Leads = jsonStore(path.join(DATA_DIR, 'leads.json'), ['subscriptions', 'callbacks']);
+const Bookings = jsonStore(path.join(DATA_DIR, 'bookings.json'), ['bookings']);
+// versions: every published configuration, oldest first; drafts: at most one
+const Fares = jsonStore(path.join(DATA_DIR, 'fares.json'), ['versions', 'drafts', 'audit']);
+const Loyalty = jsonStore(path.join(DATA_DIR, 'loyalty.json'), ['accounts', 'entries']);
+// messages: { id, to, subject, text, createdAt, sentAt } for the mail relay, which sets sentAt
+const Outbox = jsonStore(path.join(DATA_DIR, 'outbox.json'), ['messages']);
+
+/* ---------- Engine: the site's booking scripts, run on the server ----------
+   The classic scripts in ENGINE_SCRIPTS share one sandbox, as they share a
+   page in the browser. Their I18n.t calls return { key, params } so that
+   problems reach the browser untranslated and are worded there. */
+const Engine = (function () {
+  const sandbox = vm.createContext({
+    console,
+    crypto: crypto.webcrypto,
+    TextEncoder,
+    TextDecoder,
+    btoa,
+    atob,
+    I18n: { t: (key, params = {}) => ({ key, params }) }
+  });
+  ENGINE_SCRIPTS.forEach(name => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, name), 'utf8'), sandbox, { filename: name });
+  });
+  // results cross back as plain JSON, free of the sandbox's prototypes
+  const plain = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+  const lookup = name => vm.runInContext(name, sandbox);
+  const call = (module, fn) => (...args) => plain(lookup(module)[fn](...args));
+  const callAsync = (module, fn) => async (...args) => plain(await lookup(module)[fn](...args));
+
+  return {
+    normalize: call('BookingBuilder', 'normalize'),
+    validate: call('BookingBuilder', 'validate'),
+    quote: call('BookingBuilder', 'quote'),
+    build: call('BookingBuilder', 'build'),
+    newId: call('BookingBuilder', 'newId'),
+    findTrip: call('Timetable', 'findTrip'),
+    validateLegs: call('Itinerary', 'validate'),
+    availability: call('Inventory', 'availability'),
+    pointsFor: call('Promotions', 'pointsFor'),
+    transition: call('BookingLifecycle', 'transition'),
+    cancel: call('BookingLifecycle', 'cancel'),
+    amend: call('BookingLifecycle', 'amend'),
+    markPaid: call('BookingLifecycle', 'markPaid'),
+    holdExpired: call('BookingLifecycle', 'holdExpired'),
+    holdMinutes: () => lookup('BookingLifecycle').HOLD_MINUTES,
+    signBooking: callAsync('TicketSigning', 'signBooking'),
+    keyId: callAsync('TicketSigning', 'keyId'),
+    trustedKeys: () => plain(lookup('TicketSigning').TRUSTED_KEYS),
+    fareDefaults: () => plain(lookup('FareConfig').DEFAULTS),
+    normalizeFares: call('FareConfig', 'normalize'),
+    validateFares: call('FareConfig', 'validate'),
+    diffFares: call('FareConfig', 'diff'),
+    useFares: call('FareConfig', 'use'),
+    upgradeFares: call('FareConfig', 'upgrade'),
+    // what the tour packages travel on, which a fare configuration must keep on sale
+    packageFares: () => plain(lookup('Packages').CATALOGUE.map(p => Object.assign({ label: p.title.label }, p.transport)))
+  };
+})();
+
+/* ---------- Rate limiting: fixed windows per endpoint and address ---------- */
+const hits = new Map(); // `${bucket} ${address}` -> { count, resetAt }
+
+// -> 0 when the request may go ahead, otherwise seconds until it may
+function rateLimited(bucket, address) {
+  const { max, windowMs } = RATE_LIMITS[bucket];
+  const key = `${bucket} ${address}`;
+  const now = Date.now();
+  let entry = hits.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    hits.set(key, entry);
+  }
+  entry.count++;
+  return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+}
+
+// forget expired windows so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  hits.forEach((entry, key) => { if (entry.resetAt <= now) hits.delete(key); });
+}, 60 * 1000).unref();
+
+/* ---------- Validation ---------- */
+const clean = (value, max) => String(value == null ? '' : value).trim().slice(0, max);
+
+function normalizeEmail(value) {
+  const email = clean(value, 254).toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email) ? email : null;
+}
+
+// Kenyan numbers may be written locally (07…, 01…); anything else needs +country
+function normalizePhone(value) {
+  const raw = clean(value, 40).replace(/[\s\-().]/g, '');
+  let digits;
+  if (/^0[17]\d{8}$/.test(raw)) digits = `254${raw.slice(1)}`;
+  else if (/^(\+|00)\d{8,15}$/.test(raw)) digits = raw.replace(/^(\+|00)/, '');
+  else if (/^254[17]\d{8}$/.test(raw)) digits = raw;
+  else return null;
+  return digits.length >= 9 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+const normalizeLang = value => (['en', 'sw'].includes(value) ? value : 'en');
+
+const newId = prefix => `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+
+/* ---------- HTTP helpers ---------- */
+class HttpError extends Error {
+  constructor(status, code, fields) {
+    super(code);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  }, headers));
+  res.end(json);
+}
+
+function readJson(req, maxBody = MAX_BODY) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= maxBody) chunks.push(chunk); // past the limit: read on, keep nothing
+    });
+    req.on('end', () => {
+      if (size > maxBody) return reject(new HttpError(413, 'too_large'));
+      if (!chunks.length) return resolve({});
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        resolve(body);
+      } catch (err) {
+        reject(new HttpError(400, 'bad_json'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function clientAddress(req) {
+  const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+/* requireAgent(req) -> { name, selfDeclared } for the agent behind the
+   bearer key: a personal key names its holder; the shared AGENT_TOKEN names
+   nobody, so whatever name comes with the request is self-declared. */
+function requireAgent(req) {
+  const given = hashKey(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const matches = key => crypto.timingSafeEqual(given, hashKey(key));
+  const personal = AGENT_KEYS.find(agent => matches(agent.key));
+  if (personal) return { name: personal.name, selfDeclared: false };
+  if (AGENT_TOKEN && matches(AGENT_TOKEN)) return { name: null, selfDeclared: true };
+  throw new HttpError(401, 'unauthorized');
+}
+
+function checkRate(req, bucket) {
+  const wait = rateLimited(bucket, clientAddress(req));
+  if (wait) throw Object.assign(new HttpError(429, 'rate_limited'), { retryAfter: wait });
+}
+
+/* ---------- API handlers ---------- */
+async function createSubscription(req, res) {
+  checkRate(req, 'subscriptions');
+  const body = await readJson(req);
+  const email = normalizeEmail(body.email);
+  if (!email) throw new HttpError(400, 'invalid', { email: 'invalid' });
+  const source = SOURCES.includes(body.source) ? body.source : 'inline';
+  const now = new Date().toISOString();
+
+  const existing = Leads.data.subscriptions.find(s => s.email === email);
+  if (existing) {
+    if (!existing.sources.includes(source)) existing.sources.push(source);
+    existing.updatedAt = now;
+    await Leads.save();
+    return send(res, 200, { subscription: existing, duplicate: true });
+  }
+  const subscription = { id: newId('SUB'), email, sources: [source], lang: normalizeLang(body.lang), createdAt: now, updatedAt: now };
+  Leads.data.subscriptions.push(subscription);
+  await Leads.save();
+  send(res, 201, { subscription, duplicate: false });
+}
+
+async function createCallback(req, res) {
+  checkRate(req, 'callbacks');
+  const body = await readJson(req);
+  const phone = normalizePhone(body.phone);
+  if (!phone) throw new HttpError(400, 'invalid', { phone: 'invalid' });
+  const now = new Date().toISOString();
+
+  const open = Leads.data.callbacks.find(c => c.phone === phone && OPEN.includes(c.status));
+  if (open) {
+    open.requests++;
+    open.lastRequestedAt = now;
+    open.updatedAt = now;
+    await Leads.save();
+    return send(res, 200, { callback: open, duplicate: true });
+  }
+  const callback = {
+    id: newId('CB'),
+    phone,
+    name: clean(body.name, 80),
+    page: clean(body.page, 200),
+    lang: normalizeLang(body.lang),
+    status: 'new',
+    requests: 1,
+    createdAt: now,
+    lastRequestedAt: now,
+    updatedAt: now,
+    history: [{ from: null, to: 'new', at: now, agent: '', note: '' }]
+  };
+  Leads.data.callbacks.push(callback);
+  await Leads.save();
+  send(res, 201, { callback, duplicate: false });
+}
+
+function listCallbacks(req, res, url) {
+  requireAgent(req);
+  const status = url.searchParams.get('status');
+  if (status && !STATUSES.includes(status)) throw new HttpError(400, 'invalid', { status: 'invalid' });
+  const counts = {};
+  STATUSES.forEach(s => { counts[s] = 0; });
+  Leads.data.callbacks.forEach(c => { counts[c.status]++; });
+  const callbacks = Leads.data.callbacks
+    .filter(c => !status || c.status === status)
+    .sort((a, b) => b.lastRequestedAt.localeCompare(a.lastRequestedAt));
+  send(res, 200, { callbacks, counts, statuses: STATUSES });
+}
+
+async function updateCallback(req, res, id) {
+  const agent = requireAgent(req);
+  const callback = Leads.data.callbacks.find(c => c.id === id);
+  if (!callback) throw new HttpError(404, 'not_found');
+  const body = await readJson(req);
+  const status = body.status == null ? callback.status : body.status;
+  if (!STATUSES.includes(status)) throw new HttpError(400, 'invalid', { status: 'invalid' });
+  const note = clean(body.note, 500);
+  if (status === callback.status && !note) throw new HttpError(400, 'invalid', { note: 'required' });
+
+  const now = new Date().toISOString();
+  callback.history.push(Object.assign({ from: callback.status, to: status, at: now, agent: agent.name || clean(body.agent, 80), note }, declared(agent)));
+  callback.status = status;
+  callback.updatedAt = now;
+  await Leads.save();
+  send(res, 200, { callback });
+}
+
+function listSubscriptions(req, res) {
+  requireAgent(req);
+  const subscriptions = Leads.data.subscriptions.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  send(res, 200, { subscriptions });
+}
+
+/* ---------- Issuer: the key tickets are signed with ----------
+   One ECDSA P-256 key pair for every ticket this server issues. The QR
+   claims and signature are made by TicketSigning in the Engine, so the
+   browser verifies exactly what was signed. */
+const Issuer = (function () {
+  const file = path.join(DATA_DIR, 'signing-key.json');
+  const ALGO = { name: 'ECDSA', namedCurve: 'P-256' };
+  let key = null; // { privateKey, publicJwk, kid }
+
+  async function privateJwk() {
+    if (process.env.TICKET_SIGNING_KEY) return JSON.parse(process.env.TICKET_SIGNING_KEY);
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${err.message}`);
+    }
+    const pair = await crypto.webcrypto.subtle.generateKey(ALGO, true, ['sign', 'verify']);
+    const jwk = await crypto.webcrypto.subtle.exportKey('jwk', pair.privateKey);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(jwk), { mode: 0o600 });
+    return jwk;
+  }
+
+  async function load() {
+    const jwk = await privateJwk();
+    const publicJwk = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+    const privateKey = await crypto.webcrypto.subtle.importKey('jwk', jwk, ALGO, false, ['sign']);
+    key = { privateKey, publicJwk, kid: await Engine.keyId(publicJwk) };
+    return key;
+  }
+
+  // true when ticket-signing.js already ships the key, so gate devices know it
+  const shipped = () => Engine.trustedKeys().some(k => k.x === key.publicJwk.x && k.y === key.publicJwk.y);
+
+  // -> copy of the booking with every ticket's signedQr made for its current details
+  const sign = booking => Engine.signBooking(booking, key);
+
+  return { load, shipped, sign, get publicJwk() { return key.publicJwk; }, get kid() { return key.kid; } };
+})();
+
+function getSigningKey(req, res) {
+  send(res, 200, { key: Issuer.publicJwk, kid: Issuer.kid });
+}
+
+/* ---------- Bookings ---------- */
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest();
+
+// the stored record without its key hash
+function publicBooking(record) {
+  const booking = Object.assign({}, record);
+  delete booking.accessKeyHash;
+  return booking;
+}
+
+function isAgent(req) {
+  try { return requireAgent(req); } catch (err) { return null; }
+}
+
+/* findBooking(req, id) -> { record, agent } (agent as from requireAgent, or
+   null) for the holder of the booking's
+   access key or an agent; anyone else gets not_found, so booking IDs cannot
+   be probed. */
+function findBooking(req, id) {
+  const record = Bookings.data.bookings.find(b => b.bookingId === id);
+  const agent = isAgent(req);
+  const given = req.headers['x-booking-key'];
+  const keyOk = record && given && crypto.timingSafeEqual(hashKey(given), Buffer.from(record.accessKeyHash, 'hex'));
+  if (!record || !(agent || keyOk)) throw new HttpError(404, 'not_found');
+  return { record, agent };
+}
+
+function readBookingRequest(body) {
+  if (!body.request || typeof body.request !== 'object') throw new HttpError(400, 'invalid', { request: 'required' });
+  return Engine.normalize(body.request);
+}
+
+function checkBookable(request, account) {
+  const problems = Engine.validate(request, Bookings.data.bookings, undefined, account);
+  if (problems.length) throw new HttpError(400, 'invalid', { problems });
+}
+
+// BookingLifecycle throws when a change is not allowed from the booking's status
+function lifecycle(fn) {
+  try {
+    return fn();
+  } catch (err) {
+    throw new HttpError(409, 'conflict', { status: err.message });
+  }
+}
+
+/* Booking writes run one at a time: a handler finds the record, checks it,
+   signs and stores the change inside bookingWrite(fn), so two requests never
+   act on the same state (two cancels of one booking, two bookings for the
+   last seats of a departure). Request bodies are read before queueing. */
+let bookingWrites = Promise.resolve();
+function bookingWrite(fn) {
+  const run = bookingWrites.then(fn);
+  bookingWrites = run.catch(() => {});
+  return run;
+}
+
+// replaces record with the signed next; throws when record is no longer the stored copy
+async function storeBooking(record, next) {
+  const signed = await Issuer.sign(next);
+  const index = Bookings.data.bookings.indexOf(record);
+  if (index === -1) throw new HttpError(409, 'conflict', { status: 'The booking was changed meanwhile; reload it and try again' });
+  const updated = Object.assign(signed, { accessKeyHash: record.accessKeyHash, createdAt: record.createdAt, updatedAt: new Date().toISOString() });
+  Bookings.data.bookings[index] = updated;
+  await Bookings.save();
+  return updated;
+}
+
+/* actor(body, agent) -> who made a change: the holder of a personal agent
+   key, else the name typed under the shared token, else 'agent'; callers
+   holding only a booking's access key are 'customer'. declared(agent) adds
+   selfDeclared: true to a record when nothing vouches for that name. */
+const actor = (body, agent) => (!agent ? 'customer' : agent.name || clean(body.by, 80) || 'agent');
+const declared = agent => (agent && agent.selfDeclared ? { selfDeclared: true } : {});
+
+/* ---------- Loyalty: points ledger per contact email ----------
+   Every change to a balance is an entry { email, bookingId, points, reason,
+   at }: earn when a booking's payment is verified, redeem when one is
+   created with points, and when it is cancelled restore (its redeemed
+   points come back) and reverse (all its earned points go). Reversing can
+   leave the balance below zero, which blocks redeeming until later
+   bookings earn it back. A booking has at most one entry per reason, so a
+   repeated request never earns, restores or reverses twice; the booking's
+   own change is saved before its entries are written. Only a hash of each account's loyalty number is
+   kept, like booking access keys; the number itself is only ever mailed
+   to the account's email. */
+const LOYALTY_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const newLoyaltyNumber = () => `HTL-${Array.from(crypto.randomBytes(10), b => LOYALTY_CHARS[b % LOYALTY_CHARS.length]).join('')}`;
+
+const balanceOf = email => Loyalty.data.entries.filter(e => e.email === email).reduce((sum, e) => sum + e.points, 0);
+
+// -> false when the booking already has an entry for the reason
+function addEntry(email, bookingId, points, reason) {
+  if (Loyalty.data.entries.some(e => e.bookingId === bookingId && e.reason === reason)) return false;
+  Loyalty.data.entries.push({ email, bookingId, points, reason, at: new Date().toISOString() });
+  return true;
+}
+
+// -> { email, balance } when number is the email's loyalty number, otherwise null
+function loyaltyAccount(emailValue, number) {
+  const email = normalizeEmail(emailValue);
+  const account = email && number && Loyalty.data.accounts.find(a => a.email === email);
+  if (!account || !crypto.timingSafeEqual(hashKey(clean(number, 20).toUpperCase()), Buffer.from(account.numberHash, 'hex'))) return null;
+  return { email, balance: balanceOf(email) };
+}
+
+function queueMail(to, subject, text) {
+  Outbox.data.messages.push({ id: newId('mail'), to, subject, text, createdAt: new Date().toISOString(), sentAt: null });
+}
+
+// -> { earned, balance } once the stored booking's pointsEarned are on the
+// ledger, or null; the first points for an email open its account and mail it the number
+function earnPoints(booking) {
+  const email = normalizeEmail(booking.contactEmail);
+  const earned = booking.pointsEarned;
+  if (!email || !earned || !addEntry(email, booking.bookingId, earned, 'earn')) return null;
+  if (!Loyalty.data.accounts.some(a => a.email === email)) {
+    const number = newLoyaltyNumber();
+    Loyalty.data.accounts.push({ email, numberHash: hashKey(number).toString('hex'), createdAt: new Date().toISOString() });
+    queueMail(email, 'Your Harmony Travels loyalty number',
+      `Booking ${booking.bookingId} earned you ${earned} loyalty points. Your loyalty number is ${number}; give it with this email address at checkout to use your points.`);
+  }
+  return { earned, balance: balanceOf(email) };
+}
+
+// -> true when the cancelled booking changed the ledger
+function settlePoints(booking) {
+  const email = normalizeEmail(booking.contactEmail);
+  if (!email) return false;
+  const restored = !!booking.pointsRedeemed && addEntry(email, booking.bookingId, booking.pointsRedeemed, 'restore');
+  // only points that were put on the ledger are taken back
+  const earned = Loyalty.data.entries.some(e => e.bookingId === booking.bookingId && e.reason === 'earn');
+  const reversed = !!booking.pointsEarned && earned && addEntry(email, booking.bookingId, -booking.pointsEarned, 'reverse');
+  return restored || reversed;
+}
+
+async function quoteBooking(req, res) {
+  checkRate(req, 'quotes');
+  const body = await readJson(req);
+  const request = readBookingRequest(body);
+  const account = loyaltyAccount(request.contact.email, body.loyaltyNumber);
+  checkBookable(request, account);
+  const { legTotals, stayTotal, packageTotal, discount, maxPoints, groupTotal } = Engine.quote(request);
+  send(res, 200, {
+    quote: { legTotals, stayTotal, packageTotal, discount, maxPoints, groupTotal, currency: request.currency },
+    loyalty: account ? { balance: account.balance } : null
+  });
+}
+
+async function createBooking(req, res) {
+  checkRate(req, 'bookings');
+  const body = await readJson(req);
+  const request = readBookingRequest(body);
+  const { record, accessKey } = await bookingWrite(async () => {
+    // seats, promo uses and the points balance are checked against the bookings as they are now
+    const account = loyaltyAccount(request.contact.email, body.loyaltyNumber);
+    checkBookable(request, account);
+    const taken = new Set(Bookings.data.bookings.map(b => b.bookingId));
+    let bookingId = Engine.newId();
+    while (taken.has(bookingId)) bookingId = Engine.newId();
+
+    const key = crypto.randomBytes(24).toString('base64url');
+    const now = new Date().toISOString();
+    const built = Object.assign(await Issuer.sign(Engine.build(request, { bookingId, bookings: Bookings.data.bookings })), {
+      accessKeyHash: hashKey(key).toString('hex'),
+      createdAt: now,
+      updatedAt: now
+    });
+    Bookings.data.bookings.push(built);
+    await Bookings.save();
+    if (built.pointsRedeemed) {
+      addEntry(account.email, bookingId, -built.pointsRedeemed, 'redeem');
+      await Loyalty.save();
+    }
+    return { record: built, accessKey: key };
+  });
+  send(res, 201, { booking: publicBooking(record), accessKey });
+}
+
+function getBooking(req, res, id) {
+  send(res, 200, { booking: publicBooking(findBooking(req, id).record) });
+}
+
+// an unpaid booking past its hold has lost its seats and can no longer be paid for or confirmed
+function checkHold(record) {
+  if (Engine.holdExpired(record)) throw new HttpError(409, 'conflict', { status: `Not paid within ${Engine.holdMinutes()} minutes; the seats were released, please book again` });
+}
+
+/* Pending bookings left unpaid past their hold are cancelled by the system,
+   which releases their seats and promo use and gives redeemed points back. */
+async function releaseExpiredHolds() {
+  const expired = Bookings.data.bookings.filter(b => Engine.holdExpired(b));
+  let restored = false;
+  for (const { bookingId } of expired) {
+    await bookingWrite(async () => {
+      const record = Bookings.data.bookings.find(b => b.bookingId === bookingId);
+      if (!record || !Engine.holdExpired(record)) return; // paid or cancelled meanwhile
+      const next = Engine.cancel(record, { by: 'system', note: `Not paid within ${Engine.holdMinutes()} minutes; hold released` });
+      await storeBooking(record, next);
+      restored = settlePoints(next) || restored;
+    });
+  }
+  if (restored) await Loyalty.save();
+}
+
+async function payBooking(req, res, id) {
+  findBooking(req, id);
+  const receipt = (await readJson(req)).receipt;
+  const booking = await bookingWrite(async () => {
+    const { record } = findBooking(req, id);
+    checkHold(record);
+    const problems = {};
+    if (!receipt || typeof receipt !== 'object') problems.receipt = 'required';
+    else {
+      if (receipt.reference !== record.bookingId) problems.reference = 'mismatch';
+      if (receipt.amount !== record.groupTotal) problems.amount = 'mismatch';
+      if (!clean(receipt.transactionId, 60) || !clean(receipt.method, 40)) problems.receipt = 'invalid';
+    }
+    if (Object.keys(problems).length) throw new HttpError(400, 'invalid', problems);
+    const paid = {
+      provider: clean(receipt.provider, 20),
+      method: clean(receipt.method, 40),
+      transactionId: clean(receipt.transactionId, 60),
+      amount: receipt.amount,
+      reference: receipt.reference,
+      paidAt: new Date().toISOString(),
+      detail: clean(receipt.detail, 40)
+    };
+    const next = lifecycle(() => Engine.markPaid(record, paid));
+    return publicBooking(await storeBooking(record, next));
+  });
+  send(res, 200, { booking });
+}
+
+/* An agent has matched the recorded receipt with the payment provider's
+   statement: the tickets are re-signed as boardable and the booking now
+   earns its loyalty points. */
+async function verifyPayment(req, res, id) {
+  const agent = requireAgent(req);
+  findBooking(req, id);
+  const body = await readJson(req);
+  const reply = await bookingWrite(async () => {
+    const { record } = findBooking(req, id);
+    if (!record.payment) throw new HttpError(409, 'conflict', { payment: 'missing' });
+    if (record.payment.verifiedAt) throw new HttpError(409, 'conflict', { payment: 'verified' });
+    if (['cancelled', 'refunded'].includes(record.status)) throw new HttpError(409, 'conflict', { status: `Cannot verify the payment of a ${record.status} booking` });
+    const next = JSON.parse(JSON.stringify(record));
+    Object.assign(next.payment, { verifiedAt: new Date().toISOString(), verifiedBy: actor(body, agent) }, declared(agent));
+    if (normalizeEmail(next.contactEmail) && Engine.pointsFor(next.groupTotal)) next.pointsEarned = Engine.pointsFor(next.groupTotal);
+    const stored = await storeBooking(record, next);
+    const loyalty = earnPoints(stored);
+    if (loyalty) await Promise.all([Loyalty.save(), Outbox.save()]);
+    return { booking: publicBooking(stored), loyalty };
+  });
+  send(res, 200, reply);
+}
+
+// the booking's legs in travel order, as Itinerary legs read from their tickets
+function legsOf(record) {
+  const firsts = new Map();
+  (record.tickets || []).forEach(t => { if (!firsts.has(t.legIndex || 1)) firsts.set(t.legIndex || 1, t); });
+  return Array.from(firsts).sort((a, b) => a[0] - b[0]).map(([index, t]) => ({
+    index, transport: t.transportType, provider: t.provider, travelClass: t.classOrSeat,
+    origin: t.route.origin, destination: t.route.destination, departDateTime: t.departDateTime, arriveDateTime: t.arriveDateTime
+  }));
+}
+
+/* changes: { legIndex, travelClass?, departDateTime? }. Only agents amend:
+   the fare difference is theirs to collect or pay back. Arrival and trip
+   number come from the timetable; as when booking, the new departure must
+   not have left, the legs must still chain, and the departure must have
+   places for the leg's seated passengers. */
+async function amendBooking(req, res, id) {
+  const agent = requireAgent(req);
+  findBooking(req, id);
+  const body = await readJson(req);
+  const reply = await bookingWrite(async () => {
+    const { record } = findBooking(req, id);
+    const changes = body.changes && typeof body.changes === 'object' ? body.changes : {};
+    const legIndex = Number(changes.legIndex) || 1;
+    const tickets = (record.tickets || []).filter(t => (t.legIndex || 1) === legIndex);
+    if (!tickets.length) throw new HttpError(400, 'invalid', { legIndex: 'invalid' });
+    const sample = tickets[0];
+    const travelClass = clean(changes.travelClass, 40) || sample.classOrSeat;
+    const departDateTime = clean(changes.departDateTime, 40) || sample.departDateTime;
+    const trip = Engine.findTrip({ provider: sample.provider, origin: sample.route.origin, destination: sample.route.destination, departDateTime });
+    if (!trip) throw new HttpError(400, 'invalid', { departDateTime: 'invalid' });
+    const legs = legsOf(record).map(leg => (leg.index === legIndex
+      ? Object.assign(leg, { travelClass, departDateTime, arriveDateTime: trip.arriveDateTime }) : leg));
+    const problems = Engine.validateLegs(legs);
+    if (new Date(departDateTime) < new Date()) problems.push({ key: 'book.err.departed', params: { n: legIndex } });
+    if (problems.length) throw new HttpError(400, 'invalid', { problems });
+
+    const others = Bookings.data.bookings.filter(b => b !== record);
+    const { left } = Engine.availability(others, {
+      provider: sample.provider, travelClass, origin: sample.route.origin, destination: sample.route.destination, departDateTime
+    });
+    if (left < tickets.filter(t => t.ageBand !== 'infant').length) throw new HttpError(409, 'conflict', { seats: 'sold_out' });
+
+    const { booking, fareDifference } = lifecycle(() => Engine.amend(record, {
+      legIndex, travelClass, departDateTime, arriveDateTime: trip.arriveDateTime, tripNo: trip.tripNo
+    }, Object.assign({ by: actor(body, agent) }, declared(agent))));
+    return { booking: publicBooking(await storeBooking(record, booking)), fareDifference };
+  });
+  send(res, 200, reply);
+}
+
+async function cancelBooking(req, res, id) {
+  findBooking(req, id);
+  const body = await readJson(req);
+  const booking = await bookingWrite(async () => {
+    const { record, agent } = findBooking(req, id);
+    const next = lifecycle(() => Engine.cancel(record, Object.assign({ by: actor(body, agent), note: clean(body.note, 500) }, declared(agent))));
+    const stored = publicBooking(await storeBooking(record, next));
+    if (settlePoints(next)) await Loyalty.save();
+    return stored;
+  });
+  send(res, 200, { booking });
+}
+
+async function setBookingStatus(req, res, id) {
+  const agent = requireAgent(req);
+  findBooking(req, id);
+  const body = await readJson(req);
+  if (!AGENT_STATUSES.includes(body.to)) throw new HttpError(400, 'invalid', { to: 'invalid' });
+  const booking = await bookingWrite(async () => {
+    const { record } = findBooking(req, id);
+    if (body.to === 'confirmed') checkHold(record);
+    const next = lifecycle(() => Engine.transition(record, body.to, Object.assign({ by: actor(body, agent), note: clean(body.note, 500) }, declared(agent))));
+    return publicBooking(await storeBooking(record, next));
+  });
+  send(res, 200, { booking });
+}
+
+/* ---------- Fares ---------- */
+// versions saved before tax rules carry a single taxRate; upgrade() turns it into one
+const publishedFares = () => Engine.upgradeFares(Fares.data.versions[Fares.data.versions.length - 1] || Engine.fareDefaults());
+const fareDraft = () => {
+  const draft = Fares.data.drafts[0];
+  return draft ? Object.assign({}, draft, { config: Engine.upgradeFares(draft.config) }) : null;
+};
+
+function checkFares(config) {
+  const problems = Engine.validateFares(config, Engine.packageFares());
+  if (problems.length) throw new HttpError(400, 'invalid', { problems });
+}
+
+function getFares(req, res) {
+  send(res, 200, { config: publishedFares() });
+}
+
+function getFareAdmin(req, res) {
+  requireAgent(req);
+  const audit = Fares.data.audit.slice(-200).reverse();
+  send(res, 200, { published: publishedFares(), draft: fareDraft(), audit, required: Engine.packageFares() });
+}
+
+// the audit entry records what changed against the previous draft, or the
+// published prices when there was none
+async function saveFareDraft(req, res) {
+  const agent = requireAgent(req);
+  const body = await readJson(req, MAX_FARES_BODY);
+  const config = Engine.normalizeFares(body.config);
+  checkFares(config);
+  const previous = fareDraft();
+  const changes = Engine.diffFares(previous ? previous.config : publishedFares(), config);
+  if (!changes.length) return send(res, 200, { draft: previous, changes });
+  const by = actor(body, agent);
+  const now = new Date().toISOString();
+  Fares.data.drafts.splice(0, Infinity, Object.assign({ config, basedOn: publishedFares().version, savedAt: now, savedBy: by }, declared(agent)));
+  Fares.data.audit.push(Object.assign({ at: now, by, action: 'draft', version: null, note: '', changes }, declared(agent)));
+  await Fares.save();
+  send(res, 200, { draft: fareDraft(), changes });
+}
+
+async function discardFareDraft(req, res) {
+  const agent = requireAgent(req);
+  const body = await readJson(req);
+  const draft = fareDraft();
+  if (!draft) throw new HttpError(404, 'not_found');
+  Fares.data.drafts.splice(0, Infinity);
+  Fares.data.audit.push(Object.assign({
+    at: new Date().toISOString(), by: actor(body, agent), action: 'discard', version: null, note: '',
+    changes: Engine.diffFares(draft.config, publishedFares())
+  }, declared(agent)));
+  await Fares.save();
+  send(res, 200, { draft: null });
+}
+
+async function publishFares(req, res) {
+  const agent = requireAgent(req);
+  const body = await readJson(req);
+  const draft = fareDraft();
+  if (!draft) throw new HttpError(409, 'conflict', { draft: 'missing' });
+  checkFares(draft.config);
+  const current = publishedFares();
+  const changes = Engine.diffFares(current, draft.config);
+  if (!changes.length) throw new HttpError(409, 'conflict', { draft: 'unchanged' });
+
+  const by = actor(body, agent);
+  const note = clean(body.note, 500);
+  const now = new Date().toISOString();
+  const config = Object.assign({ version: current.version + 1, publishedAt: now, publishedBy: by, note }, draft.config);
+  Fares.data.versions.push(config);
+  Fares.data.drafts.splice(0, Infinity);
+  Fares.data.audit.push(Object.assign({ at: now, by, action: 'publish', version: config.version, note, changes }, declared(agent)));
+  Engine.useFares(config);
+  await Fares.save();
+  send(res, 200, { config, changes });
+}
+
+async function api(req, res, url) {
+  const route = url.pathname.replace(/\/+$/, '');
+  const callbackId = (route.match(/^\/api\/callbacks\/([\w-]+)$/) || [])[1];
+  if (route === '/api/subscriptions' && req.method === 'POST') return createSubscription(req, res);
+  if (route === '/api/subscriptions' && req.method === 'GET') return listSubscriptions(req, res);
+  if (route === '/api/callbacks' && req.method === 'POST') return createCallback(req, res);
+  if (route === '/api/callbacks' && req.method === 'GET') return listCallbacks(req, res, url);
+  if (callbackId && req.method === 'PATCH') return updateCallback(req, res, callbackId);
+
+  if (route === '/api/fares' && req.method === 'GET') return getFares(req, res);
+  if (route === '/api/fares/admin' && req.method === 'GET') return getFareAdmin(req, res);
+  if (route === '/api/fares/draft' && req.method === 'PUT') return saveFareDraft(req, res);
+  if (route === '/api/fares/draft' && req.method === 'DELETE') return discardFareDraft(req, res);
+  if (route === '/api/fares/publish' && req.method === 'POST') return publishFares(req, res);
+
+  if (route === '/api/signing-key' && req.method === 'GET') return getSigningKey(req, res);
+
+  if (route === '/api/bookings/quote' && req.method === 'POST') return quoteBooking(req, res);
+  if (route === '/api/bookings' && req.method === 'POST') return createBooking(req, res);
+  const [, bookingId, action] = route.match(/^\/api\/bookings\/([\w-]+)(?:\/(\w+))?$/) || [];
+  if (bookingId && !action && req.method === 'GET') return getBooking(req, res, bookingId);
+  const actions = { payment: payBooking, verify: verifyPayment, amend: amendBooking, cancel: cancelBooking, status: setBookingStatus };
+  if (bookingId && Object.hasOwn(actions, action) && req.method === 'POST') return actions[action](req, res, bookingId);
+  throw new HttpError(404, 'not_found');
+}
+
+/* ---------- Static files ---------- */
+function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, { error: 'method_not_allowed' }, { Allow: 'GET, HEAD' });
+  let pathname;
+  try { pathname = decodeURIComponent(url.pathname); } catch (err) { return send(res, 400, { error: 'invalid' }); }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  const file = path.join(ROOT, path.normalize(pathname));
+  const rel = path.relative(ROOT, file);
+  const hidden = rel.startsWith('..') || rel.split(path.sep).some(part => part.startsWith('.'))
+    || file.startsWith(DATA_DIR + path.sep) || PRIVATE.has(rel) || rel === 'node_modules' || rel.startsWith(`node_modules${path.sep}`);
+  if (hidden) return send(res, 404, { error: 'not_found' });
+
+  fs.stat(file, (err, stat) => {
+    if (err || !stat.isFile()) return send(res, 404, { error: 'not_found' });
+    res.writeHead(200, {
+      'Content-Type': MIME[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stat.size
+    });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+/* ---------- Server ---------- */
+function corsHeaders(req) {
+  if (!CORS_ORIGIN || req.headers.origin !== CORS_ORIGIN) return {};
+  return {
+    'Access-Control-Allow-Origin': CORS_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Booking-Key',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    'Vary': 'Origin'
+  };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (!url.pathname.startsWith('/api/')) return serveStatic(req, res, url);
+
+  Object.entries(corsHeaders(req)).forEach(([name, value]) => res.setHeader(name, value));
+  if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
+  try {
+    await api(req, res, url);
+  } catch (err) {
+    if (!(err instanceof HttpError)) {
+      console.error(err);
+      return send(res, 500, { error: 'server' });
+    }
+    const body = { error: err.code };
+    if (err.fields) body.fields = err.fields;
+    send(res, err.status, body, err.retryAfter ? { 'Retry-After': String(err.retryAfter) } : {});
+  }
+});
+
+Leads.load();
+Bookings.load();
+Fares.load();
+Loyalty.load();
+Outbox.load();
+if (Fares.data.versions.length) Engine.useFares(publishedFares());
+const releaseHolds = () => releaseExpiredHolds().catch(err => console.error('Releasing expired holds failed', err));
+setInterval(releaseHolds, 60 * 1000).unref();
+Issuer.load().then(() => server.listen(PORT, () => {
+  console.log(`Harmony Travels on http://localhost:${PORT}`);
+  releaseHolds();
+  if (!process.env.AGENT_TOKEN && AGENT_TOKEN) console.log(`Agent token for inbox.html (set AGENT_TOKEN to keep one, or AGENT_KEYS for personal keys): ${AGENT_TOKEN}`);
+  if (!Issuer.shipped()) console.log(`Ticket issuer key ${Issuer.kid}; add it to TRUSTED_KEYS in ticket-signing.js: ${JSON.stringify(Issuer.publicJwk)}`);
+})).catch(err => {
+  console.error('Ticket signing key unavailable', err);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+/* ---------- Stays: accommodation booked alongside transport ----------
+   PROPERTIES lists where guests can stay at each destination: the property
+   type, its room types (nightly rate per room in KES and how many guests a
+   room sleeps) and the meal plans it offers. MEAL_PLANS are charged per guest
+   per night; children pay half and infants stay free.
+
+   A stay is { propertyId, roomType, mealPlan, checkIn, checkOut } with
+   YYYY-MM-DD dates. quote(stay, bands) prices it for the travelling group
+   with the same { label, amount, key, params } lines as FareEngine, so the
+   fare breakdown and vouchers show it the same way as transport fares.
+*/
+const Stays = (function () {
+  const MEAL_PLANS = {
+    RO: { label: 'Room only', rate: 0 },
+    BB: { label: 'Bed & breakfast', rate: 1500 },
+    HB: { label: 'Half board', rate: 3500 },
+    FB: { label: 'Full board', rate: 5500 }
+  };
+
+  // children's meals are charged at this share of the adult meal rate
+  const CHILD_MEAL_FACTOR = 0.5;
+
+  // longest stay we sell online; longer stays go through an agent
+  const MAX_NIGHTS = 30;
+
+  const PROPERTIES = [
+    {
+      id: 'mara-acacia-camp', name: 'Acacia Plains Camp', destination: 'Maasai Mara', type: 'Camp',
+      rooms: { 'Safari tent': { rate: 16000, sleeps: 2 }, 'Family tent': { rate: 27000, sleeps: 4 } },
+      mealPlans: ['FB']
+    },
+    {
+      id: 'mara-river-lodge', name: 'Mara River Lodge', destination: 'Maasai Mara', type: 'Lodge',
+      rooms: { Standard: { rate: 21000, sleeps: 2 }, 'River view': { rate: 29000, sleeps: 2 } },
+      mealPlans: ['HB', 'FB']
+    },
+    {
+      id: 'amboseli-kilima-camp', name: 'Kilima View Camp', destination: 'Amboseli', type: 'Camp',
+      rooms: { 'Safari tent': { rate: 14000, sleeps: 2 }, 'Family tent': { rate: 24000, sleeps: 4 } },
+      mealPlans: ['HB', 'FB']
+    },
+    {
+      id: 'diani-reef-hotel', name: 'Diani Reef Beach Hotel', destination: 'Diani Beach', type: 'Hotel',
+      rooms: { Standard: { rate: 12000, sleeps: 2 }, 'Sea view': { rate: 17500, sleeps: 2 }, 'Family suite': { rate: 26000, sleeps: 4 } },
+      mealPlans: ['BB', 'HB', 'FB']
+    },
+    {
+      id: 'diani-palm-cottages', name: 'Palm Shade Cottages', destination: 'Diani Beach', type: 'Guesthouse',
+      rooms: { 'Garden cottage': { rate: 6500, sleeps: 2 }, 'Two-bedroom cottage': { rate: 11000, sleeps: 4 } },
+      mealPlans: ['RO', 'BB']
+    },
+    {
+      id: 'lamu-old-town-house', name: 'Old Town Swahili House', destination: 'Lamu Island', type: 'Guesthouse',
+      rooms: { 'Double room': { rate: 7000, sleeps: 2 }, 'Rooftop suite': { rate: 12500, sleeps: 3 } },
+      mealPlans: ['RO', 'BB']
+    },
+    {
+      id: 'lamu-shela-dhow-house', name: 'Shela Dhow House', destination: 'Lamu Island', type: 'Guesthouse',
+      rooms: { 'Sea-facing room': { rate: 9500, sleeps: 2 } },
+      mealPlans: ['BB', 'HB']
+    },
+    {
+      id: 'nakuru-flamingo-lodge', name: 'Flamingo Ridge Lodge', destination: 'Lake Nakuru', type: 'Lodge',
+      rooms: { Standard: { rate: 13000, sleeps: 2 }, Family: { rate: 21000, sleeps: 4 } },
+      mealPlans: ['BB', 'HB', 'FB']
+    },
+    {
+      id: 'mount-kenya-forest-lodge', name: 'Forest Edge Lodge', destination: 'Mount Kenya', type: 'Lodge',
+      rooms: { Standard: { rate: 11000, sleeps: 2 }, Cabin: { rate: 15000, sleeps: 3 } },
+      mealPlans: ['HB', 'FB']
+    },
+    {
+      id: 'mombasa-nyali-hotel', name: 'Nyali Sands Hotel', destination: 'Mombasa', type: 'Hotel',
+      rooms: { Standard: { rate: 9000, sleeps: 2 }, 'Sea view': { rate: 13000, sleeps: 2 } },
+      mealPlans: ['BB', 'HB']
+    },
+    {
+      id: 'kisumu-lakeside-hotel', name: 'Lakeside Hotel Kisumu', destination: 'Kisumu', type: 'Hotel',
+      rooms: { Standard: { rate: 7500, sleeps: 2 }, Executive: { rate: 11000, sleeps: 2 } },
+      mealPlans: ['RO', 'BB']
+    },
+    {
+      id: 'nairobi-city-hotel', name: 'City Gardens Hotel', destination: 'Nairobi', type: 'Hotel',
+      rooms: { Standard: { rate: 8500, sleeps: 2 }, Executive: { rate: 12500, sleeps: 2 } },
+      mealPlans: ['RO', 'BB']
+    }
+  ];
+
+  const find = id => PROPERTIES.find(p => p.id === id) || null;
+  const forDestination = destination => PROPERTIES.filter(p => p.destination === destination);
+
+  // noon avoids the date shifting a day in time zones behind UTC
+  const atNoon = date => new Date(`${date}T12:00:00`);
+
+  function nightsBetween(checkIn, checkOut) {
+    if (!checkIn || !checkOut) return 0;
+    const ms = atNoon(checkOut) - atNoon(checkIn);
+    return isNaN(ms) ? 0 : Math.round(ms / 864e5);
+  }
+
+  function addDays(date, days) {
+    const d = atNoon(date);
+    d.setDate(d.getDate() + days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /* validate(stay) -> array of problems (empty when the stay can be priced),
+     worded in the current I18n language */
+  function validate(stay) {
+    const errors = [];
+    const property = stay && find(stay.propertyId);
+    if (!property || !property.rooms[stay.roomType] || !property.mealPlans.includes(stay.mealPlan)) {
+      errors.push(I18n.t('stay.err.pick'));
+      return errors;
+    }
+    const nights = nightsBetween(stay.checkIn, stay.checkOut);
+    if (nights < 1) errors.push(I18n.t('stay.err.dates'));
+    else if (nights > MAX_NIGHTS) errors.push(I18n.t('stay.err.long', { max: MAX_NIGHTS }));
+    return errors;
+  }
+
+  /* quote(stay, bands) -> { property, nights, rooms, guests, lines, total } or
+     null when the stay is incomplete. Enough rooms of the chosen type are
+     booked to sleep everyone but infants; seasonal pricing (FareEngine
+     seasons) applies to the room rate night by night. lines sum to total. */
+  function quote(stay, bands) {
+    if (!stay || validate(stay).length) return null;
+    const property = find(stay.propertyId);
+    const room = property.rooms[stay.roomType];
+    const plan = MEAL_PLANS[stay.mealPlan];
+    const nights = nightsBetween(stay.checkIn, stay.checkOut);
+    const group = bands && bands.length ? bands : ['adult'];
+    const guests = group.filter(b => b !== 'infant').length;
+    const children = group.filter(b => b === 'child').length;
+    const rooms = Math.max(1, Math.ceil(guests / room.sleeps));
+
+    const lines = [{
+      label: `${stay.roomType} room × ${rooms}, ${nights} night(s) at KES ${room.rate}`,
+      amount: room.rate * rooms * nights,
+      key: 'stay.line.room',
+      params: { room: stay.roomType, rooms, count: nights, rate: room.rate }
+    }];
+
+    // season uplift or discount per night, one line per season
+    const seasons = {};
+    for (let n = 0; n < nights; n++) {
+      const season = FareEngine.seasonFor(`${addDays(stay.checkIn, n)}T12:00:00`, property.destination);
+      if (!season || season.multiplier === 1) continue;
+      const entry = seasons[season.id] || (seasons[season.id] = { season, amount: 0 });
+      entry.amount += Math.round(room.rate * rooms * (season.multiplier - 1));
+    }
+    Object.values(seasons).forEach(({ season, amount }) => {
+      const pct = Math.round((season.multiplier - 1) * 100);
+      const signed = `${pct > 0 ? '+' : ''}${pct}`;
+      lines.push({ label: `${season.name} (${signed}%)`, amount, key: `fare.season.${season.id}`, params: { pct: signed } });
+    });
+
+    if (plan.rate) {
+      const guestNights = guests * nights;
+      lines.push({ label: `${plan.label}, ${guestNights} guest-night(s)`, amount: plan.rate * guestNights, key: `stay.line.${stay.mealPlan}`, params: { count: guestNights } });
+      if (children) {
+        const pct = Math.round((1 - CHILD_MEAL_FACTOR) * 100);
+        lines.push({ label: `Children's meals (-${pct}%)`, amount: -Math.round(plan.rate * children * nights * (1 - CHILD_MEAL_FACTOR)), key: 'stay.line.childMeals', params: { pct } });
+      }
+    }
+
+    const total = lines.reduce((sum, l) => sum + l.amount, 0);
+    return { property, nights, rooms, guests, lines, total };
+  }
+
+  return { MEAL_PLANS, PROPERTIES, MAX_NIGHTS, find, forDestination, nightsBetween, addDays, validate, quote };
+})();
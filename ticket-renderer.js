@@ -0,0 +1,521 @@
+/* ---------- TicketRenderer (reduced/adjusted version from previous implementation) ----------
+   Shared by the booking form (ticket.js) and the My Bookings page (bookings.js).
+   Labels, dates and amounts follow the I18n language; the open tickets are
+   redrawn when it changes. Amounts are in KES, with the booking's display
+   currency (data.currency, see currency.js) beside prices, taxes and totals
+   at the rate recorded when it was booked. A booking with a stay gets an
+   accommodation voucher after its tickets; a tour package booking gets a
+   package voucher, and its tickets show their fare as included. Price
+   boxes itemise the fare, any promo code or loyalty points discount
+   (discountLines, see promotions.js) and each tax, levy and fee (taxLines,
+   see FareEngine.taxLines) above a total they add up to.
+*/
+const TicketRenderer = (function () {
+  let container = null;
+  let currentData = null;
+  let qrInstance = null;
+
+  const t = I18n.t;
+  const formatDate = iso => {
+    if (!iso) return t('ticket.tba');
+    return I18n.formatDate(iso, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+  const computeDuration = (startIso, endIso) => {
+    if (!startIso || !endIso) return '';
+    const mins = Math.round((new Date(endIso) - new Date(startIso)) / (1000 * 60));
+    if (isNaN(mins) || mins <= 0) return '';
+    return I18n.formatDuration(mins);
+  };
+  const STATUS_COLORS = {
+    pending: 'var(--accent-2)',
+    confirmed: 'var(--accent)',
+    amended: 'var(--accent)',
+    cancelled: '#ff6b6b',
+    refunded: '#ff6b6b',
+    used: 'var(--muted)'
+  };
+  const isVoid = status => status === 'cancelled' || status === 'refunded';
+
+  // QR payload carries the current status (and seat) so a scanned cancelled ticket reads as such
+  function qrText(payload, status, seat) {
+    if (!payload || !/^https?:/.test(payload)) return [payload || window.location.href, status.toUpperCase(), seat].filter(Boolean).join('|');
+    const url = new URL(payload);
+    url.searchParams.set('status', status);
+    if (seat) url.searchParams.set('seat', seat);
+    return url.toString();
+  }
+
+  const fmtKES = n => (n == null || isNaN(n)) ? 'KES N/A' : I18n.formatMoney(n);
+  // bookings made before display currencies carry no snapshot and stay in KES only
+  const fmtAmount = (n, currency) => (n == null || isNaN(n)) ? 'KES N/A' : Currency.formatDual(n, currency || null);
+  const currencyNote = currency => Currency.note(currency || null);
+  // tickets issued as part of a package carry no fare of their own
+  const ticketAmount = (n, data) => data.packageVoucherNo ? t('pkg.included') : fmtAmount(n, data.currency);
+
+  // fare, discounts, then taxes and fees; bookings made before itemised taxes have one taxes amount
+  function priceLines(price, discountLines, taxLines, taxes) {
+    const lines = [{ text: t('ticket.fare'), amount: price }]
+      .concat((discountLines || []).map(l => ({ text: I18n.text(l), amount: l.amount })))
+      .concat(Array.isArray(taxLines)
+        ? taxLines.map(l => ({ text: I18n.text(l), amount: l.amount }))
+        : [{ text: t('ticket.taxes'), amount: taxes || 0 }]);
+    return `<ul class="fare-lines price-lines" aria-label="${t('ticket.priceBreakdown')}">${lines.map(l => `<li><span>${l.text}</span><span>${fmtKES(l.amount)}</span></li>`).join('')}</ul>`;
+  }
+
+  function buildHtml(data) {
+    const depart = formatDate(data.departDateTime);
+    const arrive = data.arriveDateTime ? formatDate(data.arriveDateTime) : t('ticket.tba');
+    const duration = data.duration || computeDuration(data.departDateTime, data.arriveDateTime) || t('ticket.tba');
+    const total = data.total ?? ((data.price || 0) + (data.taxes || 0));
+    const logo = data.logoUrl ? `<img src="${data.logoUrl}" alt="Logo" loading="lazy">` : `<svg width="86" height="28" viewBox="0 0 300 68" role="img" aria-hidden="true"><text x="0" y="20" font-size="18" font-weight="700" fill="var(--text)">Harmony</text><text x="100" y="20" font-size="14" fill="var(--accent)">Travels</text></svg>`;
+
+    const provider = data.provider || t('ticket.provider');
+    const transportType = I18n.label('transport', data.transportType) || t('ticket.transport');
+    const classOrSeat = data.classOrSeat || t('ticket.classSeat');
+    const seatLabel = data.seat ? `${classOrSeat} · ${t('ticket.seat', { seat: data.seat })}` : (data.ageBand === 'infant' ? `${classOrSeat} · ${t('ticket.onLap')}` : classOrSeat);
+    const origin = (data.route && data.route.origin) ? data.route.origin : t('ticket.origin');
+    const destination = (data.route && data.route.destination) ? data.route.destination : t('ticket.destination');
+    const distance = (data.distanceKm) ? `${data.distanceKm} km` : '—';
+    const status = data.status || 'confirmed';
+    const bandLabel = data.ageBand ? I18n.label('band', data.ageBand) : data.ageBandLabel;
+    // with a stay or a package the group total also covers the voucher
+    const groupLabel = data.hasPackage ? t('ticket.packageTotal', { count: data.groupSize })
+      : data.hasStay ? t('ticket.bookingTotal', { count: data.groupSize })
+      : data.legCount > 1 ? t('ticket.tripTotal', { count: data.groupSize, legs: data.legCount })
+      : t('ticket.groupTotal', { count: data.groupSize });
+
+    return `
+      <div class="ticket-left" role="article" aria-label="${t('ticket.stub')}">
+        <div class="ticket-logo">${logo}<div class="brand-title">Harmony Travels</div></div>
+        <div class="small-muted">${t('ticket.booking')}</div>
+        <div style="font-weight:800;margin-top:6px">${data.bookingId || 'HT-TBA'}</div>
+        <div class="small-muted" style="margin-top:6px">${data.groupSize > 1 ? t('ticket.passengerOf', { i: data.passengerIndex, n: data.groupSize }) : t('ticket.passenger')}</div>
+        <div style="font-weight:700">${data.passengerName || t('ticket.passengerName')}</div>
+        <div class="small-muted">${[bandLabel, data.passengerIdNumber ? t('ticket.id', { id: data.passengerIdNumber }) : ''].filter(Boolean).join(' · ')}</div>
+
+        <div style="margin-top:8px" class="small-muted">${t('ticket.contact')}</div>
+        <div class="small-muted">${data.contactPhone || ''}<br>${data.contactEmail || ''}</div>
+
+        <div class="qr-wrap" aria-hidden="false"></div>
+
+        <div style="margin-top:8px" class="small-muted">${t('ticket.route')}</div>
+        <div style="font-weight:700">${origin} → ${destination}</div>
+
+        <div class="small-muted" style="margin-top:6px">${t('ticket.distance')}</div>
+        <div class="small-muted">${distance}</div>
+      </div>
+
+      <div class="ticket-right">
+        <div class="row">
+          <div>
+            <div class="small-muted">${t('ticket.trip')}${data.tripNo ? ` ${data.tripNo}` : ''}${data.legCount > 1 ? ` · ${t('ticket.legOf', { i: data.legIndex, n: data.legCount })}` : ''}</div>
+            <div style="font-weight:900;font-size:1.15rem">${transportType} — ${provider}</div>
+            <div class="badge-type">${classOrSeat}</div>
+          </div>
+          <div style="text-align:right">
+            <div class="small-muted">${t('ticket.status')}</div>
+            <div class="ticket-status" style="font-weight:800;color:${STATUS_COLORS[status] || 'var(--accent)'}">${I18n.label('status', status).toLocaleUpperCase(I18n.locale())}</div>
+          </div>
+        </div>
+
+        <div class="details-grid" aria-hidden="false">
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.depart')}</div>
+            <div class="detail-value">${depart}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.arrive')}</div>
+            <div class="detail-value">${arrive}</div>
+          </div>
+
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.duration')}</div>
+            <div class="detail-value">${duration}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.seatClass')}</div>
+            <div class="detail-value">${seatLabel}</div>
+          </div>
+
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.price')}</div>
+            <div class="detail-value">${ticketAmount(data.price, data)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.taxes')}</div>
+            <div class="detail-value">${ticketAmount(data.taxes || 0, data)}</div>
+          </div>
+        </div>
+
+        ${ (data.fareLines && data.fareLines.length) ? `<ul class="fare-lines" aria-label="${t('book.fareBreakdown')}">${data.fareLines.map(l => `<li><span>${I18n.text(l)}</span><span>${fmtKES(l.amount)}</span></li>`).join('')}</ul>` : '' }
+
+        <div class="price-box">
+          ${data.packageVoucherNo ? '' : priceLines(data.price, data.discountLines, data.taxLines, data.taxes)}
+          <div class="small-muted">${t('ticket.total')}</div>
+          <div class="total">${ticketAmount(total, data)}</div>
+        </div>
+        ${ (data.groupSize > 1 || data.legCount > 1 || data.hasStay || data.hasPackage) ? `<div class="price-box"><div class="small-muted">${groupLabel}</div><div class="total">${fmtAmount(data.groupTotal, data.currency)}</div></div>` : '' }
+        ${ currencyNote(data.currency) ? `<div class="small-muted currency-note">${currencyNote(data.currency)}</div>` : '' }
+
+        <div class="notes">
+          <strong>${t('ticket.notes')}</strong> ${data.additionalNotes || t('ticket.defaultNotes')}
+          ${ data.mapLink ? `<div style="margin-top:8px"><a href="${data.mapLink}" target="_blank" rel="noopener" class="small-muted">${t('ticket.openMap')}</a></div>` : '' }
+        </div>
+
+        <div class="row" style="margin-top:8px">
+          <div class="small-muted">${t('ticket.issued')}${data.receiptNo ? ` · ${t('ticket.paidBy', { method: data.paymentMethod, receipt: data.receiptNo })}` : ''}</div>
+          <div class="small-muted">${t('ticket.ref', { ref: data.bookingId || '—' })}${data.ticketNo ? ` · ${t('ticket.ticketNo', { no: data.ticketNo })}` : ''}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  // itinerary overview shown above the tickets of a multi-leg booking
+  function buildSummaryHtml(booking) {
+    const legs = booking.legs.map(leg => `
+        <li class="itinerary-leg">
+          <div>
+            <div style="font-weight:700">${t('ticket.legRoute', { n: leg.index, from: leg.origin, to: leg.destination })}</div>
+            <div class="small-muted">${I18n.label('transport', leg.transport)} — ${leg.provider}${leg.tripNo ? ` ${leg.tripNo}` : ''} · ${leg.travelClass}</div>
+            <div class="small-muted">${formatDate(leg.departDateTime)}${leg.arriveDateTime ? ` → ${formatDate(leg.arriveDateTime)}` : ''}</div>
+          </div>
+          <div style="font-weight:700">${booking.package ? t('pkg.included') : fmtAmount(leg.total, booking.currency)}</div>
+        </li>`).join('') + (booking.package ? `
+        <li class="itinerary-leg">
+          <div>
+            <div style="font-weight:700">${t('pkgVoucher.title')}: ${I18n.text(booking.package.title)}</div>
+            <div class="small-muted">${packageDates(booking.package)}</div>
+          </div>
+          <div style="font-weight:700">${fmtAmount(booking.package.total, booking.currency)}</div>
+        </li>` : '') + (booking.stay ? `
+        <li class="itinerary-leg">
+          <div>
+            <div style="font-weight:700">${t('voucher.title')}: ${booking.stay.propertyName}</div>
+            <div class="small-muted">${stayDates(booking.stay)}</div>
+          </div>
+          <div style="font-weight:700">${fmtAmount(booking.stay.total, booking.currency)}</div>
+        </li>` : '');
+    return `
+      <div class="row">
+        <div>
+          <div class="small-muted">${t('ticket.itinerary')}</div>
+          <div style="font-weight:900;font-size:1.15rem">${t(booking.tripType === 'return' ? 'ticket.returnTrip' : 'ticket.multiTrip')}</div>
+        </div>
+        <div style="text-align:right">
+          <div class="small-muted">${t('ticket.booking')}</div>
+          <div style="font-weight:800">${booking.bookingId}</div>
+        </div>
+      </div>
+      <ol class="itinerary-legs">${legs}</ol>
+      <div class="price-box">
+        <div class="small-muted">${t('ticket.summaryTotal', { count: booking.groupSize })}</div>
+        <div class="total">${fmtAmount(booking.groupTotal, booking.currency)}</div>
+      </div>
+    `;
+  }
+
+  const stayDate = date => I18n.formatDate(`${date}T12:00:00+03:00`, { weekday: 'short', day: 'numeric', month: 'short' });
+  const stayDates = stay => `${stayDate(stay.checkIn)} → ${stayDate(stay.checkOut)} · ${t('voucher.nights', { count: stay.nights })}`;
+  const packageDates = pkg => `${stayDate(pkg.departure)} → ${stayDate(pkg.returnDate)} · ${t('voucher.nights', { count: pkg.nights })}`;
+
+  // accommodation voucher printed after the transport tickets (booking.stay, see stays.js)
+  function buildVoucherHtml(booking) {
+    const stay = booking.stay;
+    const status = booking.status || 'confirmed';
+    return `
+      <div class="ticket-right">
+        <div class="row">
+          <div>
+            <div class="small-muted">${t('voucher.title')}</div>
+            <div style="font-weight:900;font-size:1.15rem">${stay.propertyName}</div>
+            <div class="badge-type">${I18n.label('stayType', stay.propertyType)} · ${stay.destination}</div>
+          </div>
+          <div style="text-align:right">
+            <div class="small-muted">${t('ticket.status')}</div>
+            <div class="ticket-status" style="font-weight:800;color:${STATUS_COLORS[status] || 'var(--accent)'}">${I18n.label('status', status).toLocaleUpperCase(I18n.locale())}</div>
+          </div>
+        </div>
+
+        <div class="details-grid">
+          <div class="detail-item">
+            <div class="detail-label">${t('stay.checkIn')}</div>
+            <div class="detail-value">${stayDate(stay.checkIn)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('stay.checkOut')}</div>
+            <div class="detail-value">${stayDate(stay.checkOut)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('stay.room')}</div>
+            <div class="detail-value">${stay.roomType} × ${stay.rooms} · ${t('voucher.nights', { count: stay.nights })}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('stay.meals')}</div>
+            <div class="detail-value">${I18n.label('meal', stay.mealPlan)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('voucher.leadGuest')}</div>
+            <div class="detail-value">${stay.leadGuest || '—'} · ${t('voucher.guests', { count: stay.guests })}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.taxes')}</div>
+            <div class="detail-value">${fmtAmount(stay.taxes || 0, booking.currency)}</div>
+          </div>
+        </div>
+
+        ${ (stay.lines && stay.lines.length) ? `<ul class="fare-lines" aria-label="${t('book.fareBreakdown')}">${stay.lines.map(l => `<li><span>${I18n.text(l)}</span><span>${fmtKES(l.amount)}</span></li>`).join('')}</ul>` : '' }
+
+        <div class="price-box">
+          ${priceLines(stay.price, stay.discountLines, stay.taxLines, stay.taxes)}
+          <div class="small-muted">${t('ticket.total')}</div>
+          <div class="total">${fmtAmount(stay.total, booking.currency)}</div>
+        </div>
+
+        <div class="notes">${t('voucher.present')}</div>
+
+        <div class="row" style="margin-top:8px">
+          <div class="small-muted">${t('ticket.issued')}</div>
+          <div class="small-muted">${t('ticket.ref', { ref: booking.bookingId || '—' })} · ${t('voucher.no', { no: stay.voucherNo })}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  // package voucher printed after the package's transport tickets (booking.package, see packages.js)
+  function buildPackageVoucherHtml(booking) {
+    const pkg = booking.package;
+    const stay = pkg.stay || {};
+    const status = booking.status || 'confirmed';
+    return `
+      <div class="ticket-right">
+        <div class="row">
+          <div>
+            <div class="small-muted">${t('pkgVoucher.title')}</div>
+            <div style="font-weight:900;font-size:1.15rem">${I18n.text(pkg.title)}</div>
+            <div class="badge-type">${pkg.destination} · ${t('voucher.nights', { count: pkg.nights })}</div>
+          </div>
+          <div style="text-align:right">
+            <div class="small-muted">${t('ticket.status')}</div>
+            <div class="ticket-status" style="font-weight:800;color:${STATUS_COLORS[status] || 'var(--accent)'}">${I18n.label('status', status).toLocaleUpperCase(I18n.locale())}</div>
+          </div>
+        </div>
+
+        <div class="details-grid">
+          <div class="detail-item">
+            <div class="detail-label">${t('pkg.departure')}</div>
+            <div class="detail-value">${stayDate(pkg.departure)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('pkgVoucher.return')}</div>
+            <div class="detail-value">${stayDate(pkg.returnDate)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('review.stay')}</div>
+            <div class="detail-value">${stay.propertyName || '—'} · ${stay.roomType || ''} × ${stay.rooms || 1}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('stay.meals')}</div>
+            <div class="detail-value">${I18n.label('meal', stay.mealPlan)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('voucher.leadGuest')}</div>
+            <div class="detail-value">${pkg.leadGuest || '—'} · ${t('voucher.guests', { count: pkg.travellers })}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">${t('ticket.taxes')}</div>
+            <div class="detail-value">${fmtAmount(pkg.taxes || 0, booking.currency)}</div>
+          </div>
+        </div>
+
+        <ul class="package-inclusions">${(pkg.inclusions || []).map(item => `<li>${I18n.text(item)}</li>`).join('')}</ul>
+        ${ (pkg.lines && pkg.lines.length) ? `<ul class="fare-lines" aria-label="${t('book.fareBreakdown')}">${pkg.lines.map(l => `<li><span>${I18n.text(l)}</span><span>${fmtKES(l.amount)}</span></li>`).join('')}</ul>` : '' }
+
+        <div class="price-box">
+          ${priceLines(pkg.price, pkg.discountLines, pkg.taxLines, pkg.taxes)}
+          <div class="small-muted">${t('ticket.total')}</div>
+          <div class="total">${fmtAmount(pkg.total, booking.currency)}</div>
+        </div>
+
+        <div class="notes">${t('pkgVoucher.present')}</div>
+
+        <div class="row" style="margin-top:8px">
+          <div class="small-muted">${t('ticket.issued')}</div>
+          <div class="small-muted">${t('ticket.ref', { ref: booking.bookingId || '—' })} · ${t('voucher.no', { no: pkg.voucherNo })}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  function renderQR(qrPayload, el) {
+    el = el || (container && container.querySelector('.qr-wrap'));
+    if (!el) return;
+    el.innerHTML = '';
+    try {
+      qrInstance = new QRCode(el, {
+        text: qrPayload || window.location.href,
+        width: 130,
+        height: 130,
+        colorDark: "#000000",
+        colorLight: "#ffffff",
+        // signed payloads are long; a lower correction level keeps the code scannable
+        correctLevel: (qrPayload && qrPayload.length > 200) ? QRCode.CorrectLevel.M : QRCode.CorrectLevel.H
+      });
+    } catch (err) {
+      console.warn('QR generation failed', err);
+    }
+  }
+
+  async function captureToCanvas(elem) {
+    if (!elem) throw new Error('Element required');
+    if (!window.html2canvas) throw new Error('html2canvas missing');
+    const opts = { backgroundColor: null, scale: 2, useCORS: true, logging: false, allowTaint: false };
+    return await html2canvas(elem, opts);
+  }
+
+  // booking id plus status suffix when the ticket is not simply confirmed
+  function fileId() {
+    const id = currentData.bookingId ? currentData.bookingId.replace(/\s+/g,'_') : 'ticket';
+    const status = currentData.status || 'confirmed';
+    return status === 'confirmed' ? id : `${id}_${status.toUpperCase()}`;
+  }
+
+  async function downloadPNG() {
+    try {
+      const elem = document.getElementById('ticketContainer');
+      const canvas = await captureToCanvas(elem);
+      const url = canvas.toDataURL('image/png', 1.0);
+      const a = document.createElement('a');
+      a.href = url;
+      const id = fileId();
+      a.download = `HarmonyTravels_Ticket_${id}.png`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      showToast(t('ticket.pngDone'));
+    } catch (err) {
+      console.error(err);
+      alert(t('ticket.pngFailed'));
+    }
+  }
+
+  async function downloadPDF() {
+    if (!window.jspdf && !window.jspdf.jsPDF) {
+      alert('jsPDF missing');
+      return;
+    }
+    try {
+      const elem = document.getElementById('ticketContainer');
+      const { jsPDF } = window.jspdf || window.jspdf || window.jspdf;
+      const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+      // the display currency and rate travel with the file as well as on the printed ticket
+      pdf.setProperties({
+        title: `Harmony Travels ticket ${currentData.bookingId || ''}`.trim(),
+        subject: currencyNote(currentData.currency) || 'Amounts in KES'
+      });
+      const pageWidth = pdf.internal.pageSize.getWidth();
+      const pageHeight = pdf.internal.pageSize.getHeight();
+      // one page per ticket card so group bookings print one passenger per page
+      const cards = Array.from(elem.querySelectorAll('.ticket-card'));
+      for (let i = 0; i < cards.length; i++) {
+        const canvas = await captureToCanvas(cards[i]);
+        const imgData = canvas.toDataURL('image/png', 1.0);
+        const imgProps = pdf.getImageProperties(imgData);
+        let w = pageWidth;
+        let h = (imgProps.height / imgProps.width) * w;
+        if (h > pageHeight) { h = pageHeight; w = (imgProps.width / imgProps.height) * h; }
+        const x = (pageWidth - w) / 2;
+        const y = (pageHeight - h) / 2;
+        if (i > 0) pdf.addPage();
+        pdf.addImage(imgData, 'PNG', x, y, w, h, undefined, 'FAST');
+      }
+      const id = fileId();
+      pdf.save(`HarmonyTravels_Ticket_${id}.pdf`);
+      showToast(t('ticket.pdfDone'));
+    } catch (err) {
+      console.error(err);
+      alert(t('ticket.pdfFailed'));
+    }
+  }
+
+  function printTicket() {
+    if (!container) return window.print();
+    const w = window.open('', '_blank', 'width=900,height=700');
+    if (!w) return alert(t('ticket.popupBlocked'));
+    const html = `
+      <html>
+        <head>
+          <title>Print Ticket</title>
+          <link href="https://fonts.googleapis.com/css2?family=Montserrat:wght@400;600;700&display=swap" rel="stylesheet">
+          <style>${printCss()}</style>
+        </head>
+        <body>${container.outerHTML}</body>
+      </html>`;
+    w.document.open();
+    w.document.write(html);
+    w.document.close();
+    setTimeout(()=> { w.focus(); w.print(); }, 600);
+  }
+  function printCss(){ return `body{font-family:Montserrat,Arial;margin:24px} .ticket-card{max-width:100%;}`; }
+
+  async function copyBookingId() {
+    const id = currentData && currentData.bookingId ? currentData.bookingId : '';
+    if (!id) return showToast(t('ticket.noId'));
+    try { await navigator.clipboard.writeText(id); showToast(t('ticket.copied')); } catch(e){ showToast(t('ticket.copyFailed')); }
+  }
+
+  function showToast(msg, ms=1600) {
+    const t = document.getElementById('toast');
+    if (!t) return;
+    t.textContent = msg; t.classList.add('show');
+    clearTimeout(t._timer); t._timer = setTimeout(()=> t.classList.remove('show'), ms);
+  }
+
+  // data is either a single ticket or a booking with a `tickets` array (one per passenger)
+  function init(selector, data) {
+    container = (typeof selector === 'string') ? document.querySelector(selector) : selector;
+    if (!container) throw new Error('Container not found');
+    currentData = data || {};
+    const tickets = (Array.isArray(currentData.tickets) && currentData.tickets.length) ? currentData.tickets : [currentData];
+    container.innerHTML = '';
+    if (Array.isArray(currentData.legs) && currentData.legs.length > 1) {
+      const summary = document.createElement('div');
+      summary.className = 'ticket-card itinerary-card';
+      summary.innerHTML = buildSummaryHtml(currentData);
+      container.appendChild(summary);
+    }
+    const status = currentData.status || 'confirmed';
+    tickets.forEach(ticket => {
+      const card = document.createElement('div');
+      card.className = 'ticket-card';
+      if (isVoid(status)) {
+        card.classList.add('is-void');
+        card.setAttribute('data-void', t(status === 'refunded' ? 'ticket.voidRefunded' : 'ticket.voidCancelled'));
+      } else if (status === 'pending') {
+        card.classList.add('is-void');
+        card.setAttribute('data-void', t('ticket.unpaid'));
+      }
+      card.innerHTML = buildHtml(Object.assign({}, ticket, { status: ticket.status || status, hasStay: !!currentData.stay, hasPackage: !!currentData.package }));
+      container.appendChild(card);
+      const qr = ticket.signedQr || qrText(ticket.qrPayload || `Booking:${ticket.bookingId || 'TBA'}`, ticket.status || status, ticket.seat);
+      renderQR(qr, card.querySelector('.qr-wrap'));
+    });
+    const addVoucher = (className, html) => {
+      const voucher = document.createElement('div');
+      voucher.className = `ticket-card ${className}`;
+      if (isVoid(status) || status === 'pending') {
+        voucher.classList.add('is-void');
+        voucher.setAttribute('data-void', t(status === 'pending' ? 'ticket.unpaid' : (status === 'refunded' ? 'ticket.voidRefunded' : 'ticket.voidCancelled')));
+      }
+      voucher.innerHTML = html;
+      container.appendChild(voucher);
+    };
+    if (currentData.package) addVoucher('package-voucher', buildPackageVoucherHtml(currentData));
+    if (currentData.stay) addVoucher('stay-voucher', buildVoucherHtml(currentData));
+    container.setAttribute('tabindex','-1');
+  }
+
+  // redraw the open tickets in the new language
+  I18n.onChange(() => { if (container && container.isConnected && container.children.length) init(container, currentData); });
+
+  return { init, downloadPDF, downloadPNG, printTicket, copyBookingId, _renderQR: renderQR };
+})();
@@ -0,0 +1,135 @@
+/* ---------- TicketSigning: tamper-evident QR payloads (ECDSA P-256) ----------
+   Each ticket QR carries the verify URL plus a signed token:
+     https://harmonytravels.example/verify/<ticketNo>?p=<claims>.<signature>
+   claims is base64url JSON { v, t, b, n, r, d, c, s, st, k } — ticket number,
+   booking ID, passenger, route, departure, class, seat, status and key ID;
+   signature is a base64url ECDSA/SHA-256 signature over the claims segment.
+   A paid booking whose payment an agent has not verified yet is signed with
+   status 'unverified', so its tickets do not board until it is re-signed.
+
+   Tickets are signed by the booking server (server.js), which alone holds
+   the issuer's private key; this script signs there and verifies here.
+   Verifiers trust TRUSTED_KEYS below and keys imported by staff (or fetched
+   from the booking server by verify.html), so a forged or edited ticket
+   fails verification without any network access. Tickets issued offline by
+   a customer's device are unsigned.
+*/
+const TicketSigning = (function () {
+  const VERIFY_BASE = 'https://harmonytravels.example/verify/';
+  const TRUSTED_STORAGE = 'ht_trusted_keys';
+  const ALGO = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGN_ALGO = { name: 'ECDSA', hash: 'SHA-256' };
+
+  // public JWK of the booking server's issuer key, shipped with the app
+  // (server.js prints it at start when it is missing here)
+  const TRUSTED_KEYS = [];
+
+  const subtle = () => (typeof crypto !== 'undefined' && crypto.subtle) || null;
+  const enc = new TextEncoder();
+  const dec = new TextDecoder();
+
+  function b64url(bytes) {
+    let bin = '';
+    new Uint8Array(bytes).forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  function fromB64url(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4));
+    return Uint8Array.from(bin, c => c.charCodeAt(0));
+  }
+
+  // short, stable key ID derived from the public key coordinates
+  async function keyId(publicJwk) {
+    const digest = await subtle().digest('SHA-256', enc.encode(`${publicJwk.x}.${publicJwk.y}`));
+    return b64url(digest).slice(0, 10);
+  }
+
+  const publicPart = jwk => ({ kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y });
+
+  function importedKeys() {
+    try { return JSON.parse(localStorage.getItem(TRUSTED_STORAGE)) || []; } catch (e) { return []; }
+  }
+
+  // { kid: publicJwk } for every key this device accepts
+  async function trustedKeys() {
+    const map = {};
+    for (const jwk of TRUSTED_KEYS.concat(importedKeys())) map[await keyId(jwk)] = jwk;
+    return map;
+  }
+
+  /* trustKey(json) adds an issuer public key ({ kty, crv, x, y }, as printed
+     by server.js) to this device; resolves with its key ID. */
+  async function trustKey(json) {
+    const jwk = publicPart(typeof json === 'string' ? JSON.parse(json) : json);
+    if (jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.x || !jwk.y) throw new Error('Not a P-256 public key');
+    await subtle().importKey('jwk', jwk, ALGO, false, ['verify']);
+    const keys = importedKeys().filter(k => k.x !== jwk.x || k.y !== jwk.y).concat(jwk);
+    localStorage.setItem(TRUSTED_STORAGE, JSON.stringify(keys));
+    return keyId(jwk);
+  }
+
+  function claimsFor(ticket, status) {
+    return {
+      v: 1,
+      t: ticket.ticketNo || ticket.bookingId,
+      b: ticket.bookingId,
+      n: ticket.passengerName || '',
+      r: ticket.route ? `${ticket.route.origin}>${ticket.route.destination}` : '',
+      d: ticket.departDateTime || '',
+      c: ticket.classOrSeat || '',
+      s: ticket.seat || '',
+      st: ticket.status || status || 'confirmed'
+    };
+  }
+
+  /* sign(ticket, status, key) -> full QR text for the ticket; key is the
+     issuer's { privateKey, kid } */
+  async function sign(ticket, status, key) {
+    const claims = Object.assign(claimsFor(ticket, status), { k: key.kid });
+    const body = b64url(enc.encode(JSON.stringify(claims)));
+    const sig = await subtle().sign(SIGN_ALGO, key.privateKey, enc.encode(body));
+    return `${VERIFY_BASE}${encodeURIComponent(claims.t)}?p=${body}.${b64url(sig)}`;
+  }
+
+  // the status a booking's tickets are signed with
+  function signedStatus(booking) {
+    const unverified = booking.payment && !booking.payment.verifiedAt;
+    return unverified && (booking.status === 'confirmed' || booking.status === 'amended') ? 'unverified' : booking.status;
+  }
+
+  /* signBooking(booking, key) -> copy with `signedQr` on every ticket.
+     Resolves with the booking unchanged when signing fails. */
+  async function signBooking(booking, key) {
+    const next = JSON.parse(JSON.stringify(booking));
+    const tickets = (Array.isArray(next.tickets) && next.tickets.length) ? next.tickets : [next];
+    try {
+      for (const t of tickets) t.signedQr = await sign(t, signedStatus(next), key);
+    } catch (err) {
+      console.warn('TicketSigning: signing failed, tickets stay unsigned', err);
+      return booking;
+    }
+    return next;
+  }
+
+  /* verify(text) -> { signed, valid, claims, reason }.
+     signed is false for legacy/unsigned QR codes; valid is true only when the
+     signature checks out against a trusted key, and claims are null unless it
+     does: unverified claims are whatever the QR's maker wrote. */
+  async function verify(text) {
+    const match = String(text || '').match(/[?&]p=([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)/);
+    if (!match) return { signed: false, valid: false, claims: null, reason: 'Ticket QR is not signed' };
+    if (!subtle()) return { signed: true, valid: false, claims: null, reason: 'Web Crypto unavailable on this device' };
+    let claims;
+    try { claims = JSON.parse(dec.decode(fromB64url(match[1]))); } catch (e) {
+      return { signed: true, valid: false, claims: null, reason: 'Ticket data is corrupt' };
+    }
+    const jwk = claims && (await trustedKeys())[claims.k];
+    if (!jwk) return { signed: true, valid: false, claims: null, reason: 'Signed by an unknown issuer key' };
+    const key = await subtle().importKey('jwk', jwk, ALGO, false, ['verify']);
+    let ok = false;
+    try { ok = await subtle().verify(SIGN_ALGO, key, fromB64url(match[2]), enc.encode(match[1])); } catch (e) { ok = false; }
+    return { signed: true, valid: ok, claims: ok ? claims : null, reason: ok ? '' : 'Signature does not match — ticket was edited or forged' };
+  }
+
+  return { TRUSTED_KEYS, keyId, publicPart, sign, signBooking, verify, trustKey, claimsFor };
+})();
@@ -1,372 +1,1180 @@
 const $ = (sel, root = document) => root.querySelector(sel);
 const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
 
-/* ---------- Price matrix based on earlier specs ---------- */
-const PRICE_MATRIX = {
-  Bus: {
-    providers: ['Easy Coach', 'Guardian'],
-    classes: {
-      Regular: 1500,
-      Premium: 2500
+/* ---------- Booking form wiring ---------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const transportEl = document.getElementById('transport');
+  const providerEl = document.getElementById('provider');
+  const classEl = document.getElementById('travelClass');
+  const priceDisplay = document.getElementById('priceDisplay');
+  const bookingForm = document.getElementById('bookingForm');
+  const ticketContainer = document.getElementById('ticketContainer');
+  const fareBreakdown = document.getElementById('fareBreakdown');
+  const originEl = document.getElementById('origin');
+  const destinationEl = document.getElementById('destination');
+  const startDateEl = document.getElementById('startDate');
+  const departTimeEl = document.getElementById('departTime');
+  const availabilityEl = document.getElementById('availability');
+  const passengerList = document.getElementById('passengerList');
+  const addPassengerBtn = document.getElementById('addPassengerBtn');
+  const legList = document.getElementById('legList');
+  const addLegBtn = document.getElementById('addLegBtn');
+  const seatMapEl = document.getElementById('seatMap');
+  const seatSummary = document.getElementById('seatSummary');
+  const currencyNote = document.getElementById('currencyNote');
+  const phoneEl = document.getElementById('phone');
+  const emailEl = document.getElementById('email');
+  const reviewSummary = document.getElementById('reviewSummary');
+  const reviewTotal = document.getElementById('reviewTotal');
+  const promoCodeEl = document.getElementById('promoCode');
+  const loyaltyNumberEl = document.getElementById('loyaltyNumber');
+  const loyaltyPointsEl = document.getElementById('loyaltyPoints');
+  const loyaltyNote = document.getElementById('loyaltyNote');
+  const wizardErrors = document.getElementById('wizardErrors');
+  const backBtn = document.getElementById('wizardBack');
+  const nextBtn = document.getElementById('wizardNext');
+  const payBtn = document.getElementById('payBtn');
+  const destChoiceList = $('.dest-choices');
+  const stayToggle = document.getElementById('stayToggle');
+  const stayNone = document.getElementById('stayNone');
+  const stayFields = document.getElementById('stayFields');
+  const stayProperty = document.getElementById('stayProperty');
+  const stayRoom = document.getElementById('stayRoom');
+  const stayMeals = document.getElementById('stayMeals');
+  const stayCheckIn = document.getElementById('stayCheckIn');
+  const stayCheckOut = document.getElementById('stayCheckOut');
+  const staySummary = document.getElementById('staySummary');
+  const packagePanel = document.getElementById('packagePanel');
+  const packageTitle = document.getElementById('packageTitle');
+  const packageFacts = document.getElementById('packageFacts');
+  const packageInclusions = document.getElementById('packageInclusions');
+  const packageDeparture = document.getElementById('packageDeparture');
+  const destinationPicker = document.getElementById('destinationPicker');
+  const estimator = document.getElementById('estimator');
+  const estDestination = document.getElementById('estDestination');
+  const estStart = document.getElementById('estStart');
+  const estEnd = document.getElementById('estEnd');
+  const estAdults = document.getElementById('estAdults');
+  const estChildren = document.getElementById('estChildren');
+  const estInfants = document.getElementById('estInfants');
+  const estResidency = document.getElementById('estResidency');
+  const estErrors = document.getElementById('estErrors');
+  const estResult = document.getElementById('estResult');
+
+  let chosenSeats = [];    // leg 1 seats picked on the seat map
+  let storedBookings = []; // used to block seats already sold on this device
+  let chosenPackage = null; // tour package being booked (see packages.js), if any
+  BookingStore.list().then(all => { storedBookings = all; updatePrice(); }).catch(() => {});
+
+  // passenger rows: name, ID number, age band and residency (for taxes and fees) per traveller
+  function renumberPassengers() {
+    $$('.pax-row', passengerList).forEach((row, i) => {
+      const n = i + 1;
+      row.querySelector('.pax-name').setAttribute('aria-label', I18n.t('pax.nameLabel', { n }));
+      row.querySelector('.pax-id').setAttribute('aria-label', I18n.t('pax.idLabel', { n }));
+      row.querySelector('.pax-band').setAttribute('aria-label', I18n.t('pax.bandLabel', { n }));
+      row.querySelector('.pax-residency').setAttribute('aria-label', I18n.t('pax.residencyLabel', { n }));
+      row.querySelector('.pax-remove').setAttribute('aria-label', I18n.t('pax.remove', { n }));
+      row.querySelector('.pax-remove').disabled = (i === 0);
+    });
+  }
+
+  function addPassengerRow(p = {}) {
+    const row = document.createElement('div');
+    row.className = 'pax-row';
+    const bands = Object.keys(FareEngine.AGE_BANDS)
+      .map(b => `<option value="${b}" data-i18n="band.${b}">${I18n.label('band', b)}</option>`).join('');
+    const residencies = ['resident', 'nonResident']
+      .map(r => `<option value="${r}" data-i18n="residency.${r}">${I18n.label('residency', r)}</option>`).join('');
+    row.innerHTML = `
+      <input class="pax-name" type="text" required placeholder="${I18n.t('pax.name')}" data-i18n-placeholder="pax.name" />
+      <input class="pax-id" type="text" placeholder="${I18n.t('pax.id')}" data-i18n-placeholder="pax.id" />
+      <select class="pax-band">${bands}</select>
+      <select class="pax-residency">${residencies}</select>
+      <button type="button" class="btn small pax-remove">&times;</button>`;
+    row.querySelector('.pax-name').value = p.name || '';
+    row.querySelector('.pax-id').value = p.idNumber || '';
+    row.querySelector('.pax-band').value = p.ageBand || 'adult';
+    row.querySelector('.pax-residency').value = p.residency || 'resident';
+    row.querySelector('.pax-band').addEventListener('change', updatePrice);
+    row.querySelector('.pax-residency').addEventListener('change', updatePrice);
+    row.querySelector('.pax-remove').addEventListener('click', () => {
+      row.remove();
+      renumberPassengers();
+      updatePrice();
+      saveDraft();
+    });
+    passengerList.appendChild(row);
+    renumberPassengers();
+  }
+
+  function readPassengers() {
+    return $$('.pax-row', passengerList).map(row => ({
+      name: row.querySelector('.pax-name').value.trim(),
+      idNumber: row.querySelector('.pax-id').value.trim(),
+      ageBand: row.querySelector('.pax-band').value,
+      residency: row.querySelector('.pax-residency').value
+    }));
+  }
+
+  // populate provider/class based on transport
+  // the transport types on sale (fare-config.js); names the catalogue does
+  // not know (added on admin.html) are shown as typed
+  const transportOptions = () => Object.keys(FareConfig.matrix()).map(t =>
+    `<option value="${t}"${I18n.has(`transport.${t}`) ? ` data-i18n="transport.${t}"` : ''}>${I18n.label('transport', t)}</option>`).join('');
+
+  function populateOptions(transport, provEl = providerEl, clsEl = classEl) {
+    provEl.innerHTML = '';
+    clsEl.innerHTML = '';
+    const spec = FareConfig.matrix()[transport];
+    if (!spec) return;
+    spec.providers.forEach(p => provEl.appendChild(new Option(p, p)));
+    Object.keys(spec.classes).forEach(cls => clsEl.appendChild(new Option(cls, cls)));
+    updatePrice(); // update price display
+  }
+
+  // only the transport modes serving a destination can be picked (see
+  // destinations.js); true when the chosen transport had to change
+  function limitTransports(select, destination) {
+    const options = Array.from(select.options);
+    options.forEach(o => { o.disabled = !Destinations.serves(destination, o.value); });
+    if (!select.selectedOptions[0] || !select.selectedOptions[0].disabled) return false;
+    const open = options.find(o => !o.disabled);
+    if (!open) return false;
+    select.value = open.value;
+    return true;
+  }
+
+  function limitFirstLeg() {
+    if (limitTransports(transportEl, destinationEl.value)) populateOptions(transportEl.value);
+  }
+
+  // a newly published fare configuration refills every leg's transport,
+  // provider and class lists, keeping the choices still on sale
+  function refreshFareOptions() {
+    const legs = [[transportEl, providerEl, classEl, destinationEl]].concat($$('.leg-row', legList).map(row =>
+      ['.leg-transport', '.leg-provider', '.leg-class', '.leg-destination'].map(sel => row.querySelector(sel))));
+    legs.forEach(([tEl, pEl, cEl, dEl]) => {
+      const keep = { transport: tEl.value, provider: pEl.value, travelClass: cEl.value };
+      tEl.innerHTML = transportOptions();
+      if (FareConfig.matrix()[keep.transport]) tEl.value = keep.transport;
+      limitTransports(tEl, dEl.value);
+      populateOptions(tEl.value, pEl, cEl);
+      if (Array.from(pEl.options).some(o => o.value === keep.provider)) pEl.value = keep.provider;
+      if (Array.from(cEl.options).some(o => o.value === keep.travelClass)) cEl.value = keep.travelClass;
+    });
+    updatePrice();
+  }
+
+  // extra itinerary legs (leg 1 is the main form fields)
+  function tripType() {
+    const checked = $('input[name="tripType"]:checked', bookingForm);
+    return checked ? checked.value : 'oneway';
+  }
+
+  function firstLeg() {
+    return withTrip({
+      transport: transportEl.value,
+      provider: providerEl.value,
+      travelClass: classEl.value,
+      origin: originEl.value.trim() || 'Nairobi',
+      destination: destinationEl.value,
+      departDateTime: departTimeEl.value
+    });
+  }
+
+  // arrival and trip number come from the timetable entry of the chosen departure
+  function withTrip(leg) {
+    const trip = Timetable.findTrip(leg);
+    return Object.assign(leg, {
+      arriveDateTime: trip ? trip.arriveDateTime : '',
+      tripNo: trip ? trip.tripNo : ''
+    });
+  }
+
+  function renumberLegs() {
+    $$('.leg-row', legList).forEach((row, i) => {
+      row.querySelector('.leg-title').textContent = I18n.t('leg.title', { n: i + 2 });
+      row.querySelector('.leg-remove').setAttribute('aria-label', I18n.t('leg.remove', { n: i + 2 }));
+    });
+  }
+
+  function addLegRow(leg = {}) {
+    const row = document.createElement('div');
+    row.className = 'leg-row';
+    const transports = transportOptions();
+    row.innerHTML = `
+      <div class="row"><div class="leg-title field-label"></div><button type="button" class="btn small leg-remove">&times;</button></div>
+      <div class="leg-grid">
+        <select class="leg-transport" data-i18n-aria-label="book.transport">${transports}</select>
+        <select class="leg-provider" data-i18n-aria-label="book.provider"></select>
+        <select class="leg-class" data-i18n-aria-label="book.class"></select>
+        <input class="leg-origin" type="text" data-i18n-aria-label="leg.from" data-i18n-placeholder="leg.from" />
+        <select class="leg-destination" data-i18n-aria-label="leg.to">${destinationEl.innerHTML}</select>
+        <input class="leg-date" type="date" data-i18n-aria-label="book.travelDate" />
+        <select class="leg-trip" data-i18n-aria-label="book.departure"></select>
+      </div>`;
+    I18n.apply(row);
+    const tEl = row.querySelector('.leg-transport');
+    const pEl = row.querySelector('.leg-provider');
+    const cEl = row.querySelector('.leg-class');
+    const dEl = row.querySelector('.leg-destination');
+    tEl.value = leg.transport || transportEl.value;
+    dEl.value = leg.destination || '';
+    limitTransports(tEl, dEl.value);
+    populateOptions(tEl.value, pEl, cEl);
+    if (leg.provider) pEl.value = leg.provider;
+    if (leg.travelClass) cEl.value = leg.travelClass;
+    row.querySelector('.leg-origin').value = leg.origin || '';
+    row.querySelector('.leg-date').value = leg.departDateTime ? Timetable.localDate(leg.departDateTime) : '';
+    refreshLegTrips(row);
+    if (leg.departDateTime) row.querySelector('.leg-trip').value = leg.departDateTime;
+
+    tEl.addEventListener('change', () => populateOptions(tEl.value, pEl, cEl));
+    dEl.addEventListener('change', () => {
+      if (limitTransports(tEl, dEl.value)) populateOptions(tEl.value, pEl, cEl);
+    });
+    row.addEventListener('change', updatePrice);
+    row.querySelector('.leg-remove').addEventListener('click', () => {
+      row.remove();
+      renumberLegs();
+      updatePrice();
+      saveDraft();
+    });
+    legList.appendChild(row);
+    renumberLegs();
+    updatePrice();
+  }
+
+  function legFromRow(row) {
+    return {
+      transport: row.querySelector('.leg-transport').value,
+      provider: row.querySelector('.leg-provider').value,
+      travelClass: row.querySelector('.leg-class').value,
+      origin: row.querySelector('.leg-origin').value.trim(),
+      destination: row.querySelector('.leg-destination').value,
+      departDateTime: row.querySelector('.leg-trip').value
+    };
+  }
+
+  function readLegs() {
+    const legs = [firstLeg()];
+    $$('.leg-row', legList).forEach(row => legs.push(withTrip(legFromRow(row))));
+    return legs;
+  }
+
+  function setTripType(type) {
+    legList.innerHTML = '';
+    addLegBtn.hidden = (type !== 'multi');
+    if (type === 'return') addLegRow(Itinerary.returnLegFor(firstLeg()));
+    if (type === 'multi') addLegRow({ origin: destinationEl.value });
+    updatePrice();
+  }
+
+  // infants travel on a lap and do not take a seat
+  const seatedCount = () => readPassengers().filter(p => p.ageBand !== 'infant').length;
+
+  function takenSeatsFor(leg) {
+    return SeatMap.takenFrom(storedBookings, {
+      provider: leg.provider,
+      departDateTime: leg.departDateTime,
+      origin: leg.origin,
+      destination: leg.destination
+    });
+  }
+
+  const fmtTime = iso => I18n.formatTime(iso);
+  const fmtDeparture = iso => I18n.formatDate(iso, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+  /* fillTrips(select, leg, date) lists the timetabled trips on the leg's route
+     for a date, with seats left in the leg's class; sold-out trips are disabled. */
+  function fillTrips(select, leg, date) {
+    const previous = select.value;
+    const trips = Timetable.tripsOn(leg.provider, leg.origin, leg.destination, date);
+    select.innerHTML = '';
+    if (!trips.length) {
+      select.appendChild(new Option(I18n.t(!leg.destination ? 'trips.chooseDestination' : (date ? 'trips.none' : 'trips.pickDate')), ''));
+      return;
     }
-  },
-  Flight: {
-    providers: ['Qatar Airways', 'Kenya Airways'],
-    classes: {
-      Economy: 25000,
-      Business: 45000,
-      'First Class': 70000
+    trips.forEach(t => {
+      const { left } = Inventory.availability(storedBookings, Object.assign({}, leg, { departDateTime: t.departDateTime }));
+      const label = `${fmtTime(t.departDateTime)} → ${fmtTime(t.arriveDateTime)}${t.estimated ? ` ${I18n.t('trips.estimated')}` : ''} · ${t.tripNo} · ${Timetable.formatDuration(t.durationMins)}`;
+      const opt = new Option(`${label} — ${left ? I18n.t('trips.left', { count: left }) : I18n.t('trips.soldOut')}`, t.departDateTime);
+      opt.disabled = !left;
+      select.appendChild(opt);
+    });
+    const ids = trips.map(t => t.departDateTime);
+    const open = trips.filter((t, i) => !select.options[i].disabled).map(t => t.departDateTime);
+    select.value = ids.includes(previous) ? previous : (open[0] || ids[0]);
+  }
+
+  function refreshLegTrips(row) {
+    const leg = legFromRow(row);
+    fillTrips(row.querySelector('.leg-trip'), leg, row.querySelector('.leg-date').value);
+  }
+
+  function refreshDepartures() {
+    fillTrips(departTimeEl, {
+      provider: providerEl.value,
+      travelClass: classEl.value,
+      origin: originEl.value.trim() || 'Nairobi',
+      destination: destinationEl.value
+    }, startDateEl.value);
+    $$('.leg-row', legList).forEach(refreshLegTrips);
+  }
+
+  // "X seats left" / "sold out" for leg 1, with the nearest departure that still fits the group
+  function showAvailability() {
+    const leg = firstLeg();
+    const seated = seatedCount();
+    if (!leg.departDateTime) {
+      availabilityEl.className = 'availability';
+      availabilityEl.textContent = '';
+      return;
     }
-  },
-  Train: {
-    providers: ['SGR', 'Electric Train'],
-    classes: {
-      Economy: 1000,
-      Business: 2000,
-      'First Class': 3500
+    const { left } = Inventory.availability(storedBookings, leg);
+    const enough = left >= seated;
+    availabilityEl.className = `availability ${!left ? 'sold-out' : (enough ? 'ok' : 'low')}`;
+    const cls = leg.travelClass;
+    const text = !left ? I18n.t('avail.soldOut', { cls })
+      : I18n.t(enough ? 'avail.left' : 'avail.low', { count: left, cls, seated });
+    const alt = enough ? null : Inventory.nearestAvailable(storedBookings, leg, seated);
+    availabilityEl.innerHTML = `<span>${text}</span>${alt
+      ? ` <button type="button" class="btn small" data-alt="${alt.departDateTime}">${I18n.t('avail.switch', { trip: alt.tripNo, when: fmtDeparture(alt.departDateTime), left: alt.left })}</button>`
+      : (enough ? '' : ` <span>${I18n.t('avail.none')}</span>`)}`;
+  }
+
+  availabilityEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-alt]');
+    if (!btn) return;
+    startDateEl.value = Timetable.localDate(btn.dataset.alt);
+    refreshDepartures();
+    departTimeEl.value = btn.dataset.alt;
+    updatePrice();
+  });
+
+  // seat map for leg 1; other legs are auto-assigned when the booking is made
+  function refreshSeatMap() {
+    const leg = firstLeg();
+    const max = seatedCount();
+    SeatMap.mount(seatMapEl, {
+      provider: leg.provider,
+      travelClass: leg.travelClass,
+      taken: takenSeatsFor(leg),
+      max,
+      selected: chosenSeats,
+      onChange: seats => { chosenSeats = seats; showSeatSummary(); saveDraft(); }
+    });
+    chosenSeats = chosenSeats.filter(id => seatMapEl.querySelector(`.seat[data-seat="${id}"]:not([aria-disabled="true"])`));
+    showSeatSummary();
+  }
+
+  function showSeatSummary() {
+    const max = seatedCount();
+    seatSummary.textContent = chosenSeats.length
+      ? I18n.t('seats.selected', { seats: chosenSeats.join(', '), count: chosenSeats.length, max })
+      : I18n.t('seats.pick', { count: max });
+  }
+
+  // price every leg for the current passengers (see itinerary.js / fares.js)
+  function getTripQuote() {
+    return Itinerary.price(readLegs(), readPassengers().map(p => p.ageBand));
+  }
+
+  /* ---------- Accommodation (see stays.js) ----------
+     Offered in the extras step for leg 1's destination. Check-in defaults to
+     the arrival date and check-out to the return date (or two nights later). */
+  function readStay() {
+    if (!stayToggle.checked || stayToggle.disabled) return null;
+    return {
+      propertyId: stayProperty.value,
+      roomType: stayRoom.value,
+      mealPlan: stayMeals.value,
+      checkIn: stayCheckIn.value,
+      checkOut: stayCheckOut.value
+    };
+  }
+
+  const getStayQuote = () => Stays.quote(readStay(), readPassengers().map(p => p.ageBand));
+
+  function fillSelect(select, options) {
+    const previous = select.value;
+    select.innerHTML = '';
+    options.forEach(([value, text]) => select.appendChild(new Option(text, value)));
+    if (options.some(([value]) => value === previous)) select.value = previous;
+  }
+
+  function refreshStayOptions() {
+    const properties = Stays.forDestination(destinationEl.value);
+    stayToggle.disabled = !properties.length;
+    stayNone.hidden = !!properties.length || !destinationEl.value;
+    stayNone.textContent = I18n.t('stay.none', { dest: destinationEl.value });
+    stayFields.hidden = !readStay();
+    fillSelect(stayProperty, properties.map(p => [p.id, `${p.name} — ${I18n.label('stayType', p.type)}`]));
+    const property = Stays.find(stayProperty.value);
+    if (!property) return;
+    fillSelect(stayRoom, Object.keys(property.rooms).map(room => [room,
+      `${room} — ${I18n.t('stay.roomOption', { sleeps: property.rooms[room].sleeps, rate: I18n.formatMoney(property.rooms[room].rate) })}`]));
+    fillSelect(stayMeals, property.mealPlans.map(id => [id, Stays.MEAL_PLANS[id].rate
+      ? I18n.t('stay.mealOption', { plan: I18n.label('meal', id), rate: I18n.formatMoney(Stays.MEAL_PLANS[id].rate) })
+      : I18n.label('meal', id)]));
+  }
+
+  // property first: it decides which rooms and meal plans can be picked
+  function fillStay(stay) {
+    stayToggle.checked = true;
+    refreshStayOptions();
+    stayProperty.value = stay.propertyId;
+    refreshStayOptions();
+    stayRoom.value = stay.roomType;
+    stayMeals.value = stay.mealPlan;
+    stayCheckIn.value = stay.checkIn || '';
+    stayCheckOut.value = stay.checkOut || '';
+  }
+
+  function defaultStayDates() {
+    const leg = firstLeg();
+    const arrival = leg.arriveDateTime || leg.departDateTime;
+    const checkIn = arrival ? Timetable.localDate(arrival) : startDateEl.value;
+    const returnDate = tripType() === 'return' ? $('.leg-row .leg-date', legList) : null;
+    if (!stayCheckIn.value && checkIn) stayCheckIn.value = checkIn;
+    if (!stayCheckOut.value && stayCheckIn.value) {
+      stayCheckOut.value = returnDate && returnDate.value > stayCheckIn.value ? returnDate.value : Stays.addDays(stayCheckIn.value, 2);
     }
   }
-};
-
-/* ---------- TicketRenderer (reduced/adjusted version from previous implementation) ---------- */
-const TicketRenderer = (function () {
-  let container = null;
-  let currentData = null;
-  let qrInstance = null;
-
-  const formatDate = iso => {
-    if (!iso) return 'TBA';
-    const d = new Date(iso);
-    return d.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-  };
-  const computeDuration = (startIso, endIso) => {
-    if (!startIso || !endIso) return '';
-    const mins = Math.round((new Date(endIso) - new Date(startIso)) / (1000 * 60));
-    if (isNaN(mins) || mins <= 0) return '';
-    const h = Math.floor(mins / 60), m = mins % 60;
-    return `${h}h ${m}m`;
-  };
-  const fmtKES = n => (n == null || isNaN(n)) ? 'KES N/A' : new Intl.NumberFormat('en-KE', { style: 'currency', currency: 'KES', maximumFractionDigits: 0}).format(n);
-
-  function buildHtml(data) {
-    const depart = formatDate(data.departDateTime);
-    const arrive = data.arriveDateTime ? formatDate(data.arriveDateTime) : 'TBA';
-    const duration = data.duration || computeDuration(data.departDateTime, data.arriveDateTime) || 'TBA';
-    const total = data.total ?? ((data.price || 0) + (data.taxes || 0));
-    const logo = data.logoUrl ? `<img src="${data.logoUrl}" alt="Logo" loading="lazy">` : `<svg width="86" height="28" viewBox="0 0 300 68" role="img" aria-hidden="true"><text x="0" y="20" font-size="18" font-weight="700" fill="var(--text)">Harmony</text><text x="100" y="20" font-size="14" fill="var(--accent)">Travels</text></svg>`;
-
-    const provider = data.provider || 'Provider';
-    const transportType = data.transportType || 'Transport';
-    const classOrSeat = data.classOrSeat || 'Class / Seat';
-    const origin = (data.route && data.route.origin) ? data.route.origin : 'Origin';
-    const destination = (data.route && data.route.destination) ? data.route.destination : 'Destination';
-    const distance = (data.distanceKm) ? `${data.distanceKm} km` : '—';
-
-    return `
-      <div class="ticket-left" role="article" aria-label="Ticket stub">
-        <div class="ticket-logo">${logo}<div class="brand-title">Harmony Travels</div></div>
-        <div class="small-muted">Booking</div>
-        <div style="font-weight:800;margin-top:6px">${data.bookingId || 'HT-TBA'}</div>
-        <div class="small-muted" style="margin-top:6px">Passenger</div>
-        <div style="font-weight:700">${data.passengerName || 'Passenger Name'}</div>
-
-        <div style="margin-top:8px" class="small-muted">Contact</div>
-        <div class="small-muted">${data.contactPhone || ''}<br>${data.contactEmail || ''}</div>
-
-        <div class="qr-wrap" id="ticket-qr-container" aria-hidden="false"></div>
-
-        <div style="margin-top:8px" class="small-muted">Route</div>
-        <div style="font-weight:700">${origin} → ${destination}</div>
-
-        <div class="small-muted" style="margin-top:6px">Distance</div>
-        <div class="small-muted">${distance}</div>
-      </div>
-
-      <div class="ticket-right">
-        <div class="row">
-          <div>
-            <div class="small-muted">Trip</div>
-            <div style="font-weight:900;font-size:1.15rem">${transportType} — ${provider}</div>
-            <div class="badge-type">${classOrSeat}</div>
-          </div>
-          <div style="text-align:right">
-            <div class="small-muted">Status</div>
-            <div style="font-weight:800;color:var(--accent)">CONFIRMED</div>
-          </div>
-        </div>
-
-        <div class="details-grid" aria-hidden="false">
-          <div class="detail-item">
-            <div class="detail-label">Depart</div>
-            <div class="detail-value">${depart}</div>
-          </div>
-          <div class="detail-item">
-            <div class="detail-label">Arrive</div>
-            <div class="detail-value">${arrive}</div>
-          </div>
-
-          <div class="detail-item">
-            <div class="detail-label">Duration</div>
-            <div class="detail-value">${duration}</div>
-          </div>
-          <div class="detail-item">
-            <div class="detail-label">Seat / Class</div>
-            <div class="detail-value">${classOrSeat}</div>
-          </div>
-
-          <div class="detail-item">
-            <div class="detail-label">Price</div>
-            <div class="detail-value">${fmtKES(data.price)}</div>
-          </div>
-          <div class="detail-item">
-            <div class="detail-label">Taxes</div>
-            <div class="detail-value">${fmtKES(data.taxes || 0)}</div>
-          </div>
-        </div>
-
-        <div class="price-box">
-          <div class="small-muted">Total (Incl. taxes)</div>
-          <div class="total">${fmtKES(total)}</div>
-        </div>
-
-        <div class="notes">
-          <strong>Notes:</strong> ${data.additionalNotes || 'Please bring your ID. Baggage rules apply.'}
-          ${ data.mapLink ? `<div style="margin-top:8px"><a href="${data.mapLink}" target="_blank" rel="noopener" class="small-muted">Open route in Google Maps</a></div>` : '' }
-        </div>
-
-        <div class="row" style="margin-top:8px">
-          <div class="small-muted">Issued by Harmony Travels</div>
-          <div class="small-muted">Ref: ${data.bookingId || '—'}</div>
-        </div>
-      </div>
-    `;
-  }
-
-  function renderQR(qrPayload) {
-    const el = document.getElementById('ticket-qr-container');
-    if (!el) return;
-    el.innerHTML = '';
-    try {
-      qrInstance = new QRCode(el, {
-        text: qrPayload || window.location.href,
-        width: 110,
-        height: 110,
-        colorDark: "#000000",
-        colorLight: "#ffffff",
-        correctLevel: QRCode.CorrectLevel.H
+
+  function showStaySummary(quote) {
+    staySummary.textContent = quote
+      ? I18n.t('stay.summary', { count: quote.nights, rooms: quote.rooms, property: quote.property.name, total: Currency.formatDual(quote.total) })
+      : '';
+  }
+
+  /* ---------- Tour packages (see packages.js) ----------
+     A package fixes the trip and the stay: picking a departure copies its
+     transport, dates and room into the trip and extras fields, and the
+     wizard skips those steps. The customer pays the package price only. */
+  const getPackageQuote = () => chosenPackage
+    ? Packages.quote(chosenPackage, packageDeparture.value, readPassengers().map(p => p.ageBand))
+    : null;
+
+  const fmtDay = date => I18n.formatDate(`${date}T12:00:00+03:00`, { weekday: 'short', day: 'numeric', month: 'short' });
+
+  // the customer's choices as a booking request (see booking-builder.js); prices are worked out from these
+  function bookingRequest() {
+    return {
+      tripType: tripType(),
+      legs: readLegs(),
+      passengers: readPassengers(),
+      contact: { phone: phoneEl.value.trim(), email: emailEl.value.trim() },
+      seats: chosenSeats.slice(),
+      stay: readStay(),
+      package: chosenPackage ? { id: chosenPackage.id, departure: packageDeparture.value } : null,
+      currency: Currency.snapshot(),
+      promoCode: promoCodeEl.value.trim().toUpperCase(),
+      points: Math.max(0, Math.floor(Number(loyaltyPointsEl.value) || 0))
+    };
+  }
+
+  function showPackage() {
+    packagePanel.hidden = !chosenPackage;
+    destinationPicker.hidden = !!chosenPackage;
+    if (!chosenPackage) return;
+    const pkg = chosenPackage;
+    const property = Stays.find(pkg.stay.propertyId);
+    packageTitle.textContent = I18n.text(pkg.title);
+    packageFacts.textContent = I18n.t('pkg.facts', {
+      count: pkg.nights,
+      dest: pkg.destination,
+      transport: I18n.label('transport', pkg.transport.transport),
+      min: pkg.minGroup,
+      max: pkg.maxGroup
+    });
+    packageInclusions.innerHTML = '';
+    pkg.inclusions.map(item => I18n.text(item))
+      .concat(property ? `${property.name} · ${I18n.label('meal', pkg.stay.mealPlan)}` : [])
+      .forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        packageInclusions.appendChild(li);
       });
-    } catch (err) {
-      console.warn('QR generation failed', err);
+    fillSelect(packageDeparture, Packages.departures(pkg).map(d => [d.date,
+      I18n.t('pkg.departureOption', { from: fmtDay(d.date), to: fmtDay(d.returnDate), price: I18n.formatMoney(d.price) })]));
+  }
+
+  // copy the package's transport, dates and stay into the (skipped) trip and extras fields
+  function applyPackage() {
+    const pkg = chosenPackage;
+    const departure = Packages.departures(pkg).find(d => d.date === packageDeparture.value);
+    if (!departure) return;
+    destinationEl.value = pkg.destination;
+    limitFirstLeg();
+    if (UrlState.pick(transportEl, pkg.transport.transport)) populateOptions(transportEl.value);
+    providerEl.value = pkg.transport.provider;
+    classEl.value = pkg.transport.travelClass;
+    originEl.value = Packages.ORIGIN;
+    startDateEl.value = departure.date;
+    refreshDepartures();
+    $('input[name="tripType"][value="return"]', bookingForm).checked = true;
+    setTripType('return');
+    const returnRow = $('.leg-row', legList);
+    returnRow.querySelector('.leg-date').value = departure.returnDate;
+    refreshLegTrips(returnRow);
+    const arrival = firstLeg().arriveDateTime;
+    fillStay(Object.assign({}, pkg.stay, {
+      checkIn: arrival ? Timetable.localDate(arrival) : departure.date,
+      checkOut: departure.returnDate
+    }));
+    chosenSeats = [];
+    updatePrice();
+  }
+
+  function setPackage(id) {
+    chosenPackage = Packages.find(id);
+    showPackage();
+    if (chosenPackage) applyPackage();
+    else updatePrice();
+  }
+
+  /* ---------- Holiday estimator (see estimator.js) ----------
+     Prices a whole holiday for a destination, dates and party as low,
+     typical and high totals. "Book this" fills the wizard with the tier's
+     transport and stay, a return trip on the chosen dates and one passenger
+     row per traveller, then opens the trip step to pick departures. */
+  let lastEstimate = null;
+
+  const estimateBands = () => [['adult', estAdults], ['child', estChildren], ['infant', estInfants]]
+    .flatMap(([band, el]) => Array(Math.max(0, Math.min(Estimator.MAX_PARTY + 1, parseInt(el.value, 10) || 0))).fill(band));
+
+  // start from the wizard's own choices the first time the estimator is opened
+  function prefillEstimator() {
+    if (!estDestination.value && destinationEl.value) estDestination.value = destinationEl.value;
+    if (!estStart.value && startDateEl.value) estStart.value = startDateEl.value;
+    if (!estEnd.value && estStart.value) estEnd.value = Stays.addDays(estStart.value, 4);
+  }
+
+  function runEstimate() {
+    const input = {
+      destination: estDestination.value,
+      start: estStart.value,
+      end: estEnd.value,
+      bands: estimateBands(),
+      residency: estResidency.value
+    };
+    const problems = Estimator.validate(input);
+    estErrors.innerHTML = '';
+    problems.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      estErrors.appendChild(li);
+    });
+    estErrors.hidden = !problems.length;
+    lastEstimate = problems.length ? null : Estimator.estimate(input);
+    showEstimate();
+  }
+
+  function showEstimate() {
+    if (!lastEstimate) {
+      estResult.innerHTML = '';
+      return;
     }
+    const fmt = n => Currency.formatDual(n);
+    estResult.innerHTML = Estimator.TIERS.map(tier => {
+      const { lines, total } = lastEstimate.tiers[tier];
+      return `<div class="estimate-tier">
+        <h4>${I18n.t(`est.tier.${tier}`)}</h4>
+        <div class="estimate-total">${fmt(total)}</div>
+        <ul class="fare-lines">${lines.map(l => `<li><span>${I18n.text(l)}</span><span>${fmt(l.amount)}</span></li>`).join('')}</ul>
+        <button type="button" class="btn small" data-tier="${tier}">${I18n.t('est.book')}</button>
+      </div>`;
+    }).join('');
   }
 
-  async function captureToCanvas(elem) {
-    if (!elem) throw new Error('Element required');
-    if (!window.html2canvas) throw new Error('html2canvas missing');
-    const opts = { backgroundColor: null, scale: 2, useCORS: true, logging: false, allowTaint: false };
-    return await html2canvas(elem, opts);
+  function bookEstimate(tier) {
+    const est = lastEstimate;
+    const { transport, stay } = est.tiers[tier];
+    chosenPackage = null;
+    showPackage();
+    destinationEl.value = est.destination;
+    limitFirstLeg();
+    originEl.value = Estimator.ORIGIN;
+    if (transport && UrlState.pick(transportEl, transport.choice.transport)) {
+      populateOptions(transportEl.value);
+      providerEl.value = transport.choice.provider;
+      classEl.value = transport.choice.travelClass;
+    }
+    startDateEl.value = est.start;
+    refreshDepartures();
+    $('input[name="tripType"][value="return"]', bookingForm).checked = true;
+    setTripType('return');
+    const returnRow = $('.leg-row', legList);
+    returnRow.querySelector('.leg-date').value = est.end;
+    refreshLegTrips(returnRow);
+    passengerList.innerHTML = '';
+    est.bands.forEach(ageBand => addPassengerRow({ ageBand, residency: est.residency }));
+    if (stay) fillStay(stay.choice);
+    else stayToggle.checked = false;
+    chosenSeats = [];
+    updatePrice();
+    syncLink();
+    wizard.go('trip');
   }
 
-  async function downloadPNG() {
-    try {
-      const elem = document.getElementById('ticketContainer');
-      const canvas = await captureToCanvas(elem);
-      const url = canvas.toDataURL('image/png', 1.0);
-      const a = document.createElement('a');
-      a.href = url;
-      const id = currentData.bookingId ? currentData.bookingId.replace(/\s+/g,'_') : 'ticket';
-      a.download = `HarmonyTravels_Ticket_${id}.png`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      showToast('PNG downloaded');
-    } catch (err) {
-      console.error(err);
-      alert('PNG generation failed.');
+  function updatePrice() {
+    markDestination();
+    refreshDepartures();
+    refreshStayOptions();
+    showAvailability();
+    const trip = getTripQuote();
+    const stay = getStayQuote();
+    const tour = getPackageQuote();
+    // KES is the settlement amount; the chosen display currency is shown beside it
+    const fmt = n => Currency.formatDual(n);
+    priceDisplay.textContent = fmt(tour ? tour.total : (trip.total || 0) + (stay ? stay.total : 0));
+    currencyNote.textContent = Currency.note();
+    refreshSeatMap();
+    showStaySummary(stay);
+    let lines = [];
+    if (trip.legs.length > 1) {
+      const legs = readLegs();
+      lines = trip.legs.map((q, i) => ({
+        text: I18n.t('leg.fare', { n: i + 1, from: legs[i].origin || '?', to: legs[i].destination || '?', transport: I18n.label('transport', legs[i].transport) }),
+        amount: q ? q.groupFare : null
+      }));
+    } else if (trip.legs[0]) {
+      const quote = trip.legs[0];
+      // adult fare lines, then one line per age band present in the group
+      const counts = {};
+      quote.perPassenger.forEach(p => { counts[p.band] = counts[p.band] || { n: 0, fare: p.fare }; counts[p.band].n++; });
+      const bandLines = Object.keys(counts).map(b => ({
+        label: I18n.t('fare.band', { count: counts[b].n, band: I18n.label('band', b), fare: fmt(counts[b].fare) }),
+        amount: counts[b].n * counts[b].fare
+      }));
+      const singleAdult = quote.perPassenger.length === 1 && quote.perPassenger[0].band === 'adult';
+      lines = quote.lines.concat(singleAdult ? [] : bandLines).map(l => ({ text: I18n.text(l), amount: l.amount }));
     }
+    // the stay's lines follow the transport fares
+    if (stay) lines = lines.concat(stay.lines.map(l => ({ text: I18n.text(l), amount: l.amount })));
+    // a package is priced per person; its transport and stay are included
+    if (tour) lines = tour.lines.map(l => ({ text: I18n.text(l), amount: l.amount }));
+    fareBreakdown.innerHTML = lines
+      .map(l => `<li><span>${l.text}</span><span>${l.amount == null ? '—' : fmt(l.amount)}</span></li>`).join('');
   }
 
-  async function downloadPDF() {
-    if (!window.jspdf && !window.jspdf.jsPDF) {
-      alert('jsPDF missing');
+  // redraw generated copy (rows, departures, seat map, breakdown) in the new language
+  I18n.onChange(() => {
+    renumberPassengers();
+    renumberLegs();
+    showPackage();
+    updatePrice();
+    showEstimate();
+    if (wizard.current() === 'review') renderReview();
+  });
+  I18n.bindSelect(document.getElementById('langSelect'));
+  Currency.bindSelect(document.getElementById('currencySelect'));
+  Currency.onChange(updatePrice);
+  Currency.onChange(showEstimate);
+
+  // deep links (landing quick search, "Book This", a shared link) pre-fill leg 1;
+  // an end date makes it a return trip on that date. A package link picks the
+  // package, with start as its departure date.
+  function applyLink(state) {
+    if (state.package && Packages.find(state.package)) {
+      chosenPackage = Packages.find(state.package);
+      showPackage();
+      if (state.start && Packages.departures(chosenPackage).some(d => d.date === state.start)) packageDeparture.value = state.start;
+      applyPackage();
+      return;
+    }
+    // dest may be a slug or an older spelling ("Amboseli National Park")
+    const place = Destinations.find(state.dest);
+    UrlState.pick(destinationEl, place ? place.name : state.dest);
+    limitFirstLeg();
+    if (UrlState.pick(transportEl, state.transport)) populateOptions(transportEl.value);
+    UrlState.pick(providerEl, state.provider);
+    UrlState.pick(classEl, state.class);
+    if (state.start) startDateEl.value = state.start;
+    if (state.end && (!state.start || state.end >= state.start)) {
+      $('input[name="tripType"][value="return"]', bookingForm).checked = true;
+      setTripType('return');
+      $('.leg-row .leg-date', legList).value = state.end;
+    }
+    updatePrice();
+  }
+
+  // write the current choices back to the address bar so the page can be shared as is
+  function syncLink() {
+    if (chosenPackage) {
+      UrlState.write({ package: chosenPackage.id, start: packageDeparture.value });
       return;
     }
+    const returnDate = $('.leg-row .leg-date', legList);
+    UrlState.write({
+      dest: destinationEl.value,
+      start: startDateEl.value,
+      end: tripType() === 'return' && returnDate ? returnDate.value : '',
+      transport: transportEl.value,
+      provider: providerEl.value,
+      class: classEl.value
+    });
+  }
+
+  /* ---------- Wizard steps ----------
+     destination → trip → passengers → extras → review → ticket; see wizard.js
+     for history handling. Each step's problems are listed above the step
+     buttons; the whole booking is checked again when paying. */
+  function stepProblems(step) {
+    const problems = [];
+    if (step === 'destination') {
+      if (chosenPackage && !packageDeparture.value) problems.push(I18n.t('pkg.err.departure'));
+      if (!destinationEl.value) problems.push(I18n.t('wiz.err.destination'));
+      else if ((originEl.value.trim() || 'Nairobi') === destinationEl.value) problems.push(I18n.t('itin.same', { n: 1 }));
+    }
+    if (step === 'trip') problems.push(...Itinerary.validate(readLegs()));
+    if (step === 'passengers') {
+      const passengers = readPassengers();
+      if (passengers.some(p => !p.name)) problems.push(I18n.t('wiz.err.names'));
+      if (!passengers.some(p => p.ageBand === 'adult')) problems.push(I18n.t('err.adult'));
+      const missingId = passengers.find(p => p.ageBand === 'adult' && p.name && !p.idNumber);
+      if (missingId) problems.push(I18n.t('err.idMissing', { name: missingId.name }));
+      if (!phoneEl.value.trim() || !emailEl.value.trim() || !emailEl.checkValidity()) problems.push(I18n.t('wiz.err.contact'));
+    }
+    // a package skips the trip and extras steps, so its group size and seats are checked here
+    if (step === 'passengers' && chosenPackage) {
+      problems.push(...Packages.validate(chosenPackage, packageDeparture.value, readPassengers().map(p => p.ageBand)));
+      problems.push(...seatProblems());
+    }
+    if (step === 'extras') {
+      problems.push(...seatProblems());
+      const stay = readStay();
+      if (stay) problems.push(...Stays.validate(stay));
+    }
+    // the ticket step opens only once the booking is paid (wizard.lock)
+    if (step === 'review') problems.push(I18n.t('wiz.err.pay'));
+    return problems;
+  }
+
+  // every leg needs a seat for each seated passenger
+  function seatProblems() {
+    const seated = seatedCount();
+    const problems = [];
+    readLegs().forEach((leg, l) => {
+      const { left } = Inventory.availability(storedBookings, leg);
+      if (left >= seated) return;
+      const alt = Inventory.nearestAvailable(storedBookings, leg, seated);
+      problems.push(I18n.t('err.seats', { n: l + 1, count: left, cls: leg.travelClass, provider: leg.provider, when: fmtDeparture(leg.departDateTime) })
+        + (alt ? I18n.t('err.seatsAlt', { trip: alt.tripNo, when: fmtDeparture(alt.departDateTime) }) : ''));
+    });
+    return problems;
+  }
+
+  function showProblems(problems) {
+    wizardErrors.innerHTML = '';
+    problems.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      wizardErrors.appendChild(li);
+    });
+    wizardErrors.hidden = !problems.length;
+  }
+
+  // review step: what will be booked, in the current language
+  function renderReview() {
+    const passengers = readPassengers();
+    const tour = getPackageQuote();
+    const rows = tour ? [['review.package', [I18n.t('review.packageLine', {
+      title: I18n.text(chosenPackage.title),
+      from: fmtDay(packageDeparture.value),
+      to: fmtDay(Packages.addDays(packageDeparture.value, chosenPackage.nights)),
+      count: chosenPackage.nights
+    })]]] : [];
+    rows.push(
+      ['review.trip', readLegs().map((leg, i) => I18n.t('review.leg', {
+        n: i + 1,
+        from: leg.origin,
+        to: leg.destination,
+        transport: I18n.label('transport', leg.transport),
+        provider: leg.provider,
+        cls: leg.travelClass,
+        trip: leg.tripNo || '—',
+        when: leg.departDateTime ? fmtDeparture(leg.departDateTime) : '—'
+      }))],
+      ['review.passengers', passengers.map(p => `${p.name} · ${I18n.label('band', p.ageBand)}${p.residency === 'nonResident' ? ` · ${I18n.label('residency', p.residency)}` : ''}${p.idNumber ? ` · ${p.idNumber}` : ''}`)],
+      ['review.contact', [`${phoneEl.value.trim()} · ${emailEl.value.trim()}`]],
+      ['book.seats', [chosenSeats.length ? chosenSeats.join(', ') : I18n.t('review.autoSeats')]]
+    );
+    const stay = getStayQuote();
+    if (stay) {
+      const chosen = readStay();
+      rows.push(['review.stay', [
+        I18n.t('review.stayLine', {
+          property: stay.property.name,
+          room: chosen.roomType,
+          rooms: stay.rooms,
+          meals: I18n.label('meal', chosen.mealPlan),
+          count: stay.nights,
+          from: I18n.formatDate(`${chosen.checkIn}T12:00:00+03:00`, { day: 'numeric', month: 'short' }),
+          to: I18n.formatDate(`${chosen.checkOut}T12:00:00+03:00`, { day: 'numeric', month: 'short' })
+        })
+      ]]);
+    }
+    reviewSummary.innerHTML = '';
+    rows.forEach(([key, lines]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = I18n.t(key);
+      reviewSummary.appendChild(dt);
+      lines.forEach(line => {
+        const dd = document.createElement('dd');
+        dd.textContent = line;
+        reviewSummary.appendChild(dd);
+      });
+    });
+    showReviewTotal();
+  }
+
+  // the loyalty number given with an earlier booking for the contact email, if any
+  function knownLoyaltyNumber() {
+    const email = emailEl.value.trim().toLowerCase();
+    const match = storedBookings.slice().reverse().find(b => b.loyaltyNumber && String(b.contactEmail || '').toLowerCase() === email);
+    return match ? match.loyaltyNumber : '';
+  }
+
+  /* The total to pay comes from the booking server, which also re-checks
+     the trip and seats, the promo code and the loyalty points; offline,
+     this device prices it the same way but cannot take codes or points. */
+  let reviewRequest = 0; // replies to an older review are dropped
+  async function showReviewTotal() {
+    const asked = ++reviewRequest;
+    const request = bookingRequest();
+    if (!loyaltyNumberEl.value) loyaltyNumberEl.value = knownLoyaltyNumber();
+    const loyaltyNumber = loyaltyNumberEl.value.trim();
+    reviewTotal.textContent = I18n.t('review.quoting');
+    let text = '';
+    let note = '';
     try {
-      const elem = document.getElementById('ticketContainer');
-      const canvas = await captureToCanvas(elem);
-      const imgData = canvas.toDataURL('image/png', 1.0);
-      const { jsPDF } = window.jspdf || window.jspdf || window.jspdf;
-      const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
-      const pageWidth = pdf.internal.pageSize.getWidth();
-      const pageHeight = pdf.internal.pageSize.getHeight();
-      const imgProps = pdf.getImageProperties(imgData);
-      let w = pageWidth;
-      let h = (imgProps.height / imgProps.width) * w;
-      if (h > pageHeight) { h = pageHeight; w = (imgProps.width / imgProps.height) * h; }
-      const x = (pageWidth - w) / 2;
-      const y = (pageHeight - h) / 2;
-      pdf.addImage(imgData, 'PNG', x, y, w, h, undefined, 'FAST');
-      const id = currentData.bookingId ? currentData.bookingId.replace(/\s+/g,'_') : 'ticket';
-      pdf.save(`HarmonyTravels_Ticket_${id}.pdf`);
-      showToast('PDF downloaded');
+      const quote = await BookingApi.quote(request, loyaltyNumber);
+      const total = Currency.formatDual(quote.groupTotal);
+      text = quote.discount ? I18n.t('review.totalDiscount', { total, discount: Currency.formatDual(quote.discount) }) : I18n.t('review.total', { total });
+      const balance = quote.loyalty ? Math.max(0, quote.loyalty.balance) : 0;
+      if (quote.loyalty) note = I18n.t('loyalty.balance', { count: balance, max: Math.min(balance, quote.maxPoints) });
+      else if (loyaltyNumber) note = I18n.t('loyalty.unknown');
+      showProblems([]);
     } catch (err) {
-      console.error(err);
-      alert('PDF generation failed.');
+      if (asked !== reviewRequest) return;
+      if (err.status === 0) {
+        const total = BookingBuilder.quote(BookingBuilder.normalize(Object.assign({}, request, { promoCode: '', points: 0 }))).groupTotal;
+        text = I18n.t('review.totalOffline', { total: Currency.formatDual(total) });
+        showProblems(request.promoCode || request.points ? [I18n.t('promo.err.offline')] : []);
+      } else {
+        showProblems(BookingApi.problemsOf(err));
+      }
     }
+    if (asked !== reviewRequest) return;
+    reviewTotal.textContent = text;
+    loyaltyNote.textContent = note;
   }
+  [promoCodeEl, loyaltyNumberEl, loyaltyPointsEl].forEach(el => el.addEventListener('change', showReviewTotal));
 
-  function printTicket() {
-    if (!container) return window.print();
-    const w = window.open('', '_blank', 'width=900,height=700');
-    if (!w) return alert('Popup blocked');
-    const html = `
-      <html>
-        <head>
-          <title>Print Ticket</title>
-          <link href="https://fonts.googleapis.com/css2?family=Montserrat:wght@400;600;700&display=swap" rel="stylesheet">
-          <style>${printCss()}</style>
-        </head>
-        <body>${container.outerHTML}</body>
-      </html>`;
-    w.document.open();
-    w.document.write(html);
-    w.document.close();
-    setTimeout(()=> { w.focus(); w.print(); }, 600);
-  }
-  function printCss(){ return `body{font-family:Montserrat,Arial;margin:24px} .ticket-card{max-width:100%;}`; }
-
-  async function copyBookingId() {
-    const id = currentData && currentData.bookingId ? currentData.bookingId : '';
-    if (!id) return showToast('No booking ID');
-    try { await navigator.clipboard.writeText(id); showToast('Booking ID copied'); } catch(e){ showToast('Copy failed'); }
-  }
-
-  function showToast(msg, ms=1600) {
-    const t = document.getElementById('toast');
-    if (!t) return;
-    t.textContent = msg; t.classList.add('show');
-    clearTimeout(t._timer); t._timer = setTimeout(()=> t.classList.remove('show'), ms);
+  const wizard = Wizard.create({
+    root: document.getElementById('bookingWizard'),
+    progress: document.getElementById('wizardProgress'),
+    validate: stepProblems,
+    skip: step => !!chosenPackage && (step === 'trip' || step === 'extras'),
+    onInvalid: (step, problems) => showProblems(problems),
+    onShow: (step, index) => {
+      showProblems([]);
+      bookingForm.hidden = step === 'ticket';
+      backBtn.disabled = index === 0;
+      nextBtn.hidden = step === 'review';
+      payBtn.hidden = step !== 'review';
+      if (step === 'review') renderReview();
+      saveDraft();
+    }
+  });
+  backBtn.addEventListener('click', () => wizard.back());
+  nextBtn.addEventListener('click', () => wizard.next());
+
+  // destination cards and the destination select come from the catalogue
+  // (destinations.js); a card fills the select
+  Destinations.fillSelect(destinationEl);
+  destChoiceList.innerHTML = Destinations.featured().map(place => `
+    <button type="button" class="dest-choice" data-dest="${place.name}"><img src="${place.images.thumb}" alt="" loading="lazy"><strong>${place.name}</strong><span data-i18n="${place.blurb.key}">${I18n.text(place.blurb)}</span></button>`).join('');
+  const destChoices = $$('.dest-choice', destChoiceList);
+
+  function markDestination() {
+    destChoices.forEach(btn => {
+      const selected = btn.dataset.dest === destinationEl.value;
+      btn.classList.toggle('selected', selected);
+      btn.setAttribute('aria-pressed', String(selected));
+    });
   }
+  destChoices.forEach(btn => btn.addEventListener('click', () => {
+    destinationEl.value = btn.dataset.dest;
+    destinationEl.dispatchEvent(new Event('change', { bubbles: true }));
+  }));
+
+  /* ---------- Draft autosave ----------
+     The unfinished booking is kept in sessionStorage so a refresh resumes
+     where the customer left off. It holds names, ID numbers and contact
+     details, so it goes with the tab rather than staying on a shared agent
+     desk, and is dropped once the booking is paid or the customer starts
+     over. */
+  const DRAFT_KEY = 'ht_booking_draft';
+  let draftReady = false; // no saving until the draft and deep link have been applied
 
-  function init(selector, data) {
-    container = (typeof selector === 'string') ? document.querySelector(selector) : selector;
-    if (!container) throw new Error('Container not found');
-    currentData = data || {};
-    container.innerHTML = buildHtml(currentData);
-    renderQR(currentData.qrPayload || `Booking:${currentData.bookingId || 'TBA'}`);
-    container.setAttribute('tabindex','-1');
+  // earlier versions kept the draft in localStorage
+  try { localStorage.removeItem(DRAFT_KEY); } catch (e) { /* ignore storage errors */ }
+
+  function saveDraft() {
+    if (!draftReady || wizard.current() === 'ticket') return;
+    const draft = {
+      step: wizard.current(),
+      transport: transportEl.value,
+      provider: providerEl.value,
+      travelClass: classEl.value,
+      origin: originEl.value,
+      destination: destinationEl.value,
+      startDate: startDateEl.value,
+      departTime: departTimeEl.value,
+      tripType: tripType(),
+      legs: $$('.leg-row', legList).map(row => Object.assign(legFromRow(row), { date: row.querySelector('.leg-date').value })),
+      passengers: readPassengers(),
+      phone: phoneEl.value,
+      email: emailEl.value,
+      seats: chosenSeats,
+      stay: readStay(),
+      package: chosenPackage ? chosenPackage.id : '',
+      packageDeparture: packageDeparture.value,
+      promoCode: promoCodeEl.value,
+      savedAt: new Date().toISOString()
+    };
+    try { sessionStorage.setItem(DRAFT_KEY, JSON.stringify(draft)); } catch (e) { /* ignore storage errors */ }
   }
 
-  return { init, downloadPDF, downloadPNG, printTicket, copyBookingId, _renderQR: renderQR };
-})();
+  function readDraft() {
+    try { return JSON.parse(sessionStorage.getItem(DRAFT_KEY) || 'null'); } catch (e) { return null; }
+  }
 
-/* ---------- Booking form wiring ---------- */
-document.addEventListener('DOMContentLoaded', () => {
-  const transportEl = document.getElementById('transport');
-  const providerEl = document.getElementById('provider');
-  const classEl = document.getElementById('travelClass');
-  const priceDisplay = document.getElementById('priceDisplay');
-  const estimateBtn = document.getElementById('estimateBtn');
-  const bookingForm = document.getElementById('bookingForm');
-  const ticketContainer = document.getElementById('ticketContainer');
+  function clearDraft() {
+    try { sessionStorage.removeItem(DRAFT_KEY); } catch (e) { /* ignore storage errors */ }
+  }
 
-  // populate provider/class based on transport
-  function populateOptions(transport) {
-    providerEl.innerHTML = '';
-    classEl.innerHTML = '';
-    const spec = PRICE_MATRIX[transport];
-    if (!spec) return;
-    spec.providers.forEach(p => providerEl.appendChild(new Option(p, p)));
-    Object.keys(spec.classes).forEach(cls => classEl.appendChild(new Option(cls, cls)));
-    updatePrice(); // update price display
+  function restoreDraft(draft) {
+    destinationEl.value = draft.destination || '';
+    limitFirstLeg();
+    if (UrlState.pick(transportEl, draft.transport)) populateOptions(transportEl.value);
+    UrlState.pick(providerEl, draft.provider);
+    UrlState.pick(classEl, draft.travelClass);
+    originEl.value = draft.origin || originEl.value;
+    startDateEl.value = draft.startDate || '';
+    refreshDepartures();
+    if (draft.departTime) departTimeEl.value = draft.departTime;
+    const type = ['return', 'multi'].includes(draft.tripType) ? draft.tripType : 'oneway';
+    $(`input[name="tripType"][value="${type}"]`, bookingForm).checked = true;
+    legList.innerHTML = '';
+    addLegBtn.hidden = (type !== 'multi');
+    (draft.legs || []).forEach(leg => {
+      addLegRow(leg);
+      if (!leg.departDateTime && leg.date) legList.lastElementChild.querySelector('.leg-date').value = leg.date;
+    });
+    passengerList.innerHTML = '';
+    (draft.passengers && draft.passengers.length ? draft.passengers : [{}]).forEach(p => addPassengerRow(p));
+    phoneEl.value = draft.phone || '';
+    emailEl.value = draft.email || '';
+    promoCodeEl.value = draft.promoCode || '';
+    chosenSeats = draft.seats || [];
+    if (draft.stay) fillStay(draft.stay);
+    chosenPackage = Packages.find(draft.package);
+    showPackage();
+    if (chosenPackage) {
+      // a departure that has since passed falls back to the next one offered
+      if (Packages.departures(chosenPackage).some(d => d.date === draft.packageDeparture)) packageDeparture.value = draft.packageDeparture;
+      applyPackage();
+    }
+    updatePrice();
   }
 
-  // compute price based on selections
-  function getPrice() {
-    const transport = transportEl.value;
-    const cls = classEl.value;
-    if (!transport || !cls) return 0;
-    const spec = PRICE_MATRIX[transport];
-    if (!spec) return 0;
-    return spec.classes[cls] || 0;
+  function showToast(text, ms) {
+    const t = document.getElementById('toast');
+    t.textContent = text; t.classList.add('show');
+    setTimeout(() => t.classList.remove('show'), ms);
   }
 
-  function updatePrice() {
-    const price = getPrice();
-    priceDisplay.textContent = price ? new Intl.NumberFormat('en-KE',{style:'currency',currency:'KES',maximumFractionDigits:0}).format(price) : 'KES 0';
+  function resetForm() {
+    bookingForm.reset();
+    passengerList.innerHTML = '';
+    addPassengerRow();
+    limitTransports(transportEl, destinationEl.value);
+    populateOptions(transportEl.value);
+    setTripType('oneway');
+    chosenPackage = null;
+    showPackage();
+    chosenSeats = [];
+    syncLink();
   }
 
-  // initial populate
+  // initial populate: saved draft first, then anything the link asks for
+  addPassengerRow();
+  transportEl.innerHTML = transportOptions();
   populateOptions(transportEl.value);
+  const draft = readDraft();
+  if (draft) restoreDraft(draft);
+  const linked = UrlState.read();
+  applyLink(linked);
+  draftReady = true;
+  const requested = window.location.hash.slice(1);
+  wizard.go(wizard.steps.includes(requested) ? requested
+    : Object.keys(linked).length ? (linked.dest ? 'trip' : 'destination')
+    : (draft && draft.step) || 'destination', { history: 'replace' });
+  if (draft && (draft.destination || (draft.passengers || []).some(p => p.name))) showToast(I18n.t('wiz.draftRestored'), 2500);
+
+  FareConfig.onChange(refreshFareOptions);
+  FareConfig.refresh();
 
   transportEl.addEventListener('change', () => populateOptions(transportEl.value));
   classEl.addEventListener('change', updatePrice);
   providerEl.addEventListener('change', updatePrice);
-  estimateBtn.addEventListener('click', updatePrice);
+  originEl.addEventListener('change', updatePrice);
+  destinationEl.addEventListener('change', () => {
+    limitFirstLeg();
+    updatePrice();
+  });
+  startDateEl.addEventListener('change', updatePrice);
+  departTimeEl.addEventListener('change', updatePrice);
+  stayToggle.addEventListener('change', () => {
+    if (stayToggle.checked) defaultStayDates();
+    updatePrice();
+  });
+  [stayProperty, stayRoom, stayMeals, stayCheckIn, stayCheckOut].forEach(el => el.addEventListener('change', updatePrice));
+  packageDeparture.addEventListener('change', applyPackage);
+  // dropping the package keeps its destination and dates for a transport-only booking
+  document.getElementById('packageRemove').addEventListener('click', () => {
+    setPackage(null);
+    syncLink();
+    wizard.go('destination', { history: 'replace' });
+    saveDraft();
+  });
+  $$('input[name="tripType"]', bookingForm).forEach(r => r.addEventListener('change', () => setTripType(r.value)));
+  bookingForm.addEventListener('change', syncLink);
+  bookingForm.addEventListener('change', saveDraft);
+  bookingForm.addEventListener('input', saveDraft);
+  addLegBtn.addEventListener('click', () => {
+    const legs = readLegs();
+    addLegRow({ origin: legs[legs.length - 1].destination });
+    saveDraft();
+  });
+  Destinations.fillSelect(estDestination);
+  estimator.addEventListener('toggle', () => { if (estimator.open) prefillEstimator(); });
+  document.getElementById('estimateBtn').addEventListener('click', runEstimate);
+  // Enter in an estimator field estimates rather than moving the wizard on
+  estimator.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+    e.preventDefault();
+    runEstimate();
+  });
+  estResult.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-tier]');
+    if (btn && lastEstimate) bookEstimate(btn.dataset.tier);
+  });
+  addPassengerBtn.addEventListener('click', () => {
+    addPassengerRow();
+    updatePrice();
+    saveDraft();
+    $$('.pax-row .pax-name', passengerList).pop().focus();
+  });
 
-  // reset form
+  // start over: empty form, no draft, back to the first step
   document.getElementById('resetBtn').addEventListener('click', () => {
-    bookingForm.reset();
-    populateOptions(transportEl.value);
-    updatePrice();
-    ticketContainer.innerHTML = ''; // clear preview
+    resetForm();
+    wizard.go('destination');
+    clearDraft();
+  });
+
+  document.getElementById('newBookingBtn').addEventListener('click', () => {
+    wizard.unlock();
+    ticketContainer.innerHTML = '';
+    wizard.go('destination');
   });
 
-  // On submit -> validate, create ticketData, render ticket (simulate booking)
-  bookingForm.addEventListener('submit', (e) => {
+  // On submit (the review step's pay button) -> check every step, create ticketData, pay, render tickets
+  bookingForm.addEventListener('submit', async (e) => {
     e.preventDefault();
-    // simple validation
-    const passengerName = document.getElementById('passengerName').value.trim();
-    const phone = document.getElementById('phone').value.trim();
-    const email = document.getElementById('email').value.trim();
-    const transport = transportEl.value;
-    const provider = providerEl.value;
-    const travelClass = classEl.value;
-    const origin = document.getElementById('origin').value || 'Nairobi';
-    const destination = document.getElementById('destination').value || 'TBA';
-    const startDate = document.getElementById('startDate').value;
-    const endDate = document.getElementById('endDate').value;
-
-    if (!passengerName || !phone || !email || !startDate) {
-      alert('Please fill required fields (name, phone, email, depart date).');
+    // Enter on an earlier step moves the wizard on rather than booking
+    if (wizard.current() !== 'review') {
+      wizard.next();
       return;
     }
-    // create booking id
-    const now = new Date();
-    const bookingId = `HT-${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}-${now.getTime().toString().slice(-6)}`;
-
-    const price = getPrice();
-    const taxes = Math.round(price * 0.05); // example tax 5%
-    const total = price + taxes;
-
-    // build ticket payload
-    const ticketData = {
-      bookingId,
-      passengerName,
-      contactPhone: phone,
-      contactEmail: email,
-      transportType: transport,
-      provider,
-      classOrSeat: travelClass,
-      route: { origin, destination },
-      departDateTime: new Date(startDate).toISOString(),
-      arriveDateTime: endDate ? new Date(endDate).toISOString() : '',
-      duration: '',
-      distanceKm: undefined,
-      price,
-      taxes,
-      total,
-      additionalNotes: `Auto-generated ticket. Please arrive on time.`,
-      mapLink: `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(origin)}&destination=${encodeURIComponent(destination)}`,
-      qrPayload: `https://harmonytravels.example/verify/${bookingId}`,
-      logoUrl: ''
-    };
+    const incomplete = wizard.firstIncomplete(wizard.steps.indexOf('review'));
+    if (incomplete) {
+      wizard.go(incomplete);
+      showProblems(stepProblems(incomplete));
+      return;
+    }
+    // the booking server prices and issues the booking; offline, this device does
+    const request = bookingRequest();
+    let pending;
+    payBtn.disabled = true;
+    try {
+      pending = await BookingApi.create(request, loyaltyNumberEl.value.trim());
+    } catch (err) {
+      if (err.status !== 0) {
+        showProblems(BookingApi.problemsOf(err));
+        return;
+      }
+      // promo codes and points are checked against every booking, which only the server has
+      if (request.promoCode || request.points) {
+        showProblems([I18n.t('promo.err.offline')]);
+        return;
+      }
+      const offline = BookingBuilder.normalize(request);
+      const problems = BookingBuilder.validate(offline, storedBookings);
+      if (problems.length) {
+        showProblems(problems);
+        return;
+      }
+      pending = BookingBuilder.build(offline, { bookingId: BookingBuilder.newId(), bookings: storedBookings });
+    } finally {
+      payBtn.disabled = false;
+    }
+    const { bookingId, groupTotal, currency, tickets } = pending;
+    const phone = pending.contactPhone;
 
-    // render the ticket
-    TicketRenderer.init('#ticketContainer', ticketData);
+    // hold the seats while the customer pays; unpaid bookings stay pending under My Bookings until the hold expires
+    storedBookings.push(pending);
+    chosenSeats = [];
+    updatePrice();
+    BookingStore.save(pending).catch(err => console.error('Saving booking failed', err));
+
+    const receipt = await Payments.checkout({ amount: groupTotal, reference: bookingId, phone, currency });
+    if (!receipt) {
+      showToast(I18n.t('toast.pending', { id: bookingId, minutes: BookingLifecycle.HOLD_MINUTES }), 3000);
+      return;
+    }
+
+    // the server records the payment; only when it cannot be reached does My Bookings send it later
+    if (BookingLifecycle.holdExpired(pending, receipt.paidAt || new Date())) {
+      showProblems([I18n.t('book.err.holdExpired', { minutes: BookingLifecycle.HOLD_MINUTES })]);
+      return;
+    }
+    let paid;
+    try {
+      paid = BookingApi.keyed(pending) ? await BookingApi.pay(pending, receipt) : BookingLifecycle.markPaid(pending, receipt);
+    } catch (err) {
+      console.error('Recording the payment failed', err);
+      if (err.status !== 0) {
+        showProblems(BookingApi.problemsOf(err));
+        return;
+      }
+      paid = Object.assign(BookingLifecycle.markPaid(pending, receipt), { paymentSynced: false });
+    }
+
+    // render the itinerary summary (multi-leg) and one ticket per passenger per leg;
+    // the server signed each ticket's QR payload, offline bookings stay unsigned
+    TicketRenderer.init('#ticketContainer', paid);
 
-    // scroll to ticket preview
-    document.getElementById('ticketContainer').scrollIntoView({ behavior:'smooth', block:'center' });
+    // show the ticket step; Back can no longer reopen the paid form
+    wizard.lock('ticket');
+    clearDraft();
+    resetForm();
 
     // Hook action buttons to TicketRenderer
     document.getElementById('downloadPdfBtn').onclick = () => TicketRenderer.downloadPDF();
@@ -374,13 +1182,15 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('printBtn').onclick = () => TicketRenderer.printTicket();
     document.getElementById('copyBookingBtn').onclick = () => TicketRenderer.copyBookingId();
 
-    // show confirmation toast
-    const t = document.getElementById('toast');
-    t.textContent = `Booking ${bookingId} created — ticket ready`; t.classList.add('show');
-    setTimeout(()=> t.classList.remove('show'), 1800);
+    // show confirmation toast; server tickets board, and earn points, once an agent has verified the payment
+    const later = BookingApi.keyed(paid) ? [I18n.t('toast.verifyLater')] : [];
+    const points = later.length ? Promotions.pointsFor(groupTotal) : 0;
+    if (points) later.push(I18n.t('toast.pointsLater', { count: points }));
+    showToast([I18n.t('toast.paid', { id: bookingId, count: tickets.length })].concat(later).join(' '), later.length ? 5000 : 1800);
 
-    // Optionally simulate saving to server: here we just keep in sessionStorage for demo
-    try { sessionStorage.setItem(`booking_${bookingId}`, JSON.stringify(ticketData)); } catch(e){}
+    // keep the booking across sessions so it shows up under My Bookings
+    storedBookings[storedBookings.indexOf(pending)] = paid;
+    BookingStore.save(paid).catch(err => console.error('Saving booking failed', err));
 
   });
 
@@ -0,0 +1,226 @@
+/* ---------- Timetable: scheduled trips per provider and route ----------
+   TIMETABLES lists each provider's routes with their trips:
+     { no, depart: 'HH:MM', arrive: 'HH:MM', days?: [weekday, ...] }
+   Times are Nairobi time (UTC+03:00, no daylight saving) whatever the
+   device's zone; an arrival earlier than the departure is the next day.
+   days uses 0 = Sunday and is omitted for daily trips.
+
+   Routes we do not publish a timetable for fall back to the provider's usual
+   departure times with the arrival estimated from the road/rail/air distance
+   (marked estimated: true) so every destination on the form stays bookable.
+*/
+const Timetable = (function () {
+  const UTC_OFFSET = '+03:00';
+  const OFFSET_MS = 3 * 60 * 60 * 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const TIMETABLES = {
+    'Easy Coach': [
+      { from: 'Nairobi', to: 'Kisumu', trips: [
+        { no: 'EC 101', depart: '07:00', arrive: '14:00' },
+        { no: 'EC 103', depart: '13:00', arrive: '20:00' },
+        { no: 'EC 105', depart: '21:00', arrive: '04:30' }
+      ] },
+      { from: 'Kisumu', to: 'Nairobi', trips: [
+        { no: 'EC 102', depart: '07:30', arrive: '14:30' },
+        { no: 'EC 106', depart: '21:00', arrive: '04:30' }
+      ] },
+      { from: 'Nairobi', to: 'Nakuru', trips: [
+        { no: 'EC 201', depart: '06:30', arrive: '09:30' },
+        { no: 'EC 203', depart: '09:30', arrive: '12:30' },
+        { no: 'EC 205', depart: '16:00', arrive: '19:00' }
+      ] },
+      { from: 'Nakuru', to: 'Nairobi', trips: [
+        { no: 'EC 202', depart: '07:00', arrive: '10:00' },
+        { no: 'EC 206', depart: '17:00', arrive: '20:00' }
+      ] },
+      { from: 'Nairobi', to: 'Eldoret', trips: [
+        { no: 'EC 301', depart: '08:00', arrive: '14:15' },
+        { no: 'EC 305', depart: '21:30', arrive: '03:45' }
+      ] },
+      { from: 'Eldoret', to: 'Nairobi', trips: [
+        { no: 'EC 302', depart: '08:30', arrive: '14:45' },
+        { no: 'EC 306', depart: '21:30', arrive: '03:45' }
+      ] }
+    ],
+    'Guardian': [
+      { from: 'Nairobi', to: 'Mombasa', trips: [
+        { no: 'GC 11', depart: '08:00', arrive: '16:30' },
+        { no: 'GC 15', depart: '20:30', arrive: '05:00' }
+      ] },
+      { from: 'Mombasa', to: 'Nairobi', trips: [
+        { no: 'GC 12', depart: '08:30', arrive: '17:00' },
+        { no: 'GC 16', depart: '21:00', arrive: '05:30' }
+      ] },
+      { from: 'Mombasa', to: 'Diani Beach', trips: [
+        { no: 'GC 41', depart: '09:00', arrive: '10:45' },
+        { no: 'GC 43', depart: '14:00', arrive: '15:45' }
+      ] },
+      { from: 'Diani Beach', to: 'Mombasa', trips: [
+        { no: 'GC 42', depart: '11:30', arrive: '13:15' },
+        { no: 'GC 44', depart: '16:30', arrive: '18:15' }
+      ] }
+    ],
+    // Madaraka Express: the express stops only at Mtito Andei and Voi
+    'SGR': [
+      { from: 'Nairobi', to: 'Mombasa', trips: [
+        { no: 'Express E1', depart: '08:00', arrive: '12:40' },
+        { no: 'Inter-County IC3', depart: '15:15', arrive: '21:20' },
+        { no: 'Night Express E5', depart: '22:00', arrive: '02:40' }
+      ] },
+      { from: 'Mombasa', to: 'Nairobi', trips: [
+        { no: 'Express E2', depart: '08:00', arrive: '12:40' },
+        { no: 'Inter-County IC4', depart: '15:15', arrive: '21:20' },
+        { no: 'Night Express E6', depart: '22:00', arrive: '02:40' }
+      ] }
+    ],
+    'Electric Train': [
+      { from: 'Nairobi', to: 'Nakuru', trips: [
+        { no: 'ET 21', depart: '07:00', arrive: '11:10' },
+        { no: 'ET 23', depart: '15:30', arrive: '19:40' }
+      ] },
+      { from: 'Nakuru', to: 'Nairobi', trips: [
+        { no: 'ET 22', depart: '06:30', arrive: '10:40' },
+        { no: 'ET 24', depart: '16:00', arrive: '20:10' }
+      ] },
+      // overnight safari train: Friday out, Sunday back
+      { from: 'Nairobi', to: 'Kisumu', trips: [
+        { no: 'ET 51 Safari', depart: '18:00', arrive: '08:00', days: [5] }
+      ] },
+      { from: 'Kisumu', to: 'Nairobi', trips: [
+        { no: 'ET 52 Safari', depart: '18:00', arrive: '08:00', days: [0] }
+      ] }
+    ],
+    'Kenya Airways': [
+      { from: 'Nairobi', to: 'Mombasa', trips: [
+        { no: 'KQ 602', depart: '06:30', arrive: '07:30' },
+        { no: 'KQ 608', depart: '10:45', arrive: '11:45' },
+        { no: 'KQ 612', depart: '15:20', arrive: '16:20' },
+        { no: 'KQ 616', depart: '19:00', arrive: '20:00' }
+      ] },
+      { from: 'Mombasa', to: 'Nairobi', trips: [
+        { no: 'KQ 603', depart: '08:15', arrive: '09:15' },
+        { no: 'KQ 609', depart: '12:30', arrive: '13:30' },
+        { no: 'KQ 617', depart: '20:45', arrive: '21:45' }
+      ] },
+      { from: 'Nairobi', to: 'Kisumu', trips: [
+        { no: 'KQ 650', depart: '07:10', arrive: '08:00' },
+        { no: 'KQ 656', depart: '17:40', arrive: '18:30' }
+      ] },
+      { from: 'Kisumu', to: 'Nairobi', trips: [
+        { no: 'KQ 651', depart: '08:40', arrive: '09:30' },
+        { no: 'KQ 657', depart: '19:10', arrive: '20:00' }
+      ] },
+      { from: 'Nairobi', to: 'Eldoret', trips: [
+        { no: 'KQ 670', depart: '09:00', arrive: '09:55', days: [1, 3, 5] }
+      ] },
+      { from: 'Eldoret', to: 'Nairobi', trips: [
+        { no: 'KQ 671', depart: '10:35', arrive: '11:30', days: [1, 3, 5] }
+      ] }
+    ],
+    'Qatar Airways': [
+      // codeshare on the Doha connection, sold from Nairobi only
+      { from: 'Nairobi', to: 'Mombasa', trips: [
+        { no: 'QR 1341', depart: '16:25', arrive: '17:35', days: [1, 3, 5, 6] }
+      ] }
+    ]
+  };
+
+  // usual departure times for routes without a published timetable
+  const FALLBACK_TIMES = {
+    'Easy Coach': ['07:00', '13:00'],
+    'Guardian': ['08:00', '20:30'],
+    'SGR': ['08:00'],
+    'Electric Train': ['07:00'],
+    'Kenya Airways': ['09:30'],
+    'Qatar Airways': []
+  };
+
+  // …and for providers added on admin.html, by transport type
+  const DEFAULT_TIMES = { Bus: ['07:00', '19:00'], Train: ['08:00'], Flight: ['10:00'] };
+
+  // average speed (km/h) over FareEngine's route distance, plus boarding/taxi overhead (min)
+  const SPEEDS = {
+    Bus: { kmh: 55, overhead: 20 },
+    Train: { kmh: 70, overhead: 15 },
+    Flight: { kmh: 450, overhead: 30 }
+  };
+
+  const norm = s => String(s || '').trim().toLowerCase();
+  const pad = n => String(n).padStart(2, '0');
+
+  function transportOf(provider) {
+    const matrix = FareConfig.matrix();
+    return Object.keys(matrix).find(t => matrix[t].providers.includes(provider));
+  }
+
+  function routeFor(provider, origin, destination) {
+    return (TIMETABLES[provider] || []).find(r => norm(r.from) === norm(origin) && norm(r.to) === norm(destination)) || null;
+  }
+
+  // minutes to 'HH:MM' on the same clock, rolling past midnight
+  function addMinutes(time, mins) {
+    const [h, m] = time.split(':').map(Number);
+    const total = (h * 60 + m + mins) % (24 * 60);
+    return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+  }
+
+  function estimatedTrips(provider, origin, destination) {
+    const transport = transportOf(provider);
+    const km = FareEngine.distanceKm(origin, destination, transport);
+    const speed = SPEEDS[transport];
+    if (!speed || !km) return [];
+    const mins = Math.round((km / speed.kmh) * 60 + speed.overhead);
+    const code = provider.split(/\s+/).map(w => w[0]).join('').toUpperCase();
+    return (FALLBACK_TIMES[provider] || DEFAULT_TIMES[transport] || []).map(depart => ({
+      no: `${code} ${depart.replace(':', '')}`,
+      depart,
+      arrive: addMinutes(depart, mins),
+      estimated: true
+    }));
+  }
+
+  /* tripsOn(provider, origin, destination, date) -> trips leaving on the
+     'YYYY-MM-DD' Nairobi date, earliest first:
+       [{ tripNo, departDateTime, arriveDateTime, durationMins, estimated }] */
+  function tripsOn(provider, origin, destination, date) {
+    if (!provider || !origin || !destination || !date) return [];
+    const day = new Date(`${date}T00:00:00Z`);
+    if (isNaN(day)) return [];
+    const route = routeFor(provider, origin, destination);
+    const trips = route ? route.trips : estimatedTrips(provider, origin, destination);
+    return trips
+      .filter(t => !t.days || t.days.includes(day.getUTCDay()))
+      .map(t => {
+        const depart = new Date(`${date}T${t.depart}:00${UTC_OFFSET}`);
+        const arrive = new Date(`${date}T${t.arrive}:00${UTC_OFFSET}`);
+        if (arrive <= depart) arrive.setTime(arrive.getTime() + DAY_MS);
+        return {
+          tripNo: t.no,
+          departDateTime: depart.toISOString(),
+          arriveDateTime: arrive.toISOString(),
+          durationMins: Math.round((arrive - depart) / 60000),
+          estimated: !!t.estimated
+        };
+      })
+      .sort((a, b) => a.departDateTime.localeCompare(b.departDateTime));
+  }
+
+  // localDate(iso) -> the 'YYYY-MM-DD' Nairobi date of a timestamp
+  const localDate = iso => new Date(new Date(iso).getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+  /* findTrip({ provider, origin, destination, departDateTime }) -> the trip
+     leaving at exactly that time, or null (also for an unreadable time) */
+  function findTrip(leg) {
+    if (!leg || !leg.departDateTime || isNaN(new Date(leg.departDateTime))) return null;
+    return tripsOn(leg.provider, leg.origin, leg.destination, localDate(leg.departDateTime))
+      .find(t => t.departDateTime === leg.departDateTime) || null;
+  }
+
+  function formatDuration(mins) {
+    if (!mins || mins <= 0) return '';
+    return I18n.formatDuration(mins);
+  }
+
+  return { TIMETABLES, tripsOn, findTrip, formatDuration, localDate };
+})();
@@ -0,0 +1,80 @@
+/* ---------- UrlState: booking choices in the query string ----------
+   The landing page, the destination picker and shared links describe a search
+   as query parameters, e.g.
+
+     ticket.html?dest=Diani+Beach&start=2026-11-02&end=2026-11-09&transport=Bus&provider=Easy+Coach&class=Premium
+     ticket.html?package=mara&start=2026-11-06   (a tour package, see packages.js)
+
+   read() returns the known parameters, link() builds a URL carrying them and
+   write() puts the booking form's current choices back into the address bar
+   (replaceState, so Back still leaves the page), which makes a half-filled
+   booking shareable as a link. Parameters this module does not know about are
+   left untouched.
+
+   read(), link() and write() take an optional list of keys for pages that keep
+   other state in the URL, e.g. the landing page's destination filters:
+
+     index.html?q=beach&month=12&sort=price#destinations
+*/
+const UrlState = (function () {
+  const KEYS = ['dest', 'start', 'end', 'transport', 'provider', 'class', 'package'];
+  const DATE_KEYS = ['start', 'end'];
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  /* read(search) -> { dest?, start?, end?, transport?, provider?, class?, package? }
+     Empty values and malformed dates are dropped. */
+  function read(search = window.location.search, keys = KEYS) {
+    const params = new URLSearchParams(search);
+    const state = {};
+    keys.forEach(key => {
+      const value = (params.get(key) || '').trim();
+      if (!value) return;
+      if (DATE_KEYS.includes(key) && !ISO_DATE.test(value)) return;
+      state[key] = value;
+    });
+    return state;
+  }
+
+  // merge state into existing params: known keys are replaced, empty ones removed
+  function toParams(state, search = '', keys = KEYS) {
+    const params = new URLSearchParams(search);
+    keys.forEach(key => {
+      const value = state && state[key] ? String(state[key]).trim() : '';
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+    return params;
+  }
+
+  function link(path, state, keys = KEYS) {
+    const query = toParams(state, '', keys).toString();
+    return query ? `${path}?${query}` : path;
+  }
+
+  function write(state, keys = KEYS) {
+    const { pathname, search, hash } = window.location;
+    const query = toParams(state, search, keys).toString();
+    const next = `${pathname}${query ? '?' + query : ''}${hash}`;
+    if (next === pathname + search + hash) return;
+    try { history.replaceState(history.state, '', next); } catch (e) { /* e.g. file:// in some browsers */ }
+  }
+
+  /* pick(select, value) selects the option matching a linked value: exact
+     match first (case-insensitive), then a prefix match so that
+     "Amboseli National Park" from the landing page selects "Amboseli".
+     Returns true when an option was selected. */
+  function pick(select, value) {
+    if (!select || !value) return false;
+    const want = String(value).trim().toLowerCase();
+    const options = Array.from(select.options).filter(o => o.value && !o.disabled);
+    const match = options.find(o => o.value.toLowerCase() === want)
+      || options.find(o => {
+        const have = o.value.toLowerCase();
+        return want.startsWith(have + ' ') || have.startsWith(want + ' ');
+      });
+    if (match) select.value = match.value;
+    return !!match;
+  }
+
+  return { KEYS, read, link, write, pick };
+})();
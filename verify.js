@@ -0,0 +1,263 @@
+const $ = (sel, root = document) => root.querySelector(sel);
+const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+
+/* ---------- Ticket verification: scan, look up, check in ---------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const video = document.getElementById('scanVideo');
+  const canvas = document.getElementById('scanCanvas');
+  const startBtn = document.getElementById('startScanBtn');
+  const stopBtn = document.getElementById('stopScanBtn');
+  const imageInput = document.getElementById('qrImage');
+  const manualForm = document.getElementById('manualForm');
+  const manualCode = document.getElementById('manualCode');
+  const scanMsg = document.getElementById('scanMsg');
+  const resultEl = document.getElementById('verifyResult');
+  const staffEl = document.getElementById('staffName');
+
+  let stream = null;
+  let lastCode = '';     // ignore the same QR staying in front of the camera
+  let lastCodeAt = 0;
+  let detector = null;
+  if ('BarcodeDetector' in window) {
+    try { detector = new BarcodeDetector({ formats: ['qr_code'] }); } catch (e) { detector = null; }
+  }
+
+  try { staffEl.value = localStorage.getItem('ht_gate_staff') || ''; } catch (e) {}
+  staffEl.addEventListener('change', () => {
+    try { localStorage.setItem('ht_gate_staff', staffEl.value.trim()); } catch (e) {}
+  });
+
+  const fmtDate = iso => iso ? new Date(iso).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : 'TBA';
+  const ticketsOf = b => (Array.isArray(b.tickets) && b.tickets.length) ? b.tickets : [b];
+
+  // ticket numbers come from scanned QR text and the page URL
+  const esc = value => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  // check-ins of signed tickets that are not in this device's booking store
+  const CHECKIN_LOG = 'ht_checkins';
+  function checkinLog() {
+    try { return JSON.parse(localStorage.getItem(CHECKIN_LOG)) || {}; } catch (e) { return {}; }
+  }
+
+  // ticket-shaped view of verified QR claims (see ticket-signing.js)
+  function ticketFromClaims(c) {
+    const [origin, destination] = String(c.r || '').split('>');
+    const logged = checkinLog()[c.t];
+    return {
+      ticketNo: c.t, bookingId: c.b, passengerName: c.n, route: origin ? { origin, destination } : null,
+      departDateTime: c.d, classOrSeat: c.c, seat: c.s, status: c.st,
+      checkedInAt: logged ? logged.at : null, checkedInBy: logged ? logged.by : null
+    };
+  }
+
+  // true when the QR was signed before the booking's details changed
+  function claimsOutdated(claims, ticket) {
+    const now = TicketSigning.claimsFor(ticket);
+    return ['n', 'r', 'd', 'c', 's'].some(k => (claims[k] || '') !== (now[k] || ''));
+  }
+
+  /* parseCode(text) -> ticket number. Accepts the verify URL printed on tickets
+     (https://…/verify/<ticketNo>?status=…), the "Booking:<id>|STATUS" fallback
+     and a bare ticket number typed by hand. */
+  function parseCode(text) {
+    const raw = String(text || '').trim();
+    const fromUrl = raw.match(/\/verify\/([^/?#]+)/);
+    if (fromUrl) return decodeURIComponent(fromUrl[1]);
+    return raw.replace(/^Booking:/, '').split('|')[0].trim();
+  }
+
+  // ticket numbers are <bookingId>-P1 or <bookingId>-L2-P1
+  const bookingIdOf = ticketNo => ticketNo.replace(/(-L\d+)?-P\d+$/, '');
+
+  function renderResult(state, booking, ticket, message, onCheckIn) {
+    const labels = {
+      valid: 'VALID — OK TO BOARD',
+      checked: 'CHECKED IN',
+      duplicate: 'ALREADY CHECKED IN',
+      void: 'NOT VALID',
+      forged: 'FORGED OR EDITED TICKET',
+      missing: 'NOT FOUND'
+    };
+    const status = booking ? BookingLifecycle.statusOf(booking) : ((ticket && ticket.status) || '—');
+    const details = ticket ? `
+      <div class="details-grid" style="margin-top:12px">
+        <div class="detail-item"><div class="detail-label">Passenger</div><div class="detail-value">${esc(ticket.passengerName || '—')}</div></div>
+        <div class="detail-item"><div class="detail-label">Ticket</div><div class="detail-value">${esc(ticket.ticketNo || ticket.bookingId)}</div></div>
+        <div class="detail-item"><div class="detail-label">Route</div><div class="detail-value">${ticket.route ? `${esc(ticket.route.origin)} → ${esc(ticket.route.destination)}` : '—'}</div></div>
+        <div class="detail-item"><div class="detail-label">Depart</div><div class="detail-value">${esc(fmtDate(ticket.departDateTime))}</div></div>
+        <div class="detail-item"><div class="detail-label">Trip</div><div class="detail-value">${ticket.transportType ? `${esc(ticket.transportType)} — ${esc(ticket.provider)}` : '—'}</div></div>
+        <div class="detail-item"><div class="detail-label">Seat / Class</div><div class="detail-value">${esc(ticket.classOrSeat)}${ticket.seat ? ` · ${esc(ticket.seat)}` : ''}</div></div>
+        <div class="detail-item"><div class="detail-label">Booking status</div><div class="detail-value">${esc(String(status).toUpperCase())}</div></div>
+        <div class="detail-item"><div class="detail-label">Checked in</div><div class="detail-value">${ticket.checkedInAt ? `${esc(fmtDate(ticket.checkedInAt))} · ${esc(ticket.checkedInBy)}` : 'Not yet'}</div></div>
+      </div>` : '';
+    resultEl.className = `card verify-result verify-${state}`;
+    resultEl.innerHTML = `
+      <div class="verify-banner">${labels[state]}</div>
+      ${message ? `<p class="small-muted">${esc(message)}</p>` : ''}
+      ${details}
+      ${state === 'valid' ? '<button type="button" id="checkInBtn" class="btn primary" style="margin-top:12px"><i class="fa-solid fa-check"></i> Check in</button>' : ''}`;
+    const checkInBtn = document.getElementById('checkInBtn');
+    if (checkInBtn) checkInBtn.addEventListener('click', onCheckIn || (() => checkIn(booking, ticket)));
+  }
+
+  async function lookup(text) {
+    const ticketNo = parseCode(text);
+    if (!ticketNo) return;
+    const sig = await TicketSigning.verify(text);
+    // claims that failed verification are the forger's words: show none of them
+    if (sig.signed && !sig.valid) return renderResult('forged', null, null, sig.reason);
+    if (sig.valid && sig.claims.t !== ticketNo) return renderResult('forged', null, ticketFromClaims(sig.claims), 'Ticket number does not match the signed data.');
+
+    const booking = await BookingStore.get(bookingIdOf(ticketNo));
+    if (!booking) {
+      if (!sig.valid) return renderResult('missing', null, null, `No booking for ${ticketNo} on this device.`);
+      // authentic ticket issued elsewhere: trust the signed claims
+      const ticket = ticketFromClaims(sig.claims);
+      if (ticket.checkedInAt) return renderResult('duplicate', null, ticket, 'This ticket has already been scanned.');
+      if (ticket.status === 'unverified') return renderResult('void', null, ticket, 'The payment has not been verified yet, so this ticket does not board.');
+      if (ticket.status !== 'confirmed' && ticket.status !== 'amended') return renderResult('void', null, ticket, `Ticket was issued as ${ticket.status}.`);
+      return renderResult('valid', null, ticket, 'Signature verified. Booking is not stored on this device.', () => checkInOffline(ticket));
+    }
+    const ticket = ticketsOf(booking).find(t => (t.ticketNo || t.bookingId) === ticketNo);
+    if (!ticket) return renderResult('missing', null, null, `Ticket ${ticketNo} is not part of booking ${booking.bookingId}.`);
+    const status = BookingLifecycle.statusOf(booking);
+    if (sig.valid && claimsOutdated(sig.claims, ticket)) {
+      return renderResult('void', booking, ticket, 'This QR code was issued before the booking was changed — ask for the reissued ticket.');
+    }
+    if (ticket.checkedInAt) return renderResult('duplicate', booking, ticket, 'This ticket has already been scanned.');
+    if (status !== 'confirmed' && status !== 'amended') return renderResult('void', booking, ticket, `Booking is ${status}.`);
+    // server bookings board once an agent has verified their payment
+    if (sig.valid && !(booking.payment && booking.payment.verifiedAt)) return renderResult('void', booking, ticket, 'The payment has not been verified yet.');
+    renderResult('valid', booking, ticket, sig.valid ? 'Signature verified.' : 'Unsigned ticket — check the passenger ID.');
+  }
+
+  function checkInOffline(ticket) {
+    const log = checkinLog();
+    const seen = log[ticket.ticketNo];
+    if (seen) return renderResult('duplicate', null, Object.assign({}, ticket, { checkedInAt: seen.at, checkedInBy: seen.by }), 'This ticket has already been scanned.');
+    const entry = { at: new Date().toISOString(), by: staffEl.value.trim() || 'gate' };
+    log[ticket.ticketNo] = entry;
+    try { localStorage.setItem(CHECKIN_LOG, JSON.stringify(log)); } catch (e) {}
+    renderResult('checked', null, Object.assign({}, ticket, { checkedInAt: entry.at, checkedInBy: entry.by }), 'Passenger checked in.');
+  }
+
+  async function checkIn(booking, ticket) {
+    try {
+      // re-read so two devices/tabs scanning the same ticket cannot both succeed
+      const fresh = await BookingStore.get(booking.bookingId);
+      const next = BookingLifecycle.checkIn(fresh, ticket.ticketNo || fresh.bookingId, { by: staffEl.value.trim() || 'gate' });
+      const saved = await BookingStore.save(next);
+      const savedTicket = ticketsOf(saved).find(t => (t.ticketNo || t.bookingId) === (ticket.ticketNo || saved.bookingId));
+      renderResult('checked', saved, savedTicket, 'Passenger checked in.');
+    } catch (err) {
+      renderResult('duplicate', booking, ticket, err.message);
+    }
+  }
+
+  function onCode(text) {
+    const now = Date.now();
+    if (text === lastCode && now - lastCodeAt < 4000) return;
+    lastCode = text;
+    lastCodeAt = now;
+    scanMsg.textContent = 'QR code read.';
+    lookup(text).catch(err => { console.error(err); scanMsg.textContent = 'Lookup failed.'; });
+  }
+
+  // decode one frame/image from the canvas; BarcodeDetector first, jsQR as fallback
+  async function decode(source, w, h) {
+    if (detector) {
+      try {
+        const codes = await detector.detect(source);
+        if (codes.length) return codes[0].rawValue;
+      } catch (e) { /* fall through to jsQR */ }
+    }
+    if (!window.jsQR) return null;
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, w, h);
+    const img = ctx.getImageData(0, 0, w, h);
+    const code = jsQR(img.data, w, h, { inversionAttempts: 'dontInvert' });
+    return code ? code.data : null;
+  }
+
+  async function tick() {
+    if (!stream) return;
+    if (video.readyState >= 2) {
+      const text = await decode(video, video.videoWidth, video.videoHeight);
+      if (text) onCode(text);
+    }
+    setTimeout(() => requestAnimationFrame(tick), 250);
+  }
+
+  async function startCamera() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      scanMsg.textContent = 'Camera not available — upload an image or type the ticket number.';
+      return;
+    }
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+      video.srcObject = stream;
+      await video.play();
+      startBtn.hidden = true;
+      stopBtn.hidden = false;
+      scanMsg.textContent = 'Point the camera at the ticket QR code.';
+      tick();
+    } catch (err) {
+      console.warn(err);
+      scanMsg.textContent = 'Could not open the camera.';
+    }
+  }
+
+  function stopCamera() {
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    stream = null;
+    video.srcObject = null;
+    startBtn.hidden = false;
+    stopBtn.hidden = true;
+  }
+
+  startBtn.addEventListener('click', startCamera);
+  stopBtn.addEventListener('click', stopCamera);
+
+  imageInput.addEventListener('change', () => {
+    const file = imageInput.files && imageInput.files[0];
+    if (!file) return;
+    const img = new Image();
+    img.onload = async () => {
+      const text = await decode(img, img.naturalWidth, img.naturalHeight);
+      URL.revokeObjectURL(img.src);
+      imageInput.value = '';
+      if (text) onCode(text);
+      else scanMsg.textContent = 'No QR code found in that image.';
+    };
+    img.src = URL.createObjectURL(file);
+  });
+
+  manualForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    lookup(manualCode.value).catch(err => { console.error(err); scanMsg.textContent = 'Lookup failed.'; });
+  });
+
+  /* ---------- trusted issuer keys ---------- */
+  // online, remember the booking server's key so its tickets verify offline later
+  const issuerKeyReady = Api.get('/api/signing-key')
+    .then(reply => TicketSigning.trustKey(reply.key))
+    .then(kid => { document.getElementById('issuerKeyId').textContent = kid; })
+    .catch(() => { document.getElementById('issuerKeyId').textContent = 'offline — using the keys already trusted'; });
+  document.getElementById('trustKeyBtn').addEventListener('click', async () => {
+    const input = document.getElementById('trustKeyInput');
+    try {
+      const kid = await TicketSigning.trustKey(input.value.trim());
+      input.value = '';
+      scanMsg.textContent = `Key ${kid} is now trusted.`;
+    } catch (err) {
+      scanMsg.textContent = `Could not add key: ${err.message}`;
+    }
+  });
+
+  // opened from a scanned verify link: verify.html?t=<ticketNo>
+  const fromLink = new URLSearchParams(window.location.search).get('t');
+  if (fromLink) issuerKeyReady.then(() => lookup(fromLink));
+});
@@ -0,0 +1,130 @@
+/* ---------- Wizard: one form, shown a step at a time ----------
+   Steps are the elements with data-step="<id>" inside root, in document
+   order; only the current one is visible. Moving on checks the current step
+   with validate(id), which returns a list of problems (empty when the step is
+   complete). Every move pushes a history entry (#<id>) so the browser's Back
+   and Forward buttons walk the steps, and a step is only shown when all steps
+   before it are complete: Forward, a bookmark or an edited URL land on the
+   first unfinished step instead of skipping ahead.
+
+   skip(id) returning true leaves a step out for now (e.g. the trip when a
+   package fixes it): it is not shown or validated, its progress item is
+   hidden and the remaining steps are renumbered.
+
+   lock(id) pins the wizard to one step (e.g. the issued ticket) until
+   unlock(), so Back cannot reopen a form that has already been paid for.
+
+   Wizard.create({ root, progress, validate, skip, onShow, onInvalid })
+     -> { steps, current, go, next, back, firstIncomplete, lock, unlock }
+*/
+const Wizard = (function () {
+  function create({ root, progress = null, validate = () => [], skip = () => false, onShow = () => {}, onInvalid = () => {} }) {
+    const panels = Array.from(root.querySelectorAll('[data-step]'));
+    const steps = panels.map(p => p.dataset.step);
+    let current = null;
+    let locked = null;
+
+    const indexOf = id => steps.indexOf(id);
+    const active = () => steps.filter(id => !skip(id));
+    const urlFor = id => `${window.location.pathname}${window.location.search}#${id}`;
+
+    // first step before position `upTo` that is not complete, or null
+    function firstIncomplete(upTo = steps.length) {
+      for (let i = 0; i < Math.min(upTo, steps.length); i++) {
+        if (!skip(steps[i]) && validate(steps[i]).length) return steps[i];
+      }
+      return null;
+    }
+
+    // the step actually shown when `id` is asked for
+    function resolve(id) {
+      if (locked) return locked;
+      const i = indexOf(id);
+      if (i < 0) return firstIncomplete() || active()[0];
+      // a skipped step stands for the next one that is not
+      const target = steps.slice(i).find(s => !skip(s)) || active().pop();
+      return firstIncomplete(indexOf(target)) || target;
+    }
+
+    function render(id) {
+      current = id;
+      const at = indexOf(id);
+      panels.forEach(p => { p.hidden = p.dataset.step !== id; });
+      if (progress) {
+        const shown = active();
+        Array.from(progress.querySelectorAll('[data-step]')).forEach(item => {
+          const i = indexOf(item.dataset.step);
+          const num = item.querySelector('.wizard-num');
+          item.hidden = skip(item.dataset.step);
+          if (num) num.textContent = shown.indexOf(item.dataset.step) + 1;
+          item.classList.toggle('done', i < at);
+          item.classList.toggle('active', i === at);
+          if (i === at) item.setAttribute('aria-current', 'step');
+          else item.removeAttribute('aria-current');
+          const btn = item.querySelector('button');
+          if (btn) btn.disabled = !!locked || i >= at;
+        });
+      }
+      onShow(id, at);
+    }
+
+    /* go(id, { history }) shows a step; history is 'push' (default), 'replace'
+       or false (already navigated, e.g. popstate). Returns the step shown. */
+    function go(id, { history: mode = 'push' } = {}) {
+      const target = resolve(id);
+      if (mode === 'push' && target !== current) {
+        window.history.pushState({ step: target, from: current }, '', urlFor(target));
+      } else if (mode === 'replace' || (mode === false && target !== id)) {
+        window.history.replaceState({ step: target, from: (window.history.state || {}).from }, '', urlFor(target));
+      }
+      render(target);
+      return target;
+    }
+
+    function next() {
+      const problems = validate(current);
+      if (problems.length) {
+        onInvalid(current, problems);
+        return false;
+      }
+      const following = steps.slice(indexOf(current) + 1).find(s => !skip(s));
+      if (following) go(following);
+      return true;
+    }
+
+    // Back pops the history entry when it leads to the previous step, so the
+    // browser's Back and ours stay in step; otherwise it replaces the entry
+    function back() {
+      const prev = steps.slice(0, indexOf(current)).filter(s => !skip(s)).pop();
+      if (!prev || locked) return;
+      const state = window.history.state;
+      if (state && state.step === current && state.from === prev) window.history.back();
+      else go(prev, { history: 'replace' });
+    }
+
+    function lock(id) {
+      locked = id;
+      go(id);
+    }
+
+    function unlock() {
+      locked = null;
+    }
+
+    window.addEventListener('popstate', (e) => {
+      const id = (e.state && e.state.step) || window.location.hash.slice(1);
+      go(id, { history: false });
+    });
+
+    if (progress) {
+      progress.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-step]');
+        if (item && e.target.closest('button')) go(item.dataset.step);
+      });
+    }
+
+    return { steps, current: () => current, go, next, back, firstIncomplete, lock, unlock };
+  }
+
+  return { create };
+})();